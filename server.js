@@ -6,6 +6,13 @@ dotenv.config();
 
 // Now import other modules that depend on environment variables
 import app from "./src/app.js";
+import stkReconciliationService from "./src/services/stkReconciliationService.js";
+import stkCampaignService from "./src/services/stkCampaignService.js";
+import paymentScheduleService from "./src/services/paymentScheduleService.js";
+import statementService from "./src/services/statementService.js";
+import transactionExportService from "./src/services/transactionExportService.js";
+import { startDarajaSimulator } from "./src/simulator/darajaSimulator.js";
+import { CredentialCrypto } from "./src/utils/credentialCrypto.js";
 
 const PORT = process.env.PORT || 5000;
 const MONGO_URL = process.env.MONGO_URL;
@@ -19,6 +26,11 @@ const connectDB = async () => {
       throw new Error('MONGO_URL is not defined in environment variables');
     }
 
+    // Local Daraja stand-in (skipped when pointing at an external simulator)
+    if (process.env.MPESA_ENVIRONMENT === 'simulator' && !process.env.MPESA_SIMULATOR_URL) {
+      startDarajaSimulator();
+    }
+
     await mongoose.connect(MONGO_URL);
     console.log("✅ MongoDB connected successfully");
     
@@ -28,6 +40,17 @@ const connectDB = async () => {
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`📊 MongoDB: Connected to TillFlow database`);
       // REMOVED email service reference
+
+      // Background jobs
+      stkReconciliationService.start();
+      paymentScheduleService.start();
+      statementService.start();
+      stkCampaignService.resumeRunning().catch(error => {
+        console.error('❌ Failed to resume STK campaigns:', error);
+      });
+      transactionExportService.failInterruptedJobs().catch(error => {
+        console.error('❌ Failed to clean up interrupted export jobs:', error);
+      });
     });
     
   } catch (error) {
@@ -51,10 +74,21 @@ mongoose.connection.on('disconnected', () => {
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
+  stkReconciliationService.stop();
+  paymentScheduleService.stop();
+  statementService.stop();
   await mongoose.connection.close();
   console.log('👋 MongoDB connection closed through app termination');
   process.exit(0);
 });
 
+// Businesses can't be saved without the credentials master key - refuse to start rather than fail on the first save
+try {
+  CredentialCrypto.getCurrentVersion();
+} catch (error) {
+  console.error(`❌ Cannot start: ${error.message} - see the M-Pesa credential encryption section of .env.example`);
+  process.exit(1);
+}
+
 // Start the application
 connectDB();
\ No newline at end of file
@@ -2,7 +2,6 @@ import express from "express";
 import cors from "cors";
 import userRoutes from "./routes/userRoutes.js";
 import mpesaRoutes from "./routes/mpesaRoutes.js";
-import mpesaService from "./services/mpesaService.js";
 import manualTransactionRoutes from "./routes/manualTransactionRoutes.js";
 import businessRoutes from "./routes/businessRoutes.js";
 import categoryRoutes from "./routes/categoryRoutes.js";
@@ -12,6 +11,19 @@ import subscriptionRoutes from './routes/subscriptionRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import contactRoutes from './routes/contactRoutes.js'; // Fixed: Use import instead of require
 import helpRoutes from './routes/helpRoutes.js';
+import validationPolicyRoutes from './routes/validationPolicyRoutes.js';
+import paymentLinkRoutes from './routes/paymentLinkRoutes.js';
+import invoiceRoutes from './routes/invoiceRoutes.js';
+import payerAccountRoutes from './routes/payerAccountRoutes.js';
+import stkCampaignRoutes from './routes/stkCampaignRoutes.js';
+import paymentScheduleRoutes from './routes/paymentScheduleRoutes.js';
+import qrCodeRoutes from './routes/qrCodeRoutes.js';
+import transactionRoutes from './routes/transactionRoutes.js';
+import exportRoutes from './routes/exportRoutes.js';
+import statementRoutes from './routes/statementRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import customerRoutes from './routes/customerRoutes.js';
+import reconciliationRoutes from './routes/reconciliationRoutes.js';
 
 const app = express();
 
@@ -32,6 +44,7 @@ app.use(express.json({
 app.use("/api/users", userRoutes);
 app.use("/api/mpesa", mpesaRoutes);
 app.use("/api/transactions/manual", manualTransactionRoutes);
+app.use("/api/transactions", transactionRoutes);
 app.use("/api/business", businessRoutes);
 app.use("/api/category", categoryRoutes);
 app.use("/api/category-rule", categoryRuleRoutes);
@@ -40,6 +53,18 @@ app.use("/api/subscriptions", subscriptionRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/contact", contactRoutes); // Fixed: Use the imported contactRoutes
 app.use("/api/help", helpRoutes);
+app.use("/api/validation-policy", validationPolicyRoutes);
+app.use("/api/payment-links", paymentLinkRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/payer-accounts", payerAccountRoutes);
+app.use("/api/campaigns", stkCampaignRoutes);
+app.use("/api/payment-schedules", paymentScheduleRoutes);
+app.use("/api/qr-codes", qrCodeRoutes);
+app.use("/api/exports", exportRoutes);
+app.use("/api/statements", statementRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/customers", customerRoutes);
+app.use("/api/reconciliations", reconciliationRoutes);
 
 // Health check route
 app.get("/api/health", (req, res) => {
@@ -62,41 +87,6 @@ app.get("/api/mpesa/health", (req, res) => {
   });
 });
 
-// TEMPORARY ROUTE: Register M-Pesa URLs with Daraja - REMOVE AFTER USE
-app.get("/api/mpesa/register-urls", async (req, res) => {
-  try {
-    console.log('🌐 Registering M-Pesa URLs with Daraja...');
-    console.log('📝 URLs to register:');
-    console.log('- Validation:', `${process.env.MPESA_CALLBACK_BASE_URL}/api/mpesa/validation`);
-    console.log('- Confirmation:', `${process.env.MPESA_CALLBACK_BASE_URL}/api/mpesa/confirmation`);
-    
-    const result = await mpesaService.registerC2BUrls();
-    
-    if (result.success) {
-      console.log('✅ URLs registered successfully!');
-      res.json({
-        success: true,
-        message: "M-Pesa URLs registered successfully with Daraja",
-        details: result
-      });
-    } else {
-      console.error('❌ URL registration failed:', result.error);
-      res.status(500).json({
-        success: false,
-        message: "URL registration failed",
-        error: result.error
-      });
-    }
-  } catch (error) {
-    console.error('❌ Registration error:', error);
-    res.status(500).json({
-      success: false,
-      message: "Registration failed",
-      error: error.message
-    });
-  }
-});
-
 // 404 handler
 app.use("*", (req, res) => {
   res.status(404).json({ 
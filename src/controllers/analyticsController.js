@@ -0,0 +1,103 @@
+import analyticsService from "../services/analyticsService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Analytics Controller
+ * Dashboard time series and customer retention for a business
+ */
+
+// Time series bucketed by hour/day/week/month with growth against the previous period
+export const getTimeSeries = async (req, res) => {
+  try {
+    const { interval, startDate, endDate, timezone } = req.query;
+
+    const analytics = await analyticsService.getTimeSeries(req.params.businessId, req.user.id, {
+      interval,
+      startDate,
+      endDate,
+      timezone
+    });
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+
+  } catch (error) {
+    console.error('Get time series error:', error);
+    sendServiceError(res, error, "Error fetching analytics");
+  }
+};
+
+// Repeat-customer rate and new vs returning revenue for a period
+export const getRetentionSummary = async (req, res) => {
+  try {
+    const { startDate, endDate, timezone } = req.query;
+
+    const retention = await analyticsService.getRetentionSummary(req.params.businessId, req.user.id, {
+      startDate,
+      endDate,
+      timezone
+    });
+
+    res.json({
+      success: true,
+      data: retention
+    });
+
+  } catch (error) {
+    console.error('Get retention summary error:', error);
+    sendServiceError(res, error, "Error fetching retention analytics");
+  }
+};
+
+// Monthly cohort retention table
+export const getCohortRetention = async (req, res) => {
+  try {
+    const { months, timezone } = req.query;
+
+    const cohorts = await analyticsService.getCohortRetention(req.params.businessId, req.user.id, {
+      months: months !== undefined ? Number(months) : undefined,
+      timezone
+    });
+
+    res.json({
+      success: true,
+      data: cohorts
+    });
+
+  } catch (error) {
+    console.error('Get cohort retention error:', error);
+    sendServiceError(res, error, "Error fetching cohort retention");
+  }
+};
+
+// Customers who haven't paid in N days
+export const getLapsedCustomers = async (req, res) => {
+  try {
+    const { days, page = 1, limit = 50, minVisits } = req.query;
+
+    const { customers, total, days: lapsedDays } = await analyticsService.getLapsedCustomers(req.params.businessId, req.user.id, {
+      days: days !== undefined ? Number(days) : undefined,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      minVisits: minVisits ? parseInt(minVisits) : undefined
+    });
+
+    res.json({
+      success: true,
+      days: lapsedDays,
+      data: customers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get lapsed customers error:', error);
+    sendServiceError(res, error, "Error fetching lapsed customers");
+  }
+};
@@ -17,6 +17,9 @@ export const createBusiness = async (req, res) => {
       mpesaConsumerKey,
       mpesaConsumerSecret,
       mpesaPassKey,
+      mpesaB2CShortCode,
+      mpesaInitiatorName,
+      mpesaSecurityCredential,
       contactEmail,
       contactPhone,
       location,
@@ -51,6 +54,9 @@ export const createBusiness = async (req, res) => {
       mpesaConsumerKey,
       mpesaConsumerSecret,
       mpesaPassKey,
+      mpesaB2CShortCode,
+      mpesaInitiatorName,
+      mpesaSecurityCredential,
       contactEmail: contactEmail || req.user.email,
       contactPhone: contactPhone || req.user.phoneNumber,
       location: location || {},
@@ -104,9 +110,13 @@ export const updateBusiness = async (req, res) => {
       mpesaConsumerKey,
       mpesaConsumerSecret,
       mpesaPassKey,
+      mpesaB2CShortCode,
+      mpesaInitiatorName,
+      mpesaSecurityCredential,
       contactEmail,
       contactPhone,
       location,
+      timezone,
       businessType
     } = req.body;
 
@@ -143,11 +153,29 @@ export const updateBusiness = async (req, res) => {
     if (mpesaConsumerKey) updateData.mpesaConsumerKey = mpesaConsumerKey;
     if (mpesaConsumerSecret) updateData.mpesaConsumerSecret = mpesaConsumerSecret;
     if (mpesaPassKey) updateData.mpesaPassKey = mpesaPassKey;
+    if (mpesaB2CShortCode) updateData.mpesaB2CShortCode = mpesaB2CShortCode;
+    if (mpesaInitiatorName) updateData.mpesaInitiatorName = mpesaInitiatorName;
+    if (mpesaSecurityCredential) updateData.mpesaSecurityCredential = mpesaSecurityCredential;
     if (contactEmail) updateData.contactEmail = contactEmail;
     if (contactPhone) updateData.contactPhone = contactPhone;
     if (location) updateData.location = location;
+    if (timezone) updateData.timezone = timezone;
     if (businessType) updateData.businessType = businessType;
 
+    // Rotated credentials or a new shortcode require re-registering C2B URLs
+    const darajaCredentialsChanged = (mpesaConsumerKey && !business.credentialMatches('mpesaConsumerKey', mpesaConsumerKey)) ||
+      (mpesaConsumerSecret && !business.credentialMatches('mpesaConsumerSecret', mpesaConsumerSecret));
+    const registrationAffected = (mpesaShortCode && mpesaShortCode !== business.mpesaShortCode) ||
+      darajaCredentialsChanged;
+    if (registrationAffected && business.c2bRegistration?.status === 'registered') {
+      updateData['c2bRegistration.status'] = 'outdated';
+    }
+
+    // New key/secret haven't been tried against Daraja yet
+    if (darajaCredentialsChanged) {
+      updateData.darajaAuth = { status: 'unknown', consecutiveFailures: 0 };
+    }
+
     const updatedBusiness = await Business.findByIdAndUpdate(
       businessId,
       updateData,
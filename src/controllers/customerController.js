@@ -0,0 +1,202 @@
+import customerService from "../services/customerService.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Customer Controller
+ * Customer directory: search, payment history, notes, tags and merging
+ */
+
+// Search a business's customers
+export const getCustomers = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 50, search, tags, minVisits, minLifetimeValue, sort } = req.query;
+
+    const { customers, total } = await customerService.searchCustomers(businessId, req.user, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      search,
+      tags: tags ? tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean) : undefined,
+      minVisits: minVisits ? parseInt(minVisits) : undefined,
+      minLifetimeValue: minLifetimeValue ? parseFloat(minLifetimeValue) : undefined,
+      sort
+    });
+
+    const viewOptions = customerService.viewOptions(req.user);
+
+    res.json({
+      success: true,
+      data: customers.map(customer => customer.getSummary(viewOptions)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get customers error:', error);
+    sendServiceError(res, error, "Error fetching customers");
+  }
+};
+
+// Get a customer with notes and payment type breakdown
+export const getCustomer = async (req, res) => {
+  try {
+    const customer = await customerService.getCustomer(req.params.customerId, req.user);
+
+    res.json({
+      success: true,
+      data: customer.getFullDetails(customerService.viewOptions(req.user))
+    });
+
+  } catch (error) {
+    console.error('Get customer error:', error);
+    sendServiceError(res, error, "Error fetching customer");
+  }
+};
+
+// A customer's payment history
+export const getCustomerTransactions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const { transactions, total } = await customerService.getCustomerTransactions(req.params.customerId, req.user, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const { maskPhoneNumbers } = customerService.viewOptions(req.user);
+
+    res.json({
+      success: true,
+      data: transactions.map(transaction => {
+        const summary = transaction.getSummary();
+        if (maskPhoneNumbers) {
+          summary.customer.phone = MpesaUtils.maskPhoneNumber(transaction.customer.phoneNumber);
+        }
+        return summary;
+      }),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get customer transactions error:', error);
+    sendServiceError(res, error, "Error fetching customer transactions");
+  }
+};
+
+// Replace a customer's tags
+export const updateCustomerTags = async (req, res) => {
+  try {
+    const customer = await customerService.setTags(req.params.customerId, req.user.id, req.body.tags);
+
+    res.json({
+      success: true,
+      message: "Customer tags updated",
+      data: customer.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Update customer tags error:', error);
+    sendServiceError(res, error, "Failed to update customer tags");
+  }
+};
+
+// Add a note to a customer
+export const addCustomerNote = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: "Note text is required"
+      });
+    }
+
+    const customer = await customerService.addNote(req.params.customerId, req.user.id, text);
+
+    res.status(201).json({
+      success: true,
+      message: "Note added",
+      data: customer.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Add customer note error:', error);
+    sendServiceError(res, error, "Failed to add note");
+  }
+};
+
+// Remove a note from a customer
+export const deleteCustomerNote = async (req, res) => {
+  try {
+    const customer = await customerService.deleteNote(req.params.customerId, req.user.id, req.params.noteId);
+
+    res.json({
+      success: true,
+      message: "Note deleted",
+      data: customer.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Delete customer note error:', error);
+    sendServiceError(res, error, "Failed to delete note");
+  }
+};
+
+// Merge duplicate customers into one
+export const mergeCustomers = async (req, res) => {
+  try {
+    const { primaryCustomerId, duplicateCustomerIds } = req.body;
+
+    if (!primaryCustomerId) {
+      return res.status(400).json({
+        success: false,
+        message: "primaryCustomerId and duplicateCustomerIds are required"
+      });
+    }
+
+    const { customer, merged } = await customerService.mergeCustomers(
+      req.params.businessId,
+      req.user.id,
+      primaryCustomerId,
+      duplicateCustomerIds
+    );
+
+    res.json({
+      success: true,
+      message: `${merged} customer(s) merged`,
+      data: customer.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Merge customers error:', error);
+    sendServiceError(res, error, "Failed to merge customers");
+  }
+};
+
+// Rebuild customer stats from the business's transaction history
+export const rebuildCustomers = async (req, res) => {
+  try {
+    const results = await customerService.rebuildCustomers(req.params.businessId, req.user.id);
+
+    res.json({
+      success: true,
+      message: `${results.customers} customers rebuilt from transaction history`,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Rebuild customers error:', error);
+    sendServiceError(res, error, "Failed to rebuild customers");
+  }
+};
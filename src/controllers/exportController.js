@@ -0,0 +1,126 @@
+import transactionExportService, { EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS } from "../services/transactionExportService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Export Controller
+ * CSV/XLSX transaction exports (plan feature: csv-export)
+ */
+
+// Columns that can be selected
+export const getExportColumns = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      columns: Object.entries(EXPORT_COLUMNS).map(([key, column]) => ({ key, header: column.header })),
+      defaultColumns: DEFAULT_EXPORT_COLUMNS
+    }
+  });
+};
+
+// Stream a filtered export straight to the client
+export const exportTransactions = async (req, res) => {
+  const { businessId } = req.params;
+
+  try {
+    const options = await transactionExportService.prepareDirectExport(businessId, req.user.id, req.query);
+
+    res.set({
+      'Content-Type': options.format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${options.fileName}"`
+    });
+
+    await transactionExportService.writeExport(res, businessId, options);
+
+  } catch (error) {
+    console.error('Export transactions error:', error);
+
+    // Part of the file was already sent - cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    sendServiceError(res, error, "Failed to export transactions");
+  }
+};
+
+// Start a background export
+export const createExportJob = async (req, res) => {
+  try {
+    const job = await transactionExportService.createJob(req.params.businessId, req.user.id, req.body);
+
+    res.status(202).json({
+      success: true,
+      message: "Export started",
+      data: job.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Create export job error:', error);
+    sendServiceError(res, error, "Failed to start export");
+  }
+};
+
+// List export jobs for a business
+export const getExportJobs = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+
+    const { jobs, total } = await transactionExportService.getJobs(businessId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status
+    });
+
+    res.json({
+      success: true,
+      data: jobs.map(job => job.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get export jobs error:', error);
+    sendServiceError(res, error, "Error fetching export jobs");
+  }
+};
+
+// Export job status
+export const getExportJob = async (req, res) => {
+  try {
+    const job = await transactionExportService.getJob(req.params.jobId, req.user.id);
+
+    res.json({
+      success: true,
+      data: job.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Get export job error:', error);
+    sendServiceError(res, error, "Error fetching export job");
+  }
+};
+
+// Download a finished export
+export const downloadExportJob = async (req, res) => {
+  try {
+    const { filePath, fileName, contentType } = await transactionExportService.getJobFile(req.params.jobId, req.user.id);
+
+    res.set('Content-Type', contentType);
+    res.download(filePath, fileName, (error) => {
+      if (error && !res.headersSent) {
+        sendServiceError(res, error, "Failed to download export");
+      }
+    });
+
+  } catch (error) {
+    console.error('Download export job error:', error);
+    sendServiceError(res, error, "Failed to download export");
+  }
+};
@@ -0,0 +1,179 @@
+import invoiceService from "../services/invoiceService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Invoice Controller
+ * Business invoices/orders, payment matching and receivables reporting
+ */
+
+// Create an invoice
+export const createInvoice = async (req, res) => {
+  try {
+    const { businessId, invoiceNumber, customer, lineItems, amountDue, issueDate, dueDate, notes } = req.body;
+
+    if (!businessId || !dueDate) {
+      return res.status(400).json({
+        success: false,
+        message: "businessId and dueDate are required"
+      });
+    }
+
+    if (!amountDue && !(Array.isArray(lineItems) && lineItems.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide amountDue or at least one line item"
+      });
+    }
+
+    const invoice = await invoiceService.createInvoice({
+      businessId,
+      merchantId: req.user.id,
+      invoiceNumber,
+      customer,
+      lineItems,
+      amountDue,
+      issueDate,
+      dueDate,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invoice created successfully",
+      data: invoice.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    sendServiceError(res, error, "Failed to create invoice");
+  }
+};
+
+// List invoices for a business
+export const getInvoices = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 20, status, overdue, search } = req.query;
+
+    const { invoices, total } = await invoiceService.getInvoices(businessId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      overdue: overdue === 'true',
+      search
+    });
+
+    res.json({
+      success: true,
+      data: invoices.map(invoice => invoice.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    sendServiceError(res, error, "Error fetching invoices");
+  }
+};
+
+// Get an invoice with line items and payments
+export const getInvoice = async (req, res) => {
+  try {
+    const invoice = await invoiceService.getInvoice(req.params.invoiceId, req.user.id);
+
+    res.json({
+      success: true,
+      data: invoice.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    sendServiceError(res, error, "Error fetching invoice");
+  }
+};
+
+// Update an invoice
+export const updateInvoice = async (req, res) => {
+  try {
+    const invoice = await invoiceService.updateInvoice(req.params.invoiceId, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: "Invoice updated successfully",
+      data: invoice.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Update invoice error:', error);
+    sendServiceError(res, error, "Failed to update invoice");
+  }
+};
+
+// Cancel an invoice
+export const cancelInvoice = async (req, res) => {
+  try {
+    const invoice = await invoiceService.cancelInvoice(req.params.invoiceId, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Invoice cancelled",
+      data: invoice.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Cancel invoice error:', error);
+    sendServiceError(res, error, "Failed to cancel invoice");
+  }
+};
+
+// Apply a payment that did not match automatically
+export const applyInvoicePayment = async (req, res) => {
+  try {
+    const { transactionId } = req.body;
+
+    if (!transactionId) {
+      return res.status(400).json({
+        success: false,
+        message: "transactionId is required"
+      });
+    }
+
+    const invoice = await invoiceService.applyPaymentManually(req.params.invoiceId, transactionId, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Payment applied to invoice",
+      data: invoice.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Apply invoice payment error:', error);
+    sendServiceError(res, error, "Failed to apply payment");
+  }
+};
+
+// Outstanding/aged receivables report
+export const getAgedReceivables = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { asOf, includeInvoices } = req.query;
+
+    const report = await invoiceService.getAgedReceivables(businessId, req.user.id, {
+      asOf,
+      includeInvoices: includeInvoices === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get aged receivables error:', error);
+    sendServiceError(res, error, "Error generating receivables report");
+  }
+};
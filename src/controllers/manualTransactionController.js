@@ -1,8 +1,10 @@
 import Transaction from "../models/Transaction.js";
+import Business from "../models/Business.js";
 import { parseCsvTransactions } from "../utils/manualCsvParser.js";
 import { parsePdfTransactions } from "../utils/manualPdfParser.js";
 import mongoose from "mongoose";
 import fs from "fs";
+import eventBus from "../utils/eventBus.js";
 
 /**
  * Manual Import Controller
@@ -10,6 +12,11 @@ import fs from "fs";
  * Gives detailed per-row/transaction feedback
  */
 
+// Let listeners (customer directory, classification, invoices) see imported payments
+const announceImported = (transactions = []) => {
+  transactions.forEach(transaction => eventBus.emit("TRANSACTION_CREATED", transaction));
+};
+
 export const uploadManualTransactions = async (req, res) => {
   let tempFilePath = null;
   
@@ -97,6 +104,8 @@ export const uploadManualTransactions = async (req, res) => {
       });
     }
 
+    const business = await Business.findOne({ mpesaShortCode: businessShortCode, owner: merchantId });
+
     // Transform parsed data → Transaction schema format
     const docs = parsedTransactions.map(txn => ({
       mpesaTransactionId: txn.id,
@@ -104,6 +113,7 @@ export const uploadManualTransactions = async (req, res) => {
       transactionTime: txn.date,
       transactionType: txn.type,
       businessShortCode,
+      business: business?._id,
       merchant: new mongoose.Types.ObjectId(merchantId),
       billRefNumber: txn.reference || null,
       customer: {
@@ -116,6 +126,7 @@ export const uploadManualTransactions = async (req, res) => {
 
     // Insert ignoring duplicates (unique index on mpesaTransactionId)
     const result = await Transaction.insertMany(docs, { ordered: false });
+    announceImported(result);
 
     // Clean up temp file after successful processing
     if (tempFilePath && fs.existsSync(tempFilePath)) {
@@ -139,6 +150,7 @@ export const uploadManualTransactions = async (req, res) => {
     }
 
     if (error.writeErrors) {
+      announceImported(error.insertedDocs);
       return res.status(207).json({
         success: true,
         message: "Some transactions failed due to duplicates.",
@@ -1,8 +1,21 @@
-import Transaction from "../models/Transaction.js";
+import Transaction, { MONEY_IN } from "../models/Transaction.js";
+import Business from "../models/Business.js";
+import ValidationPolicy from "../models/ValidationPolicy.js";
 import mpesaService from "../services/mpesaService.js";
+import c2bService from "../services/c2bService.js";
+import webhookEventService from "../services/webhookEventService.js";
+import b2cService from "../services/b2cService.js";
+import reversalService from "../services/reversalService.js";
+import stkService from "../services/stkService.js";
+import backfillService from "../services/backfillService.js";
+import analyticsService from "../services/analyticsService.js";
+import UnmatchedPayment from "../models/UnmatchedPayment.js";
+import WebhookEvent from "../models/WebhookEvent.js";
 import { MpesaUtils } from "../utils/mpesaUtils.js";
-import eventBus from "../utils/eventBus.js";
+import { DEFAULT_TIMEZONE, isValidTimeZone } from "../utils/timezone.js";
 import TokenService from "../services/tokenService.js"; 
+import { ValidationPolicyService } from "../services/validationPolicyService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
 
 // Handle validation webhook from Daraja
 export const handleValidation = async (req, res) => {
@@ -30,7 +43,33 @@ export const handleValidation = async (req, res) => {
       });
     }
 
-    // Accept all valid payments for now
+    // Apply the receiving business's validation policy (unknown shortcodes are
+    // accepted here and quarantined on confirmation)
+    const business = await Business.findByShortCode(validationData.BusinessShortCode);
+
+    if (business) {
+      const policy = await ValidationPolicy.findActiveByBusiness(business._id);
+      const decision = await ValidationPolicyService.checkPayment(policy, business._id, validationData);
+
+      if (!decision.accepted) {
+        console.log('🚫 Payment rejected by validation policy:', {
+          business: business.businessName,
+          rule: decision.rule,
+          resultDesc: decision.resultDesc
+        });
+
+        ValidationPolicyService.recordRejection(business._id, validationData, decision)
+          .catch(error => {
+            console.error('Error recording validation rejection:', error);
+          });
+
+        return res.json({
+          ResultCode: decision.resultCode,
+          ResultDesc: decision.resultDesc
+        });
+      }
+    }
+
     res.json({
       ResultCode: 0,
       ResultDesc: "Accepted - Payment validation successful"
@@ -57,38 +96,17 @@ export const handleConfirmation = async (req, res) => {
       phone: confirmationData.MSISDN
     });
 
-    // 🆕 USE MPESAUTILS FOR TIMESTAMP PARSING
-    const transactionTime = MpesaUtils.parseMpesaTimestamp(confirmationData.TransTime);
-
-    // For now, we'll create a transaction without merchant association
-    // Later we'll map billRefNumber to specific merchants
-    const transaction = new Transaction({
-      mpesaTransactionId: confirmationData.TransID,
-      businessShortCode: confirmationData.BusinessShortCode,
-      amount: parseFloat(confirmationData.TransAmount),
-      transactionType: confirmationData.TransactionType || 'Buy Goods',
-      customer: {
-        phoneNumber: confirmationData.MSISDN,
-        name: {
-          firstName: confirmationData.FirstName || '',
-          middleName: confirmationData.MiddleName || '',
-          lastName: confirmationData.LastName || ''
-        }
-      },
-      transactionTime: transactionTime, // 🆕 USING UTILS
-      billRefNumber: confirmationData.BillRefNumber,
-      invoiceNumber: confirmationData.InvoiceNumber,
-      accountBalance: confirmationData.OrgAccountBalance ? parseFloat(confirmationData.OrgAccountBalance) : null,
-      status: 'completed',
-      rawMpesaResponse: confirmationData
-    });
+    // Store the raw payload, then route it to the owning business (or quarantine)
+    const event = await webhookEventService.ingest('c2b_confirmation', confirmationData);
 
-    await transaction.save();
-    
-    // EMIT EVENT FOR AUTO-CLASSIFICATION
-    eventBus.emit("TRANSACTION_CREATED", transaction);
-    
-    console.log('✅ Transaction saved:', transaction.internalReference);
+    if (event.status === 'failed') {
+      return res.status(200).json({ 
+        success: false, 
+        message: "Confirmation received but processing failed"
+      });
+    }
+
+    console.log('✅ Confirmation processed:', event.result);
 
     // Always return 200 to Daraja even if we have processing errors
     res.status(200).json({ 
@@ -159,8 +177,10 @@ export const getMerchantTransactions = async (req, res) => {
     } = req.query;
 
     const merchantId = req.user.id; // From auth middleware
-    
-    const filter = { merchant: merchantId };
+
+    // Transactions belong to businesses, so scope to the merchant's own
+    const businesses = await Business.find({ owner: merchantId }).select('_id');
+    const filter = { business: { $in: businesses.map(business => business._id) } };
     
     if (status) filter.status = status;
     if (startDate || endDate) {
@@ -211,34 +231,33 @@ export const getTransactionAnalytics = async (req, res) => {
     const merchantId = req.user.id;
     const { period = 'today' } = req.query;
 
-    // Calculate date range based on period
+    // Default to the business's own zone, as the time-series analytics do
+    const businesses = await Business.find({ owner: merchantId }).select('_id timezone').sort({ createdAt: 1 });
+    const timezone = req.query.timezone || businesses[0]?.timezone || DEFAULT_TIMEZONE;
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown timezone: ${timezone}`
+      });
+    }
+
+    // Calculate date range based on period, using local midnights in the timezone
     const getDateRange = (period) => {
       const now = new Date();
-      const start = new Date();
-      const end = new Date();
+      const endOfToday = analyticsService.addBuckets(analyticsService.bucketStart(now, 'day', timezone), 1, 'day', timezone);
 
       switch (period) {
         case 'today':
-          start.setHours(0, 0, 0, 0);
-          end.setHours(23, 59, 59, 999);
-          break;
+          return { start: analyticsService.bucketStart(now, 'day', timezone), end: endOfToday };
         case 'this_week':
-          start.setDate(start.getDate() - start.getDay());
-          start.setHours(0, 0, 0, 0);
-          end.setHours(23, 59, 59, 999);
-          break;
+          return { start: analyticsService.bucketStart(now, 'week', timezone), end: endOfToday };
         case 'this_month':
-          start.setDate(1);
-          start.setHours(0, 0, 0, 0);
-          end.setHours(23, 59, 59, 999);
-          break;
+          return { start: analyticsService.bucketStart(now, 'month', timezone), end: endOfToday };
         default:
           // Last 24 hours
-          start.setDate(start.getDate() - 1);
-          break;
+          return { start: new Date(now.getTime() - 24 * 60 * 60 * 1000), end: now };
       }
-
-      return { start, end };
     };
 
     const { start, end } = getDateRange(period);
@@ -246,9 +265,9 @@ export const getTransactionAnalytics = async (req, res) => {
     const summary = await Transaction.aggregate([
       {
         $match: {
-          merchant: merchantId,
-          transactionTime: { $gte: start, $lte: end },
-          status: 'completed'
+          business: { $in: businesses.map(b => b._id) },
+          transactionTime: { $gte: start, $lt: end },
+          ...MONEY_IN
         }
       },
       {
@@ -274,6 +293,7 @@ export const getTransactionAnalytics = async (req, res) => {
         totalAmountFormatted: MpesaUtils.formatCurrency(result.totalAmount), // 🆕 FORMATTED CURRENCY
         averageAmountFormatted: MpesaUtils.formatCurrency(result.averageAmount), // 🆕 FORMATTED CURRENCY
         period,
+        timezone,
         dateRange: { start, end }
       }
     });
@@ -290,53 +310,21 @@ export const getTransactionAnalytics = async (req, res) => {
 // STK Callback from Safaricom (after customer enters PIN)
 export const handleSTKCallback = async (req, res) => {
   try {
-    const callback = req.body.Body.stkCallback;
-
-    console.log("📥 STK CALLBACK RECEIVED:", callback);
+    console.log("📥 STK CALLBACK RECEIVED:", req.body?.Body?.stkCallback);
 
-    const {
-      MerchantRequestID,
-      CheckoutRequestID,
-      ResultCode,
-      ResultDesc,
-      CallbackMetadata
-    } = callback;
+    // Store the raw payload, then resolve the pending transaction
+    const event = await webhookEventService.ingest('stk_callback', req.body);
 
-    // Find the pending transaction by checkout request ID
-    const transaction = await Transaction.findOne({ checkoutRequestId: CheckoutRequestID });
-
-    if (!transaction) {
-      console.log("❌ STK Callback: No transaction found for checkout request:", CheckoutRequestID);
-      return res.json({ success: false, message: "Transaction not found" });
-    }
-
-    // MPESA result codes: 0 = success, anything else = cancelled/failed
-    if (ResultCode !== 0) {
-      console.log("❌ STK Failed:", ResultDesc);
-      
-      // 🆕 USE MPESAUTILS FOR ERROR MESSAGE PARSING
-      const userFriendlyError = MpesaUtils.parseErrorCode(ResultCode.toString());
-      
-      // Update transaction status to failed
-      await transaction.markAsFailed(userFriendlyError, ResultCode.toString());
-      
-      return res.json({ success: true }); // Always return success to Daraja
+    if (event.status === 'failed') {
+      return res.json({
+        success: false,
+        message: "Callback received but processing failed"
+      });
     }
 
-    const meta = {};
-    CallbackMetadata?.Item?.forEach(item => {
-      meta[item.Name] = item.Value;
-    });
-
-    // Update transaction as completed
-    await transaction.markAsCompleted(meta.MpesaReceiptNumber, callback);
-
-    // EMIT EVENT FOR AUTO-CLASSIFICATION
-    eventBus.emit("TRANSACTION_CREATED", transaction);
+    console.log("✅ STK Callback processed:", event.result);
 
-    console.log("✅ STK Transaction completed:", transaction.internalReference);
-
-    res.json({ success: true });
+    res.json({ success: true }); // Always return success to Daraja
 
   } catch (error) {
     console.error("❌ STK Callback error:", error);
@@ -392,61 +380,24 @@ export const initiateSTKPush = async (req, res) => {
       });
     }
 
-    // Create pending transaction first
-    const pendingTransaction = new Transaction({
-      mpesaTransactionId: `PENDING-${Date.now()}`,
-      internalReference: MpesaUtils.generateTransactionReference('STK'), // 🆕 USING UTILS
-      merchant: merchantId,
-      business: businessId, // Link to specific business
-      businessShortCode: businessCredentials.shortCode,
-      amount: validation.amount, // 🆕 USING VALIDATED AMOUNT
-      transactionType: 'Buy Goods',
-      customer: {
-        phoneNumber: validation.formattedPhone // 🆕 USING FORMATTED PHONE
-      },
-      transactionTime: new Date(),
-      billRefNumber: accountReference,
-      status: 'pending',
-      source: 'mpesa-api',
-      description: description || `STK Push payment for ${accountReference}`,
-      tokenUsed: tokenValidation.token._id // 🆕 RECORD WHICH TOKEN WAS USED
-    });
-
-    await pendingTransaction.save();
-
-    // Initiate STK Push via M-Pesa service with business credentials
-    const stkResult = await mpesaService.initiateSTKPush({
+    // Create the pending transaction and send the prompt
+    const stkResult = await stkService.initiatePayment({
+      businessCredentials,
       phoneNumber: validation.formattedPhone, // 🆕 USING FORMATTED PHONE
       amount: validation.amount, // 🆕 USING VALIDATED AMOUNT
       accountReference,
-      transactionDesc: description || `Payment for ${accountReference}`,
-      businessShortCode: businessCredentials.shortCode,
-      consumerKey: businessCredentials.consumerKey,
-      consumerSecret: businessCredentials.consumerSecret,
-      passKey: businessCredentials.passKey
+      description,
+      merchantId,
+      tokenId: tokenValidation.token._id // 🆕 RECORD WHICH TOKEN WAS USED
     });
 
     if (!stkResult.success) {
-      // 🆕 USE MPESAUTILS FOR ERROR MESSAGE PARSING
-      const userFriendlyError = MpesaUtils.parseErrorCode(stkResult.errorCode);
-      
-      // Update transaction status to failed
-      await Transaction.findByIdAndUpdate(pendingTransaction._id, {
-        status: 'failed',
-        description: `STK Push failed: ${userFriendlyError}`
-      });
-
       return res.status(400).json({
         success: false,
-        message: userFriendlyError
+        message: stkResult.message
       });
     }
 
-    // Update transaction with checkout request ID
-    await Transaction.findByIdAndUpdate(pendingTransaction._id, {
-      checkoutRequestId: stkResult.checkoutRequestId
-    });
-
     // 🆕 RECORD TOKEN USAGE ASYNCHRONOUSLY (don't block the response)
     TokenService.recordTokenUsage(tokenValidation.token._id, amount)
       .catch(error => {
@@ -458,7 +409,7 @@ export const initiateSTKPush = async (req, res) => {
       message: "STK Push initiated successfully",
       checkoutRequestId: stkResult.checkoutRequestId,
       customerMessage: stkResult.customerMessage,
-      internalReference: pendingTransaction.internalReference,
+      internalReference: stkResult.transaction.internalReference,
       business: {
         id: businessId,
         name: businessCredentials.businessName,
@@ -478,4 +429,498 @@ export const initiateSTKPush = async (req, res) => {
       message: "Failed to initiate STK Push"
     });
   }
-};
\ No newline at end of file
+};
+
+// Get unmatched C2B payments (Admin only)
+export const getUnmatchedPayments = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = 'unmatched', shortCode, reason } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (shortCode) filter.businessShortCode = shortCode;
+    if (reason) filter.reason = reason;
+
+    const payments = await UnmatchedPayment.findWithFilters({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      shortCode,
+      reason
+    });
+
+    const total = await UnmatchedPayment.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: payments.map(payment => payment.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get unmatched payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching unmatched payments"
+    });
+  }
+};
+
+// Assign an unmatched C2B payment to a business (Admin only)
+export const assignUnmatchedPayment = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { businessId } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "Business ID is required"
+      });
+    }
+
+    const { unmatchedPayment, transaction } = await c2bService.assignUnmatchedPayment(
+      paymentId,
+      businessId,
+      req.user._id
+    );
+
+    res.json({
+      success: true,
+      message: "Payment assigned to business successfully",
+      payment: unmatchedPayment.getSummary(),
+      transaction: transaction.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Assign unmatched payment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payment or business ID"
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('already been assigned')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error assigning payment"
+    });
+  }
+};
+
+// Get webhook events, e.g. failed deliveries awaiting replay (Admin only)
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = 'failed', type } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const events = await WebhookEvent.findWithFilters({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      type
+    });
+
+    const total = await WebhookEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: events.map(event => event.getFullDetails()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching webhook events"
+    });
+  }
+};
+
+// Re-run a failed webhook event through its processing pipeline (Admin only)
+export const replayWebhookEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const event = await webhookEventService.replayEvent(eventId);
+
+    res.json({
+      success: event.status === 'processed',
+      message: event.status === 'processed'
+        ? "Webhook event replayed successfully"
+        : `Webhook event replay failed: ${event.lastError}`,
+      event: event.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Replay webhook event error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid webhook event ID"
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Only failed events')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error replaying webhook event"
+    });
+  }
+};
+
+// Verify a business's Daraja credentials and register its C2B URLs (re-run after rotating credentials)
+export const registerBusinessC2BUrls = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const merchantId = req.user.id;
+
+    const result = await mpesaService.registerBusinessUrls(businessId, merchantId);
+
+    if (!result.registration) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(result.success ? 200 : 502).json({
+      success: result.success,
+      message: result.message,
+      business: {
+        id: businessId,
+        name: result.businessName,
+        shortCode: result.shortCode
+      },
+      registration: result.registration
+    });
+
+  } catch (error) {
+    console.error('Register business C2B URLs error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid business ID"
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to register C2B URLs"
+    });
+  }
+};
+
+// B2C result callback from Safaricom
+export const handleB2CResult = async (req, res) => {
+  try {
+    console.log("📥 B2C RESULT RECEIVED:", req.body?.Result?.ConversationID);
+
+    const event = await webhookEventService.ingest('b2c_result', req.body);
+
+    if (event.status === 'failed') {
+      return res.json({
+        ResultCode: 0,
+        ResultDesc: "Result received but processing failed"
+      });
+    }
+
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+
+  } catch (error) {
+    console.error("❌ B2C Result error:", error);
+    res.json({
+      ResultCode: 0,
+      ResultDesc: "Result received but processing failed"
+    });
+  }
+};
+
+// B2C queue timeout callback from Safaricom
+export const handleB2CTimeout = async (req, res) => {
+  try {
+    console.log("⏱️ B2C TIMEOUT RECEIVED:", (req.body?.Result || req.body)?.ConversationID);
+
+    await webhookEventService.ingest('b2c_timeout', req.body);
+
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+
+  } catch (error) {
+    console.error("❌ B2C Timeout error:", error);
+    res.json({
+      ResultCode: 0,
+      ResultDesc: "Timeout received but processing failed"
+    });
+  }
+};
+
+// Refund a customer for a completed sale via B2C
+export const initiateRefund = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { amount, remarks } = req.body;
+
+    const result = await b2cService.initiateRefund({
+      transactionId,
+      amount,
+      remarks,
+      merchantId: req.user.id
+    });
+
+    res.status(result.success ? 202 : 502).json({
+      success: result.success,
+      message: result.success ? "Refund initiated successfully" : `Refund failed: ${result.message}`,
+      refund: result.transaction.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Refund initiation error:', error);
+    sendServiceError(res, error, "Failed to initiate refund");
+  }
+};
+
+// Pay out from a business to a phone number via B2C
+export const initiatePayout = async (req, res) => {
+  try {
+    const { businessId, phoneNumber, amount, remarks, occasion } = req.body;
+
+    if (!businessId || !phoneNumber || !amount) {
+      return res.status(400).json({
+        success: false,
+        message: "businessId, phoneNumber and amount are required"
+      });
+    }
+
+    const result = await b2cService.initiatePayout({
+      businessId,
+      phoneNumber,
+      amount,
+      remarks,
+      occasion,
+      merchantId: req.user.id
+    });
+
+    res.status(result.success ? 202 : 502).json({
+      success: result.success,
+      message: result.success ? "Payout initiated successfully" : `Payout failed: ${result.message}`,
+      payout: result.transaction.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Payout initiation error:', error);
+    sendServiceError(res, error, "Failed to initiate payout");
+  }
+};
+
+// Reversal result callback from Safaricom
+export const handleReversalResult = async (req, res) => {
+  try {
+    console.log("📥 REVERSAL RESULT RECEIVED:", req.body?.Result?.ConversationID);
+
+    await webhookEventService.ingest('reversal_result', req.body);
+
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+
+  } catch (error) {
+    console.error("❌ Reversal Result error:", error);
+    res.json({
+      ResultCode: 0,
+      ResultDesc: "Result received but processing failed"
+    });
+  }
+};
+
+// Reversal queue timeout callback from Safaricom
+export const handleReversalTimeout = async (req, res) => {
+  try {
+    console.log("⏱️ REVERSAL TIMEOUT RECEIVED:", (req.body?.Result || req.body)?.ConversationID);
+
+    await webhookEventService.ingest('reversal_timeout', req.body);
+
+    res.json({ ResultCode: 0, ResultDesc: "Accepted" });
+
+  } catch (error) {
+    console.error("❌ Reversal Timeout error:", error);
+    res.json({
+      ResultCode: 0,
+      ResultDesc: "Timeout received but processing failed"
+    });
+  }
+};
+
+// Request a Daraja reversal of a payment made to the wrong till
+export const requestReversal = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { reason } = req.body;
+
+    const result = await reversalService.requestReversal({
+      transactionId,
+      reason,
+      merchantId: req.user.id,
+      userId: req.user._id
+    });
+
+    res.status(result.success ? 202 : 502).json({
+      success: result.success,
+      message: result.success ? "Reversal requested successfully" : `Reversal request failed: ${result.message}`,
+      transaction: result.transaction.getSummary(),
+      reversal: result.transaction.reversal
+    });
+
+  } catch (error) {
+    console.error('Reversal request error:', error);
+    sendServiceError(res, error, "Failed to request reversal");
+  }
+};
+
+// Get the reversal state and audit trail of a transaction
+export const getReversalStatus = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+
+    const transaction = await Transaction.findByIdOrReference(transactionId);
+    const business = transaction && await Business.findOne({ _id: transaction.business, owner: req.user.id });
+
+    if (!transaction || !business) {
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      transaction: transaction.getSummary(),
+      reversal: transaction.reversal?.status ? transaction.reversal : null
+    });
+
+  } catch (error) {
+    console.error('Get reversal status error:', error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reversal status"
+    });
+  }
+};
+
+// Start a backfill of missed C2B payments for a date range
+export const startBackfill = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { startDate, endDate } = req.body;
+
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        message: "startDate is required"
+      });
+    }
+
+    const job = await backfillService.startBackfill({
+      businessId,
+      startDate,
+      endDate,
+      merchantId: req.user.id,
+      userId: req.user.id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Backfill started",
+      data: job.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Start backfill error:', error);
+    sendServiceError(res, error, "Failed to start backfill");
+  }
+};
+
+// List backfill runs for a business
+export const getBackfillJobs = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const { jobs, total } = await backfillService.getJobs(businessId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: jobs.map(job => job.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get backfill jobs error:', error);
+    sendServiceError(res, error, "Error fetching backfill jobs");
+  }
+};
+
+// Get a backfill run with the list of recovered payments
+export const getBackfillJob = async (req, res) => {
+  try {
+    const job = await backfillService.getJob(req.params.jobId, req.user.id);
+
+    res.json({
+      success: true,
+      data: job.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Get backfill job error:', error);
+    sendServiceError(res, error, "Error fetching backfill job");
+  }
+};
@@ -0,0 +1,271 @@
+import payerAccountService from "../services/payerAccountService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Payer Account Controller
+ * Account-based collections: payer accounts, charges, statements and arrears
+ */
+
+// ========== ACCOUNTS ==========
+
+// Create a payer account
+export const createPayerAccount = async (req, res) => {
+  try {
+    const { businessId, ...accountData } = req.body;
+
+    if (!businessId || !accountData.accountNumber || !accountData.name) {
+      return res.status(400).json({
+        success: false,
+        message: "businessId, accountNumber and name are required"
+      });
+    }
+
+    const account = await payerAccountService.createAccount(businessId, req.user.id, accountData);
+
+    res.status(201).json({
+      success: true,
+      message: "Payer account created successfully",
+      data: account.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Create payer account error:', error);
+    sendServiceError(res, error, "Failed to create payer account");
+  }
+};
+
+// Create many payer accounts (class list, tenant list, member register)
+export const bulkCreatePayerAccounts = async (req, res) => {
+  try {
+    const results = await payerAccountService.bulkCreateAccounts(
+      req.params.businessId,
+      req.user.id,
+      req.body.accounts
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${results.created} payer accounts created, ${results.failed} failed`,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Bulk create payer accounts error:', error);
+    sendServiceError(res, error, "Failed to create payer accounts");
+  }
+};
+
+// List payer accounts for a business
+export const getPayerAccounts = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 50, status, accountType, group, owing, search } = req.query;
+
+    const { accounts, total } = await payerAccountService.getAccounts(businessId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      accountType,
+      group,
+      owing: owing === 'true',
+      search
+    });
+
+    res.json({
+      success: true,
+      data: accounts.map(account => account.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payer accounts error:', error);
+    sendServiceError(res, error, "Error fetching payer accounts");
+  }
+};
+
+// Get a payer account
+export const getPayerAccount = async (req, res) => {
+  try {
+    const account = await payerAccountService.getAccount(req.params.accountId, req.user.id);
+
+    res.json({
+      success: true,
+      data: account.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Get payer account error:', error);
+    sendServiceError(res, error, "Error fetching payer account");
+  }
+};
+
+// Update a payer account
+export const updatePayerAccount = async (req, res) => {
+  try {
+    const account = await payerAccountService.updateAccount(req.params.accountId, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: "Payer account updated successfully",
+      data: account.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Update payer account error:', error);
+    sendServiceError(res, error, "Failed to update payer account");
+  }
+};
+
+// Close or reopen a payer account
+export const updatePayerAccountStatus = async (req, res) => {
+  try {
+    const account = await payerAccountService.setAccountStatus(req.params.accountId, req.user.id, req.body.status);
+
+    res.json({
+      success: true,
+      message: `Payer account ${account.status === 'closed' ? 'closed' : 'reopened'}`,
+      data: account.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Update payer account status error:', error);
+    sendServiceError(res, error, "Failed to update payer account status");
+  }
+};
+
+// ========== LEDGER ==========
+
+// Charge one payer account
+export const chargePayerAccount = async (req, res) => {
+  try {
+    const { account, entry } = await payerAccountService.chargeAccount(req.params.accountId, req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Charge posted successfully",
+      data: {
+        account: account.getSummary(),
+        entry: entry.getSummary()
+      }
+    });
+
+  } catch (error) {
+    console.error('Charge payer account error:', error);
+    sendServiceError(res, error, "Failed to post charge");
+  }
+};
+
+// Charge every matching payer account of a business (term fees, monthly rent)
+export const bulkChargePayerAccounts = async (req, res) => {
+  try {
+    const results = await payerAccountService.bulkCharge(req.params.businessId, req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `${results.charged} accounts charged, ${results.skipped} already charged`,
+      data: results
+    });
+
+  } catch (error) {
+    console.error('Bulk charge payer accounts error:', error);
+    sendServiceError(res, error, "Failed to post charges");
+  }
+};
+
+// Manual credit or debit on a payer account
+export const adjustPayerAccount = async (req, res) => {
+  try {
+    const { account, entry } = await payerAccountService.adjustAccount(req.params.accountId, req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Adjustment posted successfully",
+      data: {
+        account: account.getSummary(),
+        entry: entry.getSummary()
+      }
+    });
+
+  } catch (error) {
+    console.error('Adjust payer account error:', error);
+    sendServiceError(res, error, "Failed to post adjustment");
+  }
+};
+
+// Post an M-Pesa payment that did not match automatically
+export const applyPayerAccountPayment = async (req, res) => {
+  try {
+    const { transactionId } = req.body;
+
+    if (!transactionId) {
+      return res.status(400).json({
+        success: false,
+        message: "transactionId is required"
+      });
+    }
+
+    const { account, entry } = await payerAccountService.applyPaymentManually(req.params.accountId, transactionId, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: "Payment posted successfully",
+      data: {
+        account: account.getSummary(),
+        entry: entry.getSummary()
+      }
+    });
+
+  } catch (error) {
+    console.error('Apply payer account payment error:', error);
+    sendServiceError(res, error, "Failed to post payment");
+  }
+};
+
+// ========== REPORTS ==========
+
+// Statement for a payer account
+export const getPayerAccountStatement = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const statement = await payerAccountService.getStatement(req.params.accountId, req.user.id, { startDate, endDate });
+
+    res.json({
+      success: true,
+      data: statement
+    });
+
+  } catch (error) {
+    console.error('Get payer account statement error:', error);
+    sendServiceError(res, error, "Error generating statement");
+  }
+};
+
+// Accounts in arrears for a business
+export const getArrearsReport = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { accountType, group, page = 1, limit = 50 } = req.query;
+
+    const report = await payerAccountService.getArrearsReport(businessId, req.user.id, {
+      accountType,
+      group,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get arrears report error:', error);
+    sendServiceError(res, error, "Error generating arrears report");
+  }
+};
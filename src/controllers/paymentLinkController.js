@@ -0,0 +1,180 @@
+import paymentLinkService from "../services/paymentLinkService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Payment Link Controller
+ * Merchant management of payment links plus the public pay endpoints
+ */
+
+// ========== MERCHANT ==========
+
+// Create a payment link
+export const createPaymentLink = async (req, res) => {
+  try {
+    const { businessId, amount, reference, description, usage, expiresAt } = req.body;
+
+    if (!businessId || !amount || !reference) {
+      return res.status(400).json({
+        success: false,
+        message: "businessId, amount and reference are required"
+      });
+    }
+
+    const link = await paymentLinkService.createLink({
+      businessId,
+      merchantId: req.user.id,
+      amount,
+      reference,
+      description,
+      usage,
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Payment link created successfully",
+      data: link.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Create payment link error:', error);
+    sendServiceError(res, error, "Failed to create payment link");
+  }
+};
+
+// List payment links for a business
+export const getPaymentLinks = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+
+    const { links, total } = await paymentLinkService.getLinks(businessId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status
+    });
+
+    res.json({
+      success: true,
+      data: links.map(link => link.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment links error:', error);
+    sendServiceError(res, error, "Error fetching payment links");
+  }
+};
+
+// Get a payment link with its payments
+export const getPaymentLink = async (req, res) => {
+  try {
+    const link = await paymentLinkService.getLink(req.params.linkId, req.user.id);
+
+    res.json({
+      success: true,
+      data: link.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Get payment link error:', error);
+    sendServiceError(res, error, "Error fetching payment link");
+  }
+};
+
+// Cancel a payment link
+export const cancelPaymentLink = async (req, res) => {
+  try {
+    const link = await paymentLinkService.cancelLink(req.params.linkId, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Payment link cancelled",
+      data: link.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Cancel payment link error:', error);
+    sendServiceError(res, error, "Failed to cancel payment link");
+  }
+};
+
+// ========== PUBLIC (customer) ==========
+
+// What the customer sees when opening the link
+export const getPublicPaymentLink = async (req, res) => {
+  try {
+    const link = await paymentLinkService.findPublicLink(req.params.code);
+
+    res.json({
+      success: true,
+      data: link.getPublicDetails()
+    });
+
+  } catch (error) {
+    console.error('Get public payment link error:', error);
+    sendServiceError(res, error, "Error fetching payment link");
+  }
+};
+
+// Customer submits their phone number to receive the STK prompt
+export const payPaymentLink = async (req, res) => {
+  try {
+    const { phoneNumber } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: "phoneNumber is required"
+      });
+    }
+
+    const result = await paymentLinkService.payLink(req.params.code, phoneNumber);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Check your phone to complete the payment",
+      checkoutRequestId: result.checkoutRequestId,
+      customerMessage: result.customerMessage
+    });
+
+  } catch (error) {
+    console.error('Pay payment link error:', error);
+    sendServiceError(res, error, "Failed to start payment");
+  }
+};
+
+// Customer polls for the outcome of their prompt
+export const getPublicPaymentStatus = async (req, res) => {
+  try {
+    const { code, checkoutRequestId } = req.params;
+
+    const { link, transaction } = await paymentLinkService.getPaymentStatus(code, checkoutRequestId);
+
+    res.json({
+      success: true,
+      data: {
+        status: transaction.status,
+        message: transaction.status === 'failed' ? transaction.errorMessage : undefined,
+        receipt: transaction.status === 'completed' ? transaction.mpesaTransactionId : undefined,
+        link: link.getPublicDetails()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment status error:', error);
+    sendServiceError(res, error, "Error fetching payment status");
+  }
+};
@@ -0,0 +1,176 @@
+import paymentScheduleService from "../services/paymentScheduleService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Payment Schedule Controller
+ * Recurring STK push collections for subscriptions and installment plans
+ */
+
+// Create a recurring schedule
+export const createSchedule = async (req, res) => {
+  try {
+    const {
+      businessId,
+      phoneNumber,
+      customerName,
+      amount,
+      accountReference,
+      description,
+      frequency,
+      intervalDays,
+      startDate,
+      endDate,
+      totalInstallments,
+      retryPolicy,
+      maxConsecutiveMissed
+    } = req.body;
+
+    if (!businessId || !phoneNumber || !amount || !accountReference || !frequency) {
+      return res.status(400).json({
+        success: false,
+        message: "businessId, phoneNumber, amount, accountReference and frequency are required"
+      });
+    }
+
+    const schedule = await paymentScheduleService.createSchedule({
+      businessId,
+      merchantId: req.user.id,
+      phoneNumber,
+      customerName,
+      amount,
+      accountReference,
+      description,
+      frequency,
+      intervalDays,
+      startDate,
+      endDate,
+      totalInstallments,
+      retryPolicy,
+      maxConsecutiveMissed
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Payment schedule created",
+      data: schedule.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Create payment schedule error:', error);
+    sendServiceError(res, error, "Failed to create payment schedule");
+  }
+};
+
+// List schedules for a business
+export const getSchedules = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 20, status, phoneNumber } = req.query;
+
+    const { schedules, total } = await paymentScheduleService.getSchedules(businessId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      phoneNumber
+    });
+
+    res.json({
+      success: true,
+      data: schedules.map(schedule => schedule.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment schedules error:', error);
+    sendServiceError(res, error, "Error fetching payment schedules");
+  }
+};
+
+// Schedule with retry policy and attempt history
+export const getSchedule = async (req, res) => {
+  try {
+    const schedule = await paymentScheduleService.getSchedule(req.params.scheduleId, req.user.id);
+
+    res.json({
+      success: true,
+      data: schedule.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Get payment schedule error:', error);
+    sendServiceError(res, error, "Error fetching payment schedule");
+  }
+};
+
+// Update amount, end or retry settings
+export const updateSchedule = async (req, res) => {
+  try {
+    const schedule = await paymentScheduleService.updateSchedule(req.params.scheduleId, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: "Payment schedule updated",
+      data: schedule.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Update payment schedule error:', error);
+    sendServiceError(res, error, "Failed to update payment schedule");
+  }
+};
+
+// Pause a schedule
+export const pauseSchedule = async (req, res) => {
+  try {
+    const schedule = await paymentScheduleService.pauseSchedule(req.params.scheduleId, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Payment schedule paused",
+      data: schedule.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Pause payment schedule error:', error);
+    sendServiceError(res, error, "Failed to pause payment schedule");
+  }
+};
+
+// Resume a paused schedule
+export const resumeSchedule = async (req, res) => {
+  try {
+    const schedule = await paymentScheduleService.resumeSchedule(req.params.scheduleId, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Payment schedule resumed",
+      data: schedule.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Resume payment schedule error:', error);
+    sendServiceError(res, error, "Failed to resume payment schedule");
+  }
+};
+
+// Cancel a schedule
+export const cancelSchedule = async (req, res) => {
+  try {
+    const schedule = await paymentScheduleService.cancelSchedule(req.params.scheduleId, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Payment schedule cancelled",
+      data: schedule.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Cancel payment schedule error:', error);
+    sendServiceError(res, error, "Failed to cancel payment schedule");
+  }
+};
@@ -0,0 +1,108 @@
+import qrCodeService from "../services/qrCodeService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * QR Code Controller
+ * Printable M-Pesa QR codes for a business's till or paybill
+ */
+
+// Generate a QR code
+export const createQrCode = async (req, res) => {
+  try {
+    const { businessId, paymentType, shortCode, amount, accountReference, label } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: "businessId is required"
+      });
+    }
+
+    const qrCode = await qrCodeService.createQrCode({
+      businessId,
+      merchantId: req.user.id,
+      paymentType,
+      shortCode,
+      amount,
+      accountReference,
+      label
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "QR code generated",
+      data: qrCode.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Create QR code error:', error);
+    sendServiceError(res, error, "Failed to generate QR code");
+  }
+};
+
+// History of codes generated for a business
+export const getQrCodes = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 20, paymentType } = req.query;
+
+    const { qrCodes, total } = await qrCodeService.getQrCodes(businessId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      paymentType
+    });
+
+    res.json({
+      success: true,
+      data: qrCodes.map(qrCode => qrCode.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get QR codes error:', error);
+    sendServiceError(res, error, "Error fetching QR codes");
+  }
+};
+
+// One code with its image
+export const getQrCode = async (req, res) => {
+  try {
+    const qrCode = await qrCodeService.getQrCode(req.params.qrCodeId, req.user.id);
+
+    res.json({
+      success: true,
+      data: qrCode.getFullDetails()
+    });
+
+  } catch (error) {
+    console.error('Get QR code error:', error);
+    sendServiceError(res, error, "Error fetching QR code");
+  }
+};
+
+// Download a code as PNG, SVG or A5 poster PDF (format comes from the route)
+export const downloadQrCode = (format) => async (req, res) => {
+  try {
+    const { content, contentType, filename } = await qrCodeService.renderQrCode(
+      req.params.qrCodeId,
+      req.user.id,
+      format
+    );
+
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `${disposition}; filename="${filename}"`
+    });
+    res.send(content);
+
+  } catch (error) {
+    console.error('Download QR code error:', error);
+    sendServiceError(res, error, "Failed to render QR code");
+  }
+};
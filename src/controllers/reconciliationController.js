@@ -0,0 +1,138 @@
+import reconciliationService from "../services/reconciliationService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Reconciliation Controller
+ * Uploaded statements compared with API transactions, resolved item by item
+ */
+
+// Reconcile an uploaded statement (field "statement") against API transactions
+export const createReconciliation = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded. Please attach a PDF or CSV statement."
+      });
+    }
+
+    const { startDate, endDate, pdfPassword } = req.body;
+
+    const run = await reconciliationService.createRun(req.params.businessId, req.user.id, req.file, {
+      startDate,
+      endDate,
+      pdfPassword
+    });
+
+    res.status(201).json({
+      success: true,
+      message: run.isClean
+        ? "Statement and API transactions agree"
+        : `${run.summary.items} item(s) need attention`,
+      data: run.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Create reconciliation error:', error);
+    sendServiceError(res, error, "Failed to reconcile statement");
+  }
+};
+
+// List a business's reconciliation runs
+export const getReconciliations = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+
+    const { runs, total } = await reconciliationService.getRuns(businessId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status
+    });
+
+    res.json({
+      success: true,
+      data: runs.map(run => run.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reconciliations error:', error);
+    sendServiceError(res, error, "Error fetching reconciliations");
+  }
+};
+
+// Get a reconciliation run's summary
+export const getReconciliation = async (req, res) => {
+  try {
+    const run = await reconciliationService.getRun(req.params.runId, req.user.id);
+
+    res.json({
+      success: true,
+      data: run.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    sendServiceError(res, error, "Error fetching reconciliation");
+  }
+};
+
+// List a run's items (filter by type and status)
+export const getReconciliationItems = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, type, status } = req.query;
+
+    const { items, total } = await reconciliationService.getItems(req.params.runId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      type,
+      status
+    });
+
+    res.json({
+      success: true,
+      data: items.map(item => item.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reconciliation items error:', error);
+    sendServiceError(res, error, "Error fetching reconciliation items");
+  }
+};
+
+// Resolve an item: acknowledge it, import a missing statement line, or reopen it
+export const resolveReconciliationItem = async (req, res) => {
+  try {
+    const { action, note } = req.body;
+
+    const { run, item } = await reconciliationService.resolveItem(req.params.runId, req.params.itemId, req.user.id, {
+      action,
+      note
+    });
+
+    res.json({
+      success: true,
+      message: item.status === 'resolved' ? "Item resolved" : "Item reopened",
+      data: {
+        item: item.getSummary(),
+        run: run.getSummary()
+      }
+    });
+
+  } catch (error) {
+    console.error('Resolve reconciliation item error:', error);
+    sendServiceError(res, error, "Failed to update reconciliation item");
+  }
+};
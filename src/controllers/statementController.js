@@ -0,0 +1,90 @@
+import statementService from "../services/statementService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Statement Controller
+ * PDF business statements (plan feature: pdf-reports)
+ */
+
+// Generate a statement for a month (period=YYYY-MM) or date range
+export const createStatement = async (req, res) => {
+  try {
+    const { period, startDate, endDate, timezone } = req.body;
+
+    const statement = await statementService.createStatement(req.params.businessId, req.user.id, {
+      period,
+      startDate,
+      endDate,
+      timezone
+    });
+
+    if (statement.status !== 'completed') {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to generate statement",
+        data: statement.getSummary()
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Statement generated",
+      data: statement.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Create statement error:', error);
+    sendServiceError(res, error, "Failed to generate statement");
+  }
+};
+
+// List a business's statements (on-demand and month-end)
+export const getStatements = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 20, trigger } = req.query;
+
+    const { statements, total } = await statementService.getStatements(businessId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      trigger
+    });
+
+    res.json({
+      success: true,
+      data: statements.map(statement => statement.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get statements error:', error);
+    sendServiceError(res, error, "Error fetching statements");
+  }
+};
+
+// Download a statement PDF
+export const downloadStatement = async (req, res) => {
+  try {
+    const { filePath, fileName } = await statementService.getStatementFile(req.params.statementId, req.user.id);
+
+    const disposition = req.query.download === 'false' ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${disposition}; filename="${fileName}"`
+    });
+    res.sendFile(filePath, { root: process.cwd() }, (error) => {
+      if (error && !res.headersSent) {
+        sendServiceError(res, error, "Failed to download statement");
+      }
+    });
+
+  } catch (error) {
+    console.error('Download statement error:', error);
+    sendServiceError(res, error, "Failed to download statement");
+  }
+};
@@ -0,0 +1,203 @@
+import fs from "fs";
+import stkCampaignService from "../services/stkCampaignService.js";
+import TokenService from "../services/tokenService.js";
+import { parseCampaignCsv } from "../utils/campaignCsvParser.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * STK Campaign Controller
+ * Bulk STK push collections from a recipient list or CSV upload
+ */
+
+// Create a campaign from JSON recipients or an uploaded CSV
+export const createCampaign = async (req, res) => {
+  const tempFilePath = req.file?.path;
+
+  try {
+    const { businessId, name, description, accountReference, ratePerMinute } = req.body;
+
+    if (!businessId || !name || !accountReference) {
+      return res.status(400).json({
+        success: false,
+        message: "businessId, name and accountReference are required"
+      });
+    }
+
+    let rows = req.body.recipients;
+    if (tempFilePath) {
+      rows = await parseCampaignCsv(tempFilePath);
+    } else if (typeof rows === 'string') {
+      rows = JSON.parse(rows); // recipients sent as a form field
+    }
+
+    const { campaign, errors } = await stkCampaignService.createCampaign({
+      businessId,
+      merchantId: req.user.id,
+      name,
+      description,
+      accountReference,
+      ratePerMinute: ratePerMinute ? parseInt(ratePerMinute) : undefined,
+      rows
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Campaign created with ${campaign.recipients.length} recipients${errors.length ? `, ${errors.length} rows skipped` : ''}`,
+      data: campaign.getSummary(),
+      errors
+    });
+
+  } catch (error) {
+    console.error('Create STK campaign error:', error);
+
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: "recipients must be a JSON array"
+      });
+    }
+
+    sendServiceError(res, error, "Failed to create campaign");
+  } finally {
+    if (tempFilePath && fs.existsSync(tempFilePath)) {
+      fs.unlinkSync(tempFilePath);
+    }
+  }
+};
+
+// List campaigns for a business
+export const getCampaigns = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+
+    const { campaigns, total } = await stkCampaignService.getCampaigns(businessId, req.user.id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status
+    });
+
+    res.json({
+      success: true,
+      data: campaigns.map(campaign => campaign.getSummary()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get STK campaigns error:', error);
+    sendServiceError(res, error, "Error fetching campaigns");
+  }
+};
+
+// Campaign with collection totals
+export const getCampaignProgress = async (req, res) => {
+  try {
+    const progress = await stkCampaignService.getProgress(req.params.campaignId, req.user.id);
+
+    res.json({
+      success: true,
+      data: progress
+    });
+
+  } catch (error) {
+    console.error('Get STK campaign progress error:', error);
+    sendServiceError(res, error, "Error fetching campaign progress");
+  }
+};
+
+// Recipients with their payment outcome
+export const getCampaignRecipients = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, outcome } = req.query;
+
+    const { recipients, pagination } = await stkCampaignService.getRecipients(req.params.campaignId, req.user.id, {
+      page,
+      limit,
+      outcome
+    });
+
+    res.json({
+      success: true,
+      data: recipients,
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get STK campaign recipients error:', error);
+    sendServiceError(res, error, "Error fetching campaign recipients");
+  }
+};
+
+// Start or resume sending prompts
+export const startCampaign = async (req, res) => {
+  try {
+    // Prompts are charged to the API token like a normal STK push
+    const tokenValue = req.headers['x-api-token'] || req.headers['authorization']?.replace('Bearer ', '');
+
+    if (!tokenValue) {
+      return res.status(401).json({
+        success: false,
+        message: 'API token is required for transactions. Please subscribe to a token plan.'
+      });
+    }
+
+    const tokenValidation = await TokenService.validateToken(tokenValue);
+    if (!tokenValidation.isValid) {
+      return res.status(403).json({
+        success: false,
+        message: tokenValidation.message
+      });
+    }
+
+    const campaign = await stkCampaignService.startCampaign(req.params.campaignId, req.user.id, tokenValidation.token);
+
+    res.json({
+      success: true,
+      message: "Campaign started",
+      data: campaign.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Start STK campaign error:', error);
+    sendServiceError(res, error, "Failed to start campaign");
+  }
+};
+
+// Pause a running campaign
+export const pauseCampaign = async (req, res) => {
+  try {
+    const campaign = await stkCampaignService.pauseCampaign(req.params.campaignId, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Campaign paused",
+      data: campaign.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Pause STK campaign error:', error);
+    sendServiceError(res, error, "Failed to pause campaign");
+  }
+};
+
+// Cancel a campaign
+export const cancelCampaign = async (req, res) => {
+  try {
+    const campaign = await stkCampaignService.cancelCampaign(req.params.campaignId, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Campaign cancelled",
+      data: campaign.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Cancel STK campaign error:', error);
+    sendServiceError(res, error, "Failed to cancel campaign");
+  }
+};
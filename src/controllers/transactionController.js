@@ -0,0 +1,256 @@
+import transactionSearchService from "../services/transactionSearchService.js";
+import transactionAnnotationService from "../services/transactionAnnotationService.js";
+import { sendServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Transaction Controller
+ * Business-scoped transaction search across all sources, plus staff notes,
+ * tags and receipt attachments
+ */
+
+// Search a business's transactions
+export const searchTransactions = async (req, res) => {
+  try {
+    const { transactions, pagination } = await transactionSearchService.searchTransactions(
+      req.params.businessId,
+      req.user.id,
+      req.query
+    );
+
+    res.json({
+      success: true,
+      data: transactions.map(transaction => transaction.getSummary()),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Search transactions error:', error);
+    sendServiceError(res, error, "Error searching transactions");
+  }
+};
+
+// Add a note to a transaction
+export const addTransactionNote = async (req, res) => {
+  try {
+    const transaction = await transactionAnnotationService.addNote(
+      req.params.transactionId,
+      req.user,
+      req.body.text
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Note added successfully",
+      data: transaction.getAnnotations()
+    });
+
+  } catch (error) {
+    console.error('Add transaction note error:', error);
+    sendServiceError(res, error, "Error adding note");
+  }
+};
+
+// Remove a note from a transaction
+export const deleteTransactionNote = async (req, res) => {
+  try {
+    const transaction = await transactionAnnotationService.deleteNote(
+      req.params.transactionId,
+      req.user.id,
+      req.params.noteId
+    );
+
+    res.json({
+      success: true,
+      message: "Note deleted successfully",
+      data: transaction.getAnnotations()
+    });
+
+  } catch (error) {
+    console.error('Delete transaction note error:', error);
+    sendServiceError(res, error, "Error deleting note");
+  }
+};
+
+// Replace a transaction's tags
+export const setTransactionTags = async (req, res) => {
+  try {
+    const transaction = await transactionAnnotationService.setTags(
+      req.params.transactionId,
+      req.user.id,
+      req.body.tags
+    );
+
+    res.json({
+      success: true,
+      message: "Tags updated successfully",
+      data: transaction.getAnnotations()
+    });
+
+  } catch (error) {
+    console.error('Set transaction tags error:', error);
+    sendServiceError(res, error, "Error updating tags");
+  }
+};
+
+// Get a transaction's notes, tags and attachments
+export const getTransactionAnnotations = async (req, res) => {
+  try {
+    const transaction = await transactionAnnotationService.getOwnedTransaction(
+      req.params.transactionId,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      data: transaction.getAnnotations()
+    });
+
+  } catch (error) {
+    console.error('Get transaction annotations error:', error);
+    sendServiceError(res, error, "Error fetching transaction notes and attachments");
+  }
+};
+
+// Attach uploaded receipts, invoices or delivery notes to a transaction
+export const addTransactionAttachments = async (req, res) => {
+  try {
+    const transaction = await transactionAnnotationService.addAttachments(
+      req.params.transactionId,
+      req.user.id,
+      req.files || []
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${req.files.length} attachment(s) uploaded successfully`,
+      data: transaction.getAnnotations()
+    });
+
+  } catch (error) {
+    console.error('Add transaction attachments error:', error);
+    sendServiceError(res, error, "Error uploading attachments");
+  }
+};
+
+// Download a transaction attachment
+export const downloadTransactionAttachment = async (req, res) => {
+  try {
+    const { filePath, fileName, mimeType } = await transactionAnnotationService.getAttachmentFile(
+      req.params.transactionId,
+      req.user.id,
+      req.params.attachmentId
+    );
+
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Disposition': `${disposition}; filename="${fileName.replace(/"/g, '')}"`
+    });
+    res.sendFile(filePath, { root: process.cwd() }, (error) => {
+      if (error && !res.headersSent) {
+        sendServiceError(res, error, "Failed to download attachment");
+      }
+    });
+
+  } catch (error) {
+    console.error('Download transaction attachment error:', error);
+    sendServiceError(res, error, "Failed to download attachment");
+  }
+};
+
+// Remove a transaction attachment
+export const deleteTransactionAttachment = async (req, res) => {
+  try {
+    const transaction = await transactionAnnotationService.deleteAttachment(
+      req.params.transactionId,
+      req.user.id,
+      req.params.attachmentId
+    );
+
+    res.json({
+      success: true,
+      message: "Attachment deleted successfully",
+      data: transaction.getAnnotations()
+    });
+
+  } catch (error) {
+    console.error('Delete transaction attachment error:', error);
+    sendServiceError(res, error, "Error deleting attachment");
+  }
+};
+
+// List a business's transaction tags with usage counts
+export const getTransactionTags = async (req, res) => {
+  try {
+    const tags = await transactionAnnotationService.getTags(req.params.businessId, req.user.id);
+
+    res.json({
+      success: true,
+      data: tags.map(({ tag, usageCount }) => tag.getSummary(usageCount))
+    });
+
+  } catch (error) {
+    console.error('Get transaction tags error:', error);
+    sendServiceError(res, error, "Error fetching tags");
+  }
+};
+
+// Create a transaction tag
+export const createTransactionTag = async (req, res) => {
+  try {
+    const tag = await transactionAnnotationService.createTag(req.params.businessId, req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Tag created successfully",
+      data: tag.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Create transaction tag error:', error);
+    sendServiceError(res, error, "Error creating tag");
+  }
+};
+
+// Rename or restyle a transaction tag
+export const updateTransactionTag = async (req, res) => {
+  try {
+    const tag = await transactionAnnotationService.updateTag(
+      req.params.businessId,
+      req.user.id,
+      req.params.tagId,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      message: "Tag updated successfully",
+      data: tag.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Update transaction tag error:', error);
+    sendServiceError(res, error, "Error updating tag");
+  }
+};
+
+// Delete a transaction tag and remove it from transactions
+export const deleteTransactionTag = async (req, res) => {
+  try {
+    const { tag, untagged } = await transactionAnnotationService.deleteTag(
+      req.params.businessId,
+      req.user.id,
+      req.params.tagId
+    );
+
+    res.json({
+      success: true,
+      message: `Tag "${tag.name}" deleted and removed from ${untagged} transaction(s)`,
+      data: { id: tag._id, untagged }
+    });
+
+  } catch (error) {
+    console.error('Delete transaction tag error:', error);
+    sendServiceError(res, error, "Error deleting tag");
+  }
+};
@@ -0,0 +1,149 @@
+import Business from "../models/Business.js";
+import { ValidationPolicyService } from "../services/validationPolicyService.js";
+
+/**
+ * Validation Policy Controller
+ * Lets merchants manage C2B validation rules and review rejected payments
+ */
+
+// Verify the business belongs to the logged-in merchant
+const findOwnedBusiness = (businessId, ownerId) => {
+  return Business.findOne({ _id: businessId, owner: ownerId });
+};
+
+export const getValidationPolicy = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+
+    const business = await findOwnedBusiness(businessId, req.user.id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: "Business not found or you don't have permission to access it",
+      });
+    }
+
+    const policy = await ValidationPolicyService.getPolicy(business._id);
+
+    return res.status(200).json({
+      success: true,
+      data: policy ? policy.getSummary() : null,
+    });
+
+  } catch (error) {
+    console.error("Get validation policy error → ", error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid business ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Server error while fetching validation policy.",
+      error: error.message
+    });
+  }
+};
+
+export const updateValidationPolicy = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+
+    const business = await findOwnedBusiness(businessId, req.user.id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: "Business not found or you don't have permission to access it",
+      });
+    }
+
+    const policy = await ValidationPolicyService.savePolicy(
+      business._id,
+      req.body,
+      req.user._id
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Validation policy saved successfully.",
+      data: policy.getSummary(),
+    });
+
+  } catch (error) {
+    console.error("Update validation policy error → ", error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed.",
+        errors: errors
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid business ID",
+      });
+    }
+
+    if (error.message.includes('must be valid phone numbers')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Server error while saving validation policy.",
+      error: error.message
+    });
+  }
+};
+
+export const getValidationRejections = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { page = 1, limit = 50, rule } = req.query;
+
+    const business = await findOwnedBusiness(businessId, req.user.id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: "Business not found or you don't have permission to access it",
+      });
+    }
+
+    const { rejections, pagination } = await ValidationPolicyService.getRejections(
+      business._id,
+      { page, limit, rule }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: rejections.map(rejection => rejection.getSummary()),
+      pagination,
+    });
+
+  } catch (error) {
+    console.error("Get validation rejections error → ", error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid business ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Server error while fetching validation rejections.",
+      error: error.message
+    });
+  }
+};
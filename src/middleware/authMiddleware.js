@@ -85,6 +85,17 @@ export const merchantOnly = (req, res, next) => {
   next();
 };
 
+// Merchants, or admins for read-only support lookups
+export const merchantOrAdmin = (req, res, next) => {
+  if (!["merchant", "admin"].includes(req.user?.role)) {
+    return res.status(403).json({ 
+      success: false,
+      message: "Access denied. Merchant or admin account required." 
+    });
+  }
+  next();
+};
+
 // Optional: Middleware to check if profile is completed
 export const profileCompleted = (req, res, next) => {
   if (!req.user?.profileCompleted) {
@@ -104,6 +104,45 @@ export const requireActiveSubscription = async (req, res, next) => {
   }
 };
 
+// Middleware to require a plan feature for the business in the request
+export const requirePlanFeature = (feature) => async (req, res, next) => {
+  try {
+    const businessId = req.params.businessId || req.body?.businessId;
+
+    if (!businessId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Business ID is required'
+      });
+    }
+
+    const hasFeature = await TokenService.businessHasFeature(businessId, feature);
+
+    if (!hasFeature) {
+      return res.status(403).json({
+        success: false,
+        message: `Your plan does not include ${feature}. Please upgrade your plan to use this feature.`
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid business ID'
+      });
+    }
+
+    console.error('Plan feature check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Plan feature check failed'
+    });
+  }
+};
+
 // Middleware for admin token management
 export const requireTokenAdmin = (req, res, next) => {
   if (req.user?.role !== 'admin') {
@@ -12,6 +12,8 @@ const createUploadDir = (dirPath) => {
 // Create directories
 createUploadDir("./uploads/manual");
 createUploadDir("./uploads/contact");
+createUploadDir("./uploads/campaigns");
+createUploadDir("./uploads/transactions");
 
 // Manual Statement Storage Configuration
 const manualStorage = multer.diskStorage({
@@ -39,6 +41,32 @@ const contactStorage = multer.diskStorage({
   },
 });
 
+// Campaign Recipient Lists Storage Configuration
+const campaignStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, "./uploads/campaigns");
+  },
+  filename: (req, file, cb) => {
+    const timestamp = Date.now();
+    const ext = path.extname(file.originalname);
+    const sanitized = file.originalname.replace(/[^a-zA-Z0-9.]/g, "_");
+    cb(null, `campaign_${timestamp}__${sanitized}${ext}`);
+  },
+});
+
+// Transaction Attachments Storage Configuration
+const transactionAttachmentStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, "./uploads/transactions");
+  },
+  filename: (req, file, cb) => {
+    const timestamp = Date.now();
+    const ext = path.extname(file.originalname);
+    const sanitized = file.originalname.replace(/[^a-zA-Z0-9.]/g, "_");
+    cb(null, `transaction_${timestamp}__${sanitized}${ext}`);
+  },
+});
+
 // File filters
 const manualFileFilter = (req, file, cb) => {
   const allowed = ["text/csv", "application/pdf"];
@@ -67,6 +95,27 @@ const contactFileFilter = (req, file, cb) => {
   }
 };
 
+const campaignFileFilter = (req, file, cb) => {
+  // Windows browsers report CSV files as Excel
+  const allowed = ["text/csv", "application/vnd.ms-excel"];
+
+  if (!allowed.includes(file.mimetype)) {
+    return cb(new Error("Only CSV files are allowed for campaign recipients"));
+  }
+  cb(null, true);
+};
+
+const transactionAttachmentFileFilter = (req, file, cb) => {
+  // Photos or scans of invoices, receipts and delivery notes
+  const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only JPEG, PNG, WebP images and PDFs are allowed for transaction attachments.'), false);
+  }
+};
+
 // Create multer instances
 const uploadManualStatement = multer({
   storage: manualStorage,
@@ -83,11 +132,28 @@ const uploadContactAttachments = multer({
   fileFilter: contactFileFilter,
 }).array("attachments", 5); // Max 5 files
 
+const uploadCampaignRecipients = multer({
+  storage: campaignStorage,
+  limits: { fileSize: 1 * 1024 * 1024 }, // 1MB
+  fileFilter: campaignFileFilter,
+}).single("recipients");
+
+const uploadTransactionAttachments = multer({
+  storage: transactionAttachmentStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB per file
+    files: 5 // Maximum 5 files
+  },
+  fileFilter: transactionAttachmentFileFilter,
+}).array("attachments", 5); // Max 5 files
+
 // Named exports
-export { uploadManualStatement, uploadContactAttachments };
+export { uploadManualStatement, uploadContactAttachments, uploadCampaignRecipients, uploadTransactionAttachments };
 
 // Default export for backward compatibility
 export default {
   uploadManualStatement,
-  uploadContactAttachments
+  uploadContactAttachments,
+  uploadCampaignRecipients,
+  uploadTransactionAttachments
 };
\ No newline at end of file
@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+
+/**
+ * A per-business run of the Daraja Pull Transactions backfill. Records which
+ * payments were recovered so merchants can see what the webhook missed.
+ */
+const backfillJobSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  // Requested range
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  // Run totals
+  stats: {
+    pagesFetched: { type: Number, default: 0 },
+    fetched: { type: Number, default: 0 },
+    recovered: { type: Number, default: 0 },
+    linked: { type: Number, default: 0 },
+    alreadyRecorded: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+
+  // Payments inserted (or attached to a receipt-less STK row) by this run
+  recoveredTransactions: [{
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction"
+    },
+    mpesaTransactionId: String,
+    amount: Number,
+    phoneNumber: String,
+    transactionTime: Date,
+    action: {
+      type: String,
+      enum: ['recovered', 'linked']
+    }
+  }],
+
+  // Records that could not be stored
+  failures: [{
+    mpesaTransactionId: String,
+    error: String
+  }],
+
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes for performance
+backfillJobSchema.index({ business: 1, createdAt: -1 });
+backfillJobSchema.index({ business: 1, status: 1 });
+
+// Static Methods
+backfillJobSchema.statics = {
+  // Find jobs for a business (newest first)
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+
+    return this.find({ business: businessId })
+      .select('-recoveredTransactions -failures')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  }
+};
+
+// Instance Methods
+backfillJobSchema.methods = {
+  // Get job summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      business: this.business,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      status: this.status,
+      stats: this.stats,
+      error: this.error,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      createdAt: this.createdAt
+    };
+  },
+
+  // Get job with the recovery report
+  getFullDetails() {
+    return {
+      ...this.getSummary(),
+      recoveredTransactions: this.recoveredTransactions,
+      failures: this.failures
+    };
+  }
+};
+
+export default mongoose.model("BackfillJob", backfillJobSchema);
@@ -1,4 +1,16 @@
 import mongoose from "mongoose";
+import { CredentialCrypto } from "../utils/credentialCrypto.js";
+import { DEFAULT_TIMEZONE, isValidTimeZone } from "../utils/timezone.js";
+import { MONEY_IN } from "./Transaction.js";
+import { NotFoundError } from "../utils/serviceErrors.js";
+
+// Encrypted at rest - only MpesaService.getBusinessCredentials decrypts them
+export const CREDENTIAL_FIELDS = [
+  'mpesaConsumerKey',
+  'mpesaConsumerSecret',
+  'mpesaPassKey',
+  'mpesaSecurityCredential'
+];
 
 const businessSchema = new mongoose.Schema({
   // Core Business Identity
@@ -53,6 +65,62 @@ const businessSchema = new mongoose.Schema({
     trim: true
   },
 
+  // B2C (refunds/payouts) - optional, only needed to send money
+  mpesaB2CShortCode: {
+    type: String,
+    match: [/^\d{5,7}$/, "B2C shortcode must be 5-7 digits"],
+    default: null
+  },
+
+  mpesaInitiatorName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  mpesaSecurityCredential: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // C2B URL registration with Daraja (per-business onboarding)
+  c2bRegistration: {
+    status: {
+      type: String,
+      enum: ['not_registered', 'registered', 'failed', 'outdated'],
+      default: 'not_registered'
+    },
+    credentialsVerified: {
+      type: Boolean,
+      default: false
+    },
+    credentialsVerifiedAt: Date,
+    registeredAt: Date,
+    lastAttemptAt: Date,
+    conversationId: String,
+    responseDescription: String,
+    confirmationUrl: String,
+    validationUrl: String,
+    error: String
+  },
+
+  // Outcome of Daraja OAuth calls made with this business's consumer key/secret
+  darajaAuth: {
+    status: {
+      type: String,
+      enum: ['unknown', 'valid', 'invalid'],
+      default: 'unknown'
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+    lastError: String
+  },
+
   // Business Contact Information
   contactEmail: {
     type: String,
@@ -77,6 +145,21 @@ const businessSchema = new mongoose.Schema({
     }
   },
 
+  // Last auto-generated invoice number (INV-00001...) - only ever incremented atomically
+  invoiceSequence: {
+    type: Number
+  },
+
+  // IANA timezone used for daily boundaries in summaries and analytics
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: "Invalid timezone"
+    }
+  },
+
   // Business Status & Metadata
   isActive: {
     type: Boolean,
@@ -103,7 +186,16 @@ const businessSchema = new mongoose.Schema({
 
 }, {
   timestamps: true,
-  toJSON: { virtuals: true }
+  toJSON: {
+    virtuals: true,
+    // Never serialize stored credentials, even encrypted
+    transform: (doc, ret) => {
+      CREDENTIAL_FIELDS.forEach(field => {
+        if (field in ret) ret[field] = CredentialCrypto.mask(ret[field]);
+      });
+      return ret;
+    }
+  }
 });
 
 // Virtual for formatted business info
@@ -167,6 +259,35 @@ businessSchema.statics = {
     return this.findOne({ mpesaShortCode: shortCode, isActive: true }).exec();
   },
 
+  // Find a business the merchant owns; anyone else gets a not-found error
+  async findOwnedBy(businessId, ownerId) {
+    const business = await this.findOne({ _id: businessId, owner: ownerId });
+    if (!business) {
+      throw new NotFoundError("Business not found or you don't have permission to access it");
+    }
+    return business;
+  },
+
+  // Record a Daraja OAuth success/failure for a business's credentials
+  recordDarajaAuth(businessId, success, errorMessage = null) {
+    if (success) {
+      return this.updateOne({ _id: businessId }, {
+        'darajaAuth.status': 'valid',
+        'darajaAuth.consecutiveFailures': 0,
+        'darajaAuth.lastSuccessAt': new Date()
+      }).exec();
+    }
+
+    return this.updateOne({ _id: businessId }, {
+      $set: {
+        'darajaAuth.status': 'invalid',
+        'darajaAuth.lastFailureAt': new Date(),
+        'darajaAuth.lastError': errorMessage
+      },
+      $inc: { 'darajaAuth.consecutiveFailures': 1 }
+    }).exec();
+  },
+
   // Get business stats
   async getBusinessStats(businessId) {
     const Transaction = mongoose.model('Transaction');
@@ -175,7 +296,7 @@ businessSchema.statics = {
       {
         $match: {
           business: new mongoose.Types.ObjectId(businessId),
-          status: 'completed'
+          ...MONEY_IN
         }
       },
       {
@@ -208,6 +329,7 @@ businessSchema.methods = {
       industry: this.industry,
       contactEmail: this.contactEmail,
       contactPhone: this.contactPhone,
+      credentialsStatus: this.darajaAuth?.status || 'unknown',
       isActive: this.isActive,
       createdAt: this.createdAt
     };
@@ -225,7 +347,7 @@ businessSchema.methods = {
     };
   },
 
-  // Get full business details (including sensitive M-Pesa credentials)
+  // Get full business details (M-Pesa credentials masked)
   getFullDetails() {
     return {
       id: this._id,
@@ -236,17 +358,38 @@ businessSchema.methods = {
       contactEmail: this.contactEmail,
       contactPhone: this.contactPhone,
       location: this.location,
+      timezone: this.timezone,
       mpesaCredentials: {
-        consumerKey: this.mpesaConsumerKey,
-        consumerSecret: this.mpesaConsumerSecret,
-        passKey: this.mpesaPassKey
+        consumerKey: CredentialCrypto.mask(this.mpesaConsumerKey),
+        consumerSecret: CredentialCrypto.mask(this.mpesaConsumerSecret),
+        passKey: CredentialCrypto.mask(this.mpesaPassKey),
+        b2cShortCode: this.mpesaB2CShortCode,
+        initiatorName: this.mpesaInitiatorName,
+        securityCredential: CredentialCrypto.mask(this.mpesaSecurityCredential)
       },
+      c2bRegistration: this.c2bRegistration,
+      darajaAuth: this.darajaAuth,
       isActive: this.isActive,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
   },
 
+  // Check a submitted credential against the stored one without exposing it
+  credentialMatches(field, value) {
+    return CredentialCrypto.decrypt(this[field]) === value;
+  },
+
+  // Store the outcome of a C2B URL registration attempt
+  recordC2BRegistration(registration) {
+    this.c2bRegistration = {
+      ...(this.c2bRegistration?.toObject ? this.c2bRegistration.toObject() : this.c2bRegistration),
+      ...registration
+    };
+    this.updatedAt = new Date();
+    return this.save();
+  },
+
   // Deactivate business
   deactivate() {
     this.isActive = false;
@@ -259,6 +402,17 @@ businessSchema.methods = {
     if (credentials.consumerKey) this.mpesaConsumerKey = credentials.consumerKey;
     if (credentials.consumerSecret) this.mpesaConsumerSecret = credentials.consumerSecret;
     if (credentials.passKey) this.mpesaPassKey = credentials.passKey;
+    if (credentials.b2cShortCode) this.mpesaB2CShortCode = credentials.b2cShortCode;
+    if (credentials.initiatorName) this.mpesaInitiatorName = credentials.initiatorName;
+    if (credentials.securityCredential) this.mpesaSecurityCredential = credentials.securityCredential;
+    // Registration must be re-run once the consumer key/secret change
+    if ((credentials.consumerKey || credentials.consumerSecret) && this.c2bRegistration?.status === 'registered') {
+      this.c2bRegistration.status = 'outdated';
+    }
+    // New key/secret haven't been tried against Daraja yet
+    if (credentials.consumerKey || credentials.consumerSecret) {
+      this.darajaAuth = { status: 'unknown', consecutiveFailures: 0 };
+    }
     this.updatedAt = new Date();
     return this.save();
   }
@@ -279,4 +433,32 @@ businessSchema.pre('save', function(next) {
   next();
 });
 
+// Encrypt credentials before they reach the database
+businessSchema.pre('save', function(next) {
+  try {
+    CREDENTIAL_FIELDS.forEach(field => {
+      if (this.isModified(field)) {
+        this[field] = CredentialCrypto.encrypt(this[field]);
+      }
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+businessSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  try {
+    const update = this.getUpdate() || {};
+
+    CREDENTIAL_FIELDS.forEach(field => {
+      if (update[field]) update[field] = CredentialCrypto.encrypt(update[field]);
+      if (update.$set?.[field]) update.$set[field] = CredentialCrypto.encrypt(update.$set[field]);
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default mongoose.model("Business", businessSchema);
\ No newline at end of file
@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+
+/**
+ * A generated PDF statement for a business and period. Monthly statements are
+ * created automatically after month end; merchants can also generate one for
+ * any range. The PDF is stored under uploads/statements.
+ */
+const businessStatementSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null // null for automatic month-end statements
+  },
+  trigger: {
+    type: String,
+    enum: ['on_demand', 'scheduled'],
+    default: 'on_demand'
+  },
+
+  // Period covered: [periodStart, periodEnd) in the statement timezone
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  periodLabel: {
+    type: String,
+    required: true // "2026-09" for a month, "2026-09-01 to 2026-09-15" for a range
+  },
+  timezone: {
+    type: String,
+    default: 'Africa/Nairobi'
+  },
+
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    default: 'completed'
+  },
+
+  // Headline figures, so the history can be shown without opening the PDF
+  totals: {
+    transactions: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    customers: { type: Number, default: 0 }
+  },
+
+  fileName: String,
+  filePath: String,
+  fileSize: Number,
+  error: String,
+  generatedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes for performance
+businessStatementSchema.index({ business: 1, createdAt: -1 });
+// One automatic statement per business and month
+businessStatementSchema.index(
+  { business: 1, periodLabel: 1 },
+  { unique: true, partialFilterExpression: { trigger: 'scheduled' } }
+);
+
+// Static Methods
+businessStatementSchema.statics = {
+  // Find statements for a business (newest first)
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 20, trigger } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { business: businessId };
+    if (trigger) filter.trigger = trigger;
+
+    return this.find(filter)
+      .sort({ periodStart: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  }
+};
+
+// Instance Methods
+businessStatementSchema.methods = {
+  // Get statement summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      business: this.business,
+      trigger: this.trigger,
+      periodStart: this.periodStart,
+      periodEnd: this.periodEnd,
+      periodLabel: this.periodLabel,
+      timezone: this.timezone,
+      status: this.status,
+      totals: this.totals,
+      fileName: this.fileName,
+      fileSize: this.fileSize,
+      error: this.error,
+      generatedAt: this.generatedAt,
+      createdAt: this.createdAt
+    };
+  }
+};
+
+export default mongoose.model("BusinessStatement", businessStatementSchema);
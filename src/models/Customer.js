@@ -0,0 +1,267 @@
+import mongoose from "mongoose";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+
+const PHONE_PATTERN = /^254[0-9]{9}$/;
+
+/**
+ * A paying customer of a business, keyed by phone number and kept up to date
+ * from completed incoming transactions, less reversals and refunds. Merging
+ * folds duplicates into one customer, whose other numbers are kept as aliases.
+ */
+const customerSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+
+  phoneNumber: {
+    type: String,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return PHONE_PATTERN.test(v);
+      },
+      message: 'Phone number must be in format 254XXXXXXXXX'
+    }
+  },
+  // Numbers of customers merged into this one - their payments count here
+  aliasPhoneNumbers: [{
+    type: String,
+    match: [PHONE_PATTERN, 'Phone number must be in format 254XXXXXXXXX']
+  }],
+
+  // Latest name M-Pesa reported for the payer
+  name: {
+    firstName: String,
+    middleName: String,
+    lastName: String
+  },
+
+  // Payment statistics (completed money in only)
+  firstSeenAt: Date,
+  lastSeenAt: Date,
+  visitCount: {
+    type: Number,
+    default: 0
+  },
+  lifetimeValue: {
+    type: Number,
+    default: 0,
+    set: v => Math.round(v * 100) / 100
+  },
+  // Payments per transaction type, e.g. { "Pay Bill": 3, "STK Push": 1 }
+  paymentTypeCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, "Tags cannot exceed 30 characters"]
+  }],
+  notes: [{
+    text: {
+      type: String,
+      required: [true, "Note text is required"],
+      trim: true,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"]
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Virtual for the customer's display name
+customerSchema.virtual('fullName').get(function() {
+  const { firstName, middleName, lastName } = this.name || {};
+  return [firstName, middleName, lastName].filter(Boolean).join(' ');
+});
+
+// Virtual for the average payment
+customerSchema.virtual('averageTicket').get(function() {
+  return this.visitCount > 0 ? Math.round((this.lifetimeValue / this.visitCount) * 100) / 100 : 0;
+});
+
+// Virtual for the transaction type the customer pays with most
+customerSchema.virtual('preferredPaymentType').get(function() {
+  let preferred = null;
+  for (const [type, count] of this.paymentTypeCounts || []) {
+    if (!preferred || count > this.paymentTypeCounts.get(preferred)) preferred = type;
+  }
+  return preferred;
+});
+
+// Indexes for performance
+customerSchema.index({ business: 1, phoneNumber: 1 }, { unique: true });
+customerSchema.index({ business: 1, aliasPhoneNumbers: 1 });
+customerSchema.index({ business: 1, lastSeenAt: -1 });
+customerSchema.index({ business: 1, lifetimeValue: -1 });
+customerSchema.index({ business: 1, tags: 1 });
+
+// Static Methods
+customerSchema.statics = {
+  // Find the customer a phone number belongs to, including merged numbers
+  findByPhoneNumber(businessId, phoneNumber) {
+    return this.findOne({
+      business: businessId,
+      $or: [{ phoneNumber }, { aliasPhoneNumbers: phoneNumber }]
+    }).exec();
+  },
+
+  // Find customers by business with filters
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 50, sort = '-lastSeenAt' } = options;
+    const skip = (page - 1) * limit;
+
+    return this.find(this.buildFilter(businessId, options))
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  },
+
+  // Shared list/count filter
+  buildFilter(businessId, { search, tags, minVisits, minLifetimeValue, lastSeenBefore } = {}) {
+    const filter = { business: businessId };
+    if (tags?.length) filter.tags = { $all: tags };
+    if (minVisits) filter.visitCount = { $gte: minVisits };
+    if (minLifetimeValue) filter.lifetimeValue = { $gte: minLifetimeValue };
+    if (lastSeenBefore) filter.lastSeenAt = { $lt: lastSeenBefore };
+
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const digits = search.replace(/\D/g, '');
+      filter.$or = [
+        { 'name.firstName': { $regex: escaped, $options: 'i' } },
+        { 'name.middleName': { $regex: escaped, $options: 'i' } },
+        { 'name.lastName': { $regex: escaped, $options: 'i' } },
+        { tags: search.trim().toLowerCase() }
+      ];
+
+      // 0712..., 712... and 254712... all find the same customer
+      if (digits.length >= 3) {
+        const local = digits.replace(/^(254|0)/, '');
+        filter.$or.push(
+          { phoneNumber: { $regex: local } },
+          { aliasPhoneNumbers: { $regex: local } }
+        );
+      }
+    }
+
+    return filter;
+  },
+
+  // Count one completed payment towards a customer, creating them on first payment
+  async recordPayment(businessId, transaction) {
+    const { phoneNumber, name } = transaction.customer;
+    const type = transaction.transactionType;
+
+    const update = {
+      $inc: { visitCount: 1, lifetimeValue: transaction.amount, [`paymentTypeCounts.${type}`]: 1 },
+      $min: { firstSeenAt: transaction.transactionTime },
+      $max: { lastSeenAt: transaction.transactionTime }
+    };
+    if (name?.firstName || name?.lastName) {
+      update.$set = { name };
+    }
+
+    const existing = await this.findByPhoneNumber(businessId, phoneNumber);
+    if (existing) {
+      return this.findByIdAndUpdate(existing._id, update, { new: true }).exec();
+    }
+
+    try {
+      return await this.findOneAndUpdate(
+        { business: businessId, phoneNumber },
+        update,
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      ).exec();
+    } catch (error) {
+      // Another payment created the customer at the same moment
+      if (error.code === 11000) {
+        return this.findOneAndUpdate({ business: businessId, phoneNumber }, update, { new: true }).exec();
+      }
+      throw error;
+    }
+  },
+
+  // Take a reversed payment back out: it no longer counts as a visit or towards lifetime value
+  async recordReversal(businessId, transaction) {
+    const customer = await this.findByPhoneNumber(businessId, transaction.customer.phoneNumber);
+    if (!customer) return null;
+
+    return this.findByIdAndUpdate(customer._id, {
+      $inc: {
+        visitCount: -1,
+        lifetimeValue: -transaction.amount,
+        [`paymentTypeCounts.${transaction.transactionType}`]: -1
+      }
+    }, { new: true }).exec();
+  },
+
+  // A refund lowers lifetime value; the visit still happened
+  async recordRefund(businessId, refund) {
+    const customer = await this.findByPhoneNumber(businessId, refund.customer.phoneNumber);
+    if (!customer) return null;
+
+    return this.findByIdAndUpdate(customer._id, { $inc: { lifetimeValue: -refund.amount } }, { new: true }).exec();
+  }
+};
+
+// Instance Methods
+customerSchema.methods = {
+  // Every number the customer has paid from
+  getPhoneNumbers() {
+    return [this.phoneNumber, ...(this.aliasPhoneNumbers || [])];
+  },
+
+  // Get customer summary for API responses (numbers masked unless allowed)
+  getSummary({ maskPhoneNumbers = false } = {}) {
+    const phone = (number) => maskPhoneNumbers ? MpesaUtils.maskPhoneNumber(number) : number;
+
+    return {
+      id: this._id,
+      phoneNumber: phone(this.phoneNumber),
+      name: this.fullName,
+      firstSeenAt: this.firstSeenAt,
+      lastSeenAt: this.lastSeenAt,
+      visitCount: this.visitCount,
+      lifetimeValue: Math.round(this.lifetimeValue * 100) / 100,
+      averageTicket: this.averageTicket,
+      preferredPaymentType: this.preferredPaymentType,
+      tags: this.tags
+    };
+  },
+
+  // Get customer with notes, aliases and payment type breakdown
+  getFullDetails(options = {}) {
+    const summary = this.getSummary(options);
+
+    return {
+      ...summary,
+      business: this.business,
+      aliasPhoneNumbers: options.maskPhoneNumbers
+        ? this.aliasPhoneNumbers.map(number => MpesaUtils.maskPhoneNumber(number))
+        : this.aliasPhoneNumbers,
+      paymentTypeCounts: Object.fromEntries(this.paymentTypeCounts || []),
+      notes: this.notes,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+};
+
+export default mongoose.model("Customer", customerSchema);
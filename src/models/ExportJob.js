@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+
+/**
+ * A background transaction export. The file is written under uploads/exports
+ * and can be downloaded until it expires.
+ */
+const exportJobSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  // What to export
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  columns: [String],
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timezone: {
+    type: String,
+    default: 'Africa/Nairobi'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+
+  // Output
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  fileName: String,
+  filePath: String,
+  fileSize: Number,
+
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Virtual for download availability
+exportJobSchema.virtual('isDownloadable').get(function() {
+  return this.status === 'completed' && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Indexes for performance
+exportJobSchema.index({ business: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 }); // For removing expired files
+
+// Static Methods
+exportJobSchema.statics = {
+  // Find jobs for a business (newest first)
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 20, status } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { business: businessId };
+    if (status) filter.status = status;
+
+    return this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  }
+};
+
+// Instance Methods
+exportJobSchema.methods = {
+  // Get job summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      business: this.business,
+      format: this.format,
+      columns: this.columns,
+      filters: this.filters,
+      timezone: this.timezone,
+      status: this.status,
+      rowCount: this.rowCount,
+      fileName: this.fileName,
+      fileSize: this.fileSize,
+      isDownloadable: this.isDownloadable,
+      error: this.error,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      expiresAt: this.expiresAt,
+      createdAt: this.createdAt
+    };
+  }
+};
+
+export default mongoose.model("ExportJob", exportJobSchema);
@@ -0,0 +1,357 @@
+import mongoose from "mongoose";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+
+// Aged receivables buckets, by days past the due date
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Not yet due', maxDays: 0 },
+  { key: '1-30', label: '1-30 days', maxDays: 30 },
+  { key: '31-60', label: '31-60 days', maxDays: 60 },
+  { key: '61-90', label: '61-90 days', maxDays: 90 },
+  { key: '90+', label: 'Over 90 days', maxDays: null }
+];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * An invoice/order a business expects to be paid, usually by Paybill with the
+ * invoice number as the account reference (BillRefNumber)
+ */
+const invoiceSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  // What the customer enters as the account number
+  invoiceNumber: {
+    type: String,
+    required: [true, "Invoice number is required"],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, "Invoice number cannot exceed 20 characters"] // Daraja account reference limit
+  },
+  // Normalized invoice number used to match BillRefNumber
+  matchKey: {
+    type: String,
+    required: true
+  },
+
+  customer: {
+    name: {
+      type: String,
+      trim: true
+    },
+    phoneNumber: {
+      type: String,
+      validate: {
+        validator: function(v) {
+          return !v || /^254[0-9]{9}$/.test(v);
+        },
+        message: 'Phone number must be in format 254XXXXXXXXX'
+      }
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+
+  lineItems: [{
+    description: {
+      type: String,
+      required: [true, "Line item description is required"],
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [0, "Quantity cannot be negative"]
+    },
+    unitPrice: {
+      type: Number,
+      required: [true, "Line item unit price is required"],
+      min: [0, "Unit price cannot be negative"]
+    },
+    amount: Number
+  }],
+
+  // Expected amount (sum of line items when they are given)
+  amountDue: {
+    type: Number,
+    required: [true, "Amount due is required"],
+    min: [1, "Amount due must be at least KES 1"],
+    set: roundAmount
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: [true, "Due date is required"]
+  },
+
+  status: {
+    type: String,
+    enum: ['unpaid', 'partially_paid', 'paid', 'overpaid', 'cancelled'],
+    default: 'unpaid'
+  },
+
+  // Transactions applied to this invoice; reversals and refunds of them are
+  // kept as negative lines so the history (and aged receivables) stay correct
+  payments: [{
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction"
+    },
+    kind: {
+      type: String,
+      enum: ['payment', 'reversal', 'refund'],
+      default: 'payment'
+    },
+    amount: Number,
+    mpesaReceipt: String,
+    phoneNumber: String,
+    billRefNumber: String,
+    matchedBy: {
+      type: String,
+      enum: ['auto', 'manual'],
+      default: 'auto'
+    },
+    paidAt: Date
+  }],
+  lastPaidAt: Date,
+
+  notes: {
+    type: String,
+    maxlength: [500, "Notes cannot exceed 500 characters"]
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Virtual for amount still owed
+invoiceSchema.virtual('balance').get(function() {
+  return Math.max(0, roundAmount(this.amountDue - this.amountPaid));
+});
+
+// Virtual for amount paid above what was due
+invoiceSchema.virtual('overpaidAmount').get(function() {
+  return Math.max(0, roundAmount(this.amountPaid - this.amountDue));
+});
+
+// Virtual for overdue check
+invoiceSchema.virtual('isOverdue').get(function() {
+  return ['unpaid', 'partially_paid'].includes(this.status) && this.dueDate < new Date();
+});
+
+// Indexes for performance
+invoiceSchema.index({ business: 1, matchKey: 1 }, { unique: true });
+invoiceSchema.index({ business: 1, status: 1, dueDate: 1 });
+invoiceSchema.index({ business: 1, createdAt: -1 });
+
+// Static Methods
+invoiceSchema.statics = {
+  // Status implied by how much has been paid
+  statusFor(amountDue, amountPaid) {
+    if (amountPaid <= 0) return 'unpaid';
+    if (amountPaid < amountDue) return 'partially_paid';
+    if (amountPaid === amountDue) return 'paid';
+    return 'overpaid';
+  },
+
+  // Find the open invoice a bill reference points to
+  findByBillRef(businessId, billRefNumber) {
+    const matchKey = MpesaUtils.normalizeAccountReference(billRefNumber);
+    if (!matchKey) return null;
+
+    return this.findOne({ business: businessId, matchKey }).exec();
+  },
+
+  // Find invoices by business with filters
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 20, status, overdue, search } = options;
+    const skip = (page - 1) * limit;
+
+    return this.find(this.buildFilter(businessId, { status, overdue, search }))
+      .select('-payments')
+      .sort({ dueDate: 1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  },
+
+  // Shared list/count filter
+  buildFilter(businessId, { status, overdue, search } = {}) {
+    const filter = { business: businessId };
+    if (status) filter.status = status;
+
+    if (overdue) {
+      filter.status = { $in: ['unpaid', 'partially_paid'] };
+      filter.dueDate = { $lt: new Date() };
+    }
+
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { matchKey: { $regex: MpesaUtils.normalizeAccountReference(search) || escaped } },
+        { 'customer.name': { $regex: escaped, $options: 'i' } },
+        { 'customer.phoneNumber': { $regex: escaped } }
+      ];
+    }
+
+    return filter;
+  },
+
+  // Apply a payment atomically; returns null if the transaction was already applied
+  applyPayment(invoiceId, payment) {
+    const amount = roundAmount(payment.amount);
+    const newAmountPaid = { $round: [{ $add: ['$amountPaid', amount] }, 2] };
+
+    // Pipeline update so concurrent payments see each other's totals when setting status
+    return this.findOneAndUpdate(
+      {
+        _id: invoiceId,
+        status: { $ne: 'cancelled' },
+        'payments.transaction': { $ne: payment.transaction }
+      },
+      [
+        {
+          $set: {
+            payments: { $concatArrays: ['$payments', [{ _id: new mongoose.Types.ObjectId(), ...payment, amount }]] },
+            amountPaid: newAmountPaid,
+            lastPaidAt: payment.paidAt
+          }
+        },
+        {
+          $set: {
+            status: {
+              $switch: {
+                branches: [
+                  { case: { $lt: ['$amountPaid', '$amountDue'] }, then: 'partially_paid' },
+                  { case: { $eq: ['$amountPaid', '$amountDue'] }, then: 'paid' }
+                ],
+                default: 'overpaid'
+              }
+            }
+          }
+        }
+      ],
+      { new: true }
+    ).exec();
+  },
+
+  // Take a reversed or refunded payment back off atomically; returns null if already taken back
+  unapplyPayment(invoiceId, contra) {
+    const amount = roundAmount(contra.amount);
+    const newAmountPaid = { $round: [{ $subtract: ['$amountPaid', amount] }, 2] };
+
+    return this.findOneAndUpdate(
+      {
+        _id: invoiceId,
+        payments: { $not: { $elemMatch: { transaction: contra.transaction, kind: contra.kind } } }
+      },
+      [
+        {
+          $set: {
+            payments: { $concatArrays: ['$payments', [{ _id: new mongoose.Types.ObjectId(), ...contra, amount: -amount }]] },
+            amountPaid: newAmountPaid
+          }
+        },
+        {
+          $set: {
+            status: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ['$status', 'cancelled'] }, then: 'cancelled' },
+                  { case: { $lte: ['$amountPaid', 0] }, then: 'unpaid' },
+                  { case: { $lt: ['$amountPaid', '$amountDue'] }, then: 'partially_paid' },
+                  { case: { $eq: ['$amountPaid', '$amountDue'] }, then: 'paid' }
+                ],
+                default: 'overpaid'
+              }
+            }
+          }
+        }
+      ],
+      { new: true }
+    ).exec();
+  }
+};
+
+// Instance Methods
+invoiceSchema.methods = {
+  // Stop matching payments to this invoice
+  cancel() {
+    this.status = 'cancelled';
+    this.cancelledAt = new Date();
+    return this.save();
+  },
+
+  // Get invoice summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      invoiceNumber: this.invoiceNumber,
+      customer: this.customer,
+      amountDue: this.amountDue,
+      amountPaid: this.amountPaid,
+      balance: this.balance,
+      overpaidAmount: this.overpaidAmount,
+      issueDate: this.issueDate,
+      dueDate: this.dueDate,
+      status: this.status,
+      isOverdue: this.isOverdue,
+      lastPaidAt: this.lastPaidAt,
+      createdAt: this.createdAt
+    };
+  },
+
+  // Get invoice with line items and payments
+  getFullDetails() {
+    return {
+      ...this.getSummary(),
+      business: this.business,
+      lineItems: this.lineItems,
+      payments: this.payments,
+      notes: this.notes,
+      cancelledAt: this.cancelledAt,
+      updatedAt: this.updatedAt
+    };
+  }
+};
+
+// Derive totals and status before validation
+invoiceSchema.pre('validate', function(next) {
+  if (this.invoiceNumber) {
+    this.matchKey = MpesaUtils.normalizeAccountReference(this.invoiceNumber);
+  }
+
+  if (this.lineItems && this.lineItems.length > 0) {
+    this.lineItems.forEach(item => {
+      item.amount = roundAmount((item.quantity ?? 1) * item.unitPrice);
+    });
+    this.amountDue = this.lineItems.reduce((sum, item) => sum + item.amount, 0);
+  }
+
+  if (this.status !== 'cancelled') {
+    this.status = this.constructor.statusFor(this.amountDue, this.amountPaid);
+  }
+  next();
+});
+
+export default mongoose.model("Invoice", invoiceSchema);
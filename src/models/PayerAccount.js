@@ -0,0 +1,223 @@
+import mongoose from "mongoose";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+
+/**
+ * A payer's account with a business that collects by Paybill account number -
+ * a student number (school), house number (landlord) or member number (SACCO).
+ * The balance is what the payer owes: charges raise it, payments lower it.
+ */
+const payerAccountSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+
+  // What payers enter as the account number
+  accountNumber: {
+    type: String,
+    required: [true, "Account number is required"],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, "Account number cannot exceed 20 characters"] // Daraja account reference limit
+  },
+  // Normalized account number used to match BillRefNumber
+  matchKey: {
+    type: String,
+    required: true
+  },
+
+  accountType: {
+    type: String,
+    enum: ['student', 'house', 'member', 'customer', 'other'],
+    default: 'other'
+  },
+  name: {
+    type: String,
+    required: [true, "Account name is required"],
+    trim: true,
+    maxlength: [100, "Account name cannot exceed 100 characters"]
+  },
+
+  // Parent / tenant / member contact
+  contact: {
+    name: {
+      type: String,
+      trim: true
+    },
+    phoneNumber: {
+      type: String,
+      validate: {
+        validator: function(v) {
+          return !v || /^254[0-9]{9}$/.test(v);
+        },
+        message: 'Phone number must be in format 254XXXXXXXXX'
+      }
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+
+  // Free-form grouping (class, block, branch)
+  group: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'closed'],
+    default: 'active'
+  },
+
+  // Running totals, kept in step with the ledger entries
+  balance: {
+    type: Number,
+    default: 0
+  },
+  totalCharged: {
+    type: Number,
+    default: 0
+  },
+  totalPaid: {
+    type: Number,
+    default: 0
+  },
+  lastChargeAt: Date,
+  lastPaymentAt: Date,
+
+  notes: {
+    type: String,
+    maxlength: [500, "Notes cannot exceed 500 characters"]
+  },
+  closedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Virtual for credit held on the account (paid ahead)
+payerAccountSchema.virtual('credit').get(function() {
+  return this.balance < 0 ? Math.abs(this.balance) : 0;
+});
+
+// Indexes for performance
+payerAccountSchema.index({ business: 1, matchKey: 1 }, { unique: true });
+payerAccountSchema.index({ business: 1, status: 1, balance: -1 });
+payerAccountSchema.index({ business: 1, group: 1 });
+
+// Static Methods
+payerAccountSchema.statics = {
+  // Find the account a bill reference points to
+  findByAccountNumber(businessId, accountNumber) {
+    const matchKey = MpesaUtils.normalizeAccountReference(accountNumber);
+    if (!matchKey) return null;
+
+    return this.findOne({ business: businessId, matchKey }).exec();
+  },
+
+  // Find accounts by business with filters
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 50, sort = 'accountNumber' } = options;
+    const skip = (page - 1) * limit;
+
+    return this.find(this.buildFilter(businessId, options))
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  },
+
+  // Shared list/count filter
+  buildFilter(businessId, { status, accountType, group, owing, search } = {}) {
+    const filter = { business: businessId };
+    if (status) filter.status = status;
+    if (accountType) filter.accountType = accountType;
+    if (group) filter.group = group;
+    if (owing) filter.balance = { $gt: 0 };
+
+    if (search) {
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { matchKey: { $regex: MpesaUtils.normalizeAccountReference(search) || escaped } },
+        { name: { $regex: escaped, $options: 'i' } },
+        { 'contact.name': { $regex: escaped, $options: 'i' } },
+        { 'contact.phoneNumber': { $regex: escaped } }
+      ];
+    }
+
+    return filter;
+  },
+
+  // Move the running totals atomically; returns the updated account
+  applyEntry(accountId, entry) {
+    const update = { $inc: { balance: entry.amount } };
+
+    if (entry.type === 'charge') {
+      update.$inc.totalCharged = entry.amount;
+      update.$max = { lastChargeAt: entry.entryDate };
+    } else if (entry.type === 'payment') {
+      update.$inc.totalPaid = -entry.amount;
+      // Reversals and refunds take money back; they aren't payments received
+      if (entry.amount < 0) {
+        update.$max = { lastPaymentAt: entry.entryDate };
+      }
+    }
+
+    return this.findByIdAndUpdate(accountId, update, { new: true }).exec();
+  }
+};
+
+// Instance Methods
+payerAccountSchema.methods = {
+  // Close or reopen the account (closed accounts fail C2B account lookups)
+  setStatus(status) {
+    this.status = status;
+    this.closedAt = status === 'closed' ? new Date() : null;
+    return this.save();
+  },
+
+  // Get account summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      accountNumber: this.accountNumber,
+      accountType: this.accountType,
+      name: this.name,
+      group: this.group,
+      status: this.status,
+      balance: Math.round(this.balance * 100) / 100,
+      credit: this.credit,
+      lastPaymentAt: this.lastPaymentAt
+    };
+  },
+
+  // Get account with contact details and totals
+  getFullDetails() {
+    return {
+      ...this.getSummary(),
+      business: this.business,
+      contact: this.contact,
+      totalCharged: this.totalCharged,
+      totalPaid: this.totalPaid,
+      lastChargeAt: this.lastChargeAt,
+      notes: this.notes,
+      closedAt: this.closedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+};
+
+// Keep the match key in step with the account number
+payerAccountSchema.pre('validate', function(next) {
+  if (this.accountNumber) {
+    this.matchKey = MpesaUtils.normalizeAccountReference(this.accountNumber);
+  }
+  next();
+});
+
+export default mongoose.model("PayerAccount", payerAccountSchema);
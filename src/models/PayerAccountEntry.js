@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+
+/**
+ * One line on a payer account's ledger.
+ * amount is signed from the payer's side: charges are positive (owed more),
+ * payments are negative, adjustments may be either (waiver, penalty, cash).
+ * A reversed or refunded payment is taken back with a positive payment entry.
+ */
+const payerAccountEntrySchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PayerAccount",
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['charge', 'payment', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    set: v => Math.round(v * 100) / 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Description cannot exceed 200 characters"]
+  },
+
+  // Billing period a charge belongs to ("2026 Term 1", "Oct 2026")
+  period: {
+    type: String,
+    trim: true
+  },
+  // When a charge falls due (counts towards arrears after this)
+  dueDate: Date,
+
+  // Date shown on the statement (payment time for M-Pesa payments)
+  entryDate: {
+    type: Date,
+    default: Date.now
+  },
+
+  // M-Pesa payment (or refund of one) posted by this entry
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction"
+  },
+  // Payment this entry takes back after Safaricom reversed it
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction"
+  },
+  mpesaReceipt: String,
+  phoneNumber: String,
+
+  // Account balance right after this entry was posted
+  balanceAfter: Number,
+
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null // null for payments posted automatically
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes for performance
+payerAccountEntrySchema.index({ account: 1, entryDate: 1 });
+payerAccountEntrySchema.index({ business: 1, type: 1, dueDate: 1 });
+payerAccountEntrySchema.index({ transaction: 1 }, { unique: true, sparse: true }); // A payment posts once
+payerAccountEntrySchema.index({ reversalOf: 1 }, { unique: true, sparse: true }); // ...and is reversed once
+
+// Static Methods
+payerAccountEntrySchema.statics = {
+  // Net of all entries on an account before a date (statement opening balance)
+  async getBalanceBefore(accountId, date) {
+    const [result] = await this.aggregate([
+      { $match: { account: new mongoose.Types.ObjectId(accountId), entryDate: { $lt: date } } },
+      { $group: { _id: null, balance: { $sum: '$amount' } } }
+    ]);
+    return result ? Math.round(result.balance * 100) / 100 : 0;
+  },
+
+  // Entries on an account between two dates, oldest first
+  findForStatement(accountId, startDate, endDate) {
+    return this.find({
+      account: accountId,
+      entryDate: { $gte: startDate, $lte: endDate }
+    })
+      .sort({ entryDate: 1, createdAt: 1 })
+      .exec();
+  }
+};
+
+// Instance Methods
+payerAccountEntrySchema.methods = {
+  // Get entry summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      type: this.type,
+      amount: this.amount,
+      description: this.description,
+      period: this.period,
+      dueDate: this.dueDate,
+      entryDate: this.entryDate,
+      mpesaReceipt: this.mpesaReceipt,
+      transaction: this.transaction,
+      reversalOf: this.reversalOf,
+      balanceAfter: this.balanceAfter
+    };
+  }
+};
+
+export default mongoose.model("PayerAccountEntry", payerAccountEntrySchema);
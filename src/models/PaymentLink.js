@@ -0,0 +1,240 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Unambiguous characters for customer-facing codes (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const generateCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+/**
+ * A shareable link/code for a fixed amount and reference. Opening it lets a
+ * customer enter their phone number and receive an STK prompt from the business.
+ */
+const paymentLinkSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  // Public identifier used in the link URL
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    default: generateCode
+  },
+
+  // What the customer pays
+  amount: {
+    type: Number,
+    required: [true, "Amount is required"],
+    min: [1, "Amount must be at least KES 1"],
+    max: [150000, "Amount cannot exceed KES 150,000"]
+  },
+  reference: {
+    type: String,
+    required: [true, "Reference is required"],
+    trim: true,
+    maxlength: [12, "Reference cannot exceed 12 characters"] // Daraja AccountReference limit
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Description cannot exceed 200 characters"]
+  },
+
+  usage: {
+    type: String,
+    enum: ['single', 'multi'],
+    default: 'single'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'paid', 'expired', 'cancelled'],
+    default: 'active'
+  },
+
+  // Collections through this link
+  paymentsCount: {
+    type: Number,
+    default: 0
+  },
+  totalCollected: {
+    type: Number,
+    default: 0
+  },
+  payments: [{
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction"
+    },
+    amount: Number,
+    phoneNumber: String,
+    mpesaReceipt: String,
+    paidAt: Date
+  }],
+  lastPaidAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Virtual for expiry check
+paymentLinkSchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && this.expiresAt < new Date();
+});
+
+// Indexes for performance
+paymentLinkSchema.index({ business: 1, createdAt: -1 });
+paymentLinkSchema.index({ business: 1, status: 1 });
+
+// Static Methods
+paymentLinkSchema.statics = {
+  // Find a link by its public code
+  findByCode(code) {
+    return this.findOne({ code: String(code).toUpperCase() })
+      .populate('business', 'businessName mpesaShortCode isActive')
+      .exec();
+  },
+
+  // Find links for a business with filters
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 20, status } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { business: businessId };
+    if (status) filter.status = status;
+
+    return this.find(filter)
+      .select('-payments')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  }
+};
+
+// Instance Methods
+paymentLinkSchema.methods = {
+  // Whether a customer can pay through this link right now
+  checkPayable() {
+    if (this.status === 'active' && this.isExpired) {
+      return { payable: false, reason: 'This payment link has expired' };
+    }
+
+    switch (this.status) {
+      case 'paid':
+        return { payable: false, reason: 'This payment link has already been paid' };
+      case 'expired':
+        return { payable: false, reason: 'This payment link has expired' };
+      case 'cancelled':
+        return { payable: false, reason: 'This payment link has been cancelled' };
+    }
+
+    if (this.business && this.business.isActive === false) {
+      return { payable: false, reason: 'This business is not accepting payments' };
+    }
+
+    return { payable: true };
+  },
+
+  // Record a completed payment against the link (atomic, safe for concurrent callbacks)
+  recordPayment(transaction) {
+    const paidAt = new Date();
+
+    return this.constructor.findOneAndUpdate(
+      // Callback replays must not count twice
+      { _id: this._id, 'payments.transaction': { $ne: transaction._id } },
+      {
+        $push: {
+          payments: {
+            transaction: transaction._id,
+            amount: transaction.amount,
+            phoneNumber: transaction.customer?.phoneNumber,
+            mpesaReceipt: transaction.mpesaTransactionId,
+            paidAt
+          }
+        },
+        $inc: { paymentsCount: 1, totalCollected: transaction.amount },
+        $set: {
+          lastPaidAt: paidAt,
+          ...(this.usage === 'single' && { status: 'paid' })
+        }
+      },
+      { new: true }
+    ).exec();
+  },
+
+  // Stop accepting payments
+  cancel() {
+    this.status = 'cancelled';
+    this.cancelledAt = new Date();
+    return this.save();
+  },
+
+  // Get link summary for the merchant
+  getSummary() {
+    return {
+      id: this._id,
+      code: this.code,
+      url: process.env.PAYMENT_LINK_BASE_URL ? `${process.env.PAYMENT_LINK_BASE_URL}/${this.code}` : null,
+      business: this.business,
+      amount: this.amount,
+      reference: this.reference,
+      description: this.description,
+      usage: this.usage,
+      expiresAt: this.expiresAt,
+      status: this.status === 'active' && this.isExpired ? 'expired' : this.status,
+      paymentsCount: this.paymentsCount,
+      totalCollected: this.totalCollected,
+      lastPaidAt: this.lastPaidAt,
+      createdAt: this.createdAt
+    };
+  },
+
+  // Get link with its payments
+  getFullDetails() {
+    return {
+      ...this.getSummary(),
+      payments: this.payments
+    };
+  },
+
+  // What the unauthenticated customer page sees
+  getPublicDetails() {
+    const { payable, reason } = this.checkPayable();
+
+    return {
+      code: this.code,
+      businessName: this.business?.businessName,
+      amount: this.amount,
+      reference: this.reference,
+      description: this.description,
+      expiresAt: this.expiresAt,
+      payable,
+      reason
+    };
+  }
+};
+
+export default mongoose.model("PaymentLink", paymentLinkSchema);
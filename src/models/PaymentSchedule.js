@@ -0,0 +1,311 @@
+import mongoose from "mongoose";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A recurring STK push collection (gym membership, installment plan).
+ * On each due date the customer gets a prompt; failed prompts are retried per
+ * retryPolicy and every prompt is kept in attempts.
+ */
+const paymentScheduleSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  customer: {
+    phoneNumber: {
+      type: String,
+      required: [true, "Customer phone number is required"],
+      validate: {
+        validator: function(v) {
+          return /^254[0-9]{9}$/.test(v);
+        },
+        message: 'Phone number must be in format 254XXXXXXXXX'
+      }
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+
+  amount: {
+    type: Number,
+    required: [true, "Amount is required"],
+    min: [1, "Amount must be at least KES 1"],
+    max: [150000, "Amount cannot exceed KES 150,000"]
+  },
+  accountReference: {
+    type: String,
+    required: [true, "Account reference is required"],
+    trim: true,
+    maxlength: [12, "Account reference cannot exceed 12 characters"]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Description cannot exceed 100 characters"]
+  },
+
+  // When installments fall due
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly', 'custom'],
+    required: [true, "Frequency is required"]
+  },
+  intervalDays: {
+    type: Number,
+    min: [1, "Interval must be at least 1 day"],
+    max: [365, "Interval cannot exceed 365 days"],
+    required: function() {
+      return this.frequency === 'custom';
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, "Start date is required"]
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Installment plans stop after this many installments (null = open-ended)
+  totalInstallments: {
+    type: Number,
+    min: [1, "Total installments must be at least 1"],
+    default: null
+  },
+
+  retryPolicy: {
+    maxAttempts: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 3
+    },
+    retryIntervalMinutes: {
+      type: Number,
+      min: 5,
+      max: 7 * 24 * 60,
+      default: 240
+    },
+    // What happens when every attempt for an installment failed
+    onExhausted: {
+      type: String,
+      enum: ['pause', 'skip'],
+      default: 'pause'
+    }
+  },
+  // Pause anyway after this many installments in a row were missed (skip policy)
+  maxConsecutiveMissed: {
+    type: Number,
+    min: 1,
+    default: 3
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  pauseReason: String,
+
+  // Current installment
+  installmentNumber: {
+    type: Number,
+    default: 1
+  },
+  nextDueAt: Date,
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  // Prompt sent and waiting for its callback
+  pendingTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    default: null
+  },
+
+  // Totals
+  installmentsPaid: {
+    type: Number,
+    default: 0
+  },
+  installmentsMissed: {
+    type: Number,
+    default: 0
+  },
+  consecutiveMissed: {
+    type: Number,
+    default: 0
+  },
+  totalCollected: {
+    type: Number,
+    default: 0
+  },
+  lastPaidAt: Date,
+
+  // Every prompt sent (or that could not be sent)
+  attempts: [{
+    installmentNumber: Number,
+    dueAt: Date,
+    attemptNumber: Number,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction"
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed', 'cancelled', 'expired', 'not_sent'],
+      default: 'pending'
+    },
+    mpesaReceipt: String,
+    errorMessage: String,
+    attemptedAt: Date,
+    resolvedAt: Date
+  }],
+
+  cancelledAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes for performance
+paymentScheduleSchema.index({ business: 1, createdAt: -1 });
+paymentScheduleSchema.index({ status: 1, nextAttemptAt: 1 }); // For the scheduler
+paymentScheduleSchema.index({ pendingTransaction: 1 }, { sparse: true });
+
+// Static Methods
+paymentScheduleSchema.statics = {
+  // Find schedules by business with filters
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 20, status, phoneNumber } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { business: businessId };
+    if (status) filter.status = status;
+    if (phoneNumber) filter['customer.phoneNumber'] = phoneNumber;
+
+    return this.find(filter)
+      .select('-attempts')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  }
+};
+
+// Instance Methods
+paymentScheduleSchema.methods = {
+  // Due date of an installment, always counted from the start date so
+  // month-end dates don't drift (Jan 31 -> Feb 28 -> Mar 31)
+  dueDateFor(installmentNumber) {
+    const start = new Date(this.startDate);
+    const periods = installmentNumber - 1;
+
+    if (this.frequency === 'weekly') {
+      return new Date(start.getTime() + periods * 7 * DAY_MS);
+    }
+
+    if (this.frequency === 'custom') {
+      return new Date(start.getTime() + periods * this.intervalDays * DAY_MS);
+    }
+
+    const due = new Date(start);
+    due.setUTCDate(1);
+    due.setUTCMonth(start.getUTCMonth() + periods);
+    const lastDay = new Date(Date.UTC(due.getUTCFullYear(), due.getUTCMonth() + 1, 0)).getUTCDate();
+    due.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+    return due;
+  },
+
+  // Whether an installment is past the end of the schedule
+  isBeyondEnd(installmentNumber) {
+    if (this.totalInstallments && installmentNumber > this.totalInstallments) {
+      return true;
+    }
+    return !!this.endDate && this.dueDateFor(installmentNumber) > this.endDate;
+  },
+
+  // Move on to the next installment, completing the schedule when there are none left
+  advanceInstallment() {
+    const next = this.installmentNumber + 1;
+
+    if (this.isBeyondEnd(next)) {
+      this.status = 'completed';
+      this.completedAt = new Date();
+      this.nextAttemptAt = null;
+      return;
+    }
+
+    this.installmentNumber = next;
+    this.nextDueAt = this.dueDateFor(next);
+    this.nextAttemptAt = this.nextDueAt;
+    this.attemptCount = 0;
+  },
+
+  // Get schedule summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      customer: this.customer,
+      amount: this.amount,
+      accountReference: this.accountReference,
+      description: this.description,
+      frequency: this.frequency,
+      intervalDays: this.intervalDays,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      totalInstallments: this.totalInstallments,
+      status: this.status,
+      pauseReason: this.pauseReason,
+      installmentNumber: this.installmentNumber,
+      nextDueAt: this.status === 'active' || this.status === 'paused' ? this.nextDueAt : null,
+      installmentsPaid: this.installmentsPaid,
+      installmentsMissed: this.installmentsMissed,
+      totalCollected: this.totalCollected,
+      lastPaidAt: this.lastPaidAt,
+      createdAt: this.createdAt
+    };
+  },
+
+  // Get schedule with retry policy and attempt history
+  getFullDetails() {
+    return {
+      ...this.getSummary(),
+      business: this.business,
+      retryPolicy: this.retryPolicy,
+      maxConsecutiveMissed: this.maxConsecutiveMissed,
+      attemptCount: this.attemptCount,
+      nextAttemptAt: this.nextAttemptAt,
+      attempts: [...this.attempts].reverse(), // newest first
+      cancelledAt: this.cancelledAt,
+      completedAt: this.completedAt
+    };
+  }
+};
+
+// Start at the first installment
+paymentScheduleSchema.pre('validate', function(next) {
+  if (this.isNew && this.startDate) {
+    this.nextDueAt = this.dueDateFor(1);
+    this.nextAttemptAt = this.nextDueAt;
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+export default mongoose.model("PaymentSchedule", paymentScheduleSchema);
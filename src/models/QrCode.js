@@ -0,0 +1,146 @@
+import mongoose from "mongoose";
+
+/**
+ * A generated M-Pesa QR code for a till or paybill. The image comes from the
+ * Daraja QR code API, so it is in the format the M-Pesa app scans. Kept so
+ * merchants can re-download codes they've printed and see which are in use.
+ */
+const qrCodeSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  // Where the customer pays
+  paymentType: {
+    type: String,
+    enum: ['buy_goods', 'paybill'],
+    required: [true, "Payment type is required"]
+  },
+  shortCode: {
+    type: String,
+    required: [true, "Till or paybill number is required"],
+    match: [/^\d{5,7}$/, "Till or paybill number must be 5-7 digits"]
+  },
+  merchantName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Prefilled on the customer's phone (optional)
+  amount: {
+    type: Number,
+    min: [1, "Amount must be at least KES 1"],
+    max: [150000, "Amount cannot exceed KES 150,000"],
+    validate: {
+      validator: (v) => v == null || Number.isInteger(v),
+      message: "Amount must be whole shillings"
+    },
+    default: null
+  },
+  accountReference: {
+    type: String,
+    trim: true,
+    maxlength: [12, "Account reference cannot exceed 12 characters"],
+    default: null
+  },
+
+  // Merchant's own name for the code ("Counter 2", "Front door poster")
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [60, "Label cannot exceed 60 characters"]
+  },
+
+  // PNG generated by Daraja (base64)
+  image: {
+    type: String,
+    required: true
+  },
+  darajaRequestId: String,
+
+  downloads: {
+    png: { type: Number, default: 0 },
+    svg: { type: Number, default: 0 },
+    poster: { type: Number, default: 0 }
+  },
+  lastDownloadedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Virtual for dynamic codes (single prefilled amount)
+qrCodeSchema.virtual('isDynamic').get(function() {
+  return this.amount != null;
+});
+
+// Indexes for performance
+qrCodeSchema.index({ business: 1, createdAt: -1 });
+
+// Static Methods
+qrCodeSchema.statics = {
+  // Find codes for a business with filters
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 20, paymentType } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { business: businessId };
+    if (paymentType) filter.paymentType = paymentType;
+
+    return this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  },
+
+  // Count a download of one format
+  recordDownload(qrCodeId, format) {
+    return this.updateOne(
+      { _id: qrCodeId },
+      {
+        $inc: { [`downloads.${format}`]: 1 },
+        $set: { lastDownloadedAt: new Date() }
+      }
+    ).exec();
+  }
+};
+
+// Instance Methods
+qrCodeSchema.methods = {
+  // Get code summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      paymentType: this.paymentType,
+      shortCode: this.shortCode,
+      merchantName: this.merchantName,
+      amount: this.amount,
+      accountReference: this.accountReference,
+      label: this.label,
+      isDynamic: this.isDynamic,
+      downloads: this.downloads,
+      lastDownloadedAt: this.lastDownloadedAt,
+      createdAt: this.createdAt
+    };
+  },
+
+  // Get code with its image (base64 PNG)
+  getFullDetails() {
+    return {
+      ...this.getSummary(),
+      business: this.business,
+      image: this.image
+    };
+  }
+};
+
+export default mongoose.model("QrCode", qrCodeSchema);
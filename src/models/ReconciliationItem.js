@@ -0,0 +1,150 @@
+import mongoose from "mongoose";
+
+// What a reconciliation item reports
+export const RECONCILIATION_ITEM_TYPES = [
+  'missing_from_api',       // payment on the statement, never received through the API
+  'unmatched_money_out',    // money out on the statement (charge, withdrawal, transfer) with no API payout
+  'missing_from_statement', // received through the API, not on the statement
+  'amount_mismatch',        // same receipt, different amount
+  'time_mismatch',          // same receipt, times too far apart
+  'receipt_mismatch',       // same payer, amount and time under different receipts
+  'duplicate',              // receipt appears more than once on one side
+  'balance_gap',            // balance does not follow from the previous one
+  'balance_mismatch'        // statement and API report different balances
+];
+
+const statementLineSchema = new mongoose.Schema({
+  line: Number, // position in the uploaded file (1-based)
+  receipt: String,
+  amount: Number,
+  time: Date,
+  phoneNumber: String,
+  name: String,
+  transactionType: String,
+  reference: String,
+  balance: Number
+}, { _id: false });
+
+/**
+ * One difference found by a reconciliation run, with the statement line and
+ * API transaction involved and how the merchant resolved it.
+ */
+const reconciliationItemSchema = new mongoose.Schema({
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ReconciliationRun",
+    required: true
+  },
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: RECONCILIATION_ITEM_TYPES,
+    required: true
+  },
+  side: {
+    type: String,
+    enum: ['statement', 'api', 'both'],
+    required: true
+  },
+  message: String,
+
+  statementLine: statementLineSchema,
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction"
+  },
+  // The API transaction as it was when compared
+  apiRecord: {
+    receipt: String,
+    amount: Number,
+    time: Date,
+    source: String,
+    accountBalance: Number
+  },
+  // Statement minus API (amount, balance) and time apart in seconds
+  difference: {
+    amount: Number,
+    seconds: Number,
+    balance: Number
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: ['acknowledged', 'imported']
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Resolution note cannot exceed 500 characters"]
+    },
+    // Transaction created from the statement line (imported)
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction"
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes for performance
+reconciliationItemSchema.index({ run: 1, status: 1, type: 1 });
+
+// Static Methods
+reconciliationItemSchema.statics = {
+  // Find a run's items with filters
+  findByRun(runId, options = {}) {
+    const { page = 1, limit = 50, type, status } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { run: runId };
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+
+    return this.find(filter)
+      .sort({ 'statementLine.time': 1, 'apiRecord.time': 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  }
+};
+
+// Instance Methods
+reconciliationItemSchema.methods = {
+  // Get item summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      run: this.run,
+      type: this.type,
+      side: this.side,
+      message: this.message,
+      statementLine: this.statementLine,
+      transaction: this.transaction,
+      apiRecord: this.apiRecord,
+      difference: this.difference,
+      status: this.status,
+      resolution: this.resolution,
+      createdAt: this.createdAt
+    };
+  }
+};
+
+export default mongoose.model("ReconciliationItem", reconciliationItemSchema);
@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+
+/**
+ * One comparison of an uploaded M-Pesa statement against the transactions
+ * received through the API (C2B confirmations and STK callbacks) for a
+ * business and period. Differences are stored as ReconciliationItems that
+ * the merchant resolves one by one.
+ */
+const reconciliationRunSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  // Uploaded statement the run compared
+  statementFile: {
+    name: String,
+    format: {
+      type: String,
+      enum: ['csv', 'pdf']
+    }
+  },
+
+  // Period compared: [periodStart, periodEnd) in the run timezone
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'Africa/Nairobi'
+  },
+
+  // open until every item is resolved
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+
+  summary: {
+    statementLines: { type: Number, default: 0 },
+    apiTransactions: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    statementTotal: { type: Number, default: 0 },
+    apiTotal: { type: Number, default: 0 },
+    // Statement balances before the first and after the last line, when given
+    openingBalance: Number,
+    closingBalance: Number,
+    items: { type: Number, default: 0 },
+    openItems: { type: Number, default: 0 },
+    // Item count per item type
+    byType: {
+      type: Map,
+      of: Number,
+      default: {}
+    }
+  },
+
+  resolvedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Virtual for whether the statement and API agree completely
+reconciliationRunSchema.virtual('isClean').get(function() {
+  return this.summary.items === 0;
+});
+
+// Indexes for performance
+reconciliationRunSchema.index({ business: 1, createdAt: -1 });
+
+// Static Methods
+reconciliationRunSchema.statics = {
+  // Find runs for a business (newest first)
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 20, status } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { business: businessId };
+    if (status) filter.status = status;
+
+    return this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  }
+};
+
+// Instance Methods
+reconciliationRunSchema.methods = {
+  // Get run summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      business: this.business,
+      statementFile: this.statementFile,
+      periodStart: this.periodStart,
+      periodEnd: this.periodEnd,
+      timezone: this.timezone,
+      status: this.status,
+      isClean: this.isClean,
+      summary: {
+        ...this.summary.toObject(),
+        byType: Object.fromEntries(this.summary.byType || [])
+      },
+      resolvedAt: this.resolvedAt,
+      createdAt: this.createdAt
+    };
+  }
+};
+
+export default mongoose.model("ReconciliationRun", reconciliationRunSchema);
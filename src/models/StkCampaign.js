@@ -0,0 +1,193 @@
+import mongoose from "mongoose";
+
+export const MAX_CAMPAIGN_RECIPIENTS = 1000;
+
+/**
+ * A bulk STK push collection (chama contributions, monthly dues).
+ * Recipients are prompted one at a time at ratePerMinute; whether each one
+ * paid is tracked on the Transaction created for their prompt.
+ */
+const stkCampaignSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, "Campaign name is required"],
+    trim: true,
+    maxlength: [100, "Campaign name cannot exceed 100 characters"]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Description cannot exceed 100 characters"]
+  },
+  // Used for recipients without their own reference
+  accountReference: {
+    type: String,
+    required: [true, "Account reference is required"],
+    trim: true,
+    maxlength: [12, "Account reference cannot exceed 12 characters"]
+  },
+
+  // Prompts sent per minute
+  ratePerMinute: {
+    type: Number,
+    default: 20,
+    min: [1, "Rate must be at least 1 prompt per minute"],
+    max: [60, "Rate cannot exceed 60 prompts per minute"]
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'paused', 'completed', 'cancelled'],
+    default: 'draft'
+  },
+  // Why the campaign stopped on its own (token limit, credentials)
+  pauseReason: String,
+
+  // Token each prompt is charged against
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Token",
+    default: null
+  },
+
+  recipients: {
+    type: [{
+      phoneNumber: {
+        type: String,
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      accountReference: String,
+      name: String,
+      // Dispatch state - the payment outcome lives on the transaction.
+      // "sending" is claimed for dispatch; it is never sent again, even after a crash.
+      status: {
+        type: String,
+        enum: ['queued', 'sending', 'sent', 'failed', 'cancelled'],
+        default: 'queued'
+      },
+      transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Transaction"
+      },
+      checkoutRequestId: String,
+      errorMessage: String,
+      sentAt: Date
+    }],
+    validate: {
+      validator: (recipients) => recipients.length > 0 && recipients.length <= MAX_CAMPAIGN_RECIPIENTS,
+      message: `A campaign needs between 1 and ${MAX_CAMPAIGN_RECIPIENTS} recipients`
+    }
+  },
+
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Virtual for the total requested from all recipients
+stkCampaignSchema.virtual('targetAmount').get(function() {
+  return this.recipients.reduce((sum, recipient) => sum + recipient.amount, 0);
+});
+
+// Indexes for performance
+stkCampaignSchema.index({ business: 1, createdAt: -1 });
+stkCampaignSchema.index({ status: 1 });
+
+// Static Methods
+stkCampaignSchema.statics = {
+  // Find campaigns by business with filters
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 20, status } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { business: businessId };
+    if (status) filter.status = status;
+
+    return this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  },
+
+  // Atomically take a queued recipient for dispatch; false if someone else already did
+  async claimRecipient(campaignId, recipientId) {
+    const result = await this.updateOne(
+      {
+        _id: campaignId,
+        status: 'running',
+        recipients: { $elemMatch: { _id: recipientId, status: 'queued' } }
+      },
+      { $set: { 'recipients.$.status': 'sending', 'recipients.$.sentAt': new Date() } }
+    ).exec();
+
+    return result.modifiedCount === 1;
+  },
+
+  // Record the result of sending one recipient's prompt
+  updateRecipient(campaignId, recipientId, update) {
+    const set = {};
+    Object.entries(update).forEach(([key, value]) => {
+      set[`recipients.$.${key}`] = value;
+    });
+
+    return this.updateOne({ _id: campaignId, 'recipients._id': recipientId }, { $set: set }).exec();
+  }
+};
+
+// Instance Methods
+stkCampaignSchema.methods = {
+  // Next recipient still waiting for a prompt
+  nextQueuedRecipient() {
+    return this.recipients.find(recipient => recipient.status === 'queued') || null;
+  },
+
+  // Count recipients by dispatch state
+  getDispatchCounts() {
+    const counts = { queued: 0, sending: 0, sent: 0, failed: 0, cancelled: 0 };
+    this.recipients.forEach(recipient => {
+      counts[recipient.status]++;
+    });
+    return counts;
+  },
+
+  // Get campaign summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      name: this.name,
+      description: this.description,
+      accountReference: this.accountReference,
+      ratePerMinute: this.ratePerMinute,
+      status: this.status,
+      pauseReason: this.pauseReason,
+      recipientsCount: this.recipients.length,
+      targetAmount: this.targetAmount,
+      dispatch: this.getDispatchCounts(),
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      createdAt: this.createdAt
+    };
+  }
+};
+
+export default mongoose.model("StkCampaign", stkCampaignSchema);
@@ -1,4 +1,8 @@
 import mongoose from "mongoose";
+import { DEFAULT_TIMEZONE, getZonedParts, zonedMidnight } from "../utils/timezone.js";
+
+// Completed money received - B2C refunds and payouts are money out, not sales
+export const MONEY_IN = { status: 'completed', transactionType: { $ne: 'B2C Payment' } };
 
 const transactionSchema = new mongoose.Schema({
   // Source of transaction
@@ -45,6 +49,12 @@ const transactionSchema = new mongoose.Schema({
     //index: true
   },
 
+  // Shortcode the payment was made to (used to route C2B confirmations)
+  businessShortCode: {
+    type: String,
+    trim: true
+  },
+
   // Payment Details
   amount: {
     type: Number,
@@ -59,7 +69,7 @@ const transactionSchema = new mongoose.Schema({
   },
   transactionType: {
     type: String,
-    enum: ['Pay Bill', 'Buy Goods', 'Send Money', 'Withdraw', 'STK Push'],
+    enum: ['Pay Bill', 'Buy Goods', 'Send Money', 'Withdraw', 'STK Push', 'B2C Payment'],
     required: true
   },
 
@@ -98,7 +108,7 @@ const transactionSchema = new mongoose.Schema({
   // Status Tracking
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'reversed', 'expired'],
     default: 'completed',
     //index: true
   },
@@ -114,11 +124,150 @@ const transactionSchema = new mongoose.Schema({
   },
   description: String,
 
+  // Business category (see Category) and how it was assigned
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category"
+  },
+  categoryAssignedAt: Date,
+  categoryAssignedBy: String, // User ID, or 'system' for rule matches
+  classificationMethod: {
+    type: String,
+    enum: ['auto', 'manual']
+  },
+
+  // Sale this refund/reversal belongs to
+  originalTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    default: null
+  },
+
+  // Payment link the customer paid through (STK push)
+  paymentLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PaymentLink",
+    default: null
+  },
+
+  // Bulk STK campaign that sent this prompt
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "StkCampaign",
+    default: null
+  },
+
+  // Recurring payment schedule that sent this prompt
+  paymentSchedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PaymentSchedule",
+    default: null
+  },
+
+  // Invoice this payment was applied to (matched on billRefNumber)
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+    default: null
+  },
+
+  // Payer account ledger this payment was posted to
+  payerAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PayerAccount",
+    default: null
+  },
+
+  // Daraja async request identifiers (B2C)
+  conversationId: {
+    type: String,
+    sparse: true
+  },
+  originatorConversationId: {
+    type: String,
+    sparse: true
+  },
+
+  // Daraja Reversal API workflow (wrong-till payments)
+  reversal: {
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed']
+    },
+    reason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    requestedAt: Date,
+    conversationId: String,
+    originatorConversationId: String,
+    resultCode: String,
+    resultDesc: String,
+    reversalTransactionId: String,
+    completedAt: Date,
+    // Audit trail of every state change
+    history: [{
+      status: String,
+      note: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+
+  // Staff annotations: notes, business tags (see TransactionTag) and receipt attachments
+  notes: [{
+    text: {
+      type: String,
+      required: [true, "Note text is required"],
+      trim: true,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"]
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    authorName: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  attachments: [{
+    originalName: String,
+    fileName: String,
+    filePath: String,
+    mimeType: String,
+    size: Number,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Technical Metadata
   rawMpesaResponse: {
     type: mongoose.Schema.Types.Mixed
   },
 
+  // Last time the STK reconciler queried Daraja for this pending transaction
+  lastReconciledAt: Date,
+
   // Error tracking for failed transactions
   errorMessage: String,
   errorCode: String
@@ -153,7 +302,35 @@ transactionSchema.index({ 'customer.phoneNumber': 1 });
 transactionSchema.index({ transactionTime: -1 });
 transactionSchema.index({ status: 1, business: 1 });
 //transactionSchema.index({ checkoutRequestId: 1 }); // For STK callback lookups
+transactionSchema.index({ originalTransaction: 1 }, { sparse: true }); // For refunds of a sale
+transactionSchema.index({ 'reversal.conversationId': 1 }, { sparse: true }); // For reversal result lookups
+transactionSchema.index({ paymentLink: 1 }, { sparse: true }); // For payments made through a link
+transactionSchema.index({ campaign: 1, status: 1 }, { sparse: true }); // For campaign progress
+transactionSchema.index({ paymentSchedule: 1 }, { sparse: true }); // For payments collected by a schedule
+transactionSchema.index({ invoice: 1 }, { sparse: true }); // For payments applied to an invoice
+transactionSchema.index({ payerAccount: 1 }, { sparse: true }); // For payments posted to a payer account
 transactionSchema.index({ source: 1, status: 1 }); // For filtering by source and status
+transactionSchema.index({ business: 1, transactionTime: -1, _id: -1 }); // For transaction search (cursor pagination)
+transactionSchema.index({ business: 1, amount: -1, _id: -1 }); // For transaction search sorted by amount
+transactionSchema.index({ business: 1, createdAt: -1, _id: -1 }); // For transaction search sorted by createdAt
+transactionSchema.index({ business: 1, categoryId: 1 }); // For filtering by category
+transactionSchema.index({ business: 1, tags: 1 }); // For filtering and counting by tag
+transactionSchema.index(
+  {
+    mpesaTransactionId: 'text',
+    billRefNumber: 'text',
+    invoiceNumber: 'text',
+    'customer.name.firstName': 'text',
+    'customer.name.middleName': 'text',
+    'customer.name.lastName': 'text',
+    description: 'text'
+  },
+  {
+    name: 'transaction_search',
+    weights: { mpesaTransactionId: 10, billRefNumber: 5, invoiceNumber: 5, description: 1 },
+    default_weight: 3
+  }
+); // For free-text transaction search
 
 // Static Methods
 transactionSchema.statics = {
@@ -197,17 +374,25 @@ transactionSchema.statics = {
       });
   },
 
+  // Local day [start, end) containing an instant, without touching the date passed in
+  getDayRange(date = new Date(), timezone = DEFAULT_TIMEZONE) {
+    const { year, month, day } = getZonedParts(date, timezone);
+    return {
+      startOfDay: zonedMidnight(year, month, day, timezone),
+      endOfDay: zonedMidnight(year, month, day + 1, timezone)
+    };
+  },
+
   // Get daily summary for a business (UPDATED)
-  async getDailySummary(businessId, date = new Date()) {
-    const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+  async getDailySummary(businessId, date = new Date(), timezone = DEFAULT_TIMEZONE) {
+    const { startOfDay, endOfDay } = this.getDayRange(date, timezone);
 
     return this.aggregate([
       {
         $match: {
           business: new mongoose.Types.ObjectId(businessId),
-          transactionTime: { $gte: startOfDay, $lte: endOfDay },
-          status: 'completed'
+          transactionTime: { $gte: startOfDay, $lt: endOfDay },
+          ...MONEY_IN
         }
       },
       {
@@ -228,9 +413,8 @@ transactionSchema.statics = {
   },
 
   // Get daily summary for owner (across all businesses) (NEW)
-  async getOwnerDailySummary(ownerId, date = new Date()) {
-    const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+  async getOwnerDailySummary(ownerId, date = new Date(), timezone = DEFAULT_TIMEZONE) {
+    const { startOfDay, endOfDay } = this.getDayRange(date, timezone);
 
     const Business = mongoose.model('Business');
     const businesses = await Business.find({ owner: ownerId });
@@ -240,8 +424,8 @@ transactionSchema.statics = {
       {
         $match: {
           business: { $in: businessIds },
-          transactionTime: { $gte: startOfDay, $lte: endOfDay },
-          status: 'completed'
+          transactionTime: { $gte: startOfDay, $lt: endOfDay },
+          ...MONEY_IN
         }
       },
       {
@@ -272,6 +456,15 @@ transactionSchema.statics = {
     ]);
   },
 
+  // Find a transaction by Mongo ID or internal reference
+  findByIdOrReference(transactionId) {
+    const conditions = [{ internalReference: transactionId }];
+    if (mongoose.Types.ObjectId.isValid(transactionId)) {
+      conditions.push({ _id: transactionId });
+    }
+    return this.findOne({ $or: conditions }).exec();
+  },
+
   // Find STK transaction by checkout request ID
   findByCheckoutRequestId(checkoutRequestId) {
     return this.findOne({ checkoutRequestId })
@@ -318,13 +511,46 @@ transactionSchema.methods = {
       status: this.status,
       type: this.transactionType,
       reference: this.billRefNumber,
+      category: this.category,
+      categoryId: this.categoryId,
+      classificationMethod: this.classificationMethod,
+      originalTransaction: this.originalTransaction,
+      invoice: this.invoice,
+      payerAccount: this.payerAccount,
       isPending: this.isPending,
       isSTKPush: this.isSTKPush,
       description: this.description,
+      tags: this.tags,
+      notesCount: this.notes?.length || 0,
+      attachmentsCount: this.attachments?.length || 0,
       createdAt: this.createdAt
     };
   },
 
+  // Notes, tags and attachments (file locations stay server-side)
+  getAnnotations() {
+    return {
+      id: this._id,
+      reference: this.internalReference,
+      tags: this.tags,
+      notes: this.notes.map(note => ({
+        id: note._id,
+        text: note.text,
+        author: note.author,
+        authorName: note.authorName,
+        createdAt: note.createdAt
+      })),
+      attachments: this.attachments.map(attachment => ({
+        id: attachment._id,
+        originalName: attachment.originalName,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        uploadedBy: attachment.uploadedBy,
+        uploadedAt: attachment.uploadedAt
+      }))
+    };
+  },
+
   // Get transaction with business details
   getFullDetails() {
     return {
@@ -348,11 +574,36 @@ transactionSchema.methods = {
     return this.save();
   },
 
+  // Mark as expired (pending STK push Daraja no longer knows about)
+  markAsExpired(errorMessage = 'STK push expired without a result') {
+    this.status = 'expired';
+    this.errorMessage = errorMessage;
+    this.errorCode = 'EXPIRED';
+    return this.save();
+  },
+
   // Mark as failed (for STK callbacks)
   markAsFailed(errorMessage, errorCode = null) {
     this.status = 'failed';
     this.errorMessage = errorMessage;
     this.errorCode = errorCode;
+    return this.save();
+  },
+
+  // Move the reversal workflow to a new state and append it to the audit trail
+  updateReversal(status, details = {}, note = null, userId = null) {
+    this.reversal = {
+      ...(this.reversal?.toObject ? this.reversal.toObject() : this.reversal),
+      ...details,
+      status
+    };
+    this.reversal.history.push({ status, note, by: userId, at: new Date() });
+
+    if (status === 'completed') {
+      this.status = 'reversed';
+      this.reversal.completedAt = new Date();
+    }
+
     return this.save();
   }
 };
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+/**
+ * A tag a business uses on its transactions ("deposit", "group-booking").
+ * Tags are free-form: tagging a transaction with a new name adds it here.
+ * Transactions store the tag name, so renames and deletes update them too.
+ */
+const transactionTagSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, "Tag name is required"],
+    trim: true,
+    lowercase: true,
+    maxlength: [30, "Tag names cannot exceed 30 characters"]
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, "Color must be a hex code like #1E88E5"]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Description cannot exceed 200 characters"]
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes for performance
+transactionTagSchema.index({ business: 1, name: 1 }, { unique: true });
+
+// Static Methods
+transactionTagSchema.statics = {
+  // Tag names as stored: trimmed, lowercase, single spaces
+  normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  },
+
+  // Find tags by business (alphabetical)
+  findByBusiness(businessId) {
+    return this.find({ business: businessId }).sort({ name: 1 }).exec();
+  },
+
+  // Add any tag names the business doesn't have yet
+  async ensureTags(businessId, names, userId) {
+    if (!names.length) return;
+
+    await this.bulkWrite(names.map(name => ({
+      updateOne: {
+        filter: { business: businessId, name },
+        update: { $setOnInsert: { business: businessId, name, createdBy: userId } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+};
+
+// Instance Methods
+transactionTagSchema.methods = {
+  // Get tag summary for API responses
+  getSummary(usageCount) {
+    return {
+      id: this._id,
+      name: this.name,
+      color: this.color,
+      description: this.description,
+      ...(usageCount !== undefined && { usageCount }),
+      createdAt: this.createdAt
+    };
+  }
+};
+
+export default mongoose.model("TransactionTag", transactionTagSchema);
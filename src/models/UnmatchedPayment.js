@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+
+/**
+ * Quarantine for C2B confirmations that could not be routed to a business
+ * (unknown shortcode or inactive business). Admins assign them later so no
+ * customer payment is lost.
+ */
+const unmatchedPaymentSchema = new mongoose.Schema({
+  // Daraja identifiers
+  mpesaTransactionId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  businessShortCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Payment Details
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  transactionType: String,
+
+  customer: {
+    phoneNumber: String,
+    name: {
+      firstName: String,
+      middleName: String,
+      lastName: String
+    }
+  },
+
+  transactionTime: {
+    type: Date,
+    required: true
+  },
+  billRefNumber: {
+    type: String,
+    trim: true
+  },
+  invoiceNumber: String,
+  accountBalance: Number,
+
+  // Why the payment could not be routed
+  reason: {
+    type: String,
+    enum: ['unknown_shortcode', 'inactive_business'],
+    required: true
+  },
+
+  // Inbox status
+  status: {
+    type: String,
+    enum: ['unmatched', 'assigned'],
+    default: 'unmatched'
+  },
+
+  // Assignment (admin action)
+  assignedBusiness: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    default: null
+  },
+  assignedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    default: null
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  assignedAt: Date,
+
+  // Technical Metadata
+  rawMpesaResponse: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes for performance
+unmatchedPaymentSchema.index({ status: 1, createdAt: -1 });
+unmatchedPaymentSchema.index({ businessShortCode: 1 });
+
+// Static Methods
+unmatchedPaymentSchema.statics = {
+  // Find payments with filters (admin inbox)
+  findWithFilters(options = {}) {
+    const { page = 1, limit = 50, status = 'unmatched', shortCode, reason } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (shortCode) filter.businessShortCode = shortCode;
+    if (reason) filter.reason = reason;
+
+    return this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('assignedBusiness', 'businessName mpesaShortCode')
+      .populate('assignedBy', 'fullName email')
+      .exec();
+  }
+};
+
+// Instance Methods
+unmatchedPaymentSchema.methods = {
+  // Get payment summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      mpesaId: this.mpesaTransactionId,
+      shortCode: this.businessShortCode,
+      amount: this.amount,
+      type: this.transactionType,
+      customer: this.customer,
+      time: this.transactionTime,
+      reference: this.billRefNumber,
+      reason: this.reason,
+      status: this.status,
+      assignedBusiness: this.assignedBusiness && this.assignedBusiness.businessName ? {
+        id: this.assignedBusiness._id,
+        name: this.assignedBusiness.businessName,
+        shortCode: this.assignedBusiness.mpesaShortCode
+      } : this.assignedBusiness,
+      assignedTransaction: this.assignedTransaction,
+      assignedAt: this.assignedAt,
+      createdAt: this.createdAt
+    };
+  },
+
+  // Mark as assigned to a business
+  markAsAssigned(businessId, transactionId, adminId) {
+    this.status = 'assigned';
+    this.assignedBusiness = businessId;
+    this.assignedTransaction = transactionId;
+    this.assignedBy = adminId;
+    this.assignedAt = new Date();
+    return this.save();
+  }
+};
+
+export default mongoose.model("UnmatchedPayment", unmatchedPaymentSchema);
@@ -0,0 +1,212 @@
+import mongoose from "mongoose";
+import { DEFAULT_TIMEZONE, isValidTimeZone } from "../utils/timezone.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Account reference patterns run on every validation webhook - keep them short
+export const MAX_PATTERN_LENGTH = 100;
+
+// Whether a quantifier starts at index i, and whether it can repeat more than once
+function readQuantifier(pattern, i) {
+  const char = pattern[i];
+  if (char === '*' || char === '+') return { repeats: true };
+  if (char === '?') return { repeats: false };
+  if (char === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    if (match) return { repeats: match[2] !== undefined && match[3] !== '1' };
+  }
+  return null;
+}
+
+// Patterns that can backtrack catastrophically: a repeated group that itself
+// repeats or alternates, e.g. (a+)+ or (a|ab)*, and backreferences
+export function isUnsafePattern(pattern) {
+  const groups = [];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) return true;
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ variable: false });
+    } else if (char === '|') {
+      if (groups.length) groups[groups.length - 1].variable = true;
+    } else if (char === ')') {
+      const group = groups.pop();
+      const quantifier = readQuantifier(pattern, i + 1);
+      if (group?.variable && quantifier?.repeats) return true;
+      if (group?.variable && groups.length) groups[groups.length - 1].variable = true;
+    } else if (readQuantifier(pattern, i)?.repeats && groups.length) {
+      groups[groups.length - 1].variable = true;
+    }
+  }
+  return false;
+}
+
+// Helper function to validate a regex source string
+function validatePattern(pattern) {
+  if (!pattern) return true;
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return false;
+  }
+  return !isUnsafePattern(pattern);
+}
+
+const businessHoursWindowSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0, 1, 2, 3, 4, 5, 6]
+  },
+  start: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, "Start time must be in HH:mm format"]
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, "End time must be in HH:mm format"]
+  }
+}, { _id: false });
+
+/**
+ * Business-defined C2B validation policy applied by the Daraja validation webhook.
+ * One policy per business.
+ */
+const validationPolicySchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true,
+    unique: true
+  },
+
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Account reference (BillRefNumber) rules
+  accountReference: {
+    // payer_accounts: the reference must be an active PayerAccount number
+    mode: {
+      type: String,
+      enum: ['any', 'pattern', 'list', 'payer_accounts'],
+      default: 'any'
+    },
+    pattern: {
+      type: String,
+      trim: true,
+      maxlength: [MAX_PATTERN_LENGTH, `Pattern cannot exceed ${MAX_PATTERN_LENGTH} characters`],
+      validate: {
+        validator: validatePattern,
+        message: "Account reference pattern must be a valid regular expression without nested repetition or backreferences"
+      }
+    },
+    allowedAccounts: [{
+      type: String,
+      trim: true
+    }],
+    caseSensitive: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Amount limits (KES)
+  minAmount: {
+    type: Number,
+    min: [1, "Minimum amount must be at least KES 1"],
+    default: null
+  },
+  maxAmount: {
+    type: Number,
+    min: [1, "Maximum amount must be at least KES 1"],
+    default: null
+  },
+
+  // Payers that may not pay this business (254XXXXXXXXX)
+  blockedMsisdns: [{
+    type: String,
+    trim: true
+  }],
+
+  // Only accept payments inside these windows (business timezone)
+  businessHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: "Invalid timezone"
+      }
+    },
+    windows: [businessHoursWindowSchema]
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Keep the amount range consistent
+validationPolicySchema.pre('validate', function(next) {
+  if (this.minAmount && this.maxAmount && this.minAmount > this.maxAmount) {
+    this.invalidate('minAmount', 'Minimum amount cannot exceed maximum amount');
+  }
+  if (this.accountReference?.mode === 'pattern' && !this.accountReference.pattern) {
+    this.invalidate('accountReference.pattern', 'A pattern is required when account reference mode is "pattern"');
+  }
+  next();
+});
+
+// Static Methods
+validationPolicySchema.statics = {
+  // Find the active policy for a business
+  findActiveByBusiness(businessId) {
+    return this.findOne({ business: businessId, isEnabled: true }).exec();
+  }
+};
+
+// Instance Methods
+validationPolicySchema.methods = {
+  // Get policy summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      business: this.business,
+      isEnabled: this.isEnabled,
+      accountReference: this.accountReference,
+      minAmount: this.minAmount,
+      maxAmount: this.maxAmount,
+      blockedMsisdns: this.blockedMsisdns,
+      businessHours: this.businessHours,
+      updatedAt: this.updatedAt
+    };
+  }
+};
+
+export default mongoose.model("ValidationPolicy", validationPolicySchema);
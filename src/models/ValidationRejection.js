@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+/**
+ * Log of C2B payments rejected by a business's validation policy
+ */
+const validationRejectionSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Business",
+    required: true
+  },
+
+  // Which policy rule rejected the payment
+  rule: {
+    type: String,
+    enum: ['account_reference', 'min_amount', 'max_amount', 'blocked_msisdn', 'business_hours'],
+    required: true
+  },
+
+  // Daraja response
+  resultCode: {
+    type: String,
+    required: true
+  },
+  resultDesc: {
+    type: String,
+    required: true
+  },
+
+  // Payment attempt details
+  mpesaTransactionId: String,
+  businessShortCode: String,
+  amount: Number,
+  phoneNumber: String,
+  billRefNumber: String,
+
+  rawMpesaResponse: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Indexes for performance
+validationRejectionSchema.index({ business: 1, createdAt: -1 });
+
+// Static Methods
+validationRejectionSchema.statics = {
+  // Find rejections for a business with pagination
+  findByBusiness(businessId, options = {}) {
+    const { page = 1, limit = 50, rule } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = { business: businessId };
+    if (rule) filter.rule = rule;
+
+    return this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  }
+};
+
+// Instance Methods
+validationRejectionSchema.methods = {
+  // Get rejection summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      rule: this.rule,
+      resultCode: this.resultCode,
+      resultDesc: this.resultDesc,
+      mpesaId: this.mpesaTransactionId,
+      amount: this.amount,
+      phone: this.phoneNumber,
+      reference: this.billRefNumber,
+      createdAt: this.createdAt
+    };
+  }
+};
+
+export default mongoose.model("ValidationRejection", validationRejectionSchema);
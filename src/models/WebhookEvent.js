@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+
+/**
+ * Raw log of every inbound Daraja webhook payload with its processing status.
+ * Events are deduplicated by type + eventKey (TransID / CheckoutRequestID).
+ */
+const webhookEventSchema = new mongoose.Schema({
+  // Which webhook delivered the payload
+  type: {
+    type: String,
+    enum: ['c2b_confirmation', 'stk_callback', 'b2c_result', 'b2c_timeout', 'reversal_result', 'reversal_timeout'],
+    required: true
+  },
+
+  // Daraja identifier used for deduplication (TransID / CheckoutRequestID / ConversationID)
+  eventKey: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Raw payload exactly as received
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Processing Status
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed'],
+    default: 'received'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Number of times Daraja delivered this event
+  deliveryCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastAttemptAt: Date,
+  processedAt: Date,
+  lastError: String,
+
+  // Outcome of the last successful run (e.g. recorded, quarantined)
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Deduplication (events without a key are still stored, just never deduplicated)
+webhookEventSchema.index(
+  { type: 1, eventKey: 1 },
+  { unique: true, partialFilterExpression: { eventKey: { $type: 'string' } } }
+);
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+// Static Methods
+webhookEventSchema.statics = {
+  // Find events with filters (admin)
+  findWithFilters(options = {}) {
+    const { page = 1, limit = 50, status, type } = options;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    return this.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .exec();
+  }
+};
+
+// Instance Methods
+webhookEventSchema.methods = {
+  // Get event summary for API responses
+  getSummary() {
+    return {
+      id: this._id,
+      type: this.type,
+      eventKey: this.eventKey,
+      status: this.status,
+      attempts: this.attempts,
+      deliveryCount: this.deliveryCount,
+      lastError: this.lastError,
+      result: this.result,
+      lastAttemptAt: this.lastAttemptAt,
+      processedAt: this.processedAt,
+      createdAt: this.createdAt
+    };
+  },
+
+  // Get event with raw payload
+  getFullDetails() {
+    return {
+      ...this.getSummary(),
+      payload: this.payload
+    };
+  }
+};
+
+export default mongoose.model("WebhookEvent", webhookEventSchema);
@@ -0,0 +1,37 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  getTimeSeries,
+  getRetentionSummary,
+  getCohortRetention,
+  getLapsedCustomers
+} from "../controllers/analyticsController.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const analyticsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 200, // Limit each IP to 200 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many analytics requests, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// GET /api/analytics/business/:businessId/timeseries - Series by interval (hour/day/week/month) with period comparison
+router.get("/business/:businessId/timeseries", analyticsLimiter, protect, merchantOnly, getTimeSeries);
+
+// GET /api/analytics/business/:businessId/retention - Repeat-customer rate and new vs returning revenue
+router.get("/business/:businessId/retention", analyticsLimiter, protect, merchantOnly, getRetentionSummary);
+
+// GET /api/analytics/business/:businessId/cohorts - Monthly cohort retention table
+router.get("/business/:businessId/cohorts", analyticsLimiter, protect, merchantOnly, getCohortRetention);
+
+// GET /api/analytics/business/:businessId/lapsed-customers - Customers who haven't paid in N days
+router.get("/business/:businessId/lapsed-customers", analyticsLimiter, protect, merchantOnly, getLapsedCustomers);
+
+export default router;
@@ -0,0 +1,65 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  getCustomers,
+  getCustomer,
+  getCustomerTransactions,
+  updateCustomerTags,
+  addCustomerNote,
+  deleteCustomerNote,
+  mergeCustomers,
+  rebuildCustomers
+} from "../controllers/customerController.js";
+import { protect, merchantOnly, merchantOrAdmin } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const customerLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 200, // Limit each IP to 200 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many customer requests, please try again after 15 minutes"
+  }
+});
+
+// Rebuilding scans the whole transaction history
+const rebuildLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many rebuild requests, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant, or Admin with masked phone numbers) ==========
+
+// GET /api/customers/business/:businessId - Search a business's customers
+router.get("/business/:businessId", customerLimiter, protect, merchantOrAdmin, getCustomers);
+
+// GET /api/customers/:customerId - Customer details
+router.get("/:customerId", customerLimiter, protect, merchantOrAdmin, getCustomer);
+
+// GET /api/customers/:customerId/transactions - Customer payment history
+router.get("/:customerId/transactions", customerLimiter, protect, merchantOrAdmin, getCustomerTransactions);
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// POST /api/customers/business/:businessId/merge - Merge duplicate customers
+router.post("/business/:businessId/merge", customerLimiter, protect, merchantOnly, mergeCustomers);
+
+// POST /api/customers/business/:businessId/rebuild - Rebuild customers from transaction history
+router.post("/business/:businessId/rebuild", rebuildLimiter, protect, merchantOnly, rebuildCustomers);
+
+// PUT /api/customers/:customerId/tags - Replace a customer's tags
+router.put("/:customerId/tags", customerLimiter, protect, merchantOnly, updateCustomerTags);
+
+// POST /api/customers/:customerId/notes - Add a note
+router.post("/:customerId/notes", customerLimiter, protect, merchantOnly, addCustomerNote);
+
+// DELETE /api/customers/:customerId/notes/:noteId - Delete a note
+router.delete("/:customerId/notes/:noteId", customerLimiter, protect, merchantOnly, deleteCustomerNote);
+
+export default router;
@@ -0,0 +1,47 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  getExportColumns,
+  exportTransactions,
+  createExportJob,
+  getExportJobs,
+  getExportJob,
+  downloadExportJob
+} from "../controllers/exportController.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+import { requirePlanFeature } from "../middleware/tokenMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const exportLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many export requests, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// GET /api/exports/columns - Columns available for selection
+router.get("/columns", exportLimiter, protect, merchantOnly, getExportColumns);
+
+// GET /api/exports/business/:businessId/transactions?format=csv|xlsx&columns=... - Stream a filtered export
+// Takes the same filters as GET /api/transactions/business/:businessId
+router.get("/business/:businessId/transactions", exportLimiter, protect, merchantOnly, requirePlanFeature('csv-export'), exportTransactions);
+
+// POST /api/exports/business/:businessId/jobs - Run a large export in the background
+router.post("/business/:businessId/jobs", exportLimiter, protect, merchantOnly, requirePlanFeature('csv-export'), createExportJob);
+
+// GET /api/exports/business/:businessId/jobs - List a business's export jobs
+router.get("/business/:businessId/jobs", exportLimiter, protect, merchantOnly, getExportJobs);
+
+// GET /api/exports/jobs/:jobId - Export job status
+router.get("/jobs/:jobId", exportLimiter, protect, merchantOnly, getExportJob);
+
+// GET /api/exports/jobs/:jobId/download - Download a finished export
+router.get("/jobs/:jobId/download", exportLimiter, protect, merchantOnly, downloadExportJob);
+
+export default router;
@@ -0,0 +1,49 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  createInvoice,
+  getInvoices,
+  getInvoice,
+  updateInvoice,
+  cancelInvoice,
+  applyInvoicePayment,
+  getAgedReceivables
+} from "../controllers/invoiceController.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const invoiceLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many invoice requests, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// POST /api/invoices - Create an invoice
+router.post("/", invoiceLimiter, protect, merchantOnly, createInvoice);
+
+// GET /api/invoices/business/:businessId - List a business's invoices
+router.get("/business/:businessId", invoiceLimiter, protect, merchantOnly, getInvoices);
+
+// GET /api/invoices/business/:businessId/receivables - Outstanding balances by age
+router.get("/business/:businessId/receivables", invoiceLimiter, protect, merchantOnly, getAgedReceivables);
+
+// GET /api/invoices/:invoiceId - Invoice with line items and payments
+router.get("/:invoiceId", invoiceLimiter, protect, merchantOnly, getInvoice);
+
+// PUT /api/invoices/:invoiceId - Update an invoice
+router.put("/:invoiceId", invoiceLimiter, protect, merchantOnly, updateInvoice);
+
+// PATCH /api/invoices/:invoiceId/cancel - Stop matching payments to an invoice
+router.patch("/:invoiceId/cancel", invoiceLimiter, protect, merchantOnly, cancelInvoice);
+
+// POST /api/invoices/:invoiceId/payments - Apply an unmatched payment manually
+router.post("/:invoiceId/payments", invoiceLimiter, protect, merchantOnly, applyInvoicePayment);
+
+export default router;
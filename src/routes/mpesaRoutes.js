@@ -7,9 +7,25 @@ import {
   getMerchantTransactions,
   getTransactionAnalytics,
   handleSTKCallback,
-  initiateSTKPush // ADD THIS IMPORT
+  initiateSTKPush, // ADD THIS IMPORT
+  getUnmatchedPayments,
+  assignUnmatchedPayment,
+  getWebhookEvents,
+  replayWebhookEvent,
+  registerBusinessC2BUrls,
+  handleB2CResult,
+  handleB2CTimeout,
+  initiateRefund,
+  initiatePayout,
+  handleReversalResult,
+  handleReversalTimeout,
+  requestReversal,
+  getReversalStatus,
+  startBackfill,
+  getBackfillJobs,
+  getBackfillJob
 } from "../controllers/mpesaController.js";
-import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+import { protect, merchantOnly, adminOnly } from "../middleware/authMiddleware.js";
 import { validateToken, recordTokenUsage } from '../middleware/tokenMiddleware.js';
 import { MpesaUtils } from "../utils/mpesaUtils.js";
 
@@ -25,6 +41,17 @@ const webhookLimiter = rateLimit({
   }
 });
 
+// Daraja result callbacks arrive from Safaricom's few egress IPs - one per
+// STK campaign recipient, payout or reversal - so they get a far higher ceiling
+const callbackLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 1000,
+  message: {
+    success: false,
+    message: "Too many callback requests"
+  }
+});
+
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 50,
@@ -37,7 +64,11 @@ const authLimiter = rateLimit({
 // ========== PUBLIC ROUTES (Daraja Webhooks) ==========
 router.post("/webhook/validation", webhookLimiter, MpesaUtils.validateMpesaWebhook, handleValidation);
 router.post("/webhook/confirmation", webhookLimiter, MpesaUtils.validateMpesaWebhook, handleConfirmation);
-router.post("/webhook/stk-callback", webhookLimiter, handleSTKCallback);
+router.post("/webhook/stk-callback", callbackLimiter, handleSTKCallback);
+router.post("/webhook/b2c-result", callbackLimiter, handleB2CResult);
+router.post("/webhook/b2c-timeout", callbackLimiter, handleB2CTimeout);
+router.post("/webhook/reversal-result", callbackLimiter, handleReversalResult);
+router.post("/webhook/reversal-timeout", callbackLimiter, handleReversalTimeout);
 
 // ========== PROTECTED ROUTES (Merchant Only) ==========
 // STK Push initiation
@@ -48,6 +79,31 @@ router.get("/transaction/status", authLimiter, protect, merchantOnly, validateTo
 router.get("/transactions", authLimiter, protect, merchantOnly, validateToken, getMerchantTransactions);
 router.get("/analytics", authLimiter, protect, merchantOnly, getTransactionAnalytics);
 
+// B2C refunds and payouts
+router.post("/transactions/:transactionId/refund", authLimiter, protect, merchantOnly, initiateRefund);
+router.post("/b2c/payout", authLimiter, protect, merchantOnly, initiatePayout);
+
+// Reversals (payments made to the wrong till)
+router.post("/transactions/:transactionId/reversal", authLimiter, protect, merchantOnly, requestReversal);
+router.get("/transactions/:transactionId/reversal", authLimiter, protect, merchantOnly, getReversalStatus);
+
+// C2B onboarding: verify Daraja credentials and register validation/confirmation URLs
+router.post("/business/:businessId/register-urls", authLimiter, protect, merchantOnly, registerBusinessC2BUrls);
+
+// Backfill payments missed while the confirmation webhook was down
+router.post("/business/:businessId/backfill", authLimiter, protect, merchantOnly, startBackfill);
+router.get("/business/:businessId/backfill", authLimiter, protect, merchantOnly, getBackfillJobs);
+router.get("/backfill/:jobId", authLimiter, protect, merchantOnly, getBackfillJob);
+
+// ========== ADMIN ROUTES ==========
+// Unmatched C2B payments inbox
+router.get("/admin/unmatched-payments", authLimiter, protect, adminOnly, getUnmatchedPayments);
+router.post("/admin/unmatched-payments/:paymentId/assign", authLimiter, protect, adminOnly, assignUnmatchedPayment);
+
+// Webhook event log (failed deliveries and replay)
+router.get("/admin/webhook-events", authLimiter, protect, adminOnly, getWebhookEvents);
+router.post("/admin/webhook-events/:eventId/replay", authLimiter, protect, adminOnly, replayWebhookEvent);
+
 // Health check for M-Pesa routes
 router.get("/health", (req, res) => {
   res.json({
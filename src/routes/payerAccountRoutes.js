@@ -0,0 +1,69 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  createPayerAccount,
+  bulkCreatePayerAccounts,
+  getPayerAccounts,
+  getPayerAccount,
+  updatePayerAccount,
+  updatePayerAccountStatus,
+  chargePayerAccount,
+  bulkChargePayerAccounts,
+  adjustPayerAccount,
+  applyPayerAccountPayment,
+  getPayerAccountStatement,
+  getArrearsReport
+} from "../controllers/payerAccountController.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const payerAccountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 200, // Limit each IP to 200 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many payer account requests, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// POST /api/payer-accounts - Create a payer account
+router.post("/", payerAccountLimiter, protect, merchantOnly, createPayerAccount);
+
+// GET /api/payer-accounts/business/:businessId - List a business's payer accounts
+router.get("/business/:businessId", payerAccountLimiter, protect, merchantOnly, getPayerAccounts);
+
+// POST /api/payer-accounts/business/:businessId/bulk - Create many payer accounts
+router.post("/business/:businessId/bulk", payerAccountLimiter, protect, merchantOnly, bulkCreatePayerAccounts);
+
+// POST /api/payer-accounts/business/:businessId/charges - Charge all matching accounts
+router.post("/business/:businessId/charges", payerAccountLimiter, protect, merchantOnly, bulkChargePayerAccounts);
+
+// GET /api/payer-accounts/business/:businessId/arrears - Accounts owing amounts already due
+router.get("/business/:businessId/arrears", payerAccountLimiter, protect, merchantOnly, getArrearsReport);
+
+// GET /api/payer-accounts/:accountId - Payer account details
+router.get("/:accountId", payerAccountLimiter, protect, merchantOnly, getPayerAccount);
+
+// PUT /api/payer-accounts/:accountId - Update a payer account
+router.put("/:accountId", payerAccountLimiter, protect, merchantOnly, updatePayerAccount);
+
+// PATCH /api/payer-accounts/:accountId/status - Close or reopen a payer account
+router.patch("/:accountId/status", payerAccountLimiter, protect, merchantOnly, updatePayerAccountStatus);
+
+// POST /api/payer-accounts/:accountId/charges - Charge a payer account
+router.post("/:accountId/charges", payerAccountLimiter, protect, merchantOnly, chargePayerAccount);
+
+// POST /api/payer-accounts/:accountId/adjustments - Manual credit or debit
+router.post("/:accountId/adjustments", payerAccountLimiter, protect, merchantOnly, adjustPayerAccount);
+
+// POST /api/payer-accounts/:accountId/payments - Post an unmatched M-Pesa payment
+router.post("/:accountId/payments", payerAccountLimiter, protect, merchantOnly, applyPayerAccountPayment);
+
+// GET /api/payer-accounts/:accountId/statement - Account statement for a period
+router.get("/:accountId/statement", payerAccountLimiter, protect, merchantOnly, getPayerAccountStatement);
+
+export default router;
@@ -0,0 +1,61 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  createPaymentLink,
+  getPaymentLinks,
+  getPaymentLink,
+  cancelPaymentLink,
+  getPublicPaymentLink,
+  payPaymentLink,
+  getPublicPaymentStatus
+} from "../controllers/paymentLinkController.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const paymentLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: {
+    success: false,
+    message: "Too many payment link requests, please try again after 15 minutes"
+  }
+});
+
+// Each pay request sends an STK prompt to a phone - keep it tight
+const payLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: "Too many payment attempts, please try again after 15 minutes"
+  }
+});
+
+// ========== PUBLIC ROUTES (Customers) ==========
+
+// GET /api/payment-links/public/:code - Link details for the pay page
+router.get("/public/:code", paymentLinkLimiter, getPublicPaymentLink);
+
+// POST /api/payment-links/public/:code/pay - Send an STK prompt to the customer's phone
+router.post("/public/:code/pay", payLimiter, payPaymentLink);
+
+// GET /api/payment-links/public/:code/status/:checkoutRequestId - Outcome of the prompt
+router.get("/public/:code/status/:checkoutRequestId", paymentLinkLimiter, getPublicPaymentStatus);
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// POST /api/payment-links - Create a payment link
+router.post("/", paymentLinkLimiter, protect, merchantOnly, createPaymentLink);
+
+// GET /api/payment-links/business/:businessId - List a business's payment links
+router.get("/business/:businessId", paymentLinkLimiter, protect, merchantOnly, getPaymentLinks);
+
+// GET /api/payment-links/:linkId - Link details with payments
+router.get("/:linkId", paymentLinkLimiter, protect, merchantOnly, getPaymentLink);
+
+// PATCH /api/payment-links/:linkId/cancel - Stop accepting payments
+router.patch("/:linkId/cancel", paymentLinkLimiter, protect, merchantOnly, cancelPaymentLink);
+
+export default router;
@@ -0,0 +1,49 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  createSchedule,
+  getSchedules,
+  getSchedule,
+  updateSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule
+} from "../controllers/paymentScheduleController.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const scheduleLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many payment schedule requests, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// POST /api/payment-schedules - Create a recurring schedule
+router.post("/", scheduleLimiter, protect, merchantOnly, createSchedule);
+
+// GET /api/payment-schedules/business/:businessId - List a business's schedules
+router.get("/business/:businessId", scheduleLimiter, protect, merchantOnly, getSchedules);
+
+// GET /api/payment-schedules/:scheduleId - Schedule with attempt history
+router.get("/:scheduleId", scheduleLimiter, protect, merchantOnly, getSchedule);
+
+// PUT /api/payment-schedules/:scheduleId - Update amount, end or retry policy
+router.put("/:scheduleId", scheduleLimiter, protect, merchantOnly, updateSchedule);
+
+// PATCH /api/payment-schedules/:scheduleId/pause - Stop sending prompts
+router.patch("/:scheduleId/pause", scheduleLimiter, protect, merchantOnly, pauseSchedule);
+
+// PATCH /api/payment-schedules/:scheduleId/resume - Resume and retry the current installment
+router.patch("/:scheduleId/resume", scheduleLimiter, protect, merchantOnly, resumeSchedule);
+
+// PATCH /api/payment-schedules/:scheduleId/cancel - Cancel the schedule
+router.patch("/:scheduleId/cancel", scheduleLimiter, protect, merchantOnly, cancelSchedule);
+
+export default router;
@@ -0,0 +1,43 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  createQrCode,
+  getQrCodes,
+  getQrCode,
+  downloadQrCode
+} from "../controllers/qrCodeController.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const qrCodeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many QR code requests, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// POST /api/qr-codes - Generate a till/paybill QR code (optional amount and account reference)
+router.post("/", qrCodeLimiter, protect, merchantOnly, createQrCode);
+
+// GET /api/qr-codes/business/:businessId - History of a business's QR codes
+router.get("/business/:businessId", qrCodeLimiter, protect, merchantOnly, getQrCodes);
+
+// GET /api/qr-codes/:qrCodeId - QR code with its image (base64 PNG)
+router.get("/:qrCodeId", qrCodeLimiter, protect, merchantOnly, getQrCode);
+
+// GET /api/qr-codes/:qrCodeId/png - PNG image
+router.get("/:qrCodeId/png", qrCodeLimiter, protect, merchantOnly, downloadQrCode('png'));
+
+// GET /api/qr-codes/:qrCodeId/svg - SVG image (embeds the PNG)
+router.get("/:qrCodeId/svg", qrCodeLimiter, protect, merchantOnly, downloadQrCode('svg'));
+
+// GET /api/qr-codes/:qrCodeId/poster - Printable A5 poster (PDF)
+router.get("/:qrCodeId/poster", qrCodeLimiter, protect, merchantOnly, downloadQrCode('poster'));
+
+export default router;
@@ -0,0 +1,69 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  createReconciliation,
+  getReconciliations,
+  getReconciliation,
+  getReconciliationItems,
+  resolveReconciliationItem
+} from "../controllers/reconciliationController.js";
+import { uploadManualStatement } from "../middleware/uploadMiddleware.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const reconciliationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 200, // Limit each IP to 200 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many reconciliation requests, please try again after 15 minutes"
+  }
+});
+
+// Statement uploads are parsed and compared in the request
+const uploadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many statement uploads, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// POST /api/reconciliations/business/:businessId - Upload a statement (field "statement") and reconcile it
+router.post(
+  "/business/:businessId",
+  uploadLimiter,
+  protect,
+  merchantOnly,
+  (req, res, next) => {
+    uploadManualStatement(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        });
+      }
+      next();
+    });
+  },
+  createReconciliation
+);
+
+// GET /api/reconciliations/business/:businessId - List reconciliation runs
+router.get("/business/:businessId", reconciliationLimiter, protect, merchantOnly, getReconciliations);
+
+// GET /api/reconciliations/:runId - Reconciliation run summary
+router.get("/:runId", reconciliationLimiter, protect, merchantOnly, getReconciliation);
+
+// GET /api/reconciliations/:runId/items - Items to resolve (filter by type/status)
+router.get("/:runId/items", reconciliationLimiter, protect, merchantOnly, getReconciliationItems);
+
+// PATCH /api/reconciliations/:runId/items/:itemId - Acknowledge, import or reopen an item
+router.patch("/:runId/items/:itemId", reconciliationLimiter, protect, merchantOnly, resolveReconciliationItem);
+
+export default router;
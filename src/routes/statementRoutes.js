@@ -0,0 +1,34 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  createStatement,
+  getStatements,
+  downloadStatement
+} from "../controllers/statementController.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+import { requirePlanFeature } from "../middleware/tokenMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const statementLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many statement requests, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// POST /api/statements/business/:businessId - Generate a statement (period=YYYY-MM or startDate/endDate)
+router.post("/business/:businessId", statementLimiter, protect, merchantOnly, requirePlanFeature('pdf-reports'), createStatement);
+
+// GET /api/statements/business/:businessId - List generated statements
+router.get("/business/:businessId", statementLimiter, protect, merchantOnly, getStatements);
+
+// GET /api/statements/:statementId/download - Download the PDF
+router.get("/:statementId/download", statementLimiter, protect, merchantOnly, downloadStatement);
+
+export default router;
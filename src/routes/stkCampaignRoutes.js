@@ -0,0 +1,67 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  createCampaign,
+  getCampaigns,
+  getCampaignProgress,
+  getCampaignRecipients,
+  startCampaign,
+  pauseCampaign,
+  cancelCampaign
+} from "../controllers/stkCampaignController.js";
+import { uploadCampaignRecipients } from "../middleware/uploadMiddleware.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const campaignLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many campaign requests, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// POST /api/campaigns - Create a campaign (JSON recipients or "recipients" CSV upload)
+router.post(
+  "/",
+  campaignLimiter,
+  protect,
+  merchantOnly,
+  (req, res, next) => {
+    uploadCampaignRecipients(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        });
+      }
+      next();
+    });
+  },
+  createCampaign
+);
+
+// GET /api/campaigns/business/:businessId - List a business's campaigns
+router.get("/business/:businessId", campaignLimiter, protect, merchantOnly, getCampaigns);
+
+// GET /api/campaigns/:campaignId - Campaign with collection totals
+router.get("/:campaignId", campaignLimiter, protect, merchantOnly, getCampaignProgress);
+
+// GET /api/campaigns/:campaignId/recipients - Recipients with payment outcome
+router.get("/:campaignId/recipients", campaignLimiter, protect, merchantOnly, getCampaignRecipients);
+
+// PATCH /api/campaigns/:campaignId/start - Start or resume sending prompts (requires API token)
+router.patch("/:campaignId/start", campaignLimiter, protect, merchantOnly, startCampaign);
+
+// PATCH /api/campaigns/:campaignId/pause - Pause after the current prompt
+router.patch("/:campaignId/pause", campaignLimiter, protect, merchantOnly, pauseCampaign);
+
+// PATCH /api/campaigns/:campaignId/cancel - Cancel prompts not yet sent
+router.patch("/:campaignId/cancel", campaignLimiter, protect, merchantOnly, cancelCampaign);
+
+export default router;
@@ -0,0 +1,109 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  searchTransactions,
+  getTransactionAnnotations,
+  addTransactionNote,
+  deleteTransactionNote,
+  setTransactionTags,
+  addTransactionAttachments,
+  downloadTransactionAttachment,
+  deleteTransactionAttachment,
+  getTransactionTags,
+  createTransactionTag,
+  updateTransactionTag,
+  deleteTransactionTag
+} from "../controllers/transactionController.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+import { uploadTransactionAttachments } from "../middleware/uploadMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const searchLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // Limit each IP to 300 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many transaction requests, please try again after 15 minutes"
+  }
+});
+
+const annotationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 200, // Limit each IP to 200 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many annotation requests, please try again after 15 minutes"
+  }
+});
+
+const uploadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // Limit each IP to 30 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many attachment uploads, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// GET /api/transactions/business/:businessId - Search transactions from every source
+// Filters: q, status, source, transactionType, category, categoryId, classificationMethod,
+// minAmount, maxAmount, phoneNumber, customerName, billRefNumber, startDate, endDate,
+// tags (all must match), hasNotes (true|false), note (text within notes)
+// Paging: sortBy (transactionTime|createdAt|amount), sortOrder (asc|desc), limit, cursor, includeTotal
+router.get("/business/:businessId", searchLimiter, protect, merchantOnly, searchTransactions);
+
+// GET /api/transactions/business/:businessId/tags - List tags with usage counts
+router.get("/business/:businessId/tags", annotationLimiter, protect, merchantOnly, getTransactionTags);
+
+// POST /api/transactions/business/:businessId/tags - Create a tag { name, color?, description? }
+router.post("/business/:businessId/tags", annotationLimiter, protect, merchantOnly, createTransactionTag);
+
+// PATCH /api/transactions/business/:businessId/tags/:tagId - Rename or restyle a tag (renames every tagged transaction)
+router.patch("/business/:businessId/tags/:tagId", annotationLimiter, protect, merchantOnly, updateTransactionTag);
+
+// DELETE /api/transactions/business/:businessId/tags/:tagId - Delete a tag and remove it from transactions
+router.delete("/business/:businessId/tags/:tagId", annotationLimiter, protect, merchantOnly, deleteTransactionTag);
+
+// GET /api/transactions/:transactionId/annotations - Get notes, tags and attachments
+router.get("/:transactionId/annotations", annotationLimiter, protect, merchantOnly, getTransactionAnnotations);
+
+// POST /api/transactions/:transactionId/notes - Add a note { text }
+router.post("/:transactionId/notes", annotationLimiter, protect, merchantOnly, addTransactionNote);
+
+// DELETE /api/transactions/:transactionId/notes/:noteId - Delete a note
+router.delete("/:transactionId/notes/:noteId", annotationLimiter, protect, merchantOnly, deleteTransactionNote);
+
+// PUT /api/transactions/:transactionId/tags - Replace tags { tags: [...] }
+router.put("/:transactionId/tags", annotationLimiter, protect, merchantOnly, setTransactionTags);
+
+// POST /api/transactions/:transactionId/attachments - Upload receipts/invoices (multipart field "attachments", up to 5 images or PDFs)
+router.post(
+  "/:transactionId/attachments",
+  uploadLimiter,
+  protect,
+  merchantOnly,
+  (req, res, next) => {
+    uploadTransactionAttachments(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+      next();
+    });
+  },
+  addTransactionAttachments
+);
+
+// GET /api/transactions/:transactionId/attachments/:attachmentId - View an attachment (?download=true to download)
+router.get("/:transactionId/attachments/:attachmentId", annotationLimiter, protect, merchantOnly, downloadTransactionAttachment);
+
+// DELETE /api/transactions/:transactionId/attachments/:attachmentId - Delete an attachment
+router.delete("/:transactionId/attachments/:attachmentId", annotationLimiter, protect, merchantOnly, deleteTransactionAttachment);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import {
+  getValidationPolicy,
+  updateValidationPolicy,
+  getValidationRejections
+} from "../controllers/validationPolicyController.js";
+import { protect, merchantOnly } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Rate limiting
+const validationPolicyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many validation policy requests, please try again after 15 minutes"
+  }
+});
+
+// ========== PROTECTED ROUTES (Merchant Only) ==========
+
+// GET /api/validation-policy/:businessId - View C2B validation policy
+router.get("/:businessId", validationPolicyLimiter, protect, merchantOnly, getValidationPolicy);
+
+// PUT /api/validation-policy/:businessId - Create or update C2B validation policy
+router.put("/:businessId", validationPolicyLimiter, protect, merchantOnly, updateValidationPolicy);
+
+// GET /api/validation-policy/:businessId/rejections - Payments rejected by the policy
+router.get("/:businessId/rejections", validationPolicyLimiter, protect, merchantOnly, getValidationRejections);
+
+export default router;
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+// Load environment variables FIRST
+dotenv.config();
+
+import Business, { CREDENTIAL_FIELDS } from "../models/Business.js";
+import { CredentialCrypto } from "../utils/credentialCrypto.js";
+
+/**
+ * Re-encrypt every business's M-Pesa credentials with the current master key.
+ * Also encrypts credentials saved before encryption was introduced.
+ *
+ * Usage:
+ *   npm run rotate-credentials             re-encrypt everything not on the current key
+ *   npm run rotate-credentials -- --dry-run  only report what would change
+ *
+ * Keep the previous key in MPESA_CREDENTIALS_MASTER_KEYS until this has run.
+ */
+
+const dryRun = process.argv.includes('--dry-run');
+
+const rotate = async () => {
+  if (!process.env.MONGO_URL) {
+    throw new Error('MONGO_URL is not defined in environment variables');
+  }
+
+  const currentVersion = CredentialCrypto.getCurrentVersion();
+  console.log(`🔐 Rotating M-Pesa credentials to master key v${currentVersion}${dryRun ? ' (dry run)' : ''}`);
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  const summary = { businesses: 0, rotated: 0, upToDate: 0, failed: 0 };
+  const cursor = Business.find({}).select(CREDENTIAL_FIELDS.join(' ')).lean().cursor();
+
+  for await (const business of cursor) {
+    summary.businesses++;
+
+    try {
+      const update = {};
+      CREDENTIAL_FIELDS.forEach(field => {
+        if (CredentialCrypto.needsRotation(business[field])) {
+          update[field] = CredentialCrypto.reencrypt(business[field]);
+        }
+      });
+
+      if (Object.keys(update).length === 0) {
+        summary.upToDate++;
+        continue;
+      }
+
+      if (!dryRun) {
+        // Values are already encrypted - write them as-is
+        await Business.collection.updateOne({ _id: business._id }, { $set: update });
+      }
+      summary.rotated++;
+
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Failed to rotate credentials for business ${business._id}:`, error.message);
+    }
+  }
+
+  console.log('✅ Credential rotation finished:', summary);
+  return summary;
+};
+
+rotate()
+  .then(async (summary) => {
+    await mongoose.connection.close();
+    process.exit(summary.failed > 0 ? 1 : 0);
+  })
+  .catch(async (error) => {
+    console.error('❌ Credential rotation failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
@@ -0,0 +1,460 @@
+import Business from "../models/Business.js";
+import Customer from "../models/Customer.js";
+import Transaction, { MONEY_IN } from "../models/Transaction.js";
+import {
+  DEFAULT_TIMEZONE,
+  formatZonedDate,
+  getZonedParts,
+  isValidTimeZone,
+  zonedMidnight
+} from "../utils/timezone.js";
+import { ServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Analytics Service
+ * Time series of completed payments bucketed by hour, day, week (Monday
+ * start) or month in the business's timezone, with the same figures for the
+ * previous equivalent period, and customer retention (repeat rate, new vs
+ * returning revenue, monthly cohorts, lapsed customers). Customers are
+ * payer phone numbers. B2C payouts are money out and left out.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Buckets shown when no date range is given, and the most a range may span
+const INTERVALS = {
+  hour: { defaultBuckets: 24, maxBuckets: 31 * 24 },
+  day: { defaultBuckets: 30, maxBuckets: 366 },
+  week: { defaultBuckets: 12, maxBuckets: 156 },
+  month: { defaultBuckets: 12, maxBuckets: 60 }
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_COHORT_MONTHS = 6;
+const MAX_COHORT_MONTHS = 24;
+const DEFAULT_LAPSED_DAYS = 30;
+
+const percentChange = (current, previous) =>
+  previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+class AnalyticsService {
+  // Start of the bucket containing an instant
+  bucketStart(date, interval, timezone) {
+    const p = getZonedParts(date, timezone);
+
+    switch (interval) {
+      case 'hour':
+        // Dropping the local minutes and seconds also handles half-hour offsets
+        return new Date(Math.floor(date.getTime() / 1000) * 1000 - (p.minute * 60 + p.second) * 1000);
+      case 'week': {
+        const daysSinceMonday = (new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay() + 6) % 7;
+        return zonedMidnight(p.year, p.month, p.day - daysSinceMonday, timezone);
+      }
+      case 'month':
+        return zonedMidnight(p.year, p.month, 1, timezone);
+      default:
+        return zonedMidnight(p.year, p.month, p.day, timezone);
+    }
+  }
+
+  // Move a bucket start forward (or back, for negative counts) by whole buckets
+  addBuckets(start, count, interval, timezone) {
+    if (interval === 'hour') {
+      return new Date(start.getTime() + count * HOUR_MS);
+    }
+
+    const p = getZonedParts(start, timezone);
+    switch (interval) {
+      case 'week':
+        return zonedMidnight(p.year, p.month, p.day + count * 7, timezone);
+      case 'month':
+        return zonedMidnight(p.year, p.month + count, 1, timezone);
+      default:
+        return zonedMidnight(p.year, p.month, p.day + count, timezone);
+    }
+  }
+
+  // Bucket label, matching what bucketExpression produces in MongoDB
+  bucketKey(start, interval, timezone) {
+    const p = getZonedParts(start, timezone);
+
+    switch (interval) {
+      case 'hour':
+        return `${formatZonedDate(start, timezone)}T${pad(p.hour)}:00`;
+      case 'month':
+        return `${p.year}-${pad(p.month)}`;
+      default:
+        return formatZonedDate(start, timezone);
+    }
+  }
+
+  // Aggregation expression giving each transaction's bucket label
+  bucketExpression(interval, timezone) {
+    const date = '$transactionTime';
+
+    switch (interval) {
+      case 'hour':
+        return { $dateToString: { format: '%Y-%m-%dT%H:00', date, timezone } };
+      case 'week':
+        // Weeks are labelled by their Monday
+        return {
+          $dateToString: {
+            format: '%Y-%m-%d',
+            timezone,
+            date: {
+              $dateFromParts: {
+                isoWeekYear: { $isoWeekYear: { date, timezone } },
+                isoWeek: { $isoWeek: { date, timezone } },
+                isoDayOfWeek: 1,
+                timezone
+              }
+            }
+          }
+        };
+      case 'month':
+        return { $dateToString: { format: '%Y-%m', date, timezone } };
+      default:
+        return { $dateToString: { format: '%Y-%m-%d', date, timezone } };
+    }
+  }
+
+  // Parse a local "YYYY-MM-DD" date into its midnight
+  parseLocalDate(value, name, timezone) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) {
+      throw new ServiceError(`${name} must be a date in YYYY-MM-DD format`);
+    }
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+      throw new ServiceError(`${name} is not a valid date`);
+    }
+
+    return zonedMidnight(year, month, day, timezone);
+  }
+
+  // Resolve interval, timezone and the bucket-aligned range [start, end)
+  resolveRange({ interval = 'day', startDate, endDate, timezone } = {}, business) {
+    if (!INTERVALS[interval]) {
+      throw new ServiceError(`Interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+    }
+
+    const zone = timezone || business.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimeZone(zone)) {
+      throw new ServiceError(`Unknown timezone: ${zone}`);
+    }
+
+    let start;
+    let end;
+
+    if (startDate || endDate) {
+      // Whole buckets covering the inclusive local dates
+      const first = this.parseLocalDate(startDate || endDate, 'startDate', zone);
+      const last = this.parseLocalDate(endDate || startDate, 'endDate', zone);
+      if (last < first) {
+        throw new ServiceError('endDate must not be before startDate');
+      }
+
+      const lastDayEnd = this.addBuckets(last, 1, 'day', zone);
+      start = this.bucketStart(first, interval, zone);
+      end = this.addBuckets(this.bucketStart(new Date(lastDayEnd.getTime() - 1), interval, zone), 1, interval, zone);
+    } else {
+      // The latest buckets, up to and including the current one
+      end = this.addBuckets(this.bucketStart(new Date(), interval, zone), 1, interval, zone);
+      start = this.addBuckets(end, -INTERVALS[interval].defaultBuckets, interval, zone);
+    }
+
+    const buckets = [];
+    for (let bucket = start; bucket < end; bucket = this.addBuckets(bucket, 1, interval, zone)) {
+      if (buckets.length === INTERVALS[interval].maxBuckets) {
+        throw new ServiceError(`A series can cover at most ${INTERVALS[interval].maxBuckets} ${interval} buckets`);
+      }
+      buckets.push(bucket);
+    }
+
+    return {
+      interval,
+      timezone: zone,
+      start,
+      end,
+      buckets,
+      previousStart: this.addBuckets(start, -buckets.length, interval, zone)
+    };
+  }
+
+  // Empty figures for a bucket or period
+  emptyFigures() {
+    return { count: 0, total: 0, average: 0, bySource: {}, byType: {} };
+  }
+
+  // Add one aggregation group (source + type) into a set of figures
+  addGroup(figures, group) {
+    figures.count += group.count;
+    figures.total += group.total;
+
+    for (const [breakdown, key] of [['bySource', group.source], ['byType', group.transactionType]]) {
+      const entry = figures[breakdown][key] || (figures[breakdown][key] = { count: 0, total: 0, average: 0 });
+      entry.count += group.count;
+      entry.total += group.total;
+    }
+  }
+
+  // Round totals and fill in averages once all groups are added
+  finishFigures(figures) {
+    for (const entry of [figures, ...Object.values(figures.bySource), ...Object.values(figures.byType)]) {
+      entry.total = roundAmount(entry.total);
+      entry.average = entry.count > 0 ? roundAmount(entry.total / entry.count) : 0;
+    }
+    return figures;
+  }
+
+  // Growth % of count, total and average, overall and per source and type
+  growth(current, previous) {
+    const change = (now = {}, before = {}) => ({
+      count: percentChange(now.count || 0, before.count || 0),
+      total: percentChange(now.total || 0, before.total || 0),
+      average: percentChange(now.average || 0, before.average || 0)
+    });
+
+    const breakdown = (name) => {
+      const keys = new Set([...Object.keys(current[name]), ...Object.keys(previous[name])]);
+      return Object.fromEntries([...keys].map(key => [key, change(current[name][key], previous[name][key])]));
+    };
+
+    return {
+      ...change(current, previous),
+      bySource: breakdown('bySource'),
+      byType: breakdown('byType')
+    };
+  }
+
+  // Time series with totals and growth against the previous equivalent period
+  async getTimeSeries(businessId, merchantId, options = {}) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+    const range = this.resolveRange(options, business);
+    const { interval, timezone, start, end, previousStart } = range;
+
+    const groupFields = { source: '$source', transactionType: '$transactionType' };
+    const sums = { count: { $sum: 1 }, total: { $sum: '$amount' } };
+
+    const [currentGroups, previousGroups] = await Promise.all([
+      Transaction.aggregate([
+        { $match: { business: business._id, transactionTime: { $gte: start, $lt: end }, ...MONEY_IN } },
+        { $group: { _id: { bucket: this.bucketExpression(interval, timezone), ...groupFields }, ...sums } }
+      ]),
+      Transaction.aggregate([
+        { $match: { business: business._id, transactionTime: { $gte: previousStart, $lt: start }, ...MONEY_IN } },
+        { $group: { _id: groupFields, ...sums } }
+      ])
+    ]);
+
+    // Every bucket appears, empty ones included, so charts have no gaps
+    const series = range.buckets.map(bucketStart => ({
+      bucket: this.bucketKey(bucketStart, interval, timezone),
+      start: bucketStart,
+      ...this.emptyFigures()
+    }));
+    const seriesByKey = new Map(series.map(point => [point.bucket, point]));
+
+    const current = this.emptyFigures();
+    for (const { _id, count, total } of currentGroups) {
+      const group = { ..._id, count, total };
+      const point = seriesByKey.get(_id.bucket);
+      if (point) this.addGroup(point, group);
+      this.addGroup(current, group);
+    }
+    series.forEach(point => this.finishFigures(point));
+    this.finishFigures(current);
+
+    const previous = this.emptyFigures();
+    for (const { _id, count, total } of previousGroups) {
+      this.addGroup(previous, { ..._id, count, total });
+    }
+    this.finishFigures(previous);
+
+    return {
+      interval,
+      timezone,
+      period: { start, end },
+      previousPeriod: { start: previousStart, end: start },
+      series,
+      totals: { current, previous },
+      growth: this.growth(current, previous)
+    };
+  }
+
+  // Share of a whole as a percentage (one decimal)
+  rate(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+  }
+
+  // Repeat-customer rate and new vs returning split for a period (default last 30 days)
+  async getRetentionSummary(businessId, merchantId, options = {}) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+    const { timezone, start, end } = this.resolveRange({ ...options, interval: 'day' }, business);
+
+    const inPeriod = { $gte: ['$transactionTime', start] };
+
+    // New customers paid for the first time ever within the period
+    const [summary] = await Transaction.aggregate([
+      { $match: { business: business._id, transactionTime: { $lt: end }, ...MONEY_IN } },
+      {
+        $group: {
+          _id: '$customer.phoneNumber',
+          firstSeenAt: { $min: '$transactionTime' },
+          payments: { $sum: { $cond: [inPeriod, 1, 0] } },
+          total: { $sum: { $cond: [inPeriod, '$amount', 0] } }
+        }
+      },
+      { $match: { payments: { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          customers: { $sum: 1 },
+          repeatCustomers: { $sum: { $cond: [{ $gte: ['$payments', 2] }, 1, 0] } },
+          newCustomers: { $sum: { $cond: [{ $gte: ['$firstSeenAt', start] }, 1, 0] } },
+          newPayments: { $sum: { $cond: [{ $gte: ['$firstSeenAt', start] }, '$payments', 0] } },
+          newRevenue: { $sum: { $cond: [{ $gte: ['$firstSeenAt', start] }, '$total', 0] } },
+          payments: { $sum: '$payments' },
+          revenue: { $sum: '$total' }
+        }
+      }
+    ]).allowDiskUse(true);
+
+    const figures = summary || {
+      customers: 0, repeatCustomers: 0, newCustomers: 0, newPayments: 0, newRevenue: 0, payments: 0, revenue: 0
+    };
+    const returningCustomers = figures.customers - figures.newCustomers;
+    const returningRevenue = figures.revenue - figures.newRevenue;
+
+    return {
+      timezone,
+      period: { start, end },
+      customers: figures.customers,
+      repeatCustomers: figures.repeatCustomers,
+      repeatCustomerRate: this.rate(figures.repeatCustomers, figures.customers),
+      paymentsPerCustomer: figures.customers > 0 ? Math.round((figures.payments / figures.customers) * 100) / 100 : 0,
+      new: {
+        customers: figures.newCustomers,
+        payments: figures.newPayments,
+        revenue: roundAmount(figures.newRevenue),
+        revenueShare: this.rate(figures.newRevenue, figures.revenue)
+      },
+      returning: {
+        customers: returningCustomers,
+        payments: figures.payments - figures.newPayments,
+        revenue: roundAmount(returningRevenue),
+        revenueShare: this.rate(returningRevenue, figures.revenue)
+      },
+      revenue: roundAmount(figures.revenue)
+    };
+  }
+
+  // Monthly cohorts by first payment, with the share still paying in each later month
+  async getCohortRetention(businessId, merchantId, { months, timezone } = {}) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    const cohortMonths = months === undefined ? DEFAULT_COHORT_MONTHS : months;
+    if (!Number.isInteger(cohortMonths) || cohortMonths < 1 || cohortMonths > MAX_COHORT_MONTHS) {
+      throw new ServiceError(`Months must be a whole number from 1 to ${MAX_COHORT_MONTHS}`);
+    }
+
+    const range = this.resolveRange({ interval: 'month', timezone }, business);
+    const zone = range.timezone;
+    const end = range.end;
+    const start = this.addBuckets(end, -cohortMonths, 'month', zone);
+    const firstCohort = this.bucketKey(start, 'month', zone);
+
+    const monthOf = (date) => ({ $dateToString: { format: '%Y-%m', date, timezone: zone } });
+
+    const groups = await Transaction.aggregate([
+      { $match: { business: business._id, transactionTime: { $lt: end }, ...MONEY_IN } },
+      {
+        $group: {
+          _id: '$customer.phoneNumber',
+          firstSeenAt: { $min: '$transactionTime' },
+          activeMonths: { $addToSet: monthOf('$transactionTime') }
+        }
+      },
+      { $match: { firstSeenAt: { $gte: start } } },
+      { $project: { cohort: monthOf('$firstSeenAt'), activeMonths: 1 } },
+      { $unwind: '$activeMonths' },
+      { $group: { _id: { cohort: '$cohort', month: '$activeMonths' }, customers: { $sum: 1 } } }
+    ]).allowDiskUse(true);
+
+    const active = new Map(groups.map(({ _id, customers }) => [`${_id.cohort}|${_id.month}`, customers]));
+    const monthKeys = [];
+    for (let month = start; month < end; month = this.addBuckets(month, 1, 'month', zone)) {
+      monthKeys.push(this.bucketKey(month, 'month', zone));
+    }
+
+    // Row per cohort; column k is k months after the first payment
+    const cohorts = monthKeys.map((cohort, index) => {
+      const customers = active.get(`${cohort}|${cohort}`) || 0;
+
+      return {
+        cohort,
+        customers,
+        retention: monthKeys.slice(index).map((month, offset) => {
+          const activeCustomers = active.get(`${cohort}|${month}`) || 0;
+          return {
+            monthsSinceFirstPayment: offset,
+            month,
+            customers: activeCustomers,
+            rate: this.rate(activeCustomers, customers)
+          };
+        })
+      };
+    });
+
+    return {
+      timezone: zone,
+      firstCohort,
+      months: cohortMonths,
+      cohorts
+    };
+  }
+
+  // Customers who have not paid in the last N days, most valuable first
+  async getLapsedCustomers(businessId, merchantId, { days, page = 1, limit = 50, minVisits } = {}) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    const lapsedDays = days === undefined ? DEFAULT_LAPSED_DAYS : days;
+    if (!Number.isInteger(lapsedDays) || lapsedDays < 1) {
+      throw new ServiceError('Days must be a whole number of at least 1');
+    }
+
+    const now = new Date();
+    const options = {
+      page,
+      limit,
+      minVisits,
+      lastSeenBefore: new Date(now.getTime() - lapsedDays * DAY_MS),
+      sort: '-lifetimeValue'
+    };
+
+    const [customers, total] = await Promise.all([
+      Customer.findByBusiness(business._id, options),
+      Customer.countDocuments(Customer.buildFilter(business._id, options))
+    ]);
+
+    return {
+      days: lapsedDays,
+      customers: customers.map(customer => ({
+        ...customer.getSummary(),
+        daysSinceLastPayment: Math.floor((now - customer.lastSeenAt) / DAY_MS)
+      })),
+      total
+    };
+  }
+}
+
+// Export singleton instance
+export default new AnalyticsService();
@@ -0,0 +1,227 @@
+import mongoose from "mongoose";
+import Transaction from "../models/Transaction.js";
+import mpesaService from "./mpesaService.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import eventBus from "../utils/eventBus.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * B2C Service
+ * Refunds customers and pays out to phone numbers through Daraja B2C, and
+ * resolves the pending payout from the asynchronous result/timeout callbacks
+ */
+class B2CService {
+  // Total already refunded (or being refunded) against a sale. A queue timeout
+  // is not final - Daraja may still pay it - so it counts until a result arrives.
+  async getRefundedAmount(originalTransactionId) {
+    const result = await Transaction.aggregate([
+      {
+        $match: {
+          originalTransaction: new mongoose.Types.ObjectId(originalTransactionId),
+          category: 'refund',
+          $or: [
+            { status: { $in: ['pending', 'completed'] } },
+            { status: 'failed', errorCode: 'QUEUE_TIMEOUT' }
+          ]
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
+    return result[0]?.total || 0;
+  }
+
+  // Refund all or part of a completed sale to the paying customer
+  async initiateRefund({ transactionId, amount, remarks, merchantId }) {
+    const original = await Transaction.findByIdOrReference(transactionId);
+    if (!original) {
+      throw new NotFoundError('Original transaction not found');
+    }
+
+    const businessCredentials = await mpesaService.getBusinessCredentials(original.business, merchantId);
+    if (!businessCredentials.success) {
+      throw new NotFoundError('Original transaction not found');
+    }
+
+    if (original.status !== 'completed' || original.category !== 'sale') {
+      throw new ServiceError('Only completed sales can be refunded');
+    }
+
+    // A reversal in flight (or timed out in the queue) may still return the whole amount
+    const reversal = original.reversal;
+    if (['pending', 'completed'].includes(reversal?.status) ||
+        (reversal?.status === 'failed' && reversal.resultCode === 'QUEUE_TIMEOUT')) {
+      throw new ServiceError('This sale has a reversal in progress or completed and cannot be refunded');
+    }
+
+    const refundable = original.amount - await this.getRefundedAmount(original._id);
+    const refundAmount = amount ? parseFloat(amount) : refundable;
+
+    if (isNaN(refundAmount) || refundAmount < 1) {
+      throw new ServiceError('Refund amount must be at least KES 1');
+    }
+
+    if (refundAmount > refundable) {
+      throw new ServiceError(`Refund amount exceeds the refundable balance of ${MpesaUtils.formatCurrency(refundable)}`);
+    }
+
+    return this.sendPayment({
+      businessId: original.business,
+      businessCredentials,
+      phoneNumber: original.customer.phoneNumber,
+      amount: refundAmount,
+      category: 'refund',
+      originalTransaction: original,
+      remarks: remarks || `Refund for ${original.mpesaTransactionId}`
+    });
+  }
+
+  // Pay out to any phone number from a business
+  async initiatePayout({ businessId, phoneNumber, amount, remarks, occasion, merchantId }) {
+    const businessCredentials = await mpesaService.getBusinessCredentials(businessId, merchantId);
+    if (!businessCredentials.success) {
+      throw new ServiceError(businessCredentials.message);
+    }
+
+    const formattedPhone = MpesaUtils.formatPhoneNumber(phoneNumber);
+    if (!formattedPhone || !MpesaUtils.isValidMpesaPhoneNumber(formattedPhone)) {
+      throw new ServiceError('Invalid phone number format. Use 07XXXXXXXX or 2547XXXXXXXX');
+    }
+
+    const payoutAmount = parseFloat(amount);
+    if (isNaN(payoutAmount) || payoutAmount < 1 || payoutAmount > 150000) {
+      throw new ServiceError('Amount must be between KES 1 and KES 150,000');
+    }
+
+    return this.sendPayment({
+      businessId,
+      businessCredentials,
+      phoneNumber: formattedPhone,
+      amount: payoutAmount,
+      category: 'transfer',
+      remarks: remarks || 'Payout',
+      occasion
+    });
+  }
+
+  // Record a pending B2C transaction and submit it to Daraja
+  async sendPayment({ businessId, businessCredentials, phoneNumber, amount, category, originalTransaction = null, remarks, occasion }) {
+    const transaction = new Transaction({
+      internalReference: MpesaUtils.generateTransactionReference('B2C'),
+      business: businessId,
+      businessShortCode: businessCredentials.b2cShortCode,
+      amount,
+      transactionType: 'B2C Payment',
+      customer: {
+        phoneNumber,
+        name: originalTransaction?.customer?.name
+      },
+      transactionTime: new Date(),
+      status: 'pending',
+      source: 'mpesa-api',
+      category,
+      description: remarks,
+      originalTransaction: originalTransaction?._id || null
+    });
+
+    // Our reference doubles as the Daraja OriginatorConversationID
+    transaction.originatorConversationId = transaction.internalReference;
+    await transaction.save();
+
+    const result = await mpesaService.initiateB2CPayment({
+      phoneNumber,
+      amount,
+      remarks,
+      occasion,
+      originatorConversationId: transaction.originatorConversationId,
+      businessCredentials
+    });
+
+    if (!result.success) {
+      await transaction.markAsFailed(`B2C request failed: ${result.error}`, result.errorCode);
+      return { success: false, message: result.error, transaction };
+    }
+
+    transaction.conversationId = result.conversationId;
+    await transaction.save();
+
+    return { success: true, message: result.responseDescription, transaction };
+  }
+
+  // Find the B2C transaction a Daraja result/timeout belongs to
+  findByConversation(originatorConversationId, conversationId) {
+    const conditions = [];
+    if (originatorConversationId) conditions.push({ originatorConversationId });
+    if (conversationId) conditions.push({ conversationId });
+
+    if (conditions.length === 0) {
+      return null;
+    }
+    return Transaction.findOne({ transactionType: 'B2C Payment', $or: conditions });
+  }
+
+  // Apply a B2C result callback
+  async processResult(result) {
+    const transaction = await this.findByConversation(result.OriginatorConversationID, result.ConversationID);
+
+    if (!transaction) {
+      throw new Error(`No B2C transaction found for conversation: ${result.ConversationID}`);
+    }
+
+    // A result may still arrive after a queue timeout was recorded
+    const awaitingResult = transaction.status === 'pending' ||
+      (transaction.status === 'failed' && transaction.errorCode === 'QUEUE_TIMEOUT');
+
+    if (!awaitingResult) {
+      return { status: 'already_resolved', transaction };
+    }
+
+    if (Number(result.ResultCode) !== 0) {
+      await transaction.markAsFailed(result.ResultDesc, String(result.ResultCode));
+      return { status: 'failed', transaction };
+    }
+
+    const params = {};
+    result.ResultParameters?.ResultParameter?.forEach(item => {
+      params[item.Key] = item.Value;
+    });
+
+    // "2547XXXXXXXX - Jane Doe"
+    const receiverName = String(params.ReceiverPartyPublicName || '').split(' - ')[1];
+    if (receiverName && !transaction.customer.name?.firstName) {
+      const [firstName, ...rest] = receiverName.trim().split(' ');
+      transaction.customer.name = { firstName, middleName: '', lastName: rest.join(' ') };
+    }
+
+    transaction.errorMessage = undefined;
+    transaction.errorCode = undefined;
+    await transaction.markAsCompleted(params.TransactionReceipt || result.TransactionID, result);
+
+    if (transaction.category === 'refund') {
+      eventBus.emit("REFUND_COMPLETED", transaction);
+    }
+
+    return { status: 'completed', transaction };
+  }
+
+  // Apply a B2C queue timeout callback
+  async processTimeout(payload) {
+    const result = payload.Result || payload;
+    const transaction = await this.findByConversation(result.OriginatorConversationID, result.ConversationID);
+
+    if (!transaction) {
+      throw new Error(`No B2C transaction found for conversation: ${result.ConversationID}`);
+    }
+
+    if (transaction.status !== 'pending') {
+      return { status: 'already_resolved', transaction };
+    }
+
+    await transaction.markAsFailed('B2C request timed out in the Daraja queue', 'QUEUE_TIMEOUT');
+    return { status: 'timed_out', transaction };
+  }
+}
+
+// Export singleton instance
+const b2cService = new B2CService();
+export default b2cService;
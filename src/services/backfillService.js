@@ -0,0 +1,311 @@
+import Business from "../models/Business.js";
+import Transaction from "../models/Transaction.js";
+import UnmatchedPayment from "../models/UnmatchedPayment.js";
+import BackfillJob from "../models/BackfillJob.js";
+import mpesaService from "./mpesaService.js";
+import c2bService from "./c2bService.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import eventBus from "../utils/eventBus.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Backfill Service
+ * Recovers C2B payments whose confirmation never reached us by pulling the
+ * shortcode's transactions from Daraja and inserting any that are missing.
+ */
+
+const MAX_RANGE_DAYS = 31;
+const MAX_PAGES = 50;
+const STALE_JOB_MS = 60 * 60 * 1000;
+
+// How far an STK row's creation time may be from the Daraja payment time
+const STK_MATCH_WINDOW_MS = 15 * 60 * 1000;
+
+// Pull Transactions may mask the payer's number (2547****123); match it digit for digit
+const maskedPhonePattern = (msisdn) => {
+  const masked = String(msisdn || '').replace(/[^\d*]/g, '').replace(/^0/, '254');
+  if (!/^254[\d*]{9}$/.test(masked)) return null;
+  return new RegExp(`^${masked.replace(/\*/g, '\\d')}$`);
+};
+
+class BackfillService {
+  // Validate the request and start a background backfill for a business
+  async startBackfill({ businessId, merchantId, userId, startDate, endDate }) {
+    const businessCredentials = await mpesaService.getBusinessCredentials(businessId, merchantId);
+    if (!businessCredentials.success) {
+      throw new ServiceError(businessCredentials.message);
+    }
+
+    const start = new Date(startDate);
+    const end = endDate ? new Date(endDate) : new Date();
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ServiceError('startDate and endDate must be valid dates');
+    }
+
+    if (start >= end) {
+      throw new ServiceError('startDate must be before endDate');
+    }
+
+    if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new ServiceError(`Backfill range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    // Jobs idle for longer than this were cut off by a restart and don't block new runs
+    const activeJob = await BackfillJob.exists({
+      business: businessId,
+      status: { $in: ['pending', 'running'] },
+      updatedAt: { $gte: new Date(Date.now() - STALE_JOB_MS) }
+    });
+    if (activeJob) {
+      throw new ServiceError('A backfill is already running for this business');
+    }
+
+    const job = await BackfillJob.create({
+      business: businessId,
+      requestedBy: userId,
+      startDate: start,
+      endDate: end > new Date() ? new Date() : end
+    });
+
+    // Run in the background - callers poll the job for the report
+    this.runJob(job, businessCredentials).catch(error => {
+      console.error(`❌ Backfill job ${job._id} crashed:`, error);
+    });
+
+    return job;
+  }
+
+  // Page through Daraja and record every missing payment
+  async runJob(job, businessCredentials) {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    try {
+      const business = await Business.findById(job.business);
+      const seen = new Set();
+      let offset = 0;
+
+      for (let page = 0; page < MAX_PAGES; page++) {
+        const result = await mpesaService.pullTransactions({
+          startDate: job.startDate,
+          endDate: job.endDate,
+          offset,
+          businessCredentials
+        });
+
+        if (!result.success) {
+          throw new Error(`Daraja pull failed: ${result.error}`);
+        }
+
+        const records = result.transactions.filter(record => record.transactionId && !seen.has(record.transactionId));
+
+        // Empty page, or Daraja repeating itself - we're done
+        if (records.length === 0) {
+          break;
+        }
+
+        job.stats.pagesFetched++;
+        job.stats.fetched += records.length;
+        offset += result.transactions.length;
+
+        for (const record of records) {
+          seen.add(record.transactionId);
+          await this.applyRecord(job, business, record);
+        }
+
+        // Persist progress so long runs can be watched
+        await job.save();
+      }
+
+      job.status = 'completed';
+      console.log(`✅ Backfill ${job._id} completed:`, job.stats.toObject());
+
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`❌ Backfill ${job._id} failed:`, error.message);
+    }
+
+    job.completedAt = new Date();
+    await job.save();
+
+    return job;
+  }
+
+  // Convert a Pull Transactions record into stored payment fields
+  buildPaymentData(record, shortCode) {
+    const isBuyGoods = String(record.transactiontype || '').toLowerCase().includes('buy-goods');
+
+    // sender is the payer's name, or just their (masked) number
+    const senderName = /[a-z]/i.test(record.sender || '') ? record.sender.trim().split(/\s+/) : [];
+
+    const msisdn = String(record.msisdn || '');
+    const phoneNumber = MpesaUtils.formatPhoneNumber(msisdn);
+
+    return {
+      mpesaTransactionId: record.transactionId,
+      businessShortCode: shortCode,
+      amount: parseFloat(record.amount),
+      transactionType: isBuyGoods ? 'Buy Goods' : 'Pay Bill',
+      customer: {
+        phoneNumber: phoneNumber && /^254\d{9}$/.test(phoneNumber) && !msisdn.includes('*') ? phoneNumber : null,
+        name: {
+          firstName: senderName[0] || '',
+          middleName: senderName.length > 2 ? senderName.slice(1, -1).join(' ') : '',
+          lastName: senderName.length > 1 ? senderName[senderName.length - 1] : ''
+        }
+      },
+      transactionTime: record.trxDate ? mpesaService.parsePullDate(record.trxDate) : new Date(),
+      billRefNumber: record.billreference || '',
+      maskedPhoneNumber: msisdn.includes('*') ? msisdn : null,
+      rawMpesaResponse: record
+    };
+  }
+
+  // Record one pulled payment unless we already have it
+  async applyRecord(job, business, record) {
+    const paymentData = this.buildPaymentData(record, business.mpesaShortCode);
+
+    try {
+      if (!(paymentData.amount >= 1)) {
+        job.stats.skipped++;
+        return;
+      }
+
+      if (await Transaction.exists({ mpesaTransactionId: paymentData.mpesaTransactionId })) {
+        job.stats.alreadyRecorded++;
+        return;
+      }
+
+      // Quarantined while the business was inactive - Daraja confirms it's theirs
+      const unmatched = await UnmatchedPayment.findOne({
+        mpesaTransactionId: paymentData.mpesaTransactionId,
+        status: 'unmatched'
+      });
+      if (unmatched) {
+        const { transaction } = await c2bService.assignUnmatchedPayment(unmatched._id, business._id, job.requestedBy);
+        this.addRecovered(job, transaction, 'recovered');
+        return;
+      }
+
+      // An STK push whose callback was lost carries no receipt yet
+      const stkTransaction = await this.findReceiptlessSTK(business._id, paymentData);
+      if (stkTransaction) {
+        await this.linkSTKReceipt(stkTransaction, paymentData);
+        this.addRecovered(job, stkTransaction, 'linked');
+        return;
+      }
+
+      // Without the full number there is no valid payer to store - leave it for the merchant
+      if (!paymentData.customer.phoneNumber) {
+        job.stats.skipped++;
+        job.failures.push({
+          mpesaTransactionId: paymentData.mpesaTransactionId,
+          error: paymentData.maskedPhoneNumber
+            ? `Daraja returned a masked phone number (${paymentData.maskedPhoneNumber}) - record this payment manually`
+            : 'Daraja returned no valid phone number - record this payment manually'
+        });
+        return;
+      }
+
+      const { maskedPhoneNumber, ...transactionData } = paymentData;
+      const transaction = await c2bService.recordTransaction(business, transactionData);
+      this.addRecovered(job, transaction, 'recovered');
+
+    } catch (error) {
+      // Confirmation arrived while we were running
+      if (error.code === 11000) {
+        job.stats.alreadyRecorded++;
+        return;
+      }
+
+      job.stats.errors++;
+      job.failures.push({ mpesaTransactionId: paymentData.mpesaTransactionId, error: error.message });
+    }
+  }
+
+  // Find an STK row for the same payer and amount that has no receipt
+  findReceiptlessSTK(businessId, paymentData) {
+    const time = paymentData.transactionTime.getTime();
+    const phoneNumber = paymentData.customer.phoneNumber || maskedPhonePattern(paymentData.maskedPhoneNumber);
+    if (!phoneNumber) {
+      return null;
+    }
+
+    return Transaction.findOne({
+      business: businessId,
+      source: 'stk-push',
+      status: { $in: ['pending', 'completed', 'expired'] },
+      amount: paymentData.amount,
+      'customer.phoneNumber': phoneNumber,
+      createdAt: {
+        $gte: new Date(time - STK_MATCH_WINDOW_MS),
+        $lte: new Date(time + STK_MATCH_WINDOW_MS)
+      },
+      $or: [
+        { mpesaTransactionId: { $exists: false } },
+        { mpesaTransactionId: null },
+        { mpesaTransactionId: /^PENDING-/ }
+      ]
+    }).sort({ createdAt: 1 });
+  }
+
+  // Attach the Daraja receipt to an STK row, completing it if needed
+  async linkSTKReceipt(transaction, paymentData) {
+    if (transaction.status === 'completed') {
+      transaction.mpesaTransactionId = paymentData.mpesaTransactionId;
+      await transaction.save();
+      return transaction;
+    }
+
+    transaction.errorMessage = undefined;
+    transaction.errorCode = undefined;
+    await transaction.markAsCompleted(paymentData.mpesaTransactionId, paymentData.rawMpesaResponse);
+
+    // EMIT EVENT FOR AUTO-CLASSIFICATION
+    eventBus.emit("TRANSACTION_CREATED", transaction);
+
+    return transaction;
+  }
+
+  addRecovered(job, transaction, action) {
+    job.stats[action]++;
+    job.recoveredTransactions.push({
+      transaction: transaction._id,
+      mpesaTransactionId: transaction.mpesaTransactionId,
+      amount: transaction.amount,
+      phoneNumber: transaction.customer?.phoneNumber,
+      transactionTime: transaction.transactionTime,
+      action
+    });
+  }
+
+  // Get a job with its report, checking the merchant owns the business
+  async getJob(jobId, merchantId) {
+    const job = await BackfillJob.findById(jobId);
+    const business = job && await Business.findOne({ _id: job.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Backfill job not found');
+    }
+    return job;
+  }
+
+  // List backfill jobs for a business the merchant owns
+  async getJobs(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const [jobs, total] = await Promise.all([
+      BackfillJob.findByBusiness(businessId, options),
+      BackfillJob.countDocuments({ business: businessId })
+    ]);
+
+    return { jobs, total };
+  }
+}
+
+// Export singleton instance
+const backfillService = new BackfillService();
+export default backfillService;
@@ -0,0 +1,130 @@
+import Business from "../models/Business.js";
+import Transaction from "../models/Transaction.js";
+import UnmatchedPayment from "../models/UnmatchedPayment.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import eventBus from "../utils/eventBus.js";
+
+/**
+ * C2B Service
+ * Routes Daraja C2B confirmations to the owning business by shortcode and
+ * quarantines payments that cannot be matched.
+ */
+class C2BService {
+  // Convert a Daraja confirmation payload into stored payment fields
+  buildPaymentData(confirmationData) {
+    return {
+      mpesaTransactionId: confirmationData.TransID,
+      businessShortCode: confirmationData.BusinessShortCode,
+      amount: parseFloat(confirmationData.TransAmount),
+      transactionType: confirmationData.TransactionType,
+      customer: {
+        phoneNumber: confirmationData.MSISDN,
+        name: {
+          firstName: confirmationData.FirstName || '',
+          middleName: confirmationData.MiddleName || '',
+          lastName: confirmationData.LastName || ''
+        }
+      },
+      transactionTime: MpesaUtils.parseMpesaTimestamp(confirmationData.TransTime),
+      billRefNumber: confirmationData.BillRefNumber,
+      invoiceNumber: confirmationData.InvoiceNumber,
+      accountBalance: confirmationData.OrgAccountBalance ? parseFloat(confirmationData.OrgAccountBalance) : null,
+      rawMpesaResponse: confirmationData
+    };
+  }
+
+  // Create a completed Transaction for a business from stored payment fields
+  async recordTransaction(business, paymentData) {
+    const transaction = new Transaction({
+      ...paymentData,
+      business: business._id,
+      transactionType: MpesaUtils.normalizeTransactionType(paymentData.transactionType, business.businessType),
+      status: 'completed',
+      source: 'mpesa-api'
+    });
+
+    await transaction.save();
+
+    // EMIT EVENT FOR AUTO-CLASSIFICATION
+    eventBus.emit("TRANSACTION_CREATED", transaction);
+
+    return transaction;
+  }
+
+  // Route a confirmation to its business, or quarantine it if unmatched
+  async processConfirmation(confirmationData) {
+    const paymentData = this.buildPaymentData(confirmationData);
+
+    // Confirmation already applied (Daraja retry or replay)
+    const existingTransaction = await Transaction.findOne({ mpesaTransactionId: paymentData.mpesaTransactionId });
+    if (existingTransaction) {
+      return { status: 'duplicate', transaction: existingTransaction };
+    }
+
+    const existingUnmatched = await UnmatchedPayment.findOne({ mpesaTransactionId: paymentData.mpesaTransactionId });
+    if (existingUnmatched) {
+      return { status: 'duplicate', unmatchedPayment: existingUnmatched };
+    }
+
+    const business = await Business.findByShortCode(paymentData.businessShortCode);
+
+    if (business) {
+      const transaction = await this.recordTransaction(business, paymentData);
+      return { status: 'recorded', transaction };
+    }
+
+    // Distinguish an unknown shortcode from an inactive business
+    const inactiveBusiness = await Business.exists({ mpesaShortCode: paymentData.businessShortCode });
+
+    const unmatchedPayment = await UnmatchedPayment.create({
+      ...paymentData,
+      reason: inactiveBusiness ? 'inactive_business' : 'unknown_shortcode'
+    });
+
+    console.warn('⚠️ Unmatched C2B payment quarantined:', {
+      transactionId: unmatchedPayment.mpesaTransactionId,
+      shortCode: unmatchedPayment.businessShortCode,
+      reason: unmatchedPayment.reason
+    });
+
+    return { status: 'quarantined', unmatchedPayment };
+  }
+
+  // Assign a quarantined payment to a business (admin action)
+  async assignUnmatchedPayment(paymentId, businessId, adminId) {
+    const unmatchedPayment = await UnmatchedPayment.findById(paymentId);
+    if (!unmatchedPayment) {
+      throw new Error('Unmatched payment not found');
+    }
+
+    if (unmatchedPayment.status !== 'unmatched') {
+      throw new Error('Payment has already been assigned');
+    }
+
+    const business = await Business.findById(businessId);
+    if (!business) {
+      throw new Error('Business not found');
+    }
+
+    const transaction = await this.recordTransaction(business, {
+      mpesaTransactionId: unmatchedPayment.mpesaTransactionId,
+      businessShortCode: unmatchedPayment.businessShortCode,
+      amount: unmatchedPayment.amount,
+      transactionType: unmatchedPayment.transactionType,
+      customer: unmatchedPayment.customer,
+      transactionTime: unmatchedPayment.transactionTime,
+      billRefNumber: unmatchedPayment.billRefNumber,
+      invoiceNumber: unmatchedPayment.invoiceNumber,
+      accountBalance: unmatchedPayment.accountBalance,
+      rawMpesaResponse: unmatchedPayment.rawMpesaResponse
+    });
+
+    await unmatchedPayment.markAsAssigned(business._id, transaction._id, adminId);
+
+    return { unmatchedPayment, transaction };
+  }
+}
+
+// Export singleton instance
+const c2bService = new C2BService();
+export default c2bService;
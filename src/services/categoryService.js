@@ -246,6 +246,7 @@ export class CategoryService {
     transaction.categoryId = categoryId;
     transaction.categoryAssignedAt = new Date();
     transaction.categoryAssignedBy = assignedBy;
+    transaction.classificationMethod = 'manual';
 
     await transaction.save();
     await transaction.populate('categoryId', 'name type vatApplicable vatRate kraTaxCode');
@@ -277,7 +278,8 @@ export class CategoryService {
       {
         categoryId,
         categoryAssignedAt: new Date(),
-        categoryAssignedBy: assignedBy
+        categoryAssignedBy: assignedBy,
+        classificationMethod: 'manual'
       }
     );
 
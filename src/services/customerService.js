@@ -0,0 +1,332 @@
+import Business from "../models/Business.js";
+import Customer from "../models/Customer.js";
+import Transaction, { MONEY_IN } from "../models/Transaction.js";
+import eventBus from "../utils/eventBus.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+// Roles that see customers' full phone numbers - everyone else gets them masked
+const FULL_PHONE_NUMBER_ROLES = ['merchant'];
+
+// Fields customers can be sorted by (prefix with - for descending)
+const SORT_FIELDS = ['lastSeenAt', 'firstSeenAt', 'lifetimeValue', 'visitCount'];
+
+const MAX_TAGS = 20;
+const MAX_MERGE_DUPLICATES = 20;
+
+/**
+ * Customer Service
+ * Per-business customer directory kept up to date from completed payments:
+ * search, payment history, notes, tags and merging duplicates. Merchants see
+ * their own customers; admins can look up any business's customers with
+ * phone numbers masked.
+ */
+class CustomerService {
+  // Whether a user may see full phone numbers
+  canViewPhoneNumbers(user) {
+    return FULL_PHONE_NUMBER_ROLES.includes(user?.role);
+  }
+
+  // Response options for a viewer (masking by role)
+  viewOptions(user) {
+    return { maskPhoneNumbers: !this.canViewPhoneNumbers(user) };
+  }
+
+  // Business a user may read customers of (owner, or any business for admins)
+  async findViewableBusiness(businessId, user) {
+    if (user.role === 'admin') {
+      const business = await Business.findById(businessId);
+      if (!business) {
+        throw new NotFoundError('Business not found');
+      }
+      return business;
+    }
+
+    return Business.findOwnedBy(businessId, user.id);
+  }
+
+  // Get one customer the user may read
+  async getCustomer(customerId, user) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw new NotFoundError('Customer not found');
+    }
+
+    try {
+      await this.findViewableBusiness(customer.business, user);
+    } catch (error) {
+      throw new NotFoundError('Customer not found');
+    }
+    return customer;
+  }
+
+  // Get one customer of a business the merchant owns (for changes)
+  async getOwnedCustomer(customerId, merchantId) {
+    const customer = await Customer.findById(customerId);
+    const business = customer && await Business.findOne({ _id: customer.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Customer not found');
+    }
+    return customer;
+  }
+
+  // Count a completed payment towards its customer
+  async recordTransaction(transaction) {
+    if (!transaction.business || transaction.status !== 'completed' || transaction.transactionType === 'B2C Payment') {
+      return null;
+    }
+
+    return Customer.recordPayment(transaction.business, transaction);
+  }
+
+  // Search a business's customers
+  async searchCustomers(businessId, user, options = {}) {
+    if (options.sort && !SORT_FIELDS.includes(options.sort.replace(/^-/, ''))) {
+      throw new ServiceError(`Sort must be one of: ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const business = await this.findViewableBusiness(businessId, user);
+
+    const [customers, total] = await Promise.all([
+      Customer.findByBusiness(business._id, options),
+      Customer.countDocuments(Customer.buildFilter(business._id, options))
+    ]);
+
+    return { customers, total };
+  }
+
+  // A customer's payments, newest first, across all their numbers
+  async getCustomerTransactions(customerId, user, { page = 1, limit = 20 } = {}) {
+    const customer = await this.getCustomer(customerId, user);
+
+    const filter = {
+      business: customer.business,
+      'customer.phoneNumber': { $in: customer.getPhoneNumbers() }
+    };
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter)
+        .sort({ transactionTime: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Transaction.countDocuments(filter)
+    ]);
+
+    return { customer, transactions, total };
+  }
+
+  // Replace a customer's tags
+  async setTags(customerId, merchantId, tags) {
+    if (!Array.isArray(tags)) {
+      throw new ServiceError('Tags must be an array');
+    }
+
+    const normalized = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    if (normalized.length > MAX_TAGS) {
+      throw new ServiceError(`A customer can have at most ${MAX_TAGS} tags`);
+    }
+
+    const customer = await this.getOwnedCustomer(customerId, merchantId);
+    customer.tags = normalized;
+    return customer.save();
+  }
+
+  // Add a note to a customer
+  async addNote(customerId, merchantId, text) {
+    const customer = await this.getOwnedCustomer(customerId, merchantId);
+    customer.notes.push({ text, createdBy: merchantId });
+    return customer.save();
+  }
+
+  // Remove a note from a customer
+  async deleteNote(customerId, merchantId, noteId) {
+    const customer = await this.getOwnedCustomer(customerId, merchantId);
+    const note = customer.notes.id(noteId);
+    if (!note) {
+      throw new NotFoundError('Note not found');
+    }
+
+    note.deleteOne();
+    return customer.save();
+  }
+
+  // Fold duplicate customers into one, combining stats, notes, tags and numbers
+  async mergeCustomers(businessId, merchantId, primaryId, duplicateIds) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      throw new ServiceError('At least one duplicate customer is required');
+    }
+    if (duplicateIds.length > MAX_MERGE_DUPLICATES) {
+      throw new ServiceError(`At most ${MAX_MERGE_DUPLICATES} customers can be merged at once`);
+    }
+    if (duplicateIds.map(String).includes(String(primaryId))) {
+      throw new ServiceError('A customer cannot be merged into itself');
+    }
+
+    const primary = await Customer.findOne({ _id: primaryId, business: business._id });
+    if (!primary) {
+      throw new NotFoundError('Customer not found');
+    }
+
+    const duplicates = await Customer.find({ _id: { $in: duplicateIds }, business: business._id });
+    if (duplicates.length !== new Set(duplicateIds.map(String)).size) {
+      throw new NotFoundError('One or more duplicate customers not found');
+    }
+
+    for (const duplicate of duplicates) {
+      primary.visitCount += duplicate.visitCount;
+      primary.lifetimeValue += duplicate.lifetimeValue;
+
+      if (duplicate.firstSeenAt && (!primary.firstSeenAt || duplicate.firstSeenAt < primary.firstSeenAt)) {
+        primary.firstSeenAt = duplicate.firstSeenAt;
+      }
+      if (duplicate.lastSeenAt && (!primary.lastSeenAt || duplicate.lastSeenAt > primary.lastSeenAt)) {
+        primary.lastSeenAt = duplicate.lastSeenAt;
+      }
+      if (!primary.fullName && duplicate.fullName) {
+        primary.name = duplicate.name;
+      }
+
+      for (const [type, count] of duplicate.paymentTypeCounts) {
+        primary.paymentTypeCounts.set(type, (primary.paymentTypeCounts.get(type) || 0) + count);
+      }
+
+      primary.aliasPhoneNumbers.push(...duplicate.getPhoneNumbers());
+      primary.tags = [...new Set([...primary.tags, ...duplicate.tags])];
+      primary.notes.push(...duplicate.notes.map(note => note.toObject()));
+    }
+
+    primary.notes.sort((a, b) => a.createdAt - b.createdAt);
+
+    await primary.save();
+    await Customer.deleteMany({ _id: { $in: duplicates.map(duplicate => duplicate._id) } });
+
+    console.log(`👥 Merged ${duplicates.length} customer(s) into ${primary._id} for business ${business._id}`);
+    return { customer: primary, merged: duplicates.length };
+  }
+
+  // Rebuild a business's customer stats from its transaction history
+  async rebuildCustomers(businessId, merchantId) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    const groups = await Transaction.aggregate([
+      { $match: { business: business._id, ...MONEY_IN } },
+      { $sort: { transactionTime: 1 } },
+      {
+        $group: {
+          _id: { phoneNumber: '$customer.phoneNumber', type: '$transactionType' },
+          count: { $sum: 1 },
+          total: { $sum: '$amount' },
+          firstSeenAt: { $min: '$transactionTime' },
+          lastSeenAt: { $max: '$transactionTime' },
+          name: { $last: '$customer.name' }
+        }
+      }
+    ]).allowDiskUse(true);
+
+    // Completed refunds come off lifetime value, as they do when they complete
+    const refunds = await Transaction.aggregate([
+      { $match: { business: business._id, category: 'refund', status: 'completed' } },
+      { $group: { _id: '$customer.phoneNumber', total: { $sum: '$amount' } } }
+    ]);
+
+    // Payments from merged numbers count towards the customer they were merged into
+    const existing = await Customer.find({ business: business._id }).select('phoneNumber aliasPhoneNumbers');
+    const ownerOf = new Map();
+    for (const customer of existing) {
+      customer.getPhoneNumbers().forEach(number => ownerOf.set(number, customer.phoneNumber));
+    }
+
+    const stats = new Map();
+    for (const group of groups) {
+      const phoneNumber = ownerOf.get(group._id.phoneNumber) || group._id.phoneNumber;
+      const entry = stats.get(phoneNumber) || {
+        visitCount: 0,
+        lifetimeValue: 0,
+        firstSeenAt: group.firstSeenAt,
+        lastSeenAt: group.lastSeenAt,
+        paymentTypeCounts: {}
+      };
+
+      entry.visitCount += group.count;
+      entry.lifetimeValue += group.total;
+      entry.paymentTypeCounts[group._id.type] = (entry.paymentTypeCounts[group._id.type] || 0) + group.count;
+      if (group.firstSeenAt < entry.firstSeenAt) entry.firstSeenAt = group.firstSeenAt;
+      if (group.lastSeenAt >= entry.lastSeenAt) entry.lastSeenAt = group.lastSeenAt;
+
+      // Latest non-empty name wins
+      if ((group.name?.firstName || group.name?.lastName) && (!entry.name || group.lastSeenAt >= entry.nameSeenAt)) {
+        entry.name = group.name;
+        entry.nameSeenAt = group.lastSeenAt;
+      }
+
+      stats.set(phoneNumber, entry);
+    }
+
+    for (const refund of refunds) {
+      const entry = stats.get(ownerOf.get(refund._id) || refund._id);
+      if (entry) entry.lifetimeValue -= refund.total;
+    }
+
+    // Stats are replaced; notes, tags and aliases are kept
+    const operations = [...stats].map(([phoneNumber, { nameSeenAt, ...entry }]) => ({
+      updateOne: {
+        filter: { business: business._id, phoneNumber },
+        update: {
+          $set: {
+            ...entry,
+            lifetimeValue: Math.round(entry.lifetimeValue * 100) / 100
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    const result = operations.length > 0
+      ? await Customer.bulkWrite(operations, { ordered: false })
+      : { upsertedCount: 0, modifiedCount: 0 };
+
+    console.log(`👥 Rebuilt ${stats.size} customer(s) for business ${business._id}`);
+    return {
+      customers: stats.size,
+      created: result.upsertedCount,
+      updated: result.modifiedCount
+    };
+  }
+}
+
+// Export singleton instance
+const customerService = new CustomerService();
+
+// Keep the customer directory in step with completed payments
+eventBus.on("TRANSACTION_CREATED", async (transaction) => {
+  try {
+    await customerService.recordTransaction(transaction);
+  } catch (error) {
+    console.error(`❌ Customer update failed for transaction ${transaction._id}:`, error);
+  }
+});
+
+// ...and take back payments that were reversed or refunded
+eventBus.on("TRANSACTION_REVERSED", async (transaction) => {
+  try {
+    if (transaction.business) {
+      await Customer.recordReversal(transaction.business, transaction);
+    }
+  } catch (error) {
+    console.error(`❌ Customer update failed for reversed transaction ${transaction._id}:`, error);
+  }
+});
+
+eventBus.on("REFUND_COMPLETED", async (refund) => {
+  try {
+    if (refund.business) {
+      await Customer.recordRefund(refund.business, refund);
+    }
+  } catch (error) {
+    console.error(`❌ Customer update failed for refund ${refund._id}:`, error);
+  }
+});
+
+export default customerService;
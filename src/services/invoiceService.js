@@ -0,0 +1,417 @@
+import mongoose from "mongoose";
+import Business from "../models/Business.js";
+import Invoice, { AGING_BUCKETS } from "../models/Invoice.js";
+import Transaction from "../models/Transaction.js";
+import eventBus from "../utils/eventBus.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+// Invoice fields a merchant may change after creation
+const UPDATABLE_FIELDS = ['customer', 'lineItems', 'amountDue', 'dueDate', 'notes'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Auto-numbering skips numbers merchants already used by hand; give up after this many
+const MAX_NUMBER_ATTEMPTS = 50;
+
+/**
+ * Invoice Service
+ * Manages business invoices/orders and applies incoming payments to them
+ * using the account reference (BillRefNumber) the customer entered.
+ */
+class InvoiceService {
+  // Next sequential invoice number for a business (INV-00001), reserved atomically
+  async generateInvoiceNumber(businessId) {
+    // Businesses from before the counter continue after their existing invoices
+    const existing = await Business.exists({ _id: businessId, invoiceSequence: { $exists: true } });
+    if (!existing) {
+      const count = await Invoice.countDocuments({ business: businessId });
+      await Business.updateOne(
+        { _id: businessId, invoiceSequence: { $exists: false } },
+        { $set: { invoiceSequence: count } }
+      );
+    }
+
+    const business = await Business.findOneAndUpdate(
+      { _id: businessId },
+      { $inc: { invoiceSequence: 1 } },
+      { new: true, projection: { invoiceSequence: 1 } }
+    );
+    return `INV-${String(business.invoiceSequence).padStart(5, '0')}`;
+  }
+
+  // Create an invoice for a business the merchant owns
+  async createInvoice({ businessId, merchantId, invoiceNumber, customer, lineItems, amountDue, issueDate, dueDate, notes }) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    // Chosen numbers are tried once; generated ones move on past numbers already taken
+    const attempts = invoiceNumber ? 1 : MAX_NUMBER_ATTEMPTS;
+    for (let attempt = 1; ; attempt++) {
+      const number = invoiceNumber || await this.generateInvoiceNumber(business._id);
+
+      try {
+        return await Invoice.create({
+          business: business._id,
+          createdBy: merchantId,
+          invoiceNumber: number,
+          customer,
+          lineItems,
+          amountDue,
+          issueDate,
+          dueDate,
+          notes
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        if (attempt >= attempts) {
+          throw new ServiceError(invoiceNumber
+            ? `Invoice number ${number} already exists for this business`
+            : 'Could not find a free invoice number - please enter one');
+        }
+      }
+    }
+  }
+
+  // List invoices for a business the merchant owns
+  async getInvoices(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const [invoices, total] = await Promise.all([
+      Invoice.findByBusiness(businessId, options),
+      Invoice.countDocuments(Invoice.buildFilter(businessId, options))
+    ]);
+
+    return { invoices, total };
+  }
+
+  // Get one invoice, checking the merchant owns its business
+  async getInvoice(invoiceId, merchantId) {
+    const invoice = await Invoice.findById(invoiceId);
+    const business = invoice && await Business.findOne({ _id: invoice.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Invoice not found');
+    }
+    return invoice;
+  }
+
+  // Update an open invoice's details
+  async updateInvoice(invoiceId, merchantId, updates) {
+    const invoice = await this.getInvoice(invoiceId, merchantId);
+
+    if (invoice.status === 'cancelled') {
+      throw new ServiceError('Cancelled invoices cannot be updated');
+    }
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        invoice[field] = updates[field];
+      }
+    });
+
+    // Renumbering would orphan references customers already have, unless nothing was paid yet
+    if (updates.invoiceNumber && updates.invoiceNumber !== invoice.invoiceNumber) {
+      if (invoice.payments.length > 0) {
+        throw new ServiceError('Invoice number cannot be changed after payments were received');
+      }
+      invoice.invoiceNumber = updates.invoiceNumber;
+    }
+
+    try {
+      return await invoice.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServiceError(`Invoice number ${updates.invoiceNumber} already exists for this business`);
+      }
+      throw error;
+    }
+  }
+
+  // Stop an invoice from receiving payments
+  async cancelInvoice(invoiceId, merchantId) {
+    const invoice = await this.getInvoice(invoiceId, merchantId);
+
+    if (invoice.status === 'cancelled') {
+      throw new ServiceError('Invoice is already cancelled');
+    }
+    return invoice.cancel();
+  }
+
+  // Apply a transaction to an invoice and link the transaction back
+  async applyTransaction(invoice, transaction, matchedBy) {
+    const updated = await Invoice.applyPayment(invoice._id, {
+      transaction: transaction._id,
+      amount: transaction.amount,
+      mpesaReceipt: transaction.mpesaTransactionId,
+      phoneNumber: transaction.customer?.phoneNumber,
+      billRefNumber: transaction.billRefNumber,
+      matchedBy,
+      paidAt: transaction.transactionTime || new Date()
+    });
+
+    if (!updated) {
+      return null; // already applied or cancelled meanwhile
+    }
+
+    await Transaction.updateOne({ _id: transaction._id }, { invoice: updated._id });
+
+    console.log(`🧾 Invoice ${updated.invoiceNumber} ${updated.status}: KES ${transaction.amount} from ${transaction.mpesaTransactionId || transaction.internalReference}`);
+    return updated;
+  }
+
+  // Match an incoming payment to an invoice by its account reference
+  async matchTransaction(transaction) {
+    if (transaction.status !== 'completed' || !transaction.billRefNumber || transaction.invoice) {
+      return null;
+    }
+
+    // Only customer payments settle invoices
+    if (transaction.category === 'refund' || transaction.transactionType === 'B2C Payment') {
+      return null;
+    }
+
+    const invoice = await Invoice.findByBillRef(transaction.business, transaction.billRefNumber);
+    if (!invoice || invoice.status === 'cancelled') {
+      return null;
+    }
+
+    return this.applyTransaction(invoice, transaction, 'auto');
+  }
+
+  // Manually apply a payment that carried a wrong or missing reference
+  async applyPaymentManually(invoiceId, transactionId, merchantId) {
+    const invoice = await this.getInvoice(invoiceId, merchantId);
+
+    if (invoice.status === 'cancelled') {
+      throw new ServiceError('Payments cannot be applied to a cancelled invoice');
+    }
+
+    const transaction = await Transaction.findByIdOrReference(transactionId);
+    if (!transaction || !transaction.business.equals(invoice.business)) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    if (transaction.status !== 'completed') {
+      throw new ServiceError(`Only completed transactions can be applied (transaction is ${transaction.status})`);
+    }
+
+    if (transaction.invoice) {
+      throw new ServiceError('Transaction is already applied to an invoice');
+    }
+
+    const updated = await this.applyTransaction(invoice, transaction, 'manual');
+    if (!updated) {
+      throw new ServiceError('Transaction is already applied to this invoice');
+    }
+    return updated;
+  }
+
+  // Record a contra line against an invoice
+  async unapplyTransaction(invoice, contra) {
+    const updated = await Invoice.unapplyPayment(invoice._id, contra);
+
+    if (!updated) {
+      return null; // already taken back (event replay)
+    }
+
+    console.log(`🧾 Invoice ${updated.invoiceNumber} ${updated.status}: KES ${contra.amount} ${contra.kind === 'refund' ? 'refunded' : 'reversed'}`);
+    return updated;
+  }
+
+  // Take a reversed payment back off the invoice it was applied to
+  async unapplyReversal(transaction) {
+    if (!transaction.invoice) {
+      return null;
+    }
+
+    const invoice = await Invoice.findById(transaction.invoice);
+    const payment = invoice?.payments.find(p => p.kind === 'payment' && p.transaction?.equals(transaction._id));
+    if (!payment) {
+      return null;
+    }
+
+    return this.unapplyTransaction(invoice, {
+      transaction: transaction._id,
+      kind: 'reversal',
+      amount: payment.amount,
+      mpesaReceipt: transaction.reversal?.reversalTransactionId,
+      phoneNumber: payment.phoneNumber,
+      billRefNumber: payment.billRefNumber,
+      paidAt: transaction.reversal?.completedAt || new Date()
+    });
+  }
+
+  // Take a refunded amount back off the invoice its sale was applied to
+  async unapplyRefund(refund) {
+    if (!refund.originalTransaction) {
+      return null;
+    }
+
+    const original = await Transaction.findById(refund.originalTransaction);
+    const invoice = original?.invoice && await Invoice.findById(original.invoice);
+    if (!invoice) {
+      return null;
+    }
+
+    return this.unapplyTransaction(invoice, {
+      transaction: refund._id,
+      kind: 'refund',
+      amount: refund.amount,
+      mpesaReceipt: refund.mpesaTransactionId,
+      phoneNumber: refund.customer?.phoneNumber,
+      billRefNumber: original.billRefNumber,
+      paidAt: refund.transactionTime || new Date()
+    });
+  }
+
+  // Outstanding balances grouped by how long they are past due, as of a date
+  async getAgedReceivables(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      throw new ServiceError('asOf must be a valid date');
+    }
+
+    // Bucket boundaries come from AGING_BUCKETS so the report and labels stay in sync
+    const bucketBranches = AGING_BUCKETS
+      .filter(bucket => bucket.maxDays !== null)
+      .map(bucket => ({ case: { $lte: ['$daysOverdue', bucket.maxDays] }, then: bucket.key }));
+    const lastBucket = AGING_BUCKETS[AGING_BUCKETS.length - 1].key;
+
+    const bucketSums = Object.fromEntries(AGING_BUCKETS.map(bucket => [
+      bucket.key,
+      { $sum: { $cond: [{ $eq: ['$bucket', bucket.key] }, '$balance', 0] } }
+    ]));
+
+    const [result] = await Invoice.aggregate([
+      {
+        $match: {
+          business: new mongoose.Types.ObjectId(businessId),
+          issueDate: { $lte: asOf },
+          // Cancelled invoices still counted until the day they were cancelled
+          $or: [
+            { status: { $ne: 'cancelled' } },
+            { cancelledAt: { $gt: asOf } }
+          ]
+        }
+      },
+      {
+        $project: {
+          invoiceNumber: 1,
+          customer: 1,
+          dueDate: 1,
+          amountDue: 1,
+          paidAsOf: {
+            $sum: {
+              $map: {
+                input: { $filter: { input: '$payments', cond: { $lte: ['$$this.paidAt', asOf] } } },
+                in: '$$this.amount'
+              }
+            }
+          }
+        }
+      },
+      {
+        $addFields: {
+          balance: { $round: [{ $subtract: ['$amountDue', '$paidAsOf'] }, 2] },
+          daysOverdue: { $ceil: { $divide: [{ $subtract: [asOf, '$dueDate'] }, DAY_MS] } }
+        }
+      },
+      { $match: { balance: { $gt: 0 } } },
+      {
+        $addFields: {
+          bucket: { $switch: { branches: bucketBranches, default: lastBucket } }
+        }
+      },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                invoices: { $sum: 1 },
+                outstanding: { $sum: '$balance' },
+                overdue: { $sum: { $cond: [{ $gt: ['$daysOverdue', 0] }, '$balance', 0] } }
+              }
+            }
+          ],
+          buckets: [
+            { $group: { _id: '$bucket', count: { $sum: 1 }, amount: { $sum: '$balance' } } }
+          ],
+          customers: [
+            {
+              $group: {
+                _id: { name: '$customer.name', phoneNumber: '$customer.phoneNumber' },
+                invoices: { $sum: 1 },
+                outstanding: { $sum: '$balance' },
+                oldestDueDate: { $min: '$dueDate' },
+                ...bucketSums
+              }
+            },
+            { $sort: { outstanding: -1 } },
+            { $limit: options.customerLimit || 50 }
+          ],
+          invoices: options.includeInvoices ? [
+            { $sort: { daysOverdue: -1 } },
+            { $project: { invoiceNumber: 1, customer: 1, dueDate: 1, amountDue: 1, balance: 1, daysOverdue: 1, bucket: 1 } }
+          ] : [{ $limit: 0 }]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { invoices: 0, outstanding: 0, overdue: 0 };
+
+    return {
+      asOf,
+      totals: {
+        invoices: totals.invoices,
+        outstanding: Math.round(totals.outstanding * 100) / 100,
+        overdue: Math.round(totals.overdue * 100) / 100
+      },
+      buckets: AGING_BUCKETS.map(bucket => {
+        const found = result.buckets.find(b => b._id === bucket.key);
+        return {
+          bucket: bucket.key,
+          label: bucket.label,
+          count: found ? found.count : 0,
+          amount: found ? Math.round(found.amount * 100) / 100 : 0
+        };
+      }),
+      customers: result.customers.map(({ _id, ...rest }) => ({ customer: _id, ...rest })),
+      ...(options.includeInvoices && { invoices: result.invoices })
+    };
+  }
+}
+
+// Export singleton instance
+const invoiceService = new InvoiceService();
+
+// Match incoming payments to invoices by account reference
+eventBus.on("TRANSACTION_CREATED", async (transaction) => {
+  try {
+    await invoiceService.matchTransaction(transaction);
+  } catch (error) {
+    console.error(`❌ Invoice matching failed for transaction ${transaction._id}:`, error);
+  }
+});
+
+// ...and take reversed or refunded payments back off their invoices
+eventBus.on("TRANSACTION_REVERSED", async (transaction) => {
+  try {
+    await invoiceService.unapplyReversal(transaction);
+  } catch (error) {
+    console.error(`❌ Invoice update failed for reversed transaction ${transaction._id}:`, error);
+  }
+});
+
+eventBus.on("REFUND_COMPLETED", async (refund) => {
+  try {
+    await invoiceService.unapplyRefund(refund);
+  } catch (error) {
+    console.error(`❌ Invoice update failed for refund ${refund._id}:`, error);
+  }
+});
+
+export default invoiceService;
@@ -1,7 +1,9 @@
 import Transaction from "../models/Transaction.js";
+import Business from "../models/Business.js";
 import { parseCsvTransactions } from "../utils/manualCsvParser.js";
 import { parsePdfTransactions } from "../utils/manualPdfParser.js";
 import fs from "fs";
+import eventBus from "../utils/eventBus.js";
 
 /**
  * Handles parsing and storing manual uploads (CSV / PDF)
@@ -33,11 +35,14 @@ export const processManualUpload = async (filePath, merchantId, businessShortCod
       throw new Error("No valid transactions found in the uploaded file.");
     }
 
+    const business = await Business.findOne({ mpesaShortCode: businessShortCode, owner: merchantId });
+
     // Convert to db save format
     const transactionsToSave = parsedData.map((txn) => ({
       mpesaTransactionId: txn.id,
       merchant: merchantId,
       businessShortCode,
+      business: business?._id,
       amount: txn.amount,
       transactionType: txn.type,
       customer: {
@@ -62,6 +67,7 @@ export const processManualUpload = async (filePath, merchantId, businessShortCod
       if (!exists) {
         const newTxn = await Transaction.create(txn);
         saved.push(newTxn);
+        eventBus.emit("TRANSACTION_CREATED", newTxn);
       }
     }
 
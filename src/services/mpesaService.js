@@ -1,17 +1,29 @@
 import axios from "axios";
+import crypto from "crypto";
 import Business from "../models/Business.js";
+import { CredentialCrypto } from "../utils/credentialCrypto.js";
 
 class MpesaService {
   constructor() {
-    this.baseURL = process.env.MPESA_ENVIRONMENT === 'production' 
-      ? 'https://api.safaricom.co.ke'
-      : 'https://sandbox.safaricom.co.ke';
-    
-    this.accessToken = null;
-    this.tokenExpiry = null;
+    // consumerKey -> { token, secretHash, expiresAt }
+    this.tokenCache = new Map();
+    // In-flight OAuth requests, for single-flight deduplication
+    this.pendingTokenRequests = new Map();
   }
 
-  // NEW: Get business credentials from database
+  // Resolved on use so .env values loaded after import are respected
+  get baseURL() {
+    switch (process.env.MPESA_ENVIRONMENT) {
+      case 'production':
+        return 'https://api.safaricom.co.ke';
+      case 'simulator':
+        return process.env.MPESA_SIMULATOR_URL || `http://localhost:${process.env.MPESA_SIMULATOR_PORT || 5055}`;
+      default:
+        return 'https://sandbox.safaricom.co.ke';
+    }
+  }
+
+  // NEW: Get business credentials from database (the only place they are decrypted)
   async getBusinessCredentials(businessId, merchantId = null) {
     try {
       // Build query - if merchantId is provided, verify ownership
@@ -21,7 +33,8 @@ class MpesaService {
       }
 
       const business = await Business.findOne(query).select(
-        'businessName mpesaShortCode mpesaConsumerKey mpesaConsumerSecret mpesaPassKey businessType isActive'
+        'businessName mpesaShortCode mpesaConsumerKey mpesaConsumerSecret mpesaPassKey businessType isActive ' +
+        'mpesaB2CShortCode mpesaInitiatorName mpesaSecurityCredential'
       );
 
       if (!business) {
@@ -42,14 +55,33 @@ class MpesaService {
         };
       }
 
+      let consumerKey, consumerSecret, passKey, securityCredential;
+      try {
+        consumerKey = CredentialCrypto.decrypt(business.mpesaConsumerKey);
+        consumerSecret = CredentialCrypto.decrypt(business.mpesaConsumerSecret);
+        passKey = CredentialCrypto.decrypt(business.mpesaPassKey);
+        securityCredential = CredentialCrypto.decrypt(business.mpesaSecurityCredential);
+      } catch (error) {
+        console.error(`❌ Failed to decrypt M-Pesa credentials for business ${business._id}:`, error.message);
+        return {
+          success: false,
+          message: "Business M-Pesa credentials could not be decrypted"
+        };
+      }
+
       return {
         success: true,
+        businessId: business._id,
         businessName: business.businessName,
         shortCode: business.mpesaShortCode,
-        consumerKey: business.mpesaConsumerKey,
-        consumerSecret: business.mpesaConsumerSecret,
-        passKey: business.mpesaPassKey,
-        businessType: business.businessType
+        consumerKey,
+        consumerSecret,
+        passKey,
+        businessType: business.businessType,
+        // Optional - only needed for B2C payouts
+        b2cShortCode: business.mpesaB2CShortCode || business.mpesaShortCode,
+        initiatorName: business.mpesaInitiatorName,
+        securityCredential
       };
 
     } catch (error) {
@@ -62,21 +94,54 @@ class MpesaService {
     }
   }
 
-  // Generate access token for Daraja API
-  async generateAccessToken(consumerKey = null, consumerSecret = null) {
-    try {
-      // Use provided credentials or fall back to environment variables
-      const credKey = consumerKey || process.env.MPESA_CONSUMER_KEY;
-      const credSecret = consumerSecret || process.env.MPESA_CONSUMER_SECRET;
+  // Get an access token for Daraja API, reusing a cached one until it expires
+  async generateAccessToken(consumerKey = null, consumerSecret = null, options = {}) {
+    const { businessId = null, forceRefresh = false } = options;
 
-      // Check if token is still valid (only for default credentials)
-      if (!consumerKey && !consumerSecret && this.accessToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
-        return this.accessToken;
-      }
+    // Use provided credentials or fall back to environment variables
+    const credKey = consumerKey || process.env.MPESA_CONSUMER_KEY;
+    const credSecret = consumerSecret || process.env.MPESA_CONSUMER_SECRET;
+
+    // Cached per consumer key - a changed secret invalidates the entry
+    const secretHash = crypto.createHash('sha256').update(String(credSecret)).digest('hex');
+    const cached = this.tokenCache.get(credKey);
+
+    if (!forceRefresh && cached && cached.secretHash === secretHash && Date.now() < cached.expiresAt) {
+      return cached.token;
+    }
+
+    // Concurrent requests for the same credentials share one OAuth call
+    const flightKey = `${credKey}:${secretHash}`;
+    if (!forceRefresh && this.pendingTokenRequests.has(flightKey)) {
+      return this.pendingTokenRequests.get(flightKey);
+    }
 
+    const request = this.requestAccessToken(credKey, credSecret, businessId)
+      .then(({ token, expiresIn }) => {
+        this.tokenCache.set(credKey, {
+          token,
+          secretHash,
+          expiresAt: Date.now() + (expiresIn * 1000) - 60000 // 1 minute buffer
+        });
+        return token;
+      });
+
+    if (!forceRefresh) {
+      this.pendingTokenRequests.set(flightKey, request);
+      request
+        .finally(() => this.pendingTokenRequests.delete(flightKey))
+        .catch(() => {});
+    }
+
+    return request;
+  }
+
+  // Call the Daraja OAuth endpoint and track the result against the business
+  async requestAccessToken(consumerKey, consumerSecret, businessId = null) {
+    try {
       console.log('🔑 Generating new access token...');
       
-      const credentials = Buffer.from(`${credKey}:${credSecret}`).toString('base64');
+      const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
       
       const response = await axios.get(`${this.baseURL}/oauth/v1/generate?grant_type=client_credentials`, {
         headers: {
@@ -86,21 +151,50 @@ class MpesaService {
         timeout: 10000
       });
 
-      // Only cache token if using default credentials
-      if (!consumerKey && !consumerSecret) {
-        this.accessToken = response.data.access_token;
-        this.tokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000; // 1 minute buffer
+      if (businessId) {
+        this.recordAuthResult(businessId, true);
       }
 
       console.log('✅ Access token generated successfully');
-      return response.data.access_token;
+      return {
+        token: response.data.access_token,
+        expiresIn: parseInt(response.data.expires_in) || 3599
+      };
 
     } catch (error) {
       console.error('❌ Failed to generate access token:', error.response?.data || error.message);
-      throw new Error(`Token generation failed: ${error.response?.data?.error_message || error.message}`);
+
+      const message = error.response?.data?.errorMessage || error.response?.data?.error_message || error.message;
+
+      // Daraja rejected the key/secret (network errors and outages don't count)
+      if ([400, 401].includes(error.response?.status)) {
+        this.tokenCache.delete(consumerKey);
+
+        if (businessId) {
+          this.recordAuthResult(businessId, false, message);
+        }
+      }
+
+      throw new Error(`Token generation failed: ${message}`);
     }
   }
 
+  // Persist a per-business auth outcome without failing the payment flow
+  recordAuthResult(businessId, success, errorMessage = null) {
+    Business.recordDarajaAuth(businessId, success, errorMessage).catch(error => {
+      console.error('Failed to record Daraja auth result:', error.message);
+    });
+  }
+
+  // Build a public webhook URL for the routes mounted under /api/mpesa
+  getCallbackUrl(webhookPath) {
+    // The local simulator can call straight back into this server
+    const baseUrl = process.env.MPESA_CALLBACK_BASE_URL ||
+      (process.env.MPESA_ENVIRONMENT === 'simulator' ? `http://localhost:${process.env.PORT || 5000}` : undefined);
+
+    return `${baseUrl}/api/mpesa/webhook/${webhookPath}`;
+  }
+
   // Generate Lipa Na M-Pesa password
   generateLNMPassword(shortCode = null, passKey = null) {
     const timestamp = this.getCurrentTimestamp();
@@ -133,7 +227,8 @@ class MpesaService {
         businessShortCode = null,
         consumerKey = null,
         consumerSecret = null,
-        passKey = null
+        passKey = null,
+        businessId = null
       } = paymentData;
 
       // Validate input
@@ -143,7 +238,7 @@ class MpesaService {
 
       // Use business credentials if provided, otherwise use environment variables
       const shortCode = businessShortCode || process.env.MPESA_SHORTCODE;
-      const token = await this.generateAccessToken(consumerKey, consumerSecret);
+      const token = await this.generateAccessToken(consumerKey, consumerSecret, { businessId });
       const { password, timestamp } = this.generateLNMPassword(shortCode, passKey);
 
       // Format phone number to 254 format
@@ -160,7 +255,7 @@ class MpesaService {
         PartyA: formattedPhone,
         PartyB: shortCode,
         PhoneNumber: formattedPhone,
-        CallBackURL: `${process.env.MPESA_CALLBACK_BASE_URL}/api/webhook/stk-callback`,
+        CallBackURL: this.getCallbackUrl('stk-callback'),
         AccountReference: accountReference.substring(0, 12),
         TransactionDesc: transactionDesc.substring(0, 13)
       };
@@ -215,7 +310,9 @@ class MpesaService {
 
       if (businessCredentials) {
         // Use business credentials
-        token = await this.generateAccessToken(businessCredentials.consumerKey, businessCredentials.consumerSecret);
+        token = await this.generateAccessToken(businessCredentials.consumerKey, businessCredentials.consumerSecret, {
+          businessId: businessCredentials.businessId
+        });
         shortCode = businessCredentials.shortCode;
         passKey = businessCredentials.passKey;
       } else {
@@ -265,7 +362,8 @@ class MpesaService {
       console.error('❌ STK Query failed:', error.response?.data || error.message);
       return {
         success: false,
-        error: error.response?.data?.errorMessage || error.message
+        error: error.response?.data?.errorMessage || error.message,
+        errorCode: error.response?.data?.errorCode || 'UNKNOWN_ERROR'
       };
     }
   }
@@ -278,7 +376,9 @@ class MpesaService {
 
       if (businessCredentials) {
         // Use business credentials
-        token = await this.generateAccessToken(businessCredentials.consumerKey, businessCredentials.consumerSecret);
+        token = await this.generateAccessToken(businessCredentials.consumerKey, businessCredentials.consumerSecret, {
+          businessId: businessCredentials.businessId
+        });
         shortCode = businessCredentials.shortCode;
       } else {
         // Use default credentials
@@ -289,8 +389,8 @@ class MpesaService {
       const payload = {
         ShortCode: shortCode,
         ResponseType: 'Completed',
-        ConfirmationURL: `${process.env.MPESA_CALLBACK_BASE_URL}/api/webhook/confirmation`,
-        ValidationURL: `${process.env.MPESA_CALLBACK_BASE_URL}/api/webhook/validation`
+        ConfirmationURL: this.getCallbackUrl('confirmation'),
+        ValidationURL: this.getCallbackUrl('validation')
       };
 
       console.log('🌐 Registering C2B URLs:', {
@@ -314,8 +414,10 @@ class MpesaService {
 
       return {
         success: true,
-        conversationId: response.data.ConversationID,
-        responseDescription: response.data.ResponseDescription
+        conversationId: response.data.ConversationID || response.data.OriginatorCoversationID,
+        responseDescription: response.data.ResponseDescription,
+        confirmationUrl: payload.ConfirmationURL,
+        validationUrl: payload.ValidationURL
       };
 
     } catch (error) {
@@ -327,6 +429,370 @@ class MpesaService {
     }
   }
 
+  // Send money from a business shortcode to a phone number (B2C)
+  async initiateB2CPayment(paymentData) {
+    try {
+      const {
+        phoneNumber,
+        amount,
+        remarks = 'Payment',
+        occasion = '',
+        commandId = 'BusinessPayment',
+        originatorConversationId,
+        businessCredentials
+      } = paymentData;
+
+      if (!phoneNumber || !amount || !businessCredentials) {
+        throw new Error('phoneNumber, amount, and businessCredentials are required');
+      }
+
+      if (!businessCredentials.initiatorName || !businessCredentials.securityCredential) {
+        throw new Error('Business is missing B2C initiator name or security credential');
+      }
+
+      const token = await this.generateAccessToken(businessCredentials.consumerKey, businessCredentials.consumerSecret, {
+        businessId: businessCredentials.businessId
+      });
+
+      const payload = {
+        OriginatorConversationID: originatorConversationId,
+        InitiatorName: businessCredentials.initiatorName,
+        SecurityCredential: businessCredentials.securityCredential,
+        CommandID: commandId,
+        Amount: Math.floor(amount),
+        PartyA: businessCredentials.b2cShortCode,
+        PartyB: phoneNumber,
+        Remarks: remarks.substring(0, 100),
+        QueueTimeOutURL: this.getCallbackUrl('b2c-timeout'),
+        ResultURL: this.getCallbackUrl('b2c-result'),
+        Occasion: occasion.substring(0, 100)
+      };
+
+      console.log('💸 Initiating B2C payment:', {
+        phone: phoneNumber,
+        amount,
+        shortCode: businessCredentials.b2cShortCode,
+        commandId
+      });
+
+      const response = await axios.post(
+        `${this.baseURL}/mpesa/b2c/v3/paymentrequest`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        }
+      );
+
+      console.log('✅ B2C payment request accepted');
+
+      return {
+        success: true,
+        conversationId: response.data.ConversationID,
+        originatorConversationId: response.data.OriginatorConversationID,
+        responseCode: response.data.ResponseCode,
+        responseDescription: response.data.ResponseDescription
+      };
+
+    } catch (error) {
+      console.error('❌ B2C payment failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: error.response?.data?.errorMessage || error.message,
+        errorCode: error.response?.data?.errorCode || 'UNKNOWN_ERROR'
+      };
+    }
+  }
+
+  // Ask Daraja to reverse a completed C2B/STK payment received by a business
+  async requestReversal(reversalData) {
+    try {
+      const {
+        transactionId,
+        amount,
+        remarks = 'Transaction reversal',
+        occasion = '',
+        originatorConversationId,
+        businessCredentials
+      } = reversalData;
+
+      if (!transactionId || !amount || !businessCredentials) {
+        throw new Error('transactionId, amount, and businessCredentials are required');
+      }
+
+      if (!businessCredentials.initiatorName || !businessCredentials.securityCredential) {
+        throw new Error('Business is missing initiator name or security credential required for reversals');
+      }
+
+      const token = await this.generateAccessToken(businessCredentials.consumerKey, businessCredentials.consumerSecret, {
+        businessId: businessCredentials.businessId
+      });
+
+      const payload = {
+        OriginatorConversationID: originatorConversationId,
+        Initiator: businessCredentials.initiatorName,
+        SecurityCredential: businessCredentials.securityCredential,
+        CommandID: 'TransactionReversal',
+        TransactionID: transactionId,
+        Amount: Math.floor(amount),
+        ReceiverParty: businessCredentials.shortCode,
+        RecieverIdentifierType: '11',
+        ResultURL: this.getCallbackUrl('reversal-result'),
+        QueueTimeOutURL: this.getCallbackUrl('reversal-timeout'),
+        Remarks: remarks.substring(0, 100),
+        Occasion: occasion.substring(0, 100)
+      };
+
+      console.log('↩️ Requesting transaction reversal:', {
+        transactionId,
+        amount,
+        shortCode: businessCredentials.shortCode
+      });
+
+      const response = await axios.post(
+        `${this.baseURL}/mpesa/reversal/v1/request`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        }
+      );
+
+      console.log('✅ Reversal request accepted');
+
+      return {
+        success: true,
+        conversationId: response.data.ConversationID,
+        originatorConversationId: response.data.OriginatorConversationID,
+        responseCode: response.data.ResponseCode,
+        responseDescription: response.data.ResponseDescription
+      };
+
+    } catch (error) {
+      console.error('❌ Reversal request failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: error.response?.data?.errorMessage || error.message,
+        errorCode: error.response?.data?.errorCode || 'UNKNOWN_ERROR'
+      };
+    }
+  }
+
+  // Generate an M-Pesa dynamic QR code (Daraja returns the PNG, base64-encoded)
+  async generateQrCode(qrData) {
+    try {
+      const {
+        merchantName,
+        refNo = '',
+        amount = null,
+        trxCode,
+        cpi,
+        size = 512,
+        businessCredentials
+      } = qrData;
+
+      if (!merchantName || !trxCode || !cpi || !businessCredentials) {
+        throw new Error('merchantName, trxCode, cpi, and businessCredentials are required');
+      }
+
+      const token = await this.generateAccessToken(businessCredentials.consumerKey, businessCredentials.consumerSecret, {
+        businessId: businessCredentials.businessId
+      });
+
+      // TrxCode: BG = Buy Goods, PB = Paybill; CPI is the till or paybill number
+      const payload = {
+        MerchantName: merchantName.substring(0, 100),
+        RefNo: refNo,
+        TrxCode: trxCode,
+        CPI: String(cpi),
+        Size: String(size)
+      };
+      if (amount) {
+        payload.Amount = Math.round(amount);
+      }
+
+      console.log('🔳 Generating M-Pesa QR code:', { trxCode, cpi, amount });
+
+      const response = await axios.post(
+        `${this.baseURL}/mpesa/qrcode/v1/generate`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        }
+      );
+
+      if (!response.data.QRCode) {
+        throw new Error(response.data.ResponseDescription || 'Daraja returned no QR code');
+      }
+
+      return {
+        success: true,
+        qrCode: response.data.QRCode,
+        requestId: response.data.RequestID,
+        responseCode: response.data.ResponseCode,
+        responseDescription: response.data.ResponseDescription
+      };
+
+    } catch (error) {
+      console.error('❌ QR code generation failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: error.response?.data?.errorMessage || error.message,
+        errorCode: error.response?.data?.errorCode || 'UNKNOWN_ERROR'
+      };
+    }
+  }
+
+  // Fetch one page of C2B payments received by a shortcode (Pull Transactions API)
+  async pullTransactions(pullData) {
+    try {
+      const {
+        startDate,
+        endDate,
+        offset = 0,
+        businessCredentials
+      } = pullData;
+
+      if (!startDate || !endDate || !businessCredentials) {
+        throw new Error('startDate, endDate, and businessCredentials are required');
+      }
+
+      const token = await this.generateAccessToken(businessCredentials.consumerKey, businessCredentials.consumerSecret, {
+        businessId: businessCredentials.businessId
+      });
+
+      const payload = {
+        ShortCode: businessCredentials.shortCode,
+        StartDate: this.formatPullDate(startDate),
+        EndDate: this.formatPullDate(endDate),
+        OffSetValue: String(offset)
+      };
+
+      console.log('📥 Pulling transactions:', payload);
+
+      const response = await axios.post(
+        `${this.baseURL}/pulltransactions/v1/query`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        }
+      );
+
+      // Records come back wrapped in a nested array
+      const records = (response.data.Response || []).flat().filter(Boolean);
+
+      return {
+        success: true,
+        responseCode: response.data.ResponseCode,
+        responseMessage: response.data.ResponseMessage,
+        transactions: records
+      };
+
+    } catch (error) {
+      console.error('❌ Pull transactions failed:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        error: error.response?.data?.errorMessage || error.response?.data?.ResponseMessage || error.message,
+        errorCode: error.response?.data?.errorCode || 'UNKNOWN_ERROR'
+      };
+    }
+  }
+
+  // Pull Transactions expects "YYYY-MM-DD HH:mm:ss" in Kenyan time (UTC+3)
+  formatPullDate(date) {
+    const eat = new Date(new Date(date).getTime() + 3 * 60 * 60 * 1000);
+    return eat.toISOString().replace('T', ' ').substring(0, 19);
+  }
+
+  // Pull Transactions dates are Kenyan time (UTC+3) unless they carry their own offset
+  parsePullDate(value) {
+    const text = String(value).trim().replace(' ', 'T');
+    return new Date(/(Z|[+-]\d{2}:?\d{2})$/i.test(text) ? text : `${text}+03:00`);
+  }
+
+  // Verify a consumer key/secret pair with a fresh OAuth call
+  async verifyCredentials(consumerKey, consumerSecret, businessId = null) {
+    try {
+      const token = await this.generateAccessToken(consumerKey, consumerSecret, { businessId, forceRefresh: true });
+      return { success: !!token };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Onboard a business: verify its credentials, register its C2B URLs and store the outcome
+  async registerBusinessUrls(businessId, merchantId = null) {
+    const businessCredentials = await this.getBusinessCredentials(businessId, merchantId);
+
+    if (!businessCredentials.success) {
+      return businessCredentials;
+    }
+
+    const attemptedAt = new Date();
+    const verification = await this.verifyCredentials(
+      businessCredentials.consumerKey,
+      businessCredentials.consumerSecret,
+      businessCredentials.businessId
+    );
+
+    let registration = {
+      status: 'failed',
+      credentialsVerified: verification.success,
+      credentialsVerifiedAt: verification.success ? attemptedAt : null,
+      lastAttemptAt: attemptedAt,
+      error: verification.success ? null : `Credential verification failed: ${verification.error}`
+    };
+
+    if (verification.success) {
+      const result = await this.registerC2BUrls(businessCredentials);
+
+      registration = {
+        ...registration,
+        status: result.success ? 'registered' : 'failed',
+        ...(result.success && { registeredAt: attemptedAt }),
+        conversationId: result.conversationId || null,
+        responseDescription: result.responseDescription || null,
+        confirmationUrl: result.confirmationUrl || null,
+        validationUrl: result.validationUrl || null,
+        error: result.success ? null : result.error
+      };
+    }
+
+    const business = await Business.findById(businessId);
+    await business.recordC2BRegistration(registration);
+
+    return {
+      success: registration.status === 'registered',
+      message: registration.status === 'registered'
+        ? 'C2B URLs registered successfully'
+        : registration.error,
+      businessName: businessCredentials.businessName,
+      shortCode: businessCredentials.shortCode,
+      registration: business.c2bRegistration
+    };
+  }
+
   // Health check for M-Pesa service
   async healthCheck() {
     try {
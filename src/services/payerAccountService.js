@@ -0,0 +1,521 @@
+import mongoose from "mongoose";
+import Business from "../models/Business.js";
+import PayerAccount from "../models/PayerAccount.js";
+import PayerAccountEntry from "../models/PayerAccountEntry.js";
+import Transaction from "../models/Transaction.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import eventBus from "../utils/eventBus.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+// Account fields a merchant may change after creation
+const UPDATABLE_FIELDS = ['accountNumber', 'accountType', 'name', 'contact', 'group', 'notes'];
+
+const MAX_BULK_ACCOUNTS = 1000;
+const DEFAULT_STATEMENT_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Payer Account Service
+ * Account-based collections for Paybill businesses (schools, landlords, SACCOs):
+ * payer accounts, charges, payments posted from M-Pesa, statements and arrears.
+ */
+class PayerAccountService {
+  // Get one account, checking the merchant owns its business
+  async getAccount(accountId, merchantId) {
+    const account = await PayerAccount.findById(accountId);
+    const business = account && await Business.findOne({ _id: account.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Payer account not found');
+    }
+    return account;
+  }
+
+  // Create an account for a business the merchant owns
+  async createAccount(businessId, merchantId, accountData) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    try {
+      return await PayerAccount.create({ ...accountData, business: business._id });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServiceError(`Account number ${accountData.accountNumber} already exists for this business`);
+      }
+      throw error;
+    }
+  }
+
+  // Create many accounts at once (e.g. a class list), reporting rows that failed
+  async bulkCreateAccounts(businessId, merchantId, accounts) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+      throw new ServiceError('accounts must be a non-empty array');
+    }
+    if (accounts.length > MAX_BULK_ACCOUNTS) {
+      throw new ServiceError(`A maximum of ${MAX_BULK_ACCOUNTS} accounts can be created at once`);
+    }
+
+    const results = { created: 0, failed: 0, errors: [] };
+
+    for (const [index, accountData] of accounts.entries()) {
+      try {
+        await PayerAccount.create({ ...accountData, business: business._id });
+        results.created++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({
+          row: index + 1,
+          accountNumber: accountData.accountNumber,
+          error: error.code === 11000 ? 'Account number already exists' : error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  // List accounts for a business the merchant owns
+  async getAccounts(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const [accounts, total] = await Promise.all([
+      PayerAccount.findByBusiness(businessId, options),
+      PayerAccount.countDocuments(PayerAccount.buildFilter(businessId, options))
+    ]);
+
+    return { accounts, total };
+  }
+
+  // Update an account's details
+  async updateAccount(accountId, merchantId, updates) {
+    const account = await this.getAccount(accountId, merchantId);
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        account[field] = updates[field];
+      }
+    });
+
+    try {
+      return await account.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServiceError(`Account number ${updates.accountNumber} already exists for this business`);
+      }
+      throw error;
+    }
+  }
+
+  // Close or reopen an account
+  async setAccountStatus(accountId, merchantId, status) {
+    if (!['active', 'closed'].includes(status)) {
+      throw new ServiceError('status must be "active" or "closed"');
+    }
+
+    const account = await this.getAccount(accountId, merchantId);
+    return account.setStatus(status);
+  }
+
+  // Write a ledger entry and move the account's running balance
+  async postEntry(account, entryData) {
+    // Entry first: its unique transaction index stops a payment posting twice
+    const entry = await PayerAccountEntry.create({
+      ...entryData,
+      business: account.business,
+      account: account._id
+    });
+
+    // Without the balance change the entry must go too, or it would block the retry
+    let updated;
+    try {
+      updated = await PayerAccount.applyEntry(account._id, entry);
+      if (!updated) {
+        throw new NotFoundError('Payer account not found');
+      }
+    } catch (error) {
+      await PayerAccountEntry.deleteOne({ _id: entry._id }).catch(deleteError => {
+        console.error(`❌ Failed to remove unapplied ledger entry ${entry._id}:`, deleteError.message);
+      });
+      throw error;
+    }
+
+    entry.balanceAfter = roundAmount(updated.balance);
+    await entry.save();
+
+    return { account: updated, entry };
+  }
+
+  // Charge one account (term fees, rent, contribution)
+  async chargeAccount(accountId, merchantId, { amount, description, period, dueDate }) {
+    const account = await this.getAccount(accountId, merchantId);
+
+    if (account.status !== 'active') {
+      throw new ServiceError('Closed accounts cannot be charged');
+    }
+
+    const chargeAmount = parseFloat(amount);
+    if (!(chargeAmount > 0)) {
+      throw new ServiceError('Charge amount must be greater than zero');
+    }
+
+    return this.postEntry(account, {
+      type: 'charge',
+      amount: chargeAmount,
+      description,
+      period,
+      dueDate: dueDate || new Date(),
+      postedBy: merchantId
+    });
+  }
+
+  // Charge every matching active account; re-running the same period/description is a no-op
+  async bulkCharge(businessId, merchantId, { amount, description, period, dueDate, accountType, group, accountNumbers }) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    const chargeAmount = parseFloat(amount);
+    if (!(chargeAmount > 0)) {
+      throw new ServiceError('Charge amount must be greater than zero');
+    }
+    if (!description || !period) {
+      throw new ServiceError('description and period are required for bulk charges');
+    }
+
+    const filter = PayerAccount.buildFilter(business._id, { status: 'active', accountType, group });
+    if (Array.isArray(accountNumbers) && accountNumbers.length > 0) {
+      filter.matchKey = { $in: accountNumbers.map(number => MpesaUtils.normalizeAccountReference(number)) };
+    }
+
+    const accounts = await PayerAccount.find(filter);
+
+    const alreadyCharged = new Set(
+      (await PayerAccountEntry.distinct('account', {
+        business: business._id,
+        type: 'charge',
+        period,
+        description
+      })).map(String)
+    );
+
+    const results = { charged: 0, skipped: 0, failed: 0, totalAmount: 0 };
+
+    for (const account of accounts) {
+      if (alreadyCharged.has(String(account._id))) {
+        results.skipped++;
+        continue;
+      }
+
+      try {
+        await this.postEntry(account, {
+          type: 'charge',
+          amount: chargeAmount,
+          description,
+          period,
+          dueDate: dueDate || new Date(),
+          postedBy: merchantId
+        });
+        results.charged++;
+        results.totalAmount = roundAmount(results.totalAmount + chargeAmount);
+      } catch (error) {
+        results.failed++;
+        console.error(`❌ Failed to charge payer account ${account.accountNumber}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  // Manual credit or debit (waiver, penalty, cash received)
+  async adjustAccount(accountId, merchantId, { amount, description }) {
+    const account = await this.getAccount(accountId, merchantId);
+
+    const adjustment = parseFloat(amount);
+    if (!adjustment) {
+      throw new ServiceError('Adjustment amount must be a non-zero number');
+    }
+    if (!description) {
+      throw new ServiceError('A description is required for adjustments');
+    }
+
+    return this.postEntry(account, {
+      type: 'adjustment',
+      amount: adjustment,
+      description,
+      postedBy: merchantId
+    });
+  }
+
+  // Post an M-Pesa payment to an account and link the transaction back
+  async postPayment(account, transaction, postedBy = null) {
+    const { account: updated, entry } = await this.postEntry(account, {
+      type: 'payment',
+      amount: -transaction.amount,
+      description: `M-Pesa payment ${transaction.mpesaTransactionId || ''}`.trim(),
+      entryDate: transaction.transactionTime || new Date(),
+      transaction: transaction._id,
+      mpesaReceipt: transaction.mpesaTransactionId,
+      phoneNumber: transaction.customer?.phoneNumber,
+      postedBy
+    });
+
+    await Transaction.updateOne({ _id: transaction._id }, { payerAccount: account._id });
+
+    console.log(`📒 Payer account ${account.accountNumber} credited KES ${transaction.amount} (balance ${entry.balanceAfter})`);
+    return { account: updated, entry };
+  }
+
+  // Take a reversed or refunded payment back off the account it was posted to
+  async postContraEntry(transaction, entryData) {
+    const account = await PayerAccount.findById(transaction.payerAccount);
+    if (!account) {
+      return null;
+    }
+
+    try {
+      const result = await this.postEntry(account, { type: 'payment', ...entryData });
+      console.log(`📒 Payer account ${account.accountNumber} debited KES ${entryData.amount} (balance ${result.entry.balanceAfter})`);
+      return result;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null; // already taken back (event replay)
+      }
+      throw error;
+    }
+  }
+
+  // Reverse the ledger posting of a payment Safaricom reversed
+  async postReversal(transaction) {
+    if (!transaction.payerAccount) {
+      return null;
+    }
+
+    const posted = await PayerAccountEntry.findOne({ transaction: transaction._id, type: 'payment' });
+    if (!posted) {
+      return null;
+    }
+
+    return this.postContraEntry(transaction, {
+      amount: -posted.amount,
+      description: `Reversal of M-Pesa payment ${transaction.mpesaTransactionId || ''}`.trim(),
+      entryDate: transaction.reversal?.completedAt || new Date(),
+      reversalOf: transaction._id,
+      mpesaReceipt: transaction.reversal?.reversalTransactionId,
+      phoneNumber: posted.phoneNumber
+    });
+  }
+
+  // Charge a refund back to the account its sale was posted to
+  async postRefund(refund) {
+    if (!refund.originalTransaction) {
+      return null;
+    }
+
+    const original = await Transaction.findById(refund.originalTransaction);
+    if (!original?.payerAccount) {
+      return null;
+    }
+
+    return this.postContraEntry(original, {
+      amount: refund.amount,
+      description: `Refund of M-Pesa payment ${original.mpesaTransactionId || ''}`.trim(),
+      entryDate: refund.transactionTime || new Date(),
+      transaction: refund._id,
+      mpesaReceipt: refund.mpesaTransactionId,
+      phoneNumber: refund.customer?.phoneNumber
+    });
+  }
+
+  // Post an incoming payment to the account its reference names
+  async postIncomingPayment(transaction) {
+    if (transaction.status !== 'completed' || !transaction.billRefNumber || transaction.payerAccount) {
+      return null;
+    }
+
+    // Only customer payments reduce what a payer owes
+    if (transaction.category === 'refund' || transaction.transactionType === 'B2C Payment') {
+      return null;
+    }
+
+    // Money already received is posted even if the account was closed since
+    const account = await PayerAccount.findByAccountNumber(transaction.business, transaction.billRefNumber);
+    if (!account) {
+      return null;
+    }
+
+    try {
+      return await this.postPayment(account, transaction);
+    } catch (error) {
+      if (error.code === 11000) {
+        return null; // already posted (callback replay)
+      }
+      throw error;
+    }
+  }
+
+  // Manually post a payment that carried a wrong or missing account number
+  async applyPaymentManually(accountId, transactionId, merchantId) {
+    const account = await this.getAccount(accountId, merchantId);
+
+    const transaction = await Transaction.findByIdOrReference(transactionId);
+    if (!transaction || !transaction.business.equals(account.business)) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    if (transaction.status !== 'completed') {
+      throw new ServiceError(`Only completed transactions can be posted (transaction is ${transaction.status})`);
+    }
+
+    if (transaction.payerAccount) {
+      throw new ServiceError('Transaction is already posted to a payer account');
+    }
+
+    try {
+      return await this.postPayment(account, transaction, merchantId);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServiceError('Transaction is already posted to a payer account');
+      }
+      throw error;
+    }
+  }
+
+  // Ledger entries for a period with opening, running and closing balances
+  async getStatement(accountId, merchantId, { startDate, endDate } = {}) {
+    const account = await this.getAccount(accountId, merchantId);
+
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - DEFAULT_STATEMENT_DAYS * DAY_MS);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      throw new ServiceError('startDate and endDate must be valid dates with startDate before endDate');
+    }
+
+    const [openingBalance, entries] = await Promise.all([
+      PayerAccountEntry.getBalanceBefore(account._id, start),
+      PayerAccountEntry.findForStatement(account._id, start, end)
+    ]);
+
+    const totals = { charges: 0, payments: 0, adjustments: 0 };
+    let runningBalance = openingBalance;
+
+    const lines = entries.map(entry => {
+      runningBalance = roundAmount(runningBalance + entry.amount);
+
+      if (entry.type === 'charge') totals.charges = roundAmount(totals.charges + entry.amount);
+      if (entry.type === 'payment') totals.payments = roundAmount(totals.payments - entry.amount);
+      if (entry.type === 'adjustment') totals.adjustments = roundAmount(totals.adjustments + entry.amount);
+
+      return {
+        ...entry.getSummary(),
+        runningBalance
+      };
+    });
+
+    return {
+      account: account.getFullDetails(),
+      period: { startDate: start, endDate: end },
+      openingBalance,
+      totals,
+      closingBalance: runningBalance,
+      entries: lines
+    };
+  }
+
+  // Accounts owing money that is already due, largest first
+  async getArrearsReport(businessId, merchantId, options = {}) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+    const { accountType, group, page = 1, limit = 50 } = options;
+    const now = new Date();
+
+    const accounts = await PayerAccount.find(
+      PayerAccount.buildFilter(business._id, { accountType, group, owing: true })
+    ).lean();
+
+    // Charges not yet due are owed but not in arrears
+    const notYetDue = await PayerAccountEntry.aggregate([
+      {
+        $match: {
+          business: new mongoose.Types.ObjectId(business._id),
+          type: 'charge',
+          dueDate: { $gt: now }
+        }
+      },
+      { $group: { _id: '$account', amount: { $sum: '$amount' } } }
+    ]);
+    const notYetDueByAccount = new Map(notYetDue.map(item => [String(item._id), item.amount]));
+
+    const inArrears = accounts
+      .map(account => {
+        const arrears = roundAmount(account.balance - (notYetDueByAccount.get(String(account._id)) || 0));
+        return {
+          id: account._id,
+          accountNumber: account.accountNumber,
+          accountType: account.accountType,
+          name: account.name,
+          group: account.group,
+          contact: account.contact,
+          status: account.status,
+          balance: roundAmount(account.balance),
+          arrears,
+          lastPaymentAt: account.lastPaymentAt,
+          daysSinceLastPayment: account.lastPaymentAt
+            ? Math.floor((now - account.lastPaymentAt) / DAY_MS)
+            : null
+        };
+      })
+      .filter(account => account.arrears > 0)
+      .sort((a, b) => b.arrears - a.arrears);
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    return {
+      asOf: now,
+      totals: {
+        accounts: inArrears.length,
+        arrears: roundAmount(inArrears.reduce((sum, account) => sum + account.arrears, 0)),
+        outstanding: roundAmount(inArrears.reduce((sum, account) => sum + account.balance, 0))
+      },
+      accounts: inArrears.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: inArrears.length,
+        pages: Math.ceil(inArrears.length / limitNum)
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const payerAccountService = new PayerAccountService();
+
+// Post incoming payments to the payer account named by the account reference
+eventBus.on("TRANSACTION_CREATED", async (transaction) => {
+  try {
+    await payerAccountService.postIncomingPayment(transaction);
+  } catch (error) {
+    console.error(`❌ Payer account posting failed for transaction ${transaction._id}:`, error);
+  }
+});
+
+// ...and take reversed or refunded payments back off the ledger
+eventBus.on("TRANSACTION_REVERSED", async (transaction) => {
+  try {
+    await payerAccountService.postReversal(transaction);
+  } catch (error) {
+    console.error(`❌ Payer account update failed for reversed transaction ${transaction._id}:`, error);
+  }
+});
+
+eventBus.on("REFUND_COMPLETED", async (refund) => {
+  try {
+    await payerAccountService.postRefund(refund);
+  } catch (error) {
+    console.error(`❌ Payer account update failed for refund ${refund._id}:`, error);
+  }
+});
+
+export default payerAccountService;
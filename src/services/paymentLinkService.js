@@ -0,0 +1,193 @@
+import Business from "../models/Business.js";
+import PaymentLink from "../models/PaymentLink.js";
+import Token from "../models/Token.js";
+import Transaction from "../models/Transaction.js";
+import mpesaService from "./mpesaService.js";
+import stkService from "./stkService.js";
+import TokenService from "./tokenService.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import eventBus from "../utils/eventBus.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+// A pending prompt on a single-use link blocks new ones for this long
+const PENDING_PROMPT_WINDOW_MS = 2 * 60 * 1000;
+
+/**
+ * Payment Link Service
+ * Creates shareable payment links and turns a customer's visit into an STK
+ * push from the owning business
+ */
+class PaymentLinkService {
+  // Create a link for a business the merchant owns
+  async createLink({ businessId, merchantId, amount, reference, description, usage, expiresAt }) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    if (expiresAt && !(new Date(expiresAt) > new Date())) {
+      throw new ServiceError('expiresAt must be a future date');
+    }
+
+    return PaymentLink.create({
+      business: business._id,
+      createdBy: merchantId,
+      amount: parseFloat(amount),
+      reference,
+      description,
+      usage,
+      expiresAt: expiresAt || null
+    });
+  }
+
+  // List links for a business the merchant owns
+  async getLinks(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const filter = { business: businessId };
+    if (options.status) filter.status = options.status;
+
+    const [links, total] = await Promise.all([
+      PaymentLink.findByBusiness(businessId, options),
+      PaymentLink.countDocuments(filter)
+    ]);
+
+    return { links, total };
+  }
+
+  // Get one link, checking the merchant owns its business
+  async getLink(linkId, merchantId) {
+    const link = await PaymentLink.findById(linkId);
+    const business = link && await Business.findOne({ _id: link.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Payment link not found');
+    }
+    return link;
+  }
+
+  // Stop a link from accepting further payments
+  async cancelLink(linkId, merchantId) {
+    const link = await this.getLink(linkId, merchantId);
+
+    if (link.status !== 'active') {
+      throw new ServiceError(`Only active links can be cancelled (link is ${link.status})`);
+    }
+    return link.cancel();
+  }
+
+  // Load a link by public code, expiring it if its time has passed
+  async findPublicLink(code) {
+    const link = await PaymentLink.findByCode(code);
+    if (!link) {
+      throw new NotFoundError('Payment link not found');
+    }
+
+    if (link.status === 'active' && link.isExpired) {
+      link.status = 'expired';
+      await link.save();
+    }
+    return link;
+  }
+
+  // Customer entered their phone number - send them the STK prompt
+  async payLink(code, phoneNumber) {
+    const link = await this.findPublicLink(code);
+
+    const { payable, reason } = link.checkPayable();
+    if (!payable) {
+      throw new ServiceError(reason);
+    }
+
+    const validation = MpesaUtils.validateSTKParameters(phoneNumber, link.amount, link.reference);
+    if (!validation.isValid) {
+      throw new ServiceError(validation.errors.join(', '));
+    }
+
+    if (link.usage === 'single') {
+      const inProgress = await Transaction.exists({
+        paymentLink: link._id,
+        status: 'pending',
+        createdAt: { $gte: new Date(Date.now() - PENDING_PROMPT_WINDOW_MS) }
+      });
+      if (inProgress) {
+        throw new ServiceError('A payment for this link is already in progress');
+      }
+    }
+
+    // Link payments count against the business's own token
+    const token = await Token.findActiveByBusiness(link.business._id);
+    if (!token || !token.canProcessTransaction(link.amount).canUse) {
+      throw new ServiceError('This business cannot accept payments right now');
+    }
+
+    const businessCredentials = await mpesaService.getBusinessCredentials(link.business._id);
+    if (!businessCredentials.success) {
+      console.error(`❌ Payment link ${link.code} has no usable credentials:`, businessCredentials.message);
+      throw new ServiceError('This business cannot accept payments right now');
+    }
+
+    const result = await stkService.initiatePayment({
+      businessCredentials,
+      phoneNumber: validation.formattedPhone,
+      amount: validation.amount,
+      accountReference: link.reference,
+      description: link.description || `Payment link ${link.code}`,
+      tokenId: token._id,
+      paymentLink: link._id
+    });
+
+    if (result.success) {
+      // RECORD TOKEN USAGE ASYNCHRONOUSLY (don't block the response)
+      TokenService.recordTokenUsage(token._id, link.amount)
+        .catch(error => {
+          console.error('Error recording token usage:', error);
+        });
+    }
+
+    return { ...result, link };
+  }
+
+  // Status of a customer's payment attempt on a link
+  async getPaymentStatus(code, checkoutRequestId) {
+    const link = await this.findPublicLink(code);
+
+    const transaction = await Transaction.findOne({ paymentLink: link._id, checkoutRequestId });
+    if (!transaction) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    return { link, transaction };
+  }
+
+  // Apply a completed STK transaction to its link
+  async recordPayment(transaction) {
+    const link = await PaymentLink.findById(transaction.paymentLink);
+    if (!link) {
+      return null;
+    }
+
+    const updated = await link.recordPayment(transaction);
+    if (!updated) {
+      return link; // already recorded
+    }
+
+    console.log(`🔗 Payment link ${link.code} paid: ${transaction.mpesaTransactionId || transaction.internalReference}`);
+    return updated;
+  }
+}
+
+// Export singleton instance
+const paymentLinkService = new PaymentLinkService();
+
+// Mark links paid once their STK transaction completes (callback or reconciliation)
+eventBus.on("TRANSACTION_CREATED", async (transaction) => {
+  if (!transaction.paymentLink || transaction.status !== 'completed') {
+    return;
+  }
+
+  try {
+    await paymentLinkService.recordPayment(transaction);
+  } catch (error) {
+    console.error(`❌ Failed to record payment link payment for ${transaction._id}:`, error);
+  }
+});
+
+export default paymentLinkService;
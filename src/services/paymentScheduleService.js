@@ -0,0 +1,408 @@
+import Business from "../models/Business.js";
+import PaymentSchedule from "../models/PaymentSchedule.js";
+import Token from "../models/Token.js";
+import Transaction from "../models/Transaction.js";
+import mpesaService from "./mpesaService.js";
+import stkService from "./stkService.js";
+import TokenService from "./tokenService.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Payment Schedule Service
+ * Recurring STK push collections. A background job sends the prompt for each
+ * due installment, retries failed prompts per the schedule's retry policy and
+ * pauses schedules that keep failing.
+ *
+ * Configuration (environment):
+ * - PAYMENT_SCHEDULER_ENABLED             set to "false" to disable (default enabled)
+ * - PAYMENT_SCHEDULER_INTERVAL_SECONDS    how often to run (default 60)
+ * - PAYMENT_SCHEDULER_BATCH_SIZE          schedules handled per run (default 25)
+ */
+
+// Fields a merchant may change on an existing schedule
+const UPDATABLE_FIELDS = ['amount', 'description', 'endDate', 'totalInstallments', 'retryPolicy', 'maxConsecutiveMissed'];
+
+// How long a claimed schedule is hidden from other runs while its prompt is sent
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+class PaymentScheduleService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  getConfig() {
+    return {
+      enabled: process.env.PAYMENT_SCHEDULER_ENABLED !== 'false',
+      intervalMs: (parseInt(process.env.PAYMENT_SCHEDULER_INTERVAL_SECONDS) || 60) * 1000,
+      batchSize: parseInt(process.env.PAYMENT_SCHEDULER_BATCH_SIZE) || 25
+    };
+  }
+
+  // Get one schedule, checking the merchant owns its business
+  async getSchedule(scheduleId, merchantId) {
+    const schedule = await PaymentSchedule.findById(scheduleId);
+    const business = schedule && await Business.findOne({ _id: schedule.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Payment schedule not found');
+    }
+    return schedule;
+  }
+
+  // Create a schedule; the first prompt goes out on the start date
+  async createSchedule({ businessId, merchantId, phoneNumber, customerName, amount, accountReference, description, frequency, intervalDays, startDate, endDate, totalInstallments, retryPolicy, maxConsecutiveMissed }) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    const validation = MpesaUtils.validateSTKParameters(phoneNumber, amount, accountReference);
+    if (!validation.isValid) {
+      throw new ServiceError(validation.errors.join(', '));
+    }
+
+    return PaymentSchedule.create({
+      business: business._id,
+      createdBy: merchantId,
+      customer: {
+        phoneNumber: validation.formattedPhone,
+        name: customerName
+      },
+      amount: validation.amount,
+      accountReference,
+      description,
+      frequency,
+      intervalDays,
+      startDate: startDate || new Date(),
+      endDate: endDate || null,
+      totalInstallments: totalInstallments || null,
+      retryPolicy,
+      maxConsecutiveMissed
+    });
+  }
+
+  // List schedules for a business the merchant owns
+  async getSchedules(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const filter = { business: businessId };
+    if (options.status) filter.status = options.status;
+    if (options.phoneNumber) filter['customer.phoneNumber'] = options.phoneNumber;
+
+    const [schedules, total] = await Promise.all([
+      PaymentSchedule.findByBusiness(businessId, options),
+      PaymentSchedule.countDocuments(filter)
+    ]);
+
+    return { schedules, total };
+  }
+
+  // Change amount, end or retry settings
+  async updateSchedule(scheduleId, merchantId, updates) {
+    const schedule = await this.getSchedule(scheduleId, merchantId);
+
+    if (['completed', 'cancelled'].includes(schedule.status)) {
+      throw new ServiceError(`A ${schedule.status} schedule cannot be updated`);
+    }
+
+    UPDATABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        schedule[field] = updates[field];
+      }
+    });
+
+    return schedule.save();
+  }
+
+  // Stop sending prompts until resumed
+  async pauseSchedule(scheduleId, merchantId) {
+    const schedule = await this.getSchedule(scheduleId, merchantId);
+
+    if (schedule.status !== 'active') {
+      throw new ServiceError(`Only active schedules can be paused (schedule is ${schedule.status})`);
+    }
+
+    schedule.status = 'paused';
+    schedule.pauseReason = 'Paused by merchant';
+    return schedule.save();
+  }
+
+  // Resume a paused schedule; the current installment is retried from scratch
+  async resumeSchedule(scheduleId, merchantId) {
+    const schedule = await this.getSchedule(scheduleId, merchantId);
+
+    if (schedule.status !== 'paused') {
+      throw new ServiceError(`Only paused schedules can be resumed (schedule is ${schedule.status})`);
+    }
+
+    const now = new Date();
+    schedule.status = 'active';
+    schedule.pauseReason = undefined;
+    schedule.attemptCount = 0;
+    schedule.consecutiveMissed = 0;
+    schedule.nextAttemptAt = schedule.nextDueAt > now ? schedule.nextDueAt : now;
+    return schedule.save();
+  }
+
+  // Stop the schedule for good
+  async cancelSchedule(scheduleId, merchantId) {
+    const schedule = await this.getSchedule(scheduleId, merchantId);
+
+    if (['completed', 'cancelled'].includes(schedule.status)) {
+      throw new ServiceError(`Schedule is already ${schedule.status}`);
+    }
+
+    schedule.status = 'cancelled';
+    schedule.cancelledAt = new Date();
+    schedule.nextAttemptAt = null;
+    return schedule.save();
+  }
+
+  // ========== SCHEDULER ==========
+
+  // One scheduler run: apply finished prompts, then send the due ones
+  async processSchedules() {
+    if (this.isRunning) {
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    const config = this.getConfig();
+    const summary = { resolved: 0, sent: 0, failed: 0, paused: 0, errors: 0 };
+
+    try {
+      // Prompts sent in earlier runs (including on schedules paused since) that have an outcome.
+      // Still-pending prompts are left out so they can't crowd finished ones out of the batch.
+      const finished = await PaymentSchedule.aggregate([
+        { $match: { pendingTransaction: { $ne: null } } },
+        {
+          $lookup: {
+            from: Transaction.collection.name,
+            localField: 'pendingTransaction',
+            foreignField: '_id',
+            as: 'prompt'
+          }
+        },
+        { $match: { $or: [{ 'prompt.0': { $exists: false } }, { 'prompt.status': { $ne: 'pending' } }] } },
+        { $project: { _id: 1 } },
+        { $limit: config.batchSize }
+      ]);
+      const awaiting = await PaymentSchedule.find({ _id: { $in: finished.map(schedule => schedule._id) } });
+
+      for (const schedule of awaiting) {
+        try {
+          if (await this.resolvePendingAttempt(schedule)) {
+            summary.resolved++;
+          }
+        } catch (error) {
+          summary.errors++;
+          console.error(`❌ Failed to resolve payment schedule ${schedule._id}:`, error.message);
+        }
+      }
+
+      const due = await PaymentSchedule.find({
+        status: 'active',
+        pendingTransaction: null,
+        nextAttemptAt: { $lte: new Date() }
+      })
+        .sort({ nextAttemptAt: 1 })
+        .limit(config.batchSize);
+
+      for (const schedule of due) {
+        try {
+          const outcome = await this.sendAttempt(schedule._id);
+          if (outcome) summary[outcome]++;
+        } catch (error) {
+          summary.errors++;
+          console.error(`❌ Failed to send payment schedule ${schedule._id} prompt:`, error.message);
+        }
+      }
+
+      if (summary.resolved + summary.sent + summary.failed + summary.paused + summary.errors > 0) {
+        console.log('📅 Payment scheduler run:', summary);
+      }
+
+      return summary;
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Apply the outcome of the prompt a schedule is waiting on; false while still pending
+  async resolvePendingAttempt(schedule) {
+    const transaction = await Transaction.findById(schedule.pendingTransaction);
+    if (transaction && transaction.status === 'pending') {
+      return false;
+    }
+
+    const attempt = schedule.attempts.find(a => a.transaction?.equals(schedule.pendingTransaction));
+    const status = transaction ? transaction.status : 'failed';
+
+    if (attempt) {
+      attempt.status = status;
+      attempt.resolvedAt = new Date();
+      if (status === 'completed') {
+        attempt.mpesaReceipt = transaction.mpesaTransactionId;
+      } else {
+        attempt.errorMessage = transaction?.errorMessage || 'Transaction not found';
+      }
+    }
+
+    schedule.pendingTransaction = null;
+
+    if (status === 'completed') {
+      schedule.installmentsPaid += 1;
+      schedule.totalCollected += transaction.amount;
+      schedule.lastPaidAt = new Date();
+      schedule.consecutiveMissed = 0;
+
+      if (schedule.status !== 'cancelled') {
+        schedule.advanceInstallment();
+      }
+    } else {
+      this.handleFailedAttempt(schedule);
+    }
+
+    await schedule.save();
+    return true;
+  }
+
+  // Retry, skip or pause after a failed prompt according to the retry policy
+  handleFailedAttempt(schedule) {
+    // Paused or cancelled meanwhile - nothing is scheduled
+    if (schedule.status !== 'active') {
+      return;
+    }
+
+    const { maxAttempts, retryIntervalMinutes, onExhausted } = schedule.retryPolicy;
+
+    if (schedule.attemptCount < maxAttempts) {
+      schedule.nextAttemptAt = new Date(Date.now() + retryIntervalMinutes * 60 * 1000);
+      return;
+    }
+
+    const failedInstallment = schedule.installmentNumber;
+
+    if (onExhausted === 'pause') {
+      schedule.status = 'paused';
+      schedule.pauseReason = `Installment ${failedInstallment} failed after ${schedule.attemptCount} attempts`;
+      return;
+    }
+
+    schedule.installmentsMissed += 1;
+    schedule.consecutiveMissed += 1;
+    schedule.advanceInstallment();
+
+    if (schedule.status === 'active' && schedule.consecutiveMissed >= schedule.maxConsecutiveMissed) {
+      schedule.status = 'paused';
+      schedule.pauseReason = `${schedule.consecutiveMissed} installments in a row were not paid`;
+    }
+  }
+
+  // Pause a schedule that cannot send prompts (token or credentials problem)
+  async haltSchedule(schedule, reason) {
+    console.warn(`⏸️ Payment schedule ${schedule._id} paused: ${reason}`);
+    schedule.status = 'paused';
+    schedule.pauseReason = reason;
+    await schedule.save();
+    return 'paused';
+  }
+
+  // Send the prompt for a schedule's current installment
+  async sendAttempt(scheduleId) {
+    const now = new Date();
+
+    // Claim the schedule so an overlapping run can't prompt the customer twice
+    const schedule = await PaymentSchedule.findOneAndUpdate(
+      { _id: scheduleId, status: 'active', pendingTransaction: null, nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { new: true }
+    );
+    if (!schedule) {
+      return null;
+    }
+
+    // Scheduled prompts count against the business token like any STK push
+    const token = await Token.findActiveByBusiness(schedule.business);
+    const tokenCheck = token ? token.canProcessTransaction(schedule.amount) : { canUse: false, reason: 'No active token' };
+    if (!tokenCheck.canUse) {
+      return this.haltSchedule(schedule, `Business token cannot be used: ${tokenCheck.reason}`);
+    }
+
+    const businessCredentials = await mpesaService.getBusinessCredentials(schedule.business);
+    if (!businessCredentials.success) {
+      return this.haltSchedule(schedule, businessCredentials.message);
+    }
+
+    schedule.attemptCount += 1;
+
+    let result;
+    try {
+      result = await stkService.initiatePayment({
+        businessCredentials,
+        phoneNumber: schedule.customer.phoneNumber,
+        amount: schedule.amount,
+        accountReference: schedule.accountReference,
+        description: schedule.description || `Installment ${schedule.installmentNumber}`,
+        merchantId: schedule.createdBy,
+        tokenId: token._id,
+        paymentSchedule: schedule._id
+      });
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+
+    schedule.attempts.push({
+      installmentNumber: schedule.installmentNumber,
+      dueAt: schedule.nextDueAt,
+      attemptNumber: schedule.attemptCount,
+      transaction: result.transaction?._id,
+      status: result.success ? 'pending' : 'not_sent',
+      errorMessage: result.success ? undefined : result.message,
+      attemptedAt: now,
+      resolvedAt: result.success ? undefined : now
+    });
+
+    if (result.success) {
+      schedule.pendingTransaction = result.transaction._id;
+      await TokenService.recordTokenUsage(token._id, schedule.amount);
+    } else {
+      this.handleFailedAttempt(schedule);
+    }
+
+    await schedule.save();
+    return result.success ? 'sent' : 'failed';
+  }
+
+  // Start the periodic scheduler
+  start() {
+    const config = this.getConfig();
+
+    if (!config.enabled || this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processSchedules().catch(error => {
+        console.error('❌ Payment scheduler run failed:', error);
+      });
+    }, config.intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+
+    console.log(`📅 Payment scheduler started (every ${config.intervalMs / 1000}s)`);
+  }
+
+  // Stop the periodic scheduler
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const paymentScheduleService = new PaymentScheduleService();
+export default paymentScheduleService;
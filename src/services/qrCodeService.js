@@ -0,0 +1,205 @@
+import PDFDocument from "pdfkit";
+import Business from "../models/Business.js";
+import QrCode from "../models/QrCode.js";
+import mpesaService from "./mpesaService.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+// Daraja transaction codes: Buy Goods till or PayBill
+const QR_TRANSACTION_CODES = {
+  buy_goods: 'BG',
+  paybill: 'PB'
+};
+
+// Image size requested from Daraja, in pixels - large enough to print on the poster
+const QR_IMAGE_SIZE = 1024;
+
+// Poster colours
+const MPESA_GREEN = '#3AA335';
+const TEXT_DARK = '#1F2933';
+const TEXT_MUTED = '#616E7C';
+
+/**
+ * QR Code Service
+ * Generates M-Pesa till/paybill QR codes through the Daraja QR code API and
+ * serves them as PNG, SVG or a printable A5 poster
+ */
+class QrCodeService {
+  // Get one code, checking the merchant owns its business
+  async getQrCode(qrCodeId, merchantId) {
+    const qrCode = await QrCode.findById(qrCodeId);
+    const business = qrCode && await Business.findOne({ _id: qrCode.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('QR code not found');
+    }
+    return qrCode;
+  }
+
+  // Generate a code; till/paybill default to the business's own shortcode and type
+  async createQrCode({ businessId, merchantId, paymentType, shortCode, amount, accountReference, label }) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    const qrCode = new QrCode({
+      business: business._id,
+      createdBy: merchantId,
+      paymentType: paymentType || (business.businessType === 'Buy Goods' ? 'buy_goods' : 'paybill'),
+      shortCode: shortCode || business.mpesaShortCode,
+      merchantName: business.businessName,
+      amount: amount ? parseFloat(amount) : null,
+      accountReference: accountReference || null,
+      label
+    });
+
+    if (qrCode.paymentType === 'buy_goods' && qrCode.accountReference) {
+      throw new ServiceError('Account reference only applies to paybill QR codes');
+    }
+
+    // Validate before calling Daraja so bad input gets field messages
+    await qrCode.validate(['paymentType', 'shortCode', 'amount', 'accountReference', 'label']);
+
+    const businessCredentials = await mpesaService.getBusinessCredentials(business._id, merchantId);
+    if (!businessCredentials.success) {
+      throw new ServiceError(businessCredentials.message);
+    }
+
+    const result = await mpesaService.generateQrCode({
+      merchantName: qrCode.merchantName,
+      refNo: qrCode.accountReference || '',
+      amount: qrCode.amount,
+      trxCode: QR_TRANSACTION_CODES[qrCode.paymentType],
+      cpi: qrCode.shortCode,
+      size: QR_IMAGE_SIZE,
+      businessCredentials
+    });
+    if (!result.success) {
+      throw new ServiceError(`M-Pesa could not generate the QR code: ${result.error}`, 502);
+    }
+
+    qrCode.image = result.qrCode;
+    qrCode.darajaRequestId = result.requestId;
+    return qrCode.save();
+  }
+
+  // History of codes generated for a business
+  async getQrCodes(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const filter = { business: businessId };
+    if (options.paymentType) filter.paymentType = options.paymentType;
+
+    const [qrCodes, total] = await Promise.all([
+      QrCode.findByBusiness(businessId, options),
+      QrCode.countDocuments(filter)
+    ]);
+
+    return { qrCodes, total };
+  }
+
+  // Render a stored code in the requested format and count the download
+  async renderQrCode(qrCodeId, merchantId, format) {
+    const qrCode = await this.getQrCode(qrCodeId, merchantId);
+
+    const baseName = `mpesa-${qrCode.shortCode}${qrCode.accountReference ? `-${qrCode.accountReference}` : ''}`;
+
+    let file;
+    switch (format) {
+      case 'png':
+        file = {
+          content: Buffer.from(qrCode.image, 'base64'),
+          contentType: 'image/png',
+          filename: `${baseName}.png`
+        };
+        break;
+      case 'svg':
+        file = {
+          content: this.renderSvg(qrCode),
+          contentType: 'image/svg+xml',
+          filename: `${baseName}.svg`
+        };
+        break;
+      case 'poster':
+        file = {
+          content: await this.renderPoster(qrCode),
+          contentType: 'application/pdf',
+          filename: `${baseName}-poster.pdf`
+        };
+        break;
+      default:
+        throw new ServiceError(`Unsupported QR code format: ${format}`);
+    }
+
+    await QrCode.recordDownload(qrCode._id, format);
+    return file;
+  }
+
+  // SVG wrapping the Daraja PNG, for design tools that expect vector files
+  renderSvg(qrCode) {
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${QR_IMAGE_SIZE}" height="${QR_IMAGE_SIZE}" viewBox="0 0 ${QR_IMAGE_SIZE} ${QR_IMAGE_SIZE}">`,
+      `<image width="${QR_IMAGE_SIZE}" height="${QR_IMAGE_SIZE}" xlink:href="data:image/png;base64,${qrCode.image}" href="data:image/png;base64,${qrCode.image}"/>`,
+      '</svg>'
+    ].join('\n');
+  }
+
+  // Printable A5 poster: business name, payment details and the code
+  async renderPoster(qrCode) {
+    const image = Buffer.from(qrCode.image, 'base64');
+    const isPaybill = qrCode.paymentType === 'paybill';
+
+    const doc = new PDFDocument({ size: 'A5', margin: 36 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const pageWidth = doc.page.width;
+    const contentWidth = pageWidth - 72;
+
+    // Header band
+    doc.rect(0, 0, pageWidth, 70).fill(MPESA_GREEN);
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(24)
+      .text('LIPA NA M-PESA', 36, 24, { width: contentWidth, align: 'center' });
+
+    doc.fillColor(TEXT_DARK).font('Helvetica-Bold').fontSize(18)
+      .text(qrCode.merchantName, 36, 90, { width: contentWidth, align: 'center' });
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(12).fillColor(TEXT_MUTED)
+      .text(isPaybill ? 'Paybill Number' : 'Till Number', { width: contentWidth, align: 'center' });
+    doc.font('Helvetica-Bold').fontSize(26).fillColor(TEXT_DARK)
+      .text(qrCode.shortCode, { width: contentWidth, align: 'center' });
+
+    if (qrCode.accountReference) {
+      doc.font('Helvetica').fontSize(12).fillColor(TEXT_MUTED)
+        .text('Account Number', { width: contentWidth, align: 'center' });
+      doc.font('Helvetica-Bold').fontSize(18).fillColor(TEXT_DARK)
+        .text(qrCode.accountReference, { width: contentWidth, align: 'center' });
+    }
+
+    if (qrCode.amount) {
+      doc.font('Helvetica-Bold').fontSize(16).fillColor(MPESA_GREEN)
+        .text(`KES ${qrCode.amount.toLocaleString('en-KE', { minimumFractionDigits: 2 })}`, { width: contentWidth, align: 'center' });
+    }
+
+    // QR code fills the space left above the footer
+    const imageTop = doc.y + 12;
+    const imageSize = Math.min(contentWidth - 40, doc.page.height - imageTop - 80);
+    doc.image(image, (pageWidth - imageSize) / 2, imageTop, { width: imageSize, height: imageSize });
+
+    doc.font('Helvetica').fontSize(11).fillColor(TEXT_MUTED)
+      .text('Scan with the M-PESA app to pay', 36, imageTop + imageSize + 12, { width: contentWidth, align: 'center' });
+
+    if (qrCode.label) {
+      doc.fontSize(9).text(qrCode.label, { width: contentWidth, align: 'center' });
+    }
+
+    doc.end();
+    return finished;
+  }
+}
+
+// Export singleton instance
+const qrCodeService = new QrCodeService();
+export default qrCodeService;
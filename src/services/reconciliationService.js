@@ -0,0 +1,520 @@
+import fs from "fs";
+import Business from "../models/Business.js";
+import ReconciliationItem from "../models/ReconciliationItem.js";
+import ReconciliationRun from "../models/ReconciliationRun.js";
+import Transaction from "../models/Transaction.js";
+import statementService from "./statementService.js";
+import { parseCsvTransactions } from "../utils/manualCsvParser.js";
+import { parsePdfTransactions } from "../utils/manualPdfParser.js";
+import { DEFAULT_TIMEZONE, getZonedParts, wallClockToInstant, zonedMidnight } from "../utils/timezone.js";
+import eventBus from "../utils/eventBus.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Reconciliation Service
+ * Compares an uploaded M-Pesa statement (CSV or PDF) with the transactions
+ * received through the API for the same business and period. Records are
+ * matched on receipt number, then on payer, amount and time; whatever does
+ * not agree becomes an item for the merchant to resolve. Statement amounts
+ * are taken as signed in the file (money out negative) and API payouts count
+ * as negative, both when matching and when checking that each balance
+ * follows from the one before.
+ */
+
+// Transactions that arrive through Daraja rather than from uploads
+const API_SOURCES = ['mpesa-api', 'stk-push'];
+
+// How far apart the statement and API may put the same payment
+const TIME_TOLERANCE_MS = 5 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.005;
+const BALANCE_TOLERANCE = 0.01;
+
+const MAX_STATEMENT_LINES = 20000;
+
+// Actions a merchant can take on an item
+const RESOLUTION_ACTIONS = ['acknowledge', 'import', 'reopen'];
+
+// Statement line types a customer pays the business with - the only lines that can be imported
+const MONEY_IN_TYPES = ['Pay Bill', 'Buy Goods'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// API amounts are unsigned; payouts leave the account like statement debits
+const signedAmount = (transaction) =>
+  transaction.transactionType === 'B2C Payment' ? -transaction.amount : transaction.amount;
+
+const isMoneyIn = (line) => line.amount > 0 && MONEY_IN_TYPES.includes(line.transactionType);
+
+// CSV statements name the payer in "Other Party Info", e.g. "254712345678 - JOHN DOE"
+const otherParty = (raw) => {
+  const info = typeof raw?.['Other Party Info'] === 'string' ? raw['Other Party Info'] : '';
+  const [number, ...name] = info.split(' - ');
+  const phoneNumber = MpesaUtils.formatPhoneNumber(number.trim());
+
+  return {
+    phoneNumber: /^254\d{9}$/.test(phoneNumber || '') ? phoneNumber : undefined,
+    name: name.join(' - ').trim() || undefined
+  };
+};
+
+const normalizeReceipt = (receipt) => String(receipt || '').trim().toUpperCase();
+
+class ReconciliationService {
+  // Get one run, checking the merchant owns its business
+  async getRun(runId, merchantId) {
+    const run = await ReconciliationRun.findById(runId);
+    const business = run && await Business.findOne({ _id: run.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Reconciliation run not found');
+    }
+    return run;
+  }
+
+  // Parse an uploaded statement into lines with times in the business timezone
+  async parseStatement(file, pdfPassword, timezone) {
+    const format = file.originalname.split('.').pop().toLowerCase();
+
+    let parsed;
+    if (format === 'csv') {
+      parsed = await parseCsvTransactions(file.path);
+    } else if (format === 'pdf') {
+      if (!/^\d{6}$/.test(pdfPassword || '')) {
+        throw new ServiceError('PDF password is required. Please enter the 6-digit code from your SMS.');
+      }
+      // Wrong password or unreadable file - the parser's message is meant for the merchant
+      parsed = await parsePdfTransactions(file.path, pdfPassword).catch(error => {
+        throw new ServiceError(error.message);
+      });
+    } else {
+      throw new ServiceError('Unsupported file type. Only CSV or PDF allowed.');
+    }
+
+    if (parsed.length === 0) {
+      throw new ServiceError('The uploaded statement contains no readable transactions.');
+    }
+    if (parsed.length > MAX_STATEMENT_LINES) {
+      throw new ServiceError(`A statement can have at most ${MAX_STATEMENT_LINES} lines`);
+    }
+
+    // Parsers read statement times as server-local wall-clock times
+    const lines = parsed.map((txn, index) => {
+      const payer = otherParty(txn.raw);
+
+      return {
+        line: index + 1,
+        receipt: txn.id,
+        amount: txn.amount,
+        time: wallClockToInstant(new Date(Date.UTC(
+          txn.date.getFullYear(), txn.date.getMonth(), txn.date.getDate(),
+          txn.date.getHours(), txn.date.getMinutes(), txn.date.getSeconds()
+        )), timezone),
+        phoneNumber: /^254\d{9}$/.test(txn.phoneNumber || '') ? txn.phoneNumber : (payer.phoneNumber || txn.phoneNumber || undefined),
+        name: txn.name || payer.name,
+        transactionType: txn.type,
+        reference: txn.reference || undefined,
+        balance: txn.balance ?? undefined
+      };
+    });
+
+    const invalid = lines.find(line => isNaN(line.time.getTime()) || isNaN(line.amount));
+    if (invalid) {
+      throw new ServiceError(`Statement line ${invalid.line} has no valid time or amount`);
+    }
+
+    // Statements usually list the newest first - compare oldest first
+    if (lines[0].time > lines[lines.length - 1].time) {
+      lines.reverse();
+    }
+
+    return { format, lines };
+  }
+
+  // Period to compare: the requested local dates, or the whole days the statement covers
+  resolvePeriod(lines, { startDate, endDate }, timezone) {
+    if (startDate || endDate) {
+      return statementService.rangePeriod(startDate || endDate, endDate || startDate, timezone);
+    }
+
+    const times = lines.map(line => line.time.getTime());
+    const first = getZonedParts(new Date(Math.min(...times)), timezone);
+    const last = getZonedParts(new Date(Math.max(...times)), timezone);
+
+    return {
+      start: zonedMidnight(first.year, first.month, first.day, timezone),
+      end: zonedMidnight(last.year, last.month, last.day + 1, timezone)
+    };
+  }
+
+  // Snapshot of an API transaction for an item
+  apiRecord(transaction) {
+    return {
+      receipt: transaction.mpesaTransactionId,
+      amount: transaction.amount,
+      time: transaction.transactionTime,
+      source: transaction.source,
+      accountBalance: transaction.accountBalance ?? undefined
+    };
+  }
+
+  // Compare statement lines with API transactions; returns the items and match count
+  reconcile(lines, transactions, { start, end }) {
+    const items = [];
+    let matched = 0;
+
+    const statementItem = (type, line, message, extra = {}) =>
+      items.push({ type, side: 'statement', statementLine: line, message, ...extra });
+    const apiItem = (type, transaction, message, extra = {}) =>
+      items.push({ type, side: 'api', transaction: transaction._id, apiRecord: this.apiRecord(transaction), message, ...extra });
+    const pairItem = (type, line, transaction, message, difference) =>
+      items.push({
+        type,
+        side: 'both',
+        statementLine: line,
+        transaction: transaction._id,
+        apiRecord: this.apiRecord(transaction),
+        message,
+        difference
+      });
+
+    // A receipt counts once per side; repeats are duplicates
+    const uniqueLines = [];
+    const seenReceipts = new Set();
+    for (const line of lines) {
+      const receipt = normalizeReceipt(line.receipt);
+      if (receipt && seenReceipts.has(receipt)) {
+        statementItem('duplicate', line, `Receipt ${line.receipt} appears more than once on the statement`);
+        continue;
+      }
+      if (receipt) seenReceipts.add(receipt);
+      uniqueLines.push(line);
+    }
+
+    const apiByReceipt = new Map();
+    const uniqueTransactions = [];
+    for (const transaction of transactions) {
+      const receipt = normalizeReceipt(transaction.mpesaTransactionId);
+      if (receipt && apiByReceipt.has(receipt)) {
+        apiItem('duplicate', transaction, `Receipt ${transaction.mpesaTransactionId} was recorded more than once`);
+        continue;
+      }
+      if (receipt) apiByReceipt.set(receipt, transaction);
+      uniqueTransactions.push(transaction);
+    }
+
+    // Pass 1: same receipt
+    const matchedTransactions = new Set();
+    const unmatchedLines = [];
+    for (const line of uniqueLines) {
+      const receipt = normalizeReceipt(line.receipt);
+      const transaction = receipt && apiByReceipt.get(receipt);
+      if (!transaction) {
+        unmatchedLines.push(line);
+        continue;
+      }
+
+      matched++;
+      matchedTransactions.add(transaction);
+
+      const amountDifference = roundAmount(line.amount - signedAmount(transaction));
+      if (Math.abs(amountDifference) > AMOUNT_TOLERANCE) {
+        pairItem('amount_mismatch', line, transaction,
+          `Statement shows ${line.amount}, API recorded ${signedAmount(transaction)}`,
+          { amount: amountDifference });
+      }
+
+      const timeDifference = line.time - transaction.transactionTime;
+      if (Math.abs(timeDifference) > TIME_TOLERANCE_MS) {
+        pairItem('time_mismatch', line, transaction,
+          `Statement and API times are ${Math.round(Math.abs(timeDifference) / 60000)} minutes apart`,
+          { seconds: Math.round(timeDifference / 1000) });
+      }
+
+      if (line.balance != null && transaction.accountBalance != null &&
+          Math.abs(line.balance - transaction.accountBalance) > BALANCE_TOLERANCE) {
+        pairItem('balance_mismatch', line, transaction,
+          `Statement balance ${line.balance} differs from API balance ${transaction.accountBalance}`,
+          { balance: roundAmount(line.balance - transaction.accountBalance) });
+      }
+    }
+
+    // Pass 2: same payer, amount and time under a different receipt
+    const remaining = uniqueTransactions.filter(transaction => !matchedTransactions.has(transaction));
+    for (const line of unmatchedLines) {
+      let best = null;
+      for (const transaction of remaining) {
+        if (matchedTransactions.has(transaction)) continue;
+        if (Math.abs(line.amount - signedAmount(transaction)) > AMOUNT_TOLERANCE) continue;
+        if (line.phoneNumber && transaction.customer?.phoneNumber && line.phoneNumber !== transaction.customer.phoneNumber) continue;
+
+        const apart = Math.abs(line.time - transaction.transactionTime);
+        if (apart <= TIME_TOLERANCE_MS && (!best || apart < best.apart)) {
+          best = { transaction, apart };
+        }
+      }
+
+      if (best) {
+        matched++;
+        matchedTransactions.add(best.transaction);
+        pairItem('receipt_mismatch', line, best.transaction,
+          `Statement receipt ${line.receipt} looks like API receipt ${best.transaction.mpesaTransactionId || '(none)'}`,
+          { seconds: Math.round((line.time - best.transaction.transactionTime) / 1000) });
+        continue;
+      }
+
+      // Charges, withdrawals and transfers out never arrive as payments - report them separately
+      if (!isMoneyIn(line)) {
+        statementItem('unmatched_money_out', line,
+          `${line.transactionType} of ${line.amount} (receipt ${line.receipt || 'none'}) left the account with no matching API payout`);
+        continue;
+      }
+
+      statementItem('missing_from_api', line, `Receipt ${line.receipt} is on the statement but was never received through the API`);
+    }
+
+    // Transactions just outside the period were only fetched to catch clock differences
+    for (const transaction of remaining) {
+      if (matchedTransactions.has(transaction)) continue;
+      if (transaction.transactionTime < start || transaction.transactionTime >= end) continue;
+
+      apiItem('missing_from_statement', transaction,
+        `Receipt ${transaction.mpesaTransactionId || transaction.internalReference} was received through the API but is not on the statement`);
+    }
+
+    // Balance continuity: each balance should be the previous one plus the payments since
+    let running = null;
+    for (const line of uniqueLines) {
+      if (running !== null) running += line.amount;
+      if (line.balance == null) continue;
+
+      if (running !== null && Math.abs(line.balance - running) > BALANCE_TOLERANCE) {
+        statementItem('balance_gap', line,
+          `Balance ${line.balance} does not follow from the previous balance (expected ${roundAmount(running)}) - lines may be missing from the statement`,
+          { difference: { balance: roundAmount(line.balance - running) } });
+      }
+      running = line.balance;
+    }
+
+    running = null;
+    const byTime = [...transactions].sort((a, b) => a.transactionTime - b.transactionTime);
+    for (const transaction of byTime) {
+      if (running !== null) running += signedAmount(transaction);
+      if (transaction.accountBalance == null) continue;
+
+      if (running !== null && Math.abs(transaction.accountBalance - running) > BALANCE_TOLERANCE) {
+        apiItem('balance_gap', transaction,
+          `Account balance ${transaction.accountBalance} does not follow from the previous one (expected ${roundAmount(running)}) - payments may not have reached the API`,
+          { difference: { balance: roundAmount(transaction.accountBalance - running) } });
+      }
+      running = transaction.accountBalance;
+    }
+
+    return { items, matched };
+  }
+
+  // Reconcile an uploaded statement against API transactions for a business
+  async createRun(businessId, merchantId, file, { startDate, endDate, pdfPassword } = {}) {
+    try {
+      const business = await Business.findOwnedBy(businessId, merchantId);
+      const timezone = business.timezone || DEFAULT_TIMEZONE;
+
+      const { format, lines: allLines } = await this.parseStatement(file, pdfPassword, timezone);
+      const period = this.resolvePeriod(allLines, { startDate, endDate }, timezone);
+
+      const lines = allLines.filter(line => line.time >= period.start && line.time < period.end);
+      if (lines.length === 0) {
+        throw new ServiceError('No statement lines fall within the requested period');
+      }
+
+      const transactions = await Transaction.find({
+        business: business._id,
+        source: { $in: API_SOURCES },
+        status: { $in: ['completed', 'reversed'] },
+        transactionTime: {
+          $gte: new Date(period.start.getTime() - TIME_TOLERANCE_MS),
+          $lt: new Date(period.end.getTime() + TIME_TOLERANCE_MS)
+        }
+      })
+        .select('mpesaTransactionId internalReference amount transactionTime transactionType source accountBalance customer.phoneNumber')
+        .lean();
+
+      const { items, matched } = this.reconcile(lines, transactions, period);
+
+      const byType = {};
+      items.forEach(item => { byType[item.type] = (byType[item.type] || 0) + 1; });
+
+      const inPeriod = transactions.filter(t => t.transactionTime >= period.start && t.transactionTime < period.end);
+      const first = lines[0];
+      const last = lines[lines.length - 1];
+
+      const run = await ReconciliationRun.create({
+        business: business._id,
+        requestedBy: merchantId,
+        statementFile: { name: file.originalname, format },
+        periodStart: period.start,
+        periodEnd: period.end,
+        timezone,
+        status: items.length > 0 ? 'open' : 'resolved',
+        summary: {
+          statementLines: lines.length,
+          apiTransactions: inPeriod.length,
+          matched,
+          statementTotal: roundAmount(lines.reduce((sum, line) => sum + line.amount, 0)),
+          apiTotal: roundAmount(inPeriod.reduce((sum, t) => sum + signedAmount(t), 0)),
+          openingBalance: first.balance != null ? roundAmount(first.balance - first.amount) : undefined,
+          closingBalance: last.balance ?? undefined,
+          items: items.length,
+          openItems: items.length,
+          byType
+        },
+        resolvedAt: items.length > 0 ? undefined : new Date()
+      });
+
+      if (items.length > 0) {
+        await ReconciliationItem.insertMany(items.map(item => ({ ...item, run: run._id, business: business._id })));
+      }
+
+      console.log(`🧾 Reconciliation ${run._id} for business ${business._id}: ${matched} matched, ${items.length} item(s) to resolve`);
+      return run;
+
+    } finally {
+      if (file?.path && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    }
+  }
+
+  // List a business's runs
+  async getRuns(businessId, merchantId, options = {}) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    const filter = { business: business._id };
+    if (options.status) filter.status = options.status;
+
+    const [runs, total] = await Promise.all([
+      ReconciliationRun.findByBusiness(business._id, options),
+      ReconciliationRun.countDocuments(filter)
+    ]);
+
+    return { runs, total };
+  }
+
+  // List a run's items
+  async getItems(runId, merchantId, options = {}) {
+    const run = await this.getRun(runId, merchantId);
+
+    const filter = { run: run._id };
+    if (options.type) filter.type = options.type;
+    if (options.status) filter.status = options.status;
+
+    const [items, total] = await Promise.all([
+      ReconciliationItem.findByRun(run._id, options),
+      ReconciliationItem.countDocuments(filter)
+    ]);
+
+    return { run, items, total };
+  }
+
+  // Record a statement line the API never received as a transaction
+  async importStatementLine(run, item) {
+    const line = item.statementLine;
+    if (!isMoneyIn(line)) {
+      throw new ServiceError('Only incoming payments (Pay Bill or Buy Goods with a positive amount) can be imported');
+    }
+
+    // Transactions need the payer's full number; masked or missing ones can't be stored
+    if (!/^254\d{9}$/.test(line.phoneNumber || '')) {
+      throw new ServiceError(`Statement line ${line.line} has no full payer phone number and cannot be imported - record this payment manually`);
+    }
+
+    const business = await Business.findById(run.business);
+    const [firstName, ...otherNames] = (line.name || '').split(/\s+/).filter(Boolean);
+
+    const transaction = new Transaction({
+      business: business._id,
+      mpesaTransactionId: line.receipt,
+      businessShortCode: business.mpesaShortCode,
+      amount: line.amount,
+      transactionType: line.transactionType,
+      customer: {
+        phoneNumber: line.phoneNumber,
+        name: {
+          firstName: firstName || '',
+          middleName: otherNames.length > 1 ? otherNames[0] : '',
+          lastName: otherNames.length > 0 ? otherNames[otherNames.length - 1] : ''
+        }
+      },
+      transactionTime: line.time,
+      billRefNumber: line.reference,
+      accountBalance: line.balance,
+      status: 'completed',
+      source: run.statementFile?.format === 'pdf' ? 'manual-pdf' : 'manual-csv'
+    });
+
+    try {
+      await transaction.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServiceError(`A transaction with receipt ${line.receipt} already exists`);
+      }
+      throw error;
+    }
+
+    // EMIT EVENT FOR AUTO-CLASSIFICATION
+    eventBus.emit("TRANSACTION_CREATED", transaction);
+
+    return transaction;
+  }
+
+  // Resolve (acknowledge, import) or reopen one item, then update the run's open count
+  async resolveItem(runId, itemId, merchantId, { action, note } = {}) {
+    if (!RESOLUTION_ACTIONS.includes(action)) {
+      throw new ServiceError(`Action must be one of: ${RESOLUTION_ACTIONS.join(', ')}`);
+    }
+
+    const run = await this.getRun(runId, merchantId);
+    const item = await ReconciliationItem.findOne({ _id: itemId, run: run._id });
+    if (!item) {
+      throw new NotFoundError('Reconciliation item not found');
+    }
+
+    if (action === 'reopen') {
+      if (item.resolution?.action === 'imported') {
+        throw new ServiceError('Imported items cannot be reopened');
+      }
+      item.status = 'open';
+      item.resolution = undefined;
+    } else {
+      if (item.status === 'resolved') {
+        throw new ServiceError('Item is already resolved');
+      }
+
+      item.resolution = { action: 'acknowledged', note, resolvedBy: merchantId, resolvedAt: new Date() };
+
+      if (action === 'import') {
+        if (item.type !== 'missing_from_api') {
+          throw new ServiceError('Only statement lines missing from the API can be imported');
+        }
+        const transaction = await this.importStatementLine(run, item);
+        item.resolution.action = 'imported';
+        item.resolution.transaction = transaction._id;
+      }
+
+      item.status = 'resolved';
+    }
+
+    await item.save();
+
+    const openItems = await ReconciliationItem.countDocuments({ run: run._id, status: 'open' });
+    run.summary.openItems = openItems;
+    run.status = openItems === 0 ? 'resolved' : 'open';
+    run.resolvedAt = openItems === 0 ? new Date() : undefined;
+    await run.save();
+
+    return { run, item };
+  }
+}
+
+// Export singleton instance
+export default new ReconciliationService();
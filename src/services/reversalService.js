@@ -0,0 +1,152 @@
+import Transaction from "../models/Transaction.js";
+import mpesaService from "./mpesaService.js";
+import b2cService from "./b2cService.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import eventBus from "../utils/eventBus.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Reversal Service
+ * Reverses wrong-till payments through the Daraja Reversal API and tracks the
+ * request on the original transaction until the asynchronous result arrives
+ */
+class ReversalService {
+  // Request a reversal of a completed incoming payment
+  async requestReversal({ transactionId, reason, merchantId, userId }) {
+    const transaction = await Transaction.findByIdOrReference(transactionId);
+    if (!transaction) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    const businessCredentials = await mpesaService.getBusinessCredentials(transaction.business, merchantId);
+    if (!businessCredentials.success) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    if (transaction.status !== 'completed' || transaction.transactionType === 'B2C Payment' || !transaction.mpesaTransactionId) {
+      throw new ServiceError('Only completed incoming M-Pesa payments can be reversed');
+    }
+
+    if (transaction.reversal?.status === 'pending') {
+      throw new ServiceError('A reversal is already in progress for this transaction', 409);
+    }
+
+    if (!reason || !reason.trim()) {
+      throw new ServiceError('A reason is required to reverse a transaction');
+    }
+
+    // A reversal returns the full amount - on top of any refund it would pay the customer twice
+    const refunded = await b2cService.getRefundedAmount(transaction._id);
+    if (refunded > 0) {
+      throw new ServiceError(`This sale has ${MpesaUtils.formatCurrency(refunded)} refunded or being refunded and cannot be reversed`);
+    }
+
+    const originatorConversationId = MpesaUtils.generateTransactionReference('REV');
+
+    const result = await mpesaService.requestReversal({
+      transactionId: transaction.mpesaTransactionId,
+      amount: transaction.amount,
+      remarks: reason.trim(),
+      originatorConversationId,
+      businessCredentials
+    });
+
+    if (!result.success) {
+      await transaction.updateReversal('failed', {
+        reason: reason.trim(),
+        requestedBy: userId,
+        requestedAt: new Date(),
+        originatorConversationId,
+        resultCode: result.errorCode,
+        resultDesc: result.error
+      }, `Reversal request rejected: ${result.error}`, userId);
+
+      return { success: false, message: result.error, transaction };
+    }
+
+    await transaction.updateReversal('pending', {
+      reason: reason.trim(),
+      requestedBy: userId,
+      requestedAt: new Date(),
+      conversationId: result.conversationId,
+      originatorConversationId: result.originatorConversationId || originatorConversationId,
+      resultCode: undefined,
+      resultDesc: undefined
+    }, `Reversal requested: ${reason.trim()}`, userId);
+
+    return { success: true, message: result.responseDescription, transaction };
+  }
+
+  // Find the transaction a reversal result/timeout belongs to
+  findByConversation(originatorConversationId, conversationId) {
+    const conditions = [];
+    if (originatorConversationId) conditions.push({ 'reversal.originatorConversationId': originatorConversationId });
+    if (conversationId) conditions.push({ 'reversal.conversationId': conversationId });
+
+    if (conditions.length === 0) {
+      return null;
+    }
+    return Transaction.findOne({ $or: conditions });
+  }
+
+  // Apply a reversal result callback
+  async processResult(result) {
+    const transaction = await this.findByConversation(result.OriginatorConversationID, result.ConversationID);
+
+    if (!transaction) {
+      throw new Error(`No reversal found for conversation: ${result.ConversationID}`);
+    }
+
+    // A result may still arrive after a queue timeout was recorded
+    const awaitingResult = transaction.reversal.status === 'pending' ||
+      (transaction.reversal.status === 'failed' && transaction.reversal.resultCode === 'QUEUE_TIMEOUT');
+
+    if (!awaitingResult) {
+      return { status: 'already_resolved', transaction };
+    }
+
+    if (Number(result.ResultCode) !== 0) {
+      await transaction.updateReversal('failed', {
+        resultCode: String(result.ResultCode),
+        resultDesc: result.ResultDesc
+      }, `Reversal failed: ${result.ResultDesc}`);
+
+      return { status: 'failed', transaction };
+    }
+
+    await transaction.updateReversal('completed', {
+      resultCode: String(result.ResultCode),
+      resultDesc: result.ResultDesc,
+      reversalTransactionId: result.TransactionID
+    }, 'Reversal completed by Safaricom');
+
+    eventBus.emit("TRANSACTION_REVERSED", transaction);
+
+    return { status: 'completed', transaction };
+  }
+
+  // Apply a reversal queue timeout callback
+  async processTimeout(payload) {
+    const result = payload.Result || payload;
+    const transaction = await this.findByConversation(result.OriginatorConversationID, result.ConversationID);
+
+    if (!transaction) {
+      throw new Error(`No reversal found for conversation: ${result.ConversationID}`);
+    }
+
+    if (transaction.reversal.status !== 'pending') {
+      return { status: 'already_resolved', transaction };
+    }
+
+    await transaction.updateReversal('failed', {
+      resultCode: 'QUEUE_TIMEOUT',
+      resultDesc: 'Reversal request timed out in the Daraja queue'
+    }, 'Reversal timed out in the Daraja queue');
+
+    return { status: 'timed_out', transaction };
+  }
+}
+
+// Export singleton instance
+const reversalService = new ReversalService();
+export default reversalService;
@@ -0,0 +1,496 @@
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import Business from "../models/Business.js";
+import BusinessStatement from "../models/BusinessStatement.js";
+import Notification from "../models/Notification.js";
+import Token from "../models/Token.js";
+import TokenPlan from "../models/TokenPlan.js";
+import Transaction, { MONEY_IN } from "../models/Transaction.js";
+import { renderStatementPdf } from "../utils/statementPdf.js";
+import {
+  DEFAULT_TIMEZONE,
+  getZonedParts,
+  isValidTimeZone,
+  listZonedDates,
+  zonedMidnight
+} from "../utils/timezone.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Statement Service
+ * Builds PDF statements for a business and period (plan feature: pdf-reports)
+ * and generates last month's statement for every eligible business after
+ * month end.
+ *
+ * Configuration (environment):
+ * - MONTHLY_STATEMENTS_ENABLED            set to "false" to disable (default enabled)
+ * - MONTHLY_STATEMENTS_INTERVAL_MINUTES   how often to look for due statements (default 60)
+ * - STATEMENT_TIMEZONE                    timezone months are counted in (default Africa/Nairobi)
+ */
+
+const STATEMENT_DIR = "./uploads/statements";
+const MAX_RANGE_DAYS = 366;
+const TOP_CUSTOMERS = 10;
+
+// The listing is for reading, not reconciliation - CSV export has every row
+const MAX_LISTED_TRANSACTIONS = 2000;
+
+// How each source is shown on the statement
+const SOURCE_GROUPS = [
+  { label: 'C2B (Paybill / Till)', sources: ['mpesa-api'] },
+  { label: 'STK Push', sources: ['stk-push'] },
+  { label: 'Manual uploads', sources: ['manual-csv', 'manual-pdf'] }
+];
+
+const percentChange = (current, previous) =>
+  previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null;
+
+class StatementService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  getConfig() {
+    return {
+      enabled: process.env.MONTHLY_STATEMENTS_ENABLED !== 'false',
+      intervalMs: (parseInt(process.env.MONTHLY_STATEMENTS_INTERVAL_MINUTES) || 60) * 60 * 1000,
+      timezone: process.env.STATEMENT_TIMEZONE || DEFAULT_TIMEZONE
+    };
+  }
+
+  // Get one statement, checking the merchant owns its business
+  async getStatement(statementId, merchantId) {
+    const statement = await BusinessStatement.findById(statementId);
+    const business = statement && await Business.findOne({ _id: statement.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Statement not found');
+    }
+    return statement;
+  }
+
+  // Calendar month "YYYY-MM" in a timezone
+  monthPeriod(period, timezone) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(period));
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new ServiceError('period must be a month in YYYY-MM format');
+    }
+
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+
+    return {
+      start: zonedMidnight(year, month, 1, timezone),
+      end: zonedMidnight(year, month + 1, 1, timezone),
+      label: period
+    };
+  }
+
+  // Inclusive local dates "YYYY-MM-DD" to "YYYY-MM-DD" in a timezone
+  rangePeriod(startDate, endDate, timezone) {
+    const parse = (value) => {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+      if (!match) {
+        throw new ServiceError('startDate and endDate must be dates in YYYY-MM-DD format');
+      }
+      return match.slice(1).map(Number);
+    };
+
+    const [startYear, startMonth, startDay] = parse(startDate);
+    const [endYear, endMonth, endDay] = parse(endDate);
+
+    const start = zonedMidnight(startYear, startMonth, startDay, timezone);
+    const end = zonedMidnight(endYear, endMonth, endDay + 1, timezone);
+
+    if (start >= end) {
+      throw new ServiceError('startDate must not be after endDate');
+    }
+    if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new ServiceError(`Statement range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+
+    return { start, end, label: `${startDate} to ${endDate}` };
+  }
+
+  // Resolve the requested period; defaults to last month
+  resolvePeriod({ period, startDate, endDate, timezone } = {}) {
+    const zone = timezone || this.getConfig().timezone;
+    if (!isValidTimeZone(zone)) {
+      throw new ServiceError(`Unknown timezone: ${zone}`);
+    }
+
+    if (startDate || endDate) {
+      return { ...this.rangePeriod(startDate, endDate || startDate, zone), timezone: zone };
+    }
+
+    return { ...this.monthPeriod(period || this.previousMonth(new Date(), zone), zone), timezone: zone };
+  }
+
+  // "YYYY-MM" of the month before the given instant
+  previousMonth(date, timezone) {
+    const { year, month } = getZonedParts(date, timezone);
+    const previous = month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 };
+    return `${previous.year}-${String(previous.month).padStart(2, '0')}`;
+  }
+
+  // Figures and rows shown on the statement
+  async buildStatementData(business, { start, end, label, timezone }) {
+    const businessId = new mongoose.Types.ObjectId(business._id);
+    const inPeriod = { business: businessId, transactionTime: { $gte: start, $lt: end } };
+
+    const [result] = await Transaction.aggregate([
+      { $match: inPeriod },
+      {
+        $facet: {
+          byStatus: [
+            { $group: { _id: { status: '$status', out: { $eq: ['$transactionType', 'B2C Payment'] } }, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+          ],
+          daily: [
+            { $match: MONEY_IN },
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$transactionTime', timezone } },
+                count: { $sum: 1 },
+                amount: { $sum: '$amount' }
+              }
+            }
+          ],
+          categories: [
+            { $match: MONEY_IN },
+            { $group: { _id: '$categoryId', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+            { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+            { $project: { count: 1, amount: 1, name: { $ifNull: [{ $arrayElemAt: ['$category.name', 0] }, 'Uncategorised'] } } },
+            { $sort: { amount: -1 } }
+          ],
+          customers: [
+            { $match: MONEY_IN },
+            {
+              $group: {
+                _id: '$customer.phoneNumber',
+                count: { $sum: 1 },
+                amount: { $sum: '$amount' },
+                firstName: { $last: '$customer.name.firstName' },
+                lastName: { $last: '$customer.name.lastName' }
+              }
+            },
+            { $sort: { amount: -1 } },
+            { $limit: TOP_CUSTOMERS }
+          ],
+          customerCount: [
+            { $match: MONEY_IN },
+            { $group: { _id: '$customer.phoneNumber' } },
+            { $count: 'count' }
+          ],
+          sources: [
+            { $match: MONEY_IN },
+            { $group: { _id: '$source', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+          ]
+        }
+      }
+    ]);
+
+    // Same-length period just before, for the change figure
+    const previousStart = new Date(start.getTime() - (end - start));
+    const [previous] = await Transaction.aggregate([
+      { $match: { business: businessId, transactionTime: { $gte: previousStart, $lt: start }, ...MONEY_IN } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]);
+
+    const listed = await Transaction.find({ ...inPeriod, ...MONEY_IN })
+      .sort({ transactionTime: 1, _id: 1 })
+      .limit(MAX_LISTED_TRANSACTIONS + 1)
+      .select('transactionTime mpesaTransactionId internalReference customer billRefNumber source amount')
+      .lean();
+
+    const statusTotals = (status, out = false) =>
+      result.byStatus.find(row => row._id.status === status && row._id.out === out) || { count: 0, amount: 0 };
+
+    const moneyIn = statusTotals('completed');
+    const moneyOut = statusTotals('completed', true);
+    const reversed = statusTotals('reversed');
+    const failed = ['failed', 'cancelled', 'expired'].reduce((sum, status) => sum + statusTotals(status).count, 0);
+
+    const dailyByDate = new Map(result.daily.map(row => [row._id, row]));
+    const daily = listZonedDates(start, end, timezone).map(date => ({
+      date,
+      count: dailyByDate.get(date)?.count || 0,
+      amount: dailyByDate.get(date)?.amount || 0
+    }));
+    const bestDay = daily.reduce((best, day) => (day.amount > (best?.amount || 0) ? day : best), null);
+
+    const share = (amount) => (moneyIn.amount > 0 ? Math.round((amount / moneyIn.amount) * 1000) / 10 : 0);
+
+    return {
+      business: {
+        name: business.businessName,
+        shortCode: business.mpesaShortCode,
+        businessType: business.businessType,
+        contactEmail: business.contactEmail,
+        contactPhone: business.contactPhone,
+        location: [business.location?.address, business.location?.city, business.location?.country].filter(Boolean).join(', ')
+      },
+      period: { start, end, label, timezone },
+      summary: {
+        transactions: moneyIn.count,
+        amount: moneyIn.amount,
+        averageAmount: moneyIn.count ? moneyIn.amount / moneyIn.count : 0,
+        customers: result.customerCount[0]?.count || 0,
+        previousAmount: previous?.amount || 0,
+        change: percentChange(moneyIn.amount, previous?.amount || 0),
+        moneyOut: moneyOut.amount,
+        moneyOutCount: moneyOut.count,
+        reversedCount: reversed.count,
+        reversedAmount: reversed.amount,
+        failedCount: failed,
+        pendingCount: statusTotals('pending').count,
+        bestDay
+      },
+      daily,
+      categories: result.categories.map(row => ({
+        name: row.name,
+        count: row.count,
+        amount: row.amount,
+        share: share(row.amount)
+      })),
+      topCustomers: result.customers.map(row => ({
+        phoneNumber: row._id,
+        name: [row.firstName, row.lastName].filter(Boolean).join(' '),
+        count: row.count,
+        amount: row.amount
+      })),
+      sources: SOURCE_GROUPS.map(group => {
+        const rows = result.sources.filter(row => group.sources.includes(row._id));
+        const amount = rows.reduce((sum, row) => sum + row.amount, 0);
+        return {
+          label: group.label,
+          count: rows.reduce((sum, row) => sum + row.count, 0),
+          amount,
+          share: share(amount)
+        };
+      }),
+      transactions: listed.slice(0, MAX_LISTED_TRANSACTIONS),
+      transactionsTruncated: listed.length > MAX_LISTED_TRANSACTIONS,
+      generatedAt: new Date()
+    };
+  }
+
+  // Build, render and store a statement
+  async generateStatement(business, period, { requestedBy = null, trigger = 'on_demand' } = {}) {
+    const statement = new BusinessStatement({
+      business: business._id,
+      requestedBy,
+      trigger,
+      periodStart: period.start,
+      periodEnd: period.end,
+      periodLabel: period.label,
+      timezone: period.timezone
+    });
+
+    const slug = business.businessName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'business';
+    const filePath = path.join(STATEMENT_DIR, `${statement._id}.pdf`);
+
+    try {
+      const data = await this.buildStatementData(business, period);
+      const pdf = await renderStatementPdf(data);
+
+      fs.mkdirSync(STATEMENT_DIR, { recursive: true });
+      fs.writeFileSync(filePath, pdf);
+
+      statement.totals = {
+        transactions: data.summary.transactions,
+        amount: data.summary.amount,
+        customers: data.summary.customers
+      };
+      statement.fileName = `${slug}-statement-${period.label.replace(/\s+to\s+/, '_')}.pdf`;
+      statement.filePath = filePath;
+      statement.fileSize = pdf.length;
+      statement.generatedAt = data.generatedAt;
+
+    } catch (error) {
+      statement.status = 'failed';
+      statement.error = error.message;
+      console.error(`❌ Statement for ${business._id} (${period.label}) failed:`, error.message);
+
+      // Not stored: a failed row would hold the month's unique slot - the next tick retries instead
+      if (trigger === 'scheduled') {
+        return statement;
+      }
+    }
+
+    try {
+      await statement.save();
+    } catch (error) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+      throw error;
+    }
+
+    return statement;
+  }
+
+  // Generate a statement for a business the merchant owns
+  async createStatement(businessId, merchantId, options = {}) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+    const period = this.resolvePeriod(options);
+
+    if (period.start > new Date()) {
+      throw new ServiceError('Statement period has not started yet');
+    }
+
+    return this.generateStatement(business, period, { requestedBy: merchantId });
+  }
+
+  // List statements for a business
+  async getStatements(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const filter = { business: businessId };
+    if (options.trigger) filter.trigger = options.trigger;
+
+    const [statements, total] = await Promise.all([
+      BusinessStatement.findByBusiness(businessId, options),
+      BusinessStatement.countDocuments(filter)
+    ]);
+
+    return { statements, total };
+  }
+
+  // Stored PDF of a statement
+  async getStatementFile(statementId, merchantId) {
+    const statement = await this.getStatement(statementId, merchantId);
+
+    if (statement.status !== 'completed' || !statement.filePath || !fs.existsSync(statement.filePath)) {
+      throw new ServiceError('Statement file is not available - please generate it again');
+    }
+
+    return { filePath: statement.filePath, fileName: statement.fileName };
+  }
+
+  // ========== MONTH-END STATEMENTS ==========
+
+  // Active businesses whose current plan includes pdf-reports
+  async findEligibleBusinessIds() {
+    const plans = await TokenPlan.find({ features: 'pdf-reports' }).select('_id');
+    if (plans.length === 0) {
+      return [];
+    }
+
+    const tokens = await Token.find({
+      plan: { $in: plans.map(plan => plan._id) },
+      status: 'active',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).select('business');
+
+    return [...new Set(tokens.map(token => String(token.business)))];
+  }
+
+  // Generate last month's statement for every eligible business that lacks one
+  async generateMonthlyStatements(now = new Date()) {
+    if (this.isRunning) {
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    const { timezone } = this.getConfig();
+    const summary = { generated: 0, failed: 0, skipped: 0 };
+
+    try {
+      const period = { ...this.monthPeriod(this.previousMonth(now, timezone), timezone), timezone };
+      const businessIds = await this.findEligibleBusinessIds();
+
+      for (const businessId of businessIds) {
+        const exists = await BusinessStatement.exists({ business: businessId, periodLabel: period.label, trigger: 'scheduled' });
+        const business = !exists && await Business.findOne({ _id: businessId, isActive: true });
+
+        if (!business) {
+          summary.skipped++;
+          continue;
+        }
+
+        try {
+          const statement = await this.generateStatement(business, period, { trigger: 'scheduled' });
+
+          if (statement.status === 'completed') {
+            summary.generated++;
+            await this.notifyStatementReady(business, statement);
+          } else {
+            summary.failed++;
+          }
+        } catch (error) {
+          // Duplicate key: another instance generated it first
+          if (error.code !== 11000) {
+            summary.failed++;
+            console.error(`❌ Monthly statement for ${businessId} failed:`, error.message);
+          }
+        }
+      }
+
+      if (summary.generated + summary.failed > 0) {
+        console.log(`📄 Monthly statements for ${period.label}:`, summary);
+      }
+
+      return summary;
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Tell the merchant their month-end statement is ready
+  async notifyStatementReady(business, statement) {
+    try {
+      await Notification.create({
+        title: `Your ${statement.periodLabel} statement is ready`,
+        message: `The statement for ${business.businessName} covering ${statement.periodLabel} is ready to download: ${statement.totals.transactions} payments totalling KES ${statement.totals.amount.toLocaleString('en-KE', { minimumFractionDigits: 2 })}.`,
+        type: 'info',
+        audience: 'specific_businesses',
+        targetBusinesses: [business._id],
+        status: 'active',
+        scheduledFor: new Date(),
+        createdBy: business.owner
+      });
+    } catch (error) {
+      console.error(`❌ Failed to notify ${business._id} about statement ${statement._id}:`, error.message);
+    }
+  }
+
+  // Start the periodic month-end check
+  start() {
+    const config = this.getConfig();
+
+    if (!config.enabled || this.timer) {
+      return;
+    }
+
+    const run = () => {
+      this.generateMonthlyStatements().catch(error => {
+        console.error('❌ Monthly statement run failed:', error);
+      });
+    };
+
+    this.timer = setInterval(run, config.intervalMs);
+
+    // Don't keep the process alive just for statements
+    this.timer.unref();
+
+    // Catch up straight away - a deploy on the 1st shouldn't wait a full interval
+    run();
+
+    console.log(`📄 Monthly statements scheduled (checking every ${config.intervalMs / 60000} min)`);
+  }
+
+  // Stop the periodic check
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const statementService = new StatementService();
+export default statementService;
@@ -0,0 +1,378 @@
+import mongoose from "mongoose";
+import Business from "../models/Business.js";
+import StkCampaign, { MAX_CAMPAIGN_RECIPIENTS } from "../models/StkCampaign.js";
+import Token from "../models/Token.js";
+import Transaction from "../models/Transaction.js";
+import mpesaService from "./mpesaService.js";
+import stkService from "./stkService.js";
+import TokenService from "./tokenService.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * STK Campaign Service
+ * Sends STK prompts to a list of recipients at a throttled rate, charging each
+ * prompt to the business token, and reports collection progress.
+ */
+class StkCampaignService {
+  constructor() {
+    // Campaigns with a dispatch loop in this process (recipient claims guard across instances)
+    this.activeRuns = new Set();
+  }
+
+  // Get one campaign, checking the merchant owns its business
+  async getCampaign(campaignId, merchantId) {
+    const campaign = await StkCampaign.findById(campaignId);
+    const business = campaign && await Business.findOne({ _id: campaign.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Campaign not found');
+    }
+    return campaign;
+  }
+
+  // Validate raw recipients (JSON or CSV rows); invalid and duplicate rows are reported, not added
+  prepareRecipients(rows, defaultReference) {
+    const recipients = [];
+    const errors = [];
+    const seenPhones = new Set();
+
+    rows.forEach((row, index) => {
+      const reference = (row.accountReference || defaultReference || '').trim();
+      const validation = MpesaUtils.validateSTKParameters(String(row.phoneNumber || ''), row.amount, reference);
+
+      if (!validation.isValid) {
+        errors.push({ row: index + 1, phoneNumber: row.phoneNumber, error: validation.errors.join(', ') });
+        return;
+      }
+
+      if (seenPhones.has(validation.formattedPhone)) {
+        errors.push({ row: index + 1, phoneNumber: row.phoneNumber, error: 'Duplicate phone number' });
+        return;
+      }
+      seenPhones.add(validation.formattedPhone);
+
+      recipients.push({
+        phoneNumber: validation.formattedPhone,
+        amount: validation.amount,
+        accountReference: reference !== defaultReference ? reference : undefined,
+        name: row.name
+      });
+    });
+
+    return { recipients, errors };
+  }
+
+  // Create a draft campaign from recipient rows
+  async createCampaign({ businessId, merchantId, name, description, accountReference, ratePerMinute, rows }) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new ServiceError('Provide at least one recipient');
+    }
+    if (rows.length > MAX_CAMPAIGN_RECIPIENTS) {
+      throw new ServiceError(`A campaign can have at most ${MAX_CAMPAIGN_RECIPIENTS} recipients`);
+    }
+
+    const { recipients, errors } = this.prepareRecipients(rows, accountReference);
+    if (recipients.length === 0) {
+      throw new ServiceError('None of the recipients are valid');
+    }
+
+    const campaign = await StkCampaign.create({
+      business: business._id,
+      createdBy: merchantId,
+      name,
+      description,
+      accountReference,
+      ratePerMinute,
+      recipients
+    });
+
+    return { campaign, errors };
+  }
+
+  // List campaigns for a business the merchant owns
+  async getCampaigns(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const filter = { business: businessId };
+    if (options.status) filter.status = options.status;
+
+    const [campaigns, total] = await Promise.all([
+      StkCampaign.findByBusiness(businessId, options),
+      StkCampaign.countDocuments(filter)
+    ]);
+
+    return { campaigns, total };
+  }
+
+  // Start (or resume) sending prompts, charging them to the given token
+  async startCampaign(campaignId, merchantId, token) {
+    const campaign = await this.getCampaign(campaignId, merchantId);
+
+    if (!['draft', 'paused'].includes(campaign.status)) {
+      throw new ServiceError(`Only draft or paused campaigns can be started (campaign is ${campaign.status})`);
+    }
+
+    if (token.business && !token.business._id.equals(campaign.business)) {
+      throw new ServiceError('This token belongs to a different business');
+    }
+
+    const businessCredentials = await mpesaService.getBusinessCredentials(campaign.business, merchantId);
+    if (!businessCredentials.success) {
+      throw new ServiceError(businessCredentials.message);
+    }
+
+    campaign.status = 'running';
+    campaign.token = token._id;
+    campaign.pauseReason = undefined;
+    campaign.startedAt = campaign.startedAt || new Date();
+    await campaign.save();
+
+    this.launch(campaign._id);
+    return campaign;
+  }
+
+  // Stop sending after the current prompt; queued recipients stay queued
+  async pauseCampaign(campaignId, merchantId) {
+    const campaign = await this.getCampaign(campaignId, merchantId);
+
+    if (campaign.status !== 'running') {
+      throw new ServiceError(`Only running campaigns can be paused (campaign is ${campaign.status})`);
+    }
+
+    campaign.status = 'paused';
+    campaign.pauseReason = 'Paused by merchant';
+    return campaign.save();
+  }
+
+  // Stop for good; recipients not yet prompted are cancelled
+  async cancelCampaign(campaignId, merchantId) {
+    const campaign = await this.getCampaign(campaignId, merchantId);
+
+    if (['completed', 'cancelled'].includes(campaign.status)) {
+      throw new ServiceError(`Campaign is already ${campaign.status}`);
+    }
+
+    campaign.recipients.forEach(recipient => {
+      if (recipient.status === 'queued') {
+        recipient.status = 'cancelled';
+      }
+    });
+    campaign.status = 'cancelled';
+    campaign.cancelledAt = new Date();
+    return campaign.save();
+  }
+
+  // Run the dispatch loop in the background
+  launch(campaignId) {
+    this.runCampaign(campaignId).catch(error => {
+      console.error(`❌ STK campaign ${campaignId} crashed:`, error);
+    });
+  }
+
+  // Pick up campaigns that were running when the server stopped
+  async resumeRunning() {
+    const campaigns = await StkCampaign.find({ status: 'running' }).select('_id');
+    campaigns.forEach(campaign => this.launch(campaign._id));
+
+    if (campaigns.length > 0) {
+      console.log(`📣 Resumed ${campaigns.length} STK campaign(s)`);
+    }
+  }
+
+  // Mark a running campaign paused with the reason it could not continue
+  async haltCampaign(campaignId, reason) {
+    console.warn(`⏸️ STK campaign ${campaignId} paused: ${reason}`);
+    await StkCampaign.updateOne({ _id: campaignId, status: 'running' }, { status: 'paused', pauseReason: reason });
+  }
+
+  // Send prompts one by one until the campaign is done, paused or cancelled
+  async runCampaign(campaignId) {
+    const key = String(campaignId);
+    if (this.activeRuns.has(key)) {
+      return;
+    }
+    this.activeRuns.add(key);
+
+    try {
+      let businessCredentials = null;
+
+      while (true) {
+        // Re-read each time so pause/cancel take effect between prompts
+        const campaign = await StkCampaign.findById(campaignId);
+        if (!campaign || campaign.status !== 'running') {
+          return;
+        }
+
+        const recipient = campaign.nextQueuedRecipient();
+        if (!recipient) {
+          campaign.status = 'completed';
+          campaign.completedAt = new Date();
+          await campaign.save();
+          console.log(`✅ STK campaign ${campaign.name} finished sending`);
+          return;
+        }
+
+        // Each prompt counts against the token like a normal STK push
+        const token = await Token.findById(campaign.token).populate('plan');
+        const tokenCheck = token ? token.canProcessTransaction(recipient.amount) : { canUse: false, reason: 'Token not found' };
+        if (!tokenCheck.canUse) {
+          await this.haltCampaign(campaign._id, `Token cannot be used: ${tokenCheck.reason}`);
+          return;
+        }
+
+        if (!businessCredentials) {
+          businessCredentials = await mpesaService.getBusinessCredentials(campaign.business);
+          if (!businessCredentials.success) {
+            await this.haltCampaign(campaign._id, businessCredentials.message);
+            return;
+          }
+        }
+
+        // Claimed before dispatch so a restart or another instance never prompts them twice
+        if (!await StkCampaign.claimRecipient(campaign._id, recipient._id)) {
+          continue;
+        }
+
+        await this.sendPrompt(campaign, recipient, businessCredentials, token);
+
+        await sleep(Math.ceil(60000 / campaign.ratePerMinute));
+      }
+    } finally {
+      this.activeRuns.delete(key);
+    }
+  }
+
+  // Prompt one recipient and record the dispatch result
+  async sendPrompt(campaign, recipient, businessCredentials, token) {
+    try {
+      const result = await stkService.initiatePayment({
+        businessCredentials,
+        phoneNumber: recipient.phoneNumber,
+        amount: recipient.amount,
+        accountReference: recipient.accountReference || campaign.accountReference,
+        description: campaign.description || campaign.name,
+        merchantId: campaign.createdBy,
+        tokenId: token._id,
+        campaign: campaign._id
+      });
+
+      await StkCampaign.updateRecipient(campaign._id, recipient._id, {
+        status: result.success ? 'sent' : 'failed',
+        transaction: result.transaction?._id,
+        checkoutRequestId: result.checkoutRequestId,
+        errorMessage: result.success ? undefined : result.message,
+        sentAt: new Date()
+      });
+
+      if (result.success) {
+        // Awaited so the next token check sees this prompt
+        await TokenService.recordTokenUsage(token._id, recipient.amount);
+      }
+    } catch (error) {
+      console.error(`❌ STK campaign ${campaign._id} prompt to ${recipient.phoneNumber} failed:`, error.message);
+      await StkCampaign.updateRecipient(campaign._id, recipient._id, {
+        status: 'failed',
+        errorMessage: error.message,
+        sentAt: new Date()
+      });
+    }
+  }
+
+  // Payment outcome for a recipient: dispatch state until prompted, then the transaction status
+  recipientOutcome(recipient, transactionsById) {
+    if (recipient.status !== 'sent') {
+      return recipient.status === 'failed' ? 'not_sent' : recipient.status;
+    }
+    return transactionsById.get(String(recipient.transaction))?.status || 'pending';
+  }
+
+  // Collection totals from the campaign's transactions
+  async getProgress(campaignId, merchantId) {
+    const campaign = await this.getCampaign(campaignId, merchantId);
+
+    const results = await Transaction.aggregate([
+      { $match: { campaign: new mongoose.Types.ObjectId(campaign._id) } },
+      { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+    ]);
+    const byStatus = Object.fromEntries(results.map(result => [result._id, result]));
+
+    const collected = byStatus.completed?.amount || 0;
+    const paid = byStatus.completed?.count || 0;
+    const targetAmount = campaign.targetAmount;
+
+    return {
+      campaign: campaign.getSummary(),
+      payments: {
+        paid,
+        pending: byStatus.pending?.count || 0,
+        failed: (byStatus.failed?.count || 0) + (byStatus.cancelled?.count || 0),
+        expired: byStatus.expired?.count || 0
+      },
+      totals: {
+        targetAmount,
+        requestedAmount: results.reduce((sum, result) => sum + result.amount, 0),
+        collectedAmount: collected,
+        outstandingAmount: Math.max(0, targetAmount - collected),
+        collectionRate: targetAmount > 0 ? Math.round((collected / targetAmount) * 10000) / 100 : 0,
+        payerRate: campaign.recipients.length > 0
+          ? Math.round((paid / campaign.recipients.length) * 10000) / 100
+          : 0
+      }
+    };
+  }
+
+  // Recipients with their payment outcome
+  async getRecipients(campaignId, merchantId, options = {}) {
+    const campaign = await this.getCampaign(campaignId, merchantId);
+    const { page = 1, limit = 50, outcome } = options;
+
+    const transactionIds = campaign.recipients.filter(r => r.transaction).map(r => r.transaction);
+    const transactions = await Transaction.find({ _id: { $in: transactionIds } })
+      .select('status mpesaTransactionId errorMessage updatedAt');
+    const transactionsById = new Map(transactions.map(t => [String(t._id), t]));
+
+    let recipients = campaign.recipients.map(recipient => {
+      const transaction = recipient.transaction ? transactionsById.get(String(recipient.transaction)) : null;
+      const recipientOutcome = this.recipientOutcome(recipient, transactionsById);
+
+      return {
+        id: recipient._id,
+        phoneNumber: recipient.phoneNumber,
+        name: recipient.name,
+        amount: recipient.amount,
+        accountReference: recipient.accountReference || campaign.accountReference,
+        outcome: recipientOutcome,
+        mpesaReceipt: recipientOutcome === 'completed' ? transaction?.mpesaTransactionId : undefined,
+        errorMessage: recipient.errorMessage || transaction?.errorMessage,
+        sentAt: recipient.sentAt,
+        resolvedAt: transaction && transaction.status !== 'pending' ? transaction.updatedAt : undefined
+      };
+    });
+
+    if (outcome) {
+      recipients = recipients.filter(recipient => recipient.outcome === outcome);
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    return {
+      recipients: recipients.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: recipients.length,
+        pages: Math.ceil(recipients.length / limitNum)
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const stkCampaignService = new StkCampaignService();
+export default stkCampaignService;
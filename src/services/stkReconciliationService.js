@@ -0,0 +1,168 @@
+import Transaction from "../models/Transaction.js";
+import mpesaService from "./mpesaService.js";
+import stkService from "./stkService.js";
+
+/**
+ * STK Reconciliation Service
+ * Background job that resolves STK push transactions stuck in `pending`
+ * because their Daraja callback never arrived.
+ *
+ * Configuration (environment):
+ * - STK_RECONCILER_ENABLED            set to "false" to disable (default enabled)
+ * - STK_RECONCILE_INTERVAL_SECONDS    how often to run (default 120)
+ * - STK_RECONCILE_MIN_AGE_MINUTES     only query transactions older than this (default 5)
+ * - STK_RECONCILE_EXPIRE_HOURS        expire unresolvable transactions older than this (default 24)
+ * - STK_RECONCILE_BATCH_SIZE          transactions per run (default 50)
+ */
+
+// Daraja error code while the customer has not completed the prompt yet
+const STILL_PROCESSING_CODE = '500.001.1001';
+
+class STKReconciliationService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  getConfig() {
+    return {
+      enabled: process.env.STK_RECONCILER_ENABLED !== 'false',
+      intervalMs: (parseInt(process.env.STK_RECONCILE_INTERVAL_SECONDS) || 120) * 1000,
+      minAgeMs: (parseInt(process.env.STK_RECONCILE_MIN_AGE_MINUTES) || 5) * 60 * 1000,
+      expireAgeMs: (parseInt(process.env.STK_RECONCILE_EXPIRE_HOURS) || 24) * 60 * 60 * 1000,
+      batchSize: parseInt(process.env.STK_RECONCILE_BATCH_SIZE) || 50
+    };
+  }
+
+  // Resolve one batch of stuck pending STK transactions
+  async reconcilePending() {
+    if (this.isRunning) {
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    const config = this.getConfig();
+    const summary = { checked: 0, completed: 0, failed: 0, expired: 0, stillPending: 0, alreadyResolved: 0, errors: 0 };
+
+    try {
+      const transactions = await Transaction.find({
+        status: 'pending',
+        $or: [{ source: 'stk-push' }, { checkoutRequestId: { $ne: null } }],
+        transactionType: { $ne: 'B2C Payment' },
+        createdAt: { $lte: new Date(Date.now() - config.minAgeMs) }
+      })
+        .sort({ lastReconciledAt: 1, createdAt: 1 }) // least recently checked first
+        .limit(config.batchSize)
+        .exec();
+
+      // Credentials are looked up once per business per run
+      const credentialsCache = new Map();
+
+      for (const transaction of transactions) {
+        summary.checked++;
+
+        try {
+          const outcome = await this.reconcileTransaction(transaction, config, credentialsCache);
+          summary[outcome]++;
+        } catch (error) {
+          summary.errors++;
+          console.error(`❌ STK reconciliation failed for ${transaction.internalReference}:`, error.message);
+        }
+
+        // Rotate still-pending transactions to the back of the queue
+        await Transaction.updateOne({ _id: transaction._id }, { lastReconciledAt: new Date() });
+      }
+
+      if (summary.checked > 0) {
+        console.log('🔄 STK reconciliation run:', summary);
+      }
+
+      return summary;
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Query Daraja for one transaction and apply the result
+  async reconcileTransaction(transaction, config, credentialsCache) {
+    const isExpired = Date.now() - transaction.createdAt.getTime() > config.expireAgeMs;
+
+    // Push never reached Daraja, nothing to query
+    if (!transaction.checkoutRequestId) {
+      if (isExpired) {
+        await transaction.markAsExpired('STK push was never accepted by Daraja');
+        return 'expired';
+      }
+      return 'stillPending';
+    }
+
+    const businessId = String(transaction.business);
+    if (!credentialsCache.has(businessId)) {
+      credentialsCache.set(businessId, await mpesaService.getBusinessCredentials(businessId));
+    }
+
+    const businessCredentials = credentialsCache.get(businessId);
+    if (!businessCredentials.success) {
+      if (isExpired) {
+        await transaction.markAsExpired(`STK push expired: ${businessCredentials.message}`);
+        return 'expired';
+      }
+      throw new Error(businessCredentials.message);
+    }
+
+    const queryResult = await mpesaService.checkSTKTransactionStatus(
+      transaction.checkoutRequestId,
+      businessCredentials
+    );
+
+    if (queryResult.success) {
+      const { status } = await stkService.resolveFromQuery(transaction, queryResult);
+      return status === 'already_resolved' ? 'alreadyResolved' : status;
+    }
+
+    // Daraja no longer knows about (or can't resolve) this request
+    if (isExpired) {
+      await transaction.markAsExpired(`STK push expired: ${queryResult.error}`);
+      return 'expired';
+    }
+
+    if (queryResult.errorCode !== STILL_PROCESSING_CODE) {
+      console.warn(`⚠️ STK query error for ${transaction.internalReference}:`, queryResult.error);
+    }
+
+    return 'stillPending';
+  }
+
+  // Start the periodic reconciler
+  start() {
+    const config = this.getConfig();
+
+    if (!config.enabled || this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.reconcilePending().catch(error => {
+        console.error('❌ STK reconciliation run failed:', error);
+      });
+    }, config.intervalMs);
+
+    // Don't keep the process alive just for the reconciler
+    this.timer.unref();
+
+    console.log(`🔄 STK reconciler started (every ${config.intervalMs / 1000}s)`);
+  }
+
+  // Stop the periodic reconciler
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const stkReconciliationService = new STKReconciliationService();
+export default stkReconciliationService;
@@ -0,0 +1,163 @@
+import Transaction from "../models/Transaction.js";
+import mpesaService from "./mpesaService.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import eventBus from "../utils/eventBus.js";
+
+/**
+ * STK Service
+ * Sends STK push prompts and resolves the pending transactions from Daraja
+ * callbacks
+ */
+class STKService {
+  // Record a pending STK transaction and send the prompt to the customer's phone
+  async initiatePayment({ businessCredentials, phoneNumber, amount, accountReference, description, merchantId = null, tokenId = null, paymentLink = null, campaign = null, paymentSchedule = null }) {
+    const pendingTransaction = new Transaction({
+      mpesaTransactionId: `PENDING-${Date.now()}`,
+      internalReference: MpesaUtils.generateTransactionReference('STK'),
+      merchant: merchantId,
+      business: businessCredentials.businessId,
+      businessShortCode: businessCredentials.shortCode,
+      amount,
+      transactionType: 'Buy Goods',
+      customer: {
+        phoneNumber
+      },
+      transactionTime: new Date(),
+      billRefNumber: accountReference,
+      status: 'pending',
+      source: 'stk-push',
+      description: description || `STK Push payment for ${accountReference}`,
+      tokenUsed: tokenId,
+      paymentLink,
+      campaign,
+      paymentSchedule
+    });
+
+    await pendingTransaction.save();
+
+    const stkResult = await mpesaService.initiateSTKPush({
+      phoneNumber,
+      amount,
+      accountReference,
+      transactionDesc: description || `Payment for ${accountReference}`,
+      businessShortCode: businessCredentials.shortCode,
+      consumerKey: businessCredentials.consumerKey,
+      consumerSecret: businessCredentials.consumerSecret,
+      passKey: businessCredentials.passKey,
+      businessId: businessCredentials.businessId
+    });
+
+    if (!stkResult.success) {
+      // 🆕 USE MPESAUTILS FOR ERROR MESSAGE PARSING
+      const userFriendlyError = MpesaUtils.parseErrorCode(stkResult.errorCode);
+
+      await Transaction.findByIdAndUpdate(pendingTransaction._id, {
+        status: 'failed',
+        description: `STK Push failed: ${userFriendlyError}`
+      });
+
+      return { success: false, message: userFriendlyError, transaction: pendingTransaction };
+    }
+
+    // Callbacks and status queries find the transaction by checkout request ID
+    pendingTransaction.checkoutRequestId = stkResult.checkoutRequestId;
+    await Transaction.findByIdAndUpdate(pendingTransaction._id, {
+      checkoutRequestId: stkResult.checkoutRequestId
+    });
+
+    return {
+      success: true,
+      transaction: pendingTransaction,
+      checkoutRequestId: stkResult.checkoutRequestId,
+      customerMessage: stkResult.customerMessage
+    };
+  }
+
+  // Apply an stkCallback payload to its pending transaction
+  async processCallback(callback) {
+    const {
+      CheckoutRequestID,
+      ResultCode,
+      ResultDesc,
+      CallbackMetadata
+    } = callback;
+
+    // Find the pending transaction by checkout request ID
+    const transaction = await Transaction.findOne({ checkoutRequestId: CheckoutRequestID });
+
+    if (!transaction) {
+      throw new Error(`No transaction found for checkout request: ${CheckoutRequestID}`);
+    }
+
+    const meta = {};
+    CallbackMetadata?.Item?.forEach(item => {
+      meta[item.Name] = item.Value;
+    });
+
+    // A status query completed it without a receipt - keep the one the late callback brings
+    const missingReceipt = !transaction.mpesaTransactionId || transaction.mpesaTransactionId.startsWith('PENDING-');
+    if (transaction.status === 'completed' && missingReceipt && Number(ResultCode) === 0 && meta.MpesaReceiptNumber) {
+      transaction.mpesaTransactionId = meta.MpesaReceiptNumber;
+      transaction.rawMpesaResponse = callback;
+      await transaction.save();
+
+      return { status: 'receipt_recorded', transaction };
+    }
+
+    // Duplicate or late callback - the transaction was already resolved
+    if (transaction.status !== 'pending') {
+      return { status: 'already_resolved', transaction };
+    }
+
+    // MPESA result codes: 0 = success, anything else = cancelled/failed
+    if (Number(ResultCode) !== 0) {
+      console.log("❌ STK Failed:", ResultDesc);
+
+      // 🆕 USE MPESAUTILS FOR ERROR MESSAGE PARSING
+      const userFriendlyError = MpesaUtils.parseErrorCode(String(ResultCode));
+
+      await transaction.markAsFailed(userFriendlyError, String(ResultCode));
+
+      return { status: 'failed', transaction };
+    }
+
+    await transaction.markAsCompleted(meta.MpesaReceiptNumber, callback);
+
+    // EMIT EVENT FOR AUTO-CLASSIFICATION
+    eventBus.emit("TRANSACTION_CREATED", transaction);
+
+    return { status: 'completed', transaction };
+  }
+
+  // Resolve a pending transaction from an STK push query result (lost callback)
+  async resolveFromQuery(transaction, queryResult) {
+    if (transaction.status !== 'pending') {
+      return { status: 'already_resolved', transaction };
+    }
+
+    if (Number(queryResult.resultCode) !== 0) {
+      const userFriendlyError = MpesaUtils.parseErrorCode(String(queryResult.resultCode));
+      await transaction.markAsFailed(userFriendlyError, String(queryResult.resultCode));
+
+      return { status: 'failed', transaction };
+    }
+
+    // The query result carries no receipt number - drop the PENDING placeholder
+    const receipt = transaction.mpesaTransactionId?.startsWith('PENDING-')
+      ? undefined
+      : transaction.mpesaTransactionId;
+
+    // Older STK rows were stored as mpesa-api, which requires a receipt once completed
+    transaction.source = 'stk-push';
+    await transaction.markAsCompleted(receipt, queryResult);
+
+    // EMIT EVENT FOR AUTO-CLASSIFICATION
+    eventBus.emit("TRANSACTION_CREATED", transaction);
+
+    return { status: 'completed', transaction };
+  }
+}
+
+// Export singleton instance
+const stkService = new STKService();
+export default stkService;
@@ -211,6 +211,20 @@ class TokenService {
     }
   }
 
+  // Whether the business's current plan includes a feature (e.g. 'csv-export')
+  async businessHasFeature(businessId, feature) {
+    const token = await Token.findOne({
+      business: businessId,
+      status: 'active'
+    }).populate('plan');
+
+    if (!token || (token.expiresAt && token.expiresAt <= new Date())) {
+      return false;
+    }
+
+    return !!token.plan?.features?.includes(feature);
+  }
+
   // Get token analytics
   async getTokenAnalytics(tokenId) {
     try {
@@ -0,0 +1,255 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import Business from "../models/Business.js";
+import Transaction from "../models/Transaction.js";
+import TransactionTag from "../models/TransactionTag.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_ATTACHMENTS = 10;
+
+// Remove uploaded files that will not be (or are no longer) referenced
+const removeFiles = (filePaths) => {
+  filePaths.forEach(filePath => {
+    try {
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to remove attachment file ${filePath}:`, error);
+    }
+  });
+};
+
+/**
+ * Transaction Annotation Service
+ * Staff notes, tags and receipt attachments on a business's transactions,
+ * plus per-business tag management. Tag names are stored on transactions,
+ * so renaming or deleting a tag updates every transaction that carries it.
+ */
+class TransactionAnnotationService {
+  // Get one transaction of a business the merchant owns
+  async getOwnedTransaction(transactionId, merchantId) {
+    const transaction = await Transaction.findById(transactionId);
+    const business = transaction?.business && await Business.findOne({ _id: transaction.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Transaction not found');
+    }
+    return transaction;
+  }
+
+  // Validate and normalise a list of tag names
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+      throw new ServiceError('Tags must be an array');
+    }
+
+    const normalized = [...new Set(tags.map(tag => TransactionTag.normalizeName(tag)).filter(Boolean))];
+    if (normalized.length > MAX_TAGS) {
+      throw new ServiceError(`A transaction can have at most ${MAX_TAGS} tags`);
+    }
+
+    const tooLong = normalized.find(tag => tag.length > MAX_TAG_LENGTH);
+    if (tooLong) {
+      throw new ServiceError(`Tag "${tooLong}" exceeds ${MAX_TAG_LENGTH} characters`);
+    }
+    return normalized;
+  }
+
+  // Add a note to a transaction
+  async addNote(transactionId, user, text) {
+    const transaction = await this.getOwnedTransaction(transactionId, user.id);
+    transaction.notes.push({ text, author: user.id, authorName: user.fullName });
+    return transaction.save();
+  }
+
+  // Remove a note from a transaction
+  async deleteNote(transactionId, merchantId, noteId) {
+    const transaction = await this.getOwnedTransaction(transactionId, merchantId);
+    const note = transaction.notes.id(noteId);
+    if (!note) {
+      throw new NotFoundError('Note not found');
+    }
+
+    note.deleteOne();
+    return transaction.save();
+  }
+
+  // Replace a transaction's tags; new names join the business's tag list
+  async setTags(transactionId, merchantId, tags) {
+    const normalized = this.normalizeTags(tags);
+    const transaction = await this.getOwnedTransaction(transactionId, merchantId);
+
+    await TransactionTag.ensureTags(transaction.business, normalized, merchantId);
+
+    transaction.tags = normalized;
+    return transaction.save();
+  }
+
+  // Attach uploaded files (from uploadTransactionAttachments) to a transaction
+  async addAttachments(transactionId, merchantId, files = []) {
+    try {
+      if (files.length === 0) {
+        throw new ServiceError('At least one file is required');
+      }
+
+      const transaction = await this.getOwnedTransaction(transactionId, merchantId);
+      if (transaction.attachments.length + files.length > MAX_ATTACHMENTS) {
+        throw new ServiceError(`A transaction can have at most ${MAX_ATTACHMENTS} attachments`);
+      }
+
+      transaction.attachments.push(...files.map(file => ({
+        originalName: file.originalname,
+        fileName: file.filename,
+        filePath: file.path,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedBy: merchantId
+      })));
+      return await transaction.save();
+
+    } catch (error) {
+      // Nothing references the files now - don't leave them on disk
+      removeFiles(files.map(file => file.path));
+      throw error;
+    }
+  }
+
+  // Locate an attachment's file for download
+  async getAttachmentFile(transactionId, merchantId, attachmentId) {
+    const transaction = await this.getOwnedTransaction(transactionId, merchantId);
+    const attachment = transaction.attachments.id(attachmentId);
+
+    if (!attachment || !attachment.filePath || !fs.existsSync(attachment.filePath)) {
+      throw new NotFoundError('Attachment not found');
+    }
+
+    return {
+      filePath: attachment.filePath,
+      fileName: attachment.originalName,
+      mimeType: attachment.mimeType
+    };
+  }
+
+  // Remove an attachment and its file
+  async deleteAttachment(transactionId, merchantId, attachmentId) {
+    const transaction = await this.getOwnedTransaction(transactionId, merchantId);
+    const attachment = transaction.attachments.id(attachmentId);
+    if (!attachment) {
+      throw new NotFoundError('Attachment not found');
+    }
+
+    const { filePath } = attachment;
+    attachment.deleteOne();
+    await transaction.save();
+
+    removeFiles([filePath]);
+    return transaction;
+  }
+
+  // A business's tags with how many transactions carry each
+  async getTags(businessId, merchantId) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+
+    const [tags, usage] = await Promise.all([
+      TransactionTag.findByBusiness(business._id),
+      Transaction.aggregate([
+        { $match: { business: business._id, 'tags.0': { $exists: true } } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(usage.map(entry => [entry._id, entry.count]));
+    return tags.map(tag => ({ tag, usageCount: counts.get(tag.name) || 0 }));
+  }
+
+  // Get one tag of a business the merchant owns
+  async getOwnedTag(businessId, merchantId, tagId) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+    if (!mongoose.Types.ObjectId.isValid(tagId)) {
+      throw new NotFoundError('Tag not found');
+    }
+
+    const tag = await TransactionTag.findOne({ _id: tagId, business: business._id });
+    if (!tag) {
+      throw new NotFoundError('Tag not found');
+    }
+    return tag;
+  }
+
+  // Create a tag ahead of using it
+  async createTag(businessId, merchantId, { name, color, description } = {}) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+    const [normalized] = this.normalizeTags([name]);
+    if (!normalized) {
+      throw new ServiceError('Tag name is required');
+    }
+
+    const existing = await TransactionTag.findOne({ business: business._id, name: normalized });
+    if (existing) {
+      throw new ServiceError(`A tag named "${normalized}" already exists`);
+    }
+
+    return TransactionTag.create({
+      business: business._id,
+      name: normalized,
+      color,
+      description,
+      createdBy: merchantId
+    });
+  }
+
+  // Rename or restyle a tag; a rename is applied to every tagged transaction
+  async updateTag(businessId, merchantId, tagId, { name, color, description } = {}) {
+    const tag = await this.getOwnedTag(businessId, merchantId, tagId);
+    const previousName = tag.name;
+
+    if (name !== undefined) {
+      const [normalized] = this.normalizeTags([name]);
+      if (!normalized) {
+        throw new ServiceError('Tag name is required');
+      }
+
+      if (normalized !== previousName) {
+        const clash = await TransactionTag.findOne({ business: tag.business, name: normalized });
+        if (clash) {
+          throw new ServiceError(`A tag named "${normalized}" already exists`);
+        }
+        tag.name = normalized;
+      }
+    }
+    if (color !== undefined) tag.color = color || undefined;
+    if (description !== undefined) tag.description = description;
+
+    await tag.save();
+
+    if (tag.name !== previousName) {
+      const filter = { business: tag.business, tags: previousName };
+      await Transaction.updateMany(filter, { $addToSet: { tags: tag.name } });
+      const result = await Transaction.updateMany(filter, { $pull: { tags: previousName } });
+      console.log(`🏷️ Renamed tag "${previousName}" to "${tag.name}" on ${result.modifiedCount} transaction(s)`);
+    }
+
+    return tag;
+  }
+
+  // Delete a tag and take it off every transaction
+  async deleteTag(businessId, merchantId, tagId) {
+    const tag = await this.getOwnedTag(businessId, merchantId, tagId);
+
+    const result = await Transaction.updateMany(
+      { business: tag.business, tags: tag.name },
+      { $pull: { tags: tag.name } }
+    );
+    await tag.deleteOne();
+
+    return { tag, untagged: result.modifiedCount };
+  }
+}
+
+// Export singleton instance
+const transactionAnnotationService = new TransactionAnnotationService();
+export default transactionAnnotationService;
@@ -0,0 +1,404 @@
+import fs from "fs";
+import path from "path";
+import { once } from "events";
+import ExcelJS from "exceljs";
+import Business from "../models/Business.js";
+import ExportJob from "../models/ExportJob.js";
+import Transaction from "../models/Transaction.js";
+import transactionSearchService from "./transactionSearchService.js";
+import { DEFAULT_TIMEZONE, isValidTimeZone, toWallClockDate } from "../utils/timezone.js";
+import { NotFoundError, ServiceError } from "../utils/serviceErrors.js";
+
+/**
+ * Transaction Export Service
+ * Streams filtered transactions as CSV or XLSX. Small exports go straight to
+ * the response; larger ones run as a background job that writes a file.
+ *
+ * Configuration (environment):
+ * - EXPORT_SYNC_MAX_ROWS     largest export streamed directly (default 5000)
+ * - EXPORT_FILE_TTL_HOURS    how long job files can be downloaded (default 24)
+ * - EXPORT_TIMEZONE          default timezone for dates (default Africa/Nairobi)
+ */
+
+const EXPORT_DIR = "./uploads/exports";
+
+// Search options an export can be filtered by (see transactionSearchService)
+const FILTER_KEYS = [
+  'q', 'status', 'source', 'transactionType', 'category', 'categoryId', 'classificationMethod',
+  'minAmount', 'maxAmount', 'phoneNumber', 'customerName', 'billRefNumber', 'startDate', 'endDate',
+  'tags', 'hasNotes', 'note'
+];
+
+// Wait for a stream to drain; rejects if it closes first (e.g. the client aborted the download)
+const drained = (out) => new Promise((resolve, reject) => {
+  if (out.destroyed) {
+    return reject(new Error('Export stream closed before the export finished'));
+  }
+
+  const cleanup = () => {
+    out.off('drain', onDrain);
+    out.off('close', onClose);
+    out.off('error', onError);
+  };
+  const onDrain = () => { cleanup(); resolve(); };
+  const onClose = () => { cleanup(); reject(new Error('Export stream closed before the export finished')); };
+  const onError = (error) => { cleanup(); reject(error); };
+
+  out.on('drain', onDrain);
+  out.on('close', onClose);
+  out.on('error', onError);
+});
+
+const customerName = (transaction) => {
+  const name = transaction.customer?.name || {};
+  return [name.firstName, name.middleName, name.lastName].filter(Boolean).join(' ');
+};
+
+// Available columns; category columns come from the assigned Category
+export const EXPORT_COLUMNS = {
+  transactionTime: { header: 'Date', type: 'date', value: t => t.transactionTime },
+  mpesaTransactionId: { header: 'M-Pesa Receipt', value: t => t.mpesaTransactionId },
+  internalReference: { header: 'Internal Reference', value: t => t.internalReference },
+  amount: { header: 'Amount (KES)', type: 'number', value: t => t.amount },
+  status: { header: 'Status', value: t => t.status },
+  source: { header: 'Source', value: t => t.source },
+  transactionType: { header: 'Type', value: t => t.transactionType },
+  phoneNumber: { header: 'Phone Number', value: t => t.customer?.phoneNumber },
+  customerName: { header: 'Customer Name', value: customerName },
+  billRefNumber: { header: 'Bill Reference', value: t => t.billRefNumber },
+  description: { header: 'Description', value: t => t.description },
+  category: { header: 'Transaction Category', value: t => t.category },
+  categoryName: { header: 'Category', value: t => t.categoryId?.name },
+  categoryType: { header: 'Category Type', value: t => t.categoryId?.type },
+  vatRate: { header: 'VAT Rate', value: t => t.categoryId?.vatApplicable ? t.categoryId.vatRate : null },
+  kraTaxCode: { header: 'KRA Tax Code', value: t => t.categoryId?.kraTaxCode },
+  classificationMethod: { header: 'Classification', value: t => t.classificationMethod },
+  tags: { header: 'Tags', value: t => t.tags?.join(', ') },
+  notes: { header: 'Notes', value: t => t.notes?.map(note => note.text).join(' | ') }
+};
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  'transactionTime', 'mpesaTransactionId', 'amount', 'status', 'source', 'phoneNumber',
+  'customerName', 'billRefNumber', 'categoryName', 'vatRate', 'kraTaxCode'
+];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class TransactionExportService {
+  getConfig() {
+    return {
+      syncMaxRows: parseInt(process.env.EXPORT_SYNC_MAX_ROWS) || 5000,
+      fileTtlMs: (parseInt(process.env.EXPORT_FILE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+      timezone: process.env.EXPORT_TIMEZONE || DEFAULT_TIMEZONE
+    };
+  }
+
+  // Get one export job, checking the merchant owns its business
+  async getJob(jobId, merchantId) {
+    const job = await ExportJob.findById(jobId);
+    const business = job && await Business.findOne({ _id: job.business, owner: merchantId });
+
+    if (!business) {
+      throw new NotFoundError('Export job not found');
+    }
+    return job;
+  }
+
+  // Validate format, columns, filters and timezone from a request
+  parseOptions(options = {}) {
+    const format = options.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      throw new ServiceError('format must be csv or xlsx');
+    }
+
+    const requested = Array.isArray(options.columns)
+      ? options.columns
+      : String(options.columns || '').split(',').map(column => column.trim()).filter(Boolean);
+    const columns = requested.length ? requested : DEFAULT_EXPORT_COLUMNS;
+
+    const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+    if (unknown.length) {
+      throw new ServiceError(`Unknown columns: ${unknown.join(', ')}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+    }
+
+    const filters = {};
+    FILTER_KEYS.forEach(key => {
+      if (options[key] !== undefined && options[key] !== '') {
+        filters[key] = options[key];
+      }
+    });
+
+    const timezone = options.timezone || this.getConfig().timezone;
+    if (!isValidTimeZone(timezone)) {
+      throw new ServiceError(`Unknown timezone: ${timezone}`);
+    }
+
+    return { format, columns, filters, timezone };
+  }
+
+  // Cell values for one transaction
+  buildRow(transaction, columns, timezone) {
+    return columns.map(column => {
+      const definition = EXPORT_COLUMNS[column];
+      const value = definition.value(transaction);
+
+      if (definition.type === 'date' && value) {
+        // Spreadsheets have no timezones, so cells hold the local wall-clock time
+        return toWallClockDate(value, timezone);
+      }
+      return value ?? null;
+    });
+  }
+
+  // Matching transactions, oldest first, streamed from the database
+  openCursor(businessId, filters) {
+    const filter = transactionSearchService.buildFilter(businessId, filters);
+
+    return Transaction.find(filter)
+      .sort({ transactionTime: 1, _id: 1 })
+      .populate('categoryId', 'name type vatApplicable vatRate kraTaxCode')
+      .lean()
+      .cursor({ batchSize: 500 });
+  }
+
+  // Write the export to a stream; resolves with the number of rows written.
+  // The database cursor is closed however the export ends, including an aborted download.
+  async writeExport(out, businessId, options) {
+    const cursor = this.openCursor(businessId, options.filters);
+
+    try {
+      return await this.writeRows(out, cursor, options);
+    } finally {
+      await cursor.close().catch(error => {
+        console.error('❌ Failed to close export cursor:', error.message);
+      });
+    }
+  }
+
+  // Write the header and one row per cursor document
+  async writeRows(out, cursor, { format, columns, timezone }) {
+    const headers = columns.map(column => EXPORT_COLUMNS[column].header);
+    let rowCount = 0;
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true });
+      const worksheet = workbook.addWorksheet('Transactions');
+      worksheet.columns = columns.map(column => ({
+        header: EXPORT_COLUMNS[column].header,
+        key: column,
+        width: EXPORT_COLUMNS[column].type === 'date' ? 20 : 18,
+        style: EXPORT_COLUMNS[column].type === 'date'
+          ? { numFmt: 'yyyy-mm-dd hh:mm:ss' }
+          : EXPORT_COLUMNS[column].type === 'number' ? { numFmt: '#,##0.00' } : {}
+      }));
+
+      for await (const transaction of cursor) {
+        if (out.destroyed) {
+          throw new Error('Export stream closed before the export finished');
+        }
+        worksheet.addRow(this.buildRow(transaction, columns, timezone)).commit();
+        rowCount++;
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+      return rowCount;
+    }
+
+    // Byte order mark so Excel opens the CSV as UTF-8
+    out.write(`\uFEFF${headers.map(csvCell).join(',')}\n`);
+
+    for await (const transaction of cursor) {
+      const values = this.buildRow(transaction, columns, timezone).map(value =>
+        value instanceof Date ? value.toISOString().replace('T', ' ').slice(0, 19) : value
+      );
+
+      // Respect backpressure so big exports don't buffer in memory
+      if (!out.write(`${values.map(csvCell).join(',')}\n`)) {
+        await drained(out);
+      }
+      rowCount++;
+    }
+
+    out.end();
+    return rowCount;
+  }
+
+  // Check a direct export is small enough to stream; returns the parsed options and file name
+  async prepareDirectExport(businessId, merchantId, options = {}) {
+    const business = await Business.findOwnedBy(businessId, merchantId);
+    const parsed = this.parseOptions(options);
+    const { syncMaxRows } = this.getConfig();
+
+    const matching = await Transaction.countDocuments(
+      transactionSearchService.buildFilter(businessId, parsed.filters)
+    );
+
+    if (matching > syncMaxRows) {
+      throw new ServiceError(`${matching} transactions match - exports over ${syncMaxRows} rows must run as an export job`);
+    }
+
+    return {
+      ...parsed,
+      fileName: this.buildFileName(business, parsed.format)
+    };
+  }
+
+  buildFileName(business, format, date = new Date()) {
+    const slug = business.businessName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'business';
+    return `${slug}-transactions-${date.toISOString().slice(0, 10)}.${format}`;
+  }
+
+  // Start a background export for a business
+  async createJob(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+    const parsed = this.parseOptions(options);
+
+    // Fail now on bad filters rather than in the background
+    transactionSearchService.buildFilter(businessId, parsed.filters);
+
+    const job = await ExportJob.create({
+      business: businessId,
+      requestedBy: merchantId,
+      ...parsed
+    });
+
+    // Run in the background - callers poll the job and download when completed
+    this.runJob(job).catch(error => {
+      console.error(`❌ Export job ${job._id} crashed:`, error);
+    });
+
+    return job;
+  }
+
+  // Fail jobs a restart interrupted - their background run died with the old process
+  async failInterruptedJobs() {
+    const interrupted = await ExportJob.find({ status: { $in: ['pending', 'running'] } });
+
+    for (const job of interrupted) {
+      const filePath = path.join(EXPORT_DIR, `${job._id}.${job.format}`);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+
+      job.status = 'failed';
+      job.error = 'Interrupted by a server restart - please start the export again';
+      job.completedAt = new Date();
+      await job.save();
+    }
+
+    if (interrupted.length > 0) {
+      console.log(`⚠️ Marked ${interrupted.length} interrupted export job(s) as failed`);
+    }
+    return interrupted.length;
+  }
+
+  // Write a job's file
+  async runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    await this.removeExpiredFiles().catch(error => {
+      console.error('❌ Failed to remove expired exports:', error.message);
+    });
+
+    const business = await Business.findById(job.business);
+    const fileName = this.buildFileName(business, job.format);
+    const filePath = path.join(EXPORT_DIR, `${job._id}.${job.format}`);
+
+    try {
+      fs.mkdirSync(EXPORT_DIR, { recursive: true });
+      const out = fs.createWriteStream(filePath);
+      const finished = once(out, 'close');
+
+      job.rowCount = await this.writeExport(out, job.business, job);
+      await finished;
+
+      job.status = 'completed';
+      job.fileName = fileName;
+      job.filePath = filePath;
+      job.fileSize = fs.statSync(filePath).size;
+      job.expiresAt = new Date(Date.now() + this.getConfig().fileTtlMs);
+      console.log(`✅ Export ${job._id} completed: ${job.rowCount} rows`);
+
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error(`❌ Export ${job._id} failed:`, error.message);
+
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+
+    job.completedAt = new Date();
+    await job.save();
+
+    return job;
+  }
+
+  // Delete files of jobs past their download window
+  async removeExpiredFiles() {
+    const expired = await ExportJob.find({ status: 'completed', expiresAt: { $lte: new Date() } });
+
+    for (const job of expired) {
+      if (job.filePath && fs.existsSync(job.filePath)) {
+        fs.unlinkSync(job.filePath);
+      }
+      job.status = 'expired';
+      job.filePath = undefined;
+      await job.save();
+    }
+
+    return expired.length;
+  }
+
+  // List export jobs for a business
+  async getJobs(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const filter = { business: businessId };
+    if (options.status) filter.status = options.status;
+
+    const [jobs, total] = await Promise.all([
+      ExportJob.findByBusiness(businessId, options),
+      ExportJob.countDocuments(filter)
+    ]);
+
+    return { jobs, total };
+  }
+
+  // File of a finished job
+  async getJobFile(jobId, merchantId) {
+    const job = await this.getJob(jobId, merchantId);
+
+    if (!job.isDownloadable || !job.filePath || !fs.existsSync(job.filePath)) {
+      throw new ServiceError(job.status === 'completed' || job.status === 'expired'
+        ? 'Export file has expired - please run the export again'
+        : `Export is ${job.status} - download is available once it completes`);
+    }
+
+    return {
+      filePath: job.filePath,
+      fileName: job.fileName,
+      contentType: job.format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8'
+    };
+  }
+}
+
+// Export singleton instance
+const transactionExportService = new TransactionExportService();
+export default transactionExportService;
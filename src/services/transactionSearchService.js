@@ -0,0 +1,237 @@
+import mongoose from "mongoose";
+import Business from "../models/Business.js";
+import Transaction from "../models/Transaction.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import { ServiceError } from "../utils/serviceErrors.js";
+
+// Fields results can be sorted on; _id breaks ties so cursors are stable
+const SORT_FIELDS = ['transactionTime', 'createdAt', 'amount'];
+const DATE_SORT_FIELDS = ['transactionTime', 'createdAt'];
+
+const CLASSIFICATION_METHODS = ['auto', 'manual', 'none'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept "a,b" or repeated query params
+const listParam = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const values = (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+  return values.length ? values : null;
+};
+
+/**
+ * Transaction Search Service
+ * Business-scoped search across every transaction source with keyset
+ * (cursor) pagination, so deep pages cost the same as the first one
+ */
+class TransactionSearchService {
+  // Build the Mongo filter for the search options (without the cursor)
+  buildFilter(businessId, options = {}) {
+    const filter = { business: new mongoose.Types.ObjectId(businessId) };
+    const conditions = [];
+
+    const statuses = listParam(options.status);
+    if (statuses) filter.status = { $in: statuses };
+
+    const sources = listParam(options.source);
+    if (sources) filter.source = { $in: sources };
+
+    const types = listParam(options.transactionType);
+    if (types) filter.transactionType = { $in: types };
+
+    const categories = listParam(options.category);
+    if (categories) filter.category = { $in: categories };
+
+    if (options.categoryId) {
+      if (!mongoose.Types.ObjectId.isValid(options.categoryId)) {
+        throw new ServiceError('Invalid categoryId');
+      }
+      filter.categoryId = new mongoose.Types.ObjectId(options.categoryId);
+    }
+
+    if (options.classificationMethod && !CLASSIFICATION_METHODS.includes(options.classificationMethod)) {
+      throw new ServiceError(`classificationMethod must be one of: ${CLASSIFICATION_METHODS.join(', ')}`);
+    }
+
+    // "none" finds transactions nobody has categorised yet
+    if (options.classificationMethod === 'none') {
+      filter.categoryId = null;
+    } else if (options.classificationMethod) {
+      filter.classificationMethod = options.classificationMethod;
+    }
+
+    if (options.minAmount !== undefined || options.maxAmount !== undefined) {
+      filter.amount = {};
+      if (options.minAmount !== undefined) filter.amount.$gte = parseFloat(options.minAmount);
+      if (options.maxAmount !== undefined) filter.amount.$lte = parseFloat(options.maxAmount);
+      if (Object.values(filter.amount).some(isNaN)) {
+        throw new ServiceError('minAmount and maxAmount must be numbers');
+      }
+    }
+
+    if (options.startDate || options.endDate) {
+      filter.transactionTime = {};
+      if (options.startDate) filter.transactionTime.$gte = new Date(options.startDate);
+      if (options.endDate) filter.transactionTime.$lte = new Date(options.endDate);
+    }
+
+    // Full numbers match exactly; the first few digits match the start of the number
+    if (options.phoneNumber) {
+      const digits = String(options.phoneNumber).replace(/\D/g, '');
+      if (!digits) {
+        throw new ServiceError('phoneNumber must contain digits');
+      }
+      const formatted = MpesaUtils.formatPhoneNumber(digits);
+      const prefix = formatted || (/^[17]/.test(digits) ? `254${digits}` : digits);
+      filter['customer.phoneNumber'] = /^254\d{9}$/.test(prefix)
+        ? prefix
+        : { $regex: `^${prefix}` };
+    }
+
+    // Names match from their start, like the phone number prefix
+    if (options.customerName) {
+      const pattern = new RegExp(`^${escapeRegex(options.customerName.trim())}`, 'i');
+      conditions.push({
+        $or: [
+          { 'customer.name.firstName': pattern },
+          { 'customer.name.middleName': pattern },
+          { 'customer.name.lastName': pattern }
+        ]
+      });
+    }
+
+    if (options.billRefNumber) {
+      filter.billRefNumber = new RegExp(`^${escapeRegex(options.billRefNumber.trim())}`, 'i');
+    }
+
+    // Every listed tag must be on the transaction
+    const tags = listParam(options.tags);
+    if (tags) filter.tags = { $all: tags.map(tag => tag.toLowerCase().replace(/\s+/g, ' ')) };
+
+    if (options.hasNotes !== undefined && options.hasNotes !== '') {
+      if (!['true', 'false', true, false].includes(options.hasNotes)) {
+        throw new ServiceError('hasNotes must be true or false');
+      }
+      filter['notes.0'] = { $exists: String(options.hasNotes) === 'true' };
+    }
+
+    if (options.note) {
+      filter['notes.text'] = new RegExp(escapeRegex(options.note.trim()), 'i');
+    }
+
+    // Whole-word search over receipt, references, customer name and description
+    if (options.q) {
+      filter.$text = { $search: String(options.q) };
+    }
+
+    if (conditions.length) {
+      filter.$and = conditions;
+    }
+
+    return filter;
+  }
+
+  // Validate and normalise the sort options
+  parseSort(options = {}) {
+    const sortBy = options.sortBy || 'transactionTime';
+    if (!SORT_FIELDS.includes(sortBy)) {
+      throw new ServiceError(`sortBy must be one of: ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const sortOrder = options.sortOrder === 'asc' ? 1 : -1;
+    return { sortBy, sortOrder };
+  }
+
+  // Opaque cursor pointing just after a transaction in the current sort
+  encodeCursor(transaction, sortBy, sortOrder) {
+    return Buffer.from(JSON.stringify({
+      sortBy,
+      sortOrder,
+      value: transaction[sortBy],
+      id: String(transaction._id)
+    })).toString('base64url');
+  }
+
+  // Decode a cursor; it must come from a search with the same sort
+  decodeCursor(cursor, sortBy, sortOrder) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new ServiceError('Invalid cursor');
+    }
+
+    if (!decoded || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+      throw new ServiceError('Invalid cursor');
+    }
+    if (decoded.sortBy !== sortBy || decoded.sortOrder !== sortOrder) {
+      throw new ServiceError('Cursor does not match the requested sort');
+    }
+
+    return {
+      value: DATE_SORT_FIELDS.includes(sortBy) ? new Date(decoded.value) : decoded.value,
+      id: new mongoose.Types.ObjectId(decoded.id)
+    };
+  }
+
+  // Keyset condition: rows after the cursor in (sortBy, _id) order
+  cursorCondition(cursor, sortBy, sortOrder) {
+    const op = sortOrder === 1 ? '$gt' : '$lt';
+    return {
+      $or: [
+        { [sortBy]: { [op]: cursor.value } },
+        { [sortBy]: cursor.value, _id: { [op]: cursor.id } }
+      ]
+    };
+  }
+
+  // Search a business's transactions
+  async searchTransactions(businessId, merchantId, options = {}) {
+    await Business.findOwnedBy(businessId, merchantId);
+
+    const { sortBy, sortOrder } = this.parseSort(options);
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const filter = this.buildFilter(businessId, options);
+
+    const query = { ...filter };
+    if (options.cursor) {
+      const cursor = this.decodeCursor(options.cursor, sortBy, sortOrder);
+      query.$and = [...(filter.$and || []), this.cursorCondition(cursor, sortBy, sortOrder)];
+    }
+
+    // One extra row tells us whether there is another page
+    const rows = await Transaction.find(query)
+      .sort({ [sortBy]: sortOrder, _id: sortOrder })
+      .limit(limit + 1)
+      .populate('categoryId', 'name type vatRate kraTaxCode')
+      .exec();
+
+    const hasMore = rows.length > limit;
+    const transactions = hasMore ? rows.slice(0, limit) : rows;
+    const last = transactions[transactions.length - 1];
+
+    // Counting every match is the slow part on large businesses - only on request
+    const total = options.includeTotal === true || options.includeTotal === 'true'
+      ? await Transaction.countDocuments(filter)
+      : undefined;
+
+    return {
+      transactions,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(last, sortBy, sortOrder) : null,
+        ...(total !== undefined && { total })
+      }
+    };
+  }
+}
+
+// Export singleton instance
+const transactionSearchService = new TransactionSearchService();
+export default transactionSearchService;
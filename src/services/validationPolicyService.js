@@ -0,0 +1,261 @@
+import PayerAccount from "../models/PayerAccount.js";
+import ValidationPolicy from "../models/ValidationPolicy.js";
+import ValidationRejection from "../models/ValidationRejection.js";
+import { MpesaUtils } from "../utils/mpesaUtils.js";
+import { DEFAULT_TIMEZONE, isValidTimeZone } from "../utils/timezone.js";
+
+/**
+ * Validation Policy Service
+ * Handles business-defined C2B validation rules and the rejection log
+ */
+
+// Daraja C2B validation result codes
+const DARAJA_REJECTION_CODES = {
+  account_reference: 'C2B00012', // Invalid Account Number
+  min_amount: 'C2B00013', // Invalid Amount
+  max_amount: 'C2B00013', // Invalid Amount
+  blocked_msisdn: 'C2B00011', // Invalid MSISDN
+  business_hours: 'C2B00016' // Other Error
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Daraja account numbers are short; longer references never reach the pattern
+const MAX_BILL_REF_LENGTH = 20;
+
+// Compiled account reference patterns, shared across validation requests
+const patternCache = new Map();
+const MAX_CACHED_PATTERNS = 500;
+
+function compilePattern(pattern, caseSensitive) {
+  const flags = caseSensitive ? '' : 'i';
+  const key = `${flags}/${pattern}`;
+
+  let regex = patternCache.get(key);
+  if (!regex) {
+    if (patternCache.size >= MAX_CACHED_PATTERNS) patternCache.clear();
+    regex = new RegExp(pattern, flags);
+    patternCache.set(key, regex);
+  }
+  return regex;
+}
+
+// Convert "HH:mm" to minutes since midnight
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Get weekday and minutes since midnight for a date in a timezone
+function getLocalTime(date, timezone) {
+  // Policies saved before timezones were validated may hold a bad one - never fail validation over it
+  if (!isValidTimeZone(timezone)) {
+    console.warn(`⚠️ Invalid business hours timezone "${timezone}", using ${DEFAULT_TIMEZONE}`);
+    timezone = DEFAULT_TIMEZONE;
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type)?.value;
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+function reject(rule, resultDesc) {
+  return {
+    accepted: false,
+    rule,
+    resultCode: DARAJA_REJECTION_CODES[rule],
+    resultDesc: `Rejected - ${resultDesc}`
+  };
+}
+
+export class ValidationPolicyService {
+  /**
+   * Get the validation policy for a business (null if none configured)
+   */
+  static async getPolicy(businessId) {
+    return ValidationPolicy.findOne({ business: businessId });
+  }
+
+  /**
+   * Create or replace the validation policy for a business
+   */
+  static async savePolicy(businessId, policyData, updatedBy) {
+    const {
+      isEnabled,
+      accountReference,
+      minAmount,
+      maxAmount,
+      blockedMsisdns,
+      businessHours
+    } = policyData;
+
+    let policy = await ValidationPolicy.findOne({ business: businessId });
+    if (!policy) {
+      policy = new ValidationPolicy({ business: businessId });
+    }
+
+    if (isEnabled !== undefined) policy.isEnabled = isEnabled;
+    if (accountReference !== undefined) policy.accountReference = accountReference;
+    if (minAmount !== undefined) policy.minAmount = minAmount;
+    if (maxAmount !== undefined) policy.maxAmount = maxAmount;
+    if (businessHours !== undefined) policy.businessHours = businessHours;
+
+    if (blockedMsisdns !== undefined) {
+      const formatted = blockedMsisdns.map(phone => MpesaUtils.formatPhoneNumber(String(phone)));
+      if (formatted.some(phone => !phone)) {
+        throw new Error('Blocked MSISDNs must be valid phone numbers (07XXXXXXXX or 2547XXXXXXXX).');
+      }
+      policy.blockedMsisdns = [...new Set(formatted)];
+    }
+
+    policy.updatedBy = updatedBy;
+
+    await policy.save();
+    return policy;
+  }
+
+  /**
+   * Look up anything the policy needs from the database, then evaluate it
+   */
+  static async checkPayment(policy, businessId, validationData, now = new Date()) {
+    const context = {};
+
+    if (policy?.isEnabled && policy.accountReference?.mode === 'payer_accounts') {
+      context.payerAccount = await PayerAccount.findByAccountNumber(businessId, validationData.BillRefNumber);
+    }
+
+    return this.evaluatePayment(policy, validationData, now, context);
+  }
+
+  /**
+   * Check a Daraja validation request against a policy.
+   * context carries lookups done by checkPayment (payerAccount).
+   */
+  static evaluatePayment(policy, validationData, now = new Date(), context = {}) {
+    if (!policy || !policy.isEnabled) {
+      return { accepted: true };
+    }
+
+    const amount = parseFloat(validationData.TransAmount);
+    const phoneNumber = MpesaUtils.formatPhoneNumber(String(validationData.MSISDN || ''));
+    const billRef = (validationData.BillRefNumber || '').trim();
+
+    // Blocked payers
+    if (phoneNumber && policy.blockedMsisdns.includes(phoneNumber)) {
+      return reject('blocked_msisdn', 'This phone number is not allowed to pay this business');
+    }
+
+    // Account reference format / known accounts
+    const { mode, pattern, allowedAccounts, caseSensitive } = policy.accountReference || {};
+
+    if (mode === 'pattern' && (billRef.length > MAX_BILL_REF_LENGTH || !compilePattern(pattern, caseSensitive).test(billRef))) {
+      return reject('account_reference', `Account number "${billRef}" is not in the expected format`);
+    }
+
+    if (mode === 'list') {
+      const normalize = (value) => caseSensitive ? value : value.toUpperCase();
+      const known = allowedAccounts.map(normalize);
+      if (!known.includes(normalize(billRef))) {
+        return reject('account_reference', `Account number "${billRef}" is not recognised`);
+      }
+    }
+
+    if (mode === 'payer_accounts') {
+      if (!context.payerAccount) {
+        return reject('account_reference', `Account number "${billRef}" is not recognised`);
+      }
+      if (context.payerAccount.status !== 'active') {
+        return reject('account_reference', `Account number "${billRef}" is closed`);
+      }
+    }
+
+    // Amount limits
+    if (policy.minAmount && amount < policy.minAmount) {
+      return reject('min_amount', `Minimum payment is ${MpesaUtils.formatCurrency(policy.minAmount)}`);
+    }
+
+    if (policy.maxAmount && amount > policy.maxAmount) {
+      return reject('max_amount', `Maximum payment is ${MpesaUtils.formatCurrency(policy.maxAmount)}`);
+    }
+
+    // Business hours
+    if (policy.businessHours?.enabled && policy.businessHours.windows.length > 0) {
+      const { day, minutes } = getLocalTime(now, policy.businessHours.timezone);
+
+      const isOpen = policy.businessHours.windows.some(window => {
+        const start = toMinutes(window.start);
+        const end = toMinutes(window.end);
+
+        // Windows that cross midnight belong to the day they start on
+        if (start <= end) {
+          return window.days.includes(day) && minutes >= start && minutes < end;
+        }
+        return (window.days.includes(day) && minutes >= start) ||
+          (window.days.includes((day + 6) % 7) && minutes < end);
+      });
+
+      if (!isOpen) {
+        return reject('business_hours', 'Payments are only accepted during business hours');
+      }
+    }
+
+    return { accepted: true };
+  }
+
+  /**
+   * Log a rejected payment so the merchant can review it
+   */
+  static async recordRejection(businessId, validationData, decision) {
+    return ValidationRejection.create({
+      business: businessId,
+      rule: decision.rule,
+      resultCode: decision.resultCode,
+      resultDesc: decision.resultDesc,
+      mpesaTransactionId: validationData.TransID,
+      businessShortCode: validationData.BusinessShortCode,
+      amount: parseFloat(validationData.TransAmount),
+      phoneNumber: validationData.MSISDN,
+      billRefNumber: validationData.BillRefNumber,
+      rawMpesaResponse: validationData
+    });
+  }
+
+  /**
+   * Get rejected payments for a business with pagination
+   */
+  static async getRejections(businessId, filters = {}) {
+    const { page = 1, limit = 50, rule } = filters;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = { business: businessId };
+    if (rule) query.rule = rule;
+
+    const [rejections, total] = await Promise.all([
+      ValidationRejection.findByBusiness(businessId, { page: pageNum, limit: limitNum, rule }),
+      ValidationRejection.countDocuments(query)
+    ]);
+
+    return {
+      rejections,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+}
@@ -0,0 +1,186 @@
+import WebhookEvent from "../models/WebhookEvent.js";
+import c2bService from "./c2bService.js";
+import stkService from "./stkService.js";
+import b2cService from "./b2cService.js";
+import reversalService from "./reversalService.js";
+
+// An event still "processing" after this long was abandoned (crash or restart) and may be claimed again
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Webhook Event Service
+ * Stores every inbound Daraja payload, deduplicates deliveries and runs each
+ * event through its processing pipeline exactly once (or again on replay).
+ */
+class WebhookEventService {
+  constructor() {
+    // Processing pipeline per event type - must return a plain result summary
+    this.handlers = {
+      c2b_confirmation: async (payload) => {
+        const result = await c2bService.processConfirmation(payload);
+        return {
+          status: result.status,
+          transactionId: result.transaction?._id,
+          unmatchedPaymentId: result.unmatchedPayment?._id
+        };
+      },
+      stk_callback: async (payload) => {
+        const result = await stkService.processCallback(payload.Body.stkCallback);
+        return {
+          status: result.status,
+          transactionId: result.transaction._id
+        };
+      },
+      b2c_result: async (payload) => {
+        const result = await b2cService.processResult(payload.Result);
+        return {
+          status: result.status,
+          transactionId: result.transaction._id
+        };
+      },
+      b2c_timeout: async (payload) => {
+        const result = await b2cService.processTimeout(payload);
+        return {
+          status: result.status,
+          transactionId: result.transaction._id
+        };
+      },
+      reversal_result: async (payload) => {
+        const result = await reversalService.processResult(payload.Result);
+        return {
+          status: result.status,
+          transactionId: result.transaction._id
+        };
+      },
+      reversal_timeout: async (payload) => {
+        const result = await reversalService.processTimeout(payload);
+        return {
+          status: result.status,
+          transactionId: result.transaction._id
+        };
+      }
+    };
+
+    // How each event type is keyed for deduplication
+    this.keyExtractors = {
+      c2b_confirmation: (payload) => payload?.TransID,
+      stk_callback: (payload) => payload?.Body?.stkCallback?.CheckoutRequestID,
+      b2c_result: (payload) => payload?.Result?.ConversationID,
+      b2c_timeout: (payload) => (payload?.Result || payload)?.ConversationID,
+      reversal_result: (payload) => payload?.Result?.ConversationID,
+      reversal_timeout: (payload) => (payload?.Result || payload)?.ConversationID
+    };
+  }
+
+  // Store a raw payload; repeated deliveries return the existing event
+  async recordEvent(type, payload) {
+    const eventKey = this.keyExtractors[type](payload) || null;
+
+    if (!eventKey) {
+      return {
+        event: await WebhookEvent.create({ type, payload, deliveryCount: 1 }),
+        isDuplicate: false
+      };
+    }
+
+    const result = await WebhookEvent.findOneAndUpdate(
+      { type, eventKey },
+      {
+        $setOnInsert: { type, eventKey, payload, status: 'received' },
+        $inc: { deliveryCount: 1 }
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+
+    return {
+      event: result.value,
+      isDuplicate: result.lastErrorObject?.updatedExisting === true
+    };
+  }
+
+  // Whether a processing event's claim has been abandoned
+  isStale(event) {
+    return event.status === 'processing' &&
+      (!event.lastAttemptAt || event.lastAttemptAt < new Date(Date.now() - STALE_PROCESSING_MS));
+  }
+
+  // Run an event through its pipeline if nobody else has processed it
+  async processEvent(eventId) {
+    // Claim the event so concurrent deliveries don't process it twice
+    const event = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: eventId,
+        $or: [
+          { status: { $in: ['received', 'failed'] } },
+          { status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+          { status: 'processing', lastAttemptAt: null }
+        ]
+      },
+      {
+        $set: { status: 'processing', lastAttemptAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+
+    if (!event) {
+      return { skipped: true };
+    }
+
+    try {
+      if (!event.eventKey) {
+        throw new Error('Payload is missing its Daraja identifier (TransID/CheckoutRequestID/ConversationID)');
+      }
+
+      const result = await this.handlers[event.type](event.payload);
+
+      event.status = 'processed';
+      event.processedAt = new Date();
+      event.lastError = null;
+      event.result = result;
+      await event.save();
+
+      return { skipped: false, event };
+
+    } catch (error) {
+      console.error(`❌ Webhook event ${event._id} (${event.type}) failed:`, error.message);
+
+      event.status = 'failed';
+      event.lastError = error.message;
+      await event.save();
+
+      return { skipped: false, event };
+    }
+  }
+
+  // Store and process an inbound payload
+  async ingest(type, payload) {
+    const { event, isDuplicate } = await this.recordEvent(type, payload);
+
+    if (isDuplicate) {
+      console.log(`🔁 Duplicate ${type} delivery:`, event.eventKey);
+    }
+
+    const { skipped, event: processedEvent } = await this.processEvent(event._id);
+    return skipped ? event : processedEvent;
+  }
+
+  // Re-run a failed or abandoned event through the same pipeline (admin action)
+  async replayEvent(eventId) {
+    const event = await WebhookEvent.findById(eventId);
+    if (!event) {
+      throw new Error('Webhook event not found');
+    }
+
+    if (event.status !== 'failed' && !this.isStale(event)) {
+      throw new Error(`Only failed events, or events stuck processing for over ${STALE_PROCESSING_MS / 60000} minutes, can be replayed (current status: ${event.status})`);
+    }
+
+    const { event: processedEvent } = await this.processEvent(event._id);
+    return processedEvent;
+  }
+}
+
+// Export singleton instance
+const webhookEventService = new WebhookEventService();
+export default webhookEventService;
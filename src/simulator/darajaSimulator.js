@@ -0,0 +1,606 @@
+import express from "express";
+import axios from "axios";
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { pathToFileURL } from "url";
+
+/**
+ * Daraja Simulator
+ * Local stand-in for the Safaricom Daraja API used when
+ * MPESA_ENVIRONMENT=simulator. Implements OAuth, STK push + query, C2B URL
+ * registration/simulation, Pull Transactions, B2C and QR codes, and delivers realistic callbacks to the
+ * URLs supplied in each request (our /api/mpesa/webhook/* routes).
+ *
+ * Configuration (environment):
+ * - MPESA_SIMULATOR_PORT               port to listen on (default 5055)
+ * - MPESA_SIMULATOR_OUTCOME            default outcome for STK/B2C (default "success")
+ * - MPESA_SIMULATOR_CALLBACK_DELAY_MS  delay before callbacks are sent (default 3000)
+ *
+ * Outcomes can be changed at runtime through the /simulator control routes,
+ * globally or per phone number, so automated tests can drive each path.
+ */
+
+// Result codes Daraja returns for each simulated outcome
+const OUTCOMES = {
+  success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+  user_cancelled: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  insufficient_funds: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction' },
+  timeout: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' },
+  // Completes on Daraja's side but the callback is never delivered (query still works)
+  no_callback: { resultCode: 0, resultDesc: 'The service request is processed successfully.' }
+};
+
+// There is no customer prompt on B2C, so only these apply to payouts
+const B2C_OUTCOMES = ['success', 'insufficient_funds', 'timeout', 'no_callback'];
+
+const CUSTOMER_NAMES = [
+  ['JOHN', 'KAMAU', 'MWANGI'],
+  ['MARY', 'WANJIKU', 'NJOROGE'],
+  ['PETER', 'OTIENO', 'ODHIAMBO'],
+  ['GRACE', 'AKINYI', 'OCHIENG'],
+  ['JAMES', 'KIPCHUMBA', 'RUTO'],
+  ['FAITH', 'MUTHONI', 'KARIUKI']
+];
+
+const TOKEN_TTL_SECONDS = 3599;
+
+// Daraja timestamp format: YYYYMMDDHHmmss
+const formatTimestamp = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+// Receipt numbers look like "SJK3ABC1XY"
+const generateReceipt = () => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let receipt = 'S';
+  for (let i = 0; i < 9; i++) {
+    receipt += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return receipt;
+};
+
+const generateId = (prefix) => `${prefix}${Date.now()}${crypto.randomInt(1000, 9999)}`;
+
+const randomCustomer = () => CUSTOMER_NAMES[crypto.randomInt(CUSTOMER_NAMES.length)];
+
+export const createDarajaSimulator = (options = {}) => {
+  const config = {
+    stkOutcome: options.outcome || process.env.MPESA_SIMULATOR_OUTCOME || 'success',
+    b2cOutcome: B2C_OUTCOMES.find(outcome => outcome === (options.outcome || process.env.MPESA_SIMULATOR_OUTCOME)) || 'success',
+    callbackDelayMs: options.callbackDelayMs ?? (parseInt(process.env.MPESA_SIMULATOR_CALLBACK_DELAY_MS) || 3000)
+  };
+
+  const state = {
+    tokens: new Map(),          // access_token -> expiresAt
+    stkRequests: new Map(),     // CheckoutRequestID -> request + result
+    c2bRegistrations: new Map(),// ShortCode -> { confirmationUrl, validationUrl, responseType }
+    b2cRequests: new Map(),     // ConversationID -> request + result
+    c2bPayments: [],            // accepted C2B payments (for Pull Transactions)
+    phoneOutcomes: new Map(),   // 2547XXXXXXXX -> outcome
+    callbacks: []               // delivery log, most recent last
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  const resolveOutcome = (phoneNumber, fallback, allowed = Object.keys(OUTCOMES)) => {
+    const override = state.phoneOutcomes.get(String(phoneNumber));
+    return allowed.includes(override) ? override : fallback;
+  };
+
+  // POST a callback to our webhook and keep a log of the delivery
+  const deliverCallback = async (url, payload, label) => {
+    const entry = { label, url, payload, sentAt: new Date().toISOString() };
+
+    try {
+      const response = await axios.post(url, payload, { timeout: 10000 });
+      entry.status = response.status;
+      entry.response = response.data;
+      console.log(`🧪 Simulator delivered ${label} to ${url}`);
+    } catch (error) {
+      entry.status = error.response?.status || null;
+      entry.error = error.message;
+      console.error(`🧪 Simulator failed to deliver ${label} to ${url}:`, error.message);
+    }
+
+    state.callbacks.push(entry);
+    if (state.callbacks.length > 200) {
+      state.callbacks.shift();
+    }
+    return entry;
+  };
+
+  const later = (fn) => {
+    const timer = setTimeout(() => {
+      fn().catch(error => console.error('🧪 Simulator callback error:', error));
+    }, config.callbackDelayMs);
+    timer.unref();
+  };
+
+  // Bearer token check for every API route except OAuth
+  const requireToken = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const expiresAt = state.tokens.get(token);
+
+    if (!expiresAt || expiresAt < Date.now()) {
+      return res.status(401).json({
+        requestId: generateId(''),
+        errorCode: '404.001.04',
+        errorMessage: 'Invalid Access Token'
+      });
+    }
+    next();
+  };
+
+  const badRequest = (res, field) => {
+    return res.status(400).json({
+      requestId: generateId(''),
+      errorCode: '400.002.02',
+      errorMessage: `Bad Request - Invalid ${field}`
+    });
+  };
+
+  // ==================== OAUTH ====================
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    const [consumerKey, consumerSecret] = Buffer.from(encoded || '', 'base64').toString().split(':');
+
+    // Keys starting with "invalid" exercise the credential failure paths
+    if (scheme !== 'Basic' || !consumerKey || !consumerSecret || consumerKey.startsWith('invalid')) {
+      return res.status(400).json({
+        requestId: generateId(''),
+        errorCode: '400.008.01',
+        errorMessage: 'Invalid Authentication passed'
+      });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    state.tokens.set(accessToken, Date.now() + TOKEN_TTL_SECONDS * 1000);
+
+    res.json({ access_token: accessToken, expires_in: String(TOKEN_TTL_SECONDS) });
+  });
+
+  // ==================== STK PUSH ====================
+
+  app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+    const { BusinessShortCode, Password, Timestamp, Amount, PhoneNumber, CallBackURL, AccountReference } = req.body;
+
+    if (!BusinessShortCode) return badRequest(res, 'BusinessShortCode');
+    if (!Password || !Timestamp) return badRequest(res, 'Password');
+    if (!Amount || Number(Amount) < 1) return badRequest(res, 'Amount');
+    if (!/^2547\d{8}$|^2541\d{8}$/.test(String(PhoneNumber))) return badRequest(res, 'PhoneNumber');
+    if (!CallBackURL) return badRequest(res, 'CallBackURL');
+
+    const request = {
+      merchantRequestId: generateId('29115-'),
+      checkoutRequestId: `ws_CO_${formatTimestamp()}${crypto.randomInt(100000, 999999)}`,
+      shortCode: BusinessShortCode,
+      amount: Math.floor(Number(Amount)),
+      phoneNumber: String(PhoneNumber),
+      accountReference: AccountReference,
+      callbackUrl: CallBackURL,
+      outcome: resolveOutcome(PhoneNumber, config.stkOutcome),
+      result: null,
+      createdAt: new Date()
+    };
+    state.stkRequests.set(request.checkoutRequestId, request);
+
+    later(async () => {
+      const { resultCode, resultDesc } = OUTCOMES[request.outcome] || OUTCOMES.success;
+      request.result = { resultCode, resultDesc };
+
+      const stkCallback = {
+        MerchantRequestID: request.merchantRequestId,
+        CheckoutRequestID: request.checkoutRequestId,
+        ResultCode: resultCode,
+        ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : resultDesc
+      };
+
+      if (resultCode === 0) {
+        request.result.receipt = generateReceipt();
+        stkCallback.CallbackMetadata = {
+          Item: [
+            { Name: 'Amount', Value: request.amount },
+            { Name: 'MpesaReceiptNumber', Value: request.result.receipt },
+            { Name: 'Balance' },
+            { Name: 'TransactionDate', Value: Number(formatTimestamp()) },
+            { Name: 'PhoneNumber', Value: Number(request.phoneNumber) }
+          ]
+        };
+      }
+
+      if (request.outcome === 'no_callback') {
+        console.log(`🧪 Simulator dropped STK callback for ${request.checkoutRequestId}`);
+        return;
+      }
+
+      await deliverCallback(request.callbackUrl, { Body: { stkCallback } }, 'stk_callback');
+    });
+
+    res.json({
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+  });
+
+  app.post('/mpesa/stkpushquery/v1/query', requireToken, (req, res) => {
+    const request = state.stkRequests.get(req.body.CheckoutRequestID);
+
+    if (!request) {
+      return badRequest(res, 'CheckoutRequestID');
+    }
+
+    // Customer has not responded to the prompt yet
+    if (!request.result) {
+      return res.status(500).json({
+        requestId: generateId(''),
+        errorCode: '500.001.1001',
+        errorMessage: 'The transaction is being processed'
+      });
+    }
+
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResultCode: String(request.result.resultCode),
+      ResultDesc: request.result.resultDesc
+    });
+  });
+
+  // ==================== C2B ====================
+
+  app.post('/mpesa/c2b/v1/registerurl', requireToken, (req, res) => {
+    const { ShortCode, ResponseType, ConfirmationURL, ValidationURL } = req.body;
+
+    if (!ShortCode) return badRequest(res, 'ShortCode');
+    if (!ConfirmationURL) return badRequest(res, 'ConfirmationURL');
+
+    state.c2bRegistrations.set(String(ShortCode), {
+      confirmationUrl: ConfirmationURL,
+      validationUrl: ValidationURL,
+      responseType: ResponseType || 'Completed'
+    });
+
+    res.json({
+      OriginatorCoversationID: generateId(''),
+      ResponseCode: '0',
+      ResponseDescription: 'Success'
+    });
+  });
+
+  // Send a customer payment to a registered shortcode (validation, then confirmation)
+  // deliver: false simulates our confirmation endpoint being down
+  const simulateC2BPayment = async ({ shortCode, amount, phoneNumber, billRefNumber = '', commandId = 'CustomerPayBillOnline', deliver = true }) => {
+    const registration = state.c2bRegistrations.get(String(shortCode));
+    if (!registration) {
+      throw new Error(`No C2B URLs registered for shortcode ${shortCode}`);
+    }
+
+    const [firstName, middleName, lastName] = randomCustomer();
+    const payment = {
+      TransactionType: commandId === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'Pay Bill',
+      TransID: generateReceipt(),
+      TransTime: formatTimestamp(),
+      TransAmount: Number(amount).toFixed(2),
+      BusinessShortCode: String(shortCode),
+      BillRefNumber: billRefNumber,
+      InvoiceNumber: '',
+      OrgAccountBalance: '',
+      ThirdPartyTransID: '',
+      MSISDN: String(phoneNumber),
+      FirstName: firstName,
+      MiddleName: middleName,
+      LastName: lastName
+    };
+
+    if (registration.validationUrl) {
+      const validation = await deliverCallback(registration.validationUrl, payment, 'c2b_validation');
+      const accepted = validation.status && String(validation.response?.ResultCode ?? '0') === '0';
+
+      // Rejected, or validation unreachable with ResponseType "Cancelled"
+      if (validation.status && !accepted) {
+        return { accepted: false, payment, validation: validation.response };
+      }
+      if (!validation.status && registration.responseType === 'Cancelled') {
+        return { accepted: false, payment, validation: { ResultDesc: 'Validation URL unreachable' } };
+      }
+    }
+
+    state.c2bPayments.push({ ...payment, receivedAt: new Date() });
+
+    if (deliver) {
+      await deliverCallback(registration.confirmationUrl, payment, 'c2b_confirmation');
+    }
+    return { accepted: true, delivered: deliver, payment };
+  };
+
+  app.post('/mpesa/c2b/v1/simulate', requireToken, (req, res) => {
+    const { ShortCode, CommandID, Amount, Msisdn, BillRefNumber } = req.body;
+
+    if (!state.c2bRegistrations.has(String(ShortCode))) return badRequest(res, 'ShortCode');
+    if (!Amount || Number(Amount) < 1) return badRequest(res, 'Amount');
+
+    later(() => simulateC2BPayment({
+      shortCode: ShortCode,
+      amount: Amount,
+      phoneNumber: Msisdn,
+      billRefNumber: BillRefNumber,
+      commandId: CommandID
+    }));
+
+    res.json({
+      OriginatorCoversationID: generateId(''),
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+  });
+
+  // "YYYY-MM-DD HH:mm:ss" in Kenyan time (UTC+3)
+  const parsePullDate = (value) => new Date(`${String(value).replace(' ', 'T')}+03:00`);
+  const formatPullDate = (date) => new Date(date.getTime() + 3 * 60 * 60 * 1000).toISOString().replace('T', ' ').substring(0, 19);
+
+  app.post('/pulltransactions/v1/query', requireToken, (req, res) => {
+    const { ShortCode, StartDate, EndDate, OffSetValue } = req.body;
+    const start = parsePullDate(StartDate);
+    const end = parsePullDate(EndDate);
+
+    if (!ShortCode) return badRequest(res, 'ShortCode');
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) return badRequest(res, 'StartDate');
+
+    const offset = parseInt(OffSetValue) || 0;
+    const records = state.c2bPayments
+      .filter(payment => payment.BusinessShortCode === String(ShortCode) &&
+        payment.receivedAt >= start && payment.receivedAt <= end)
+      .slice(offset, offset + 100)
+      .map(payment => ({
+        transactionId: payment.TransID,
+        trxDate: formatPullDate(payment.receivedAt),
+        msisdn: Number(payment.MSISDN),
+        sender: `${payment.FirstName} ${payment.LastName}`,
+        transactiontype: payment.TransactionType === 'Buy Goods' ? 'c2b-buy-goods-debit' : 'c2b-pay-bill-debit',
+        billreference: payment.BillRefNumber,
+        amount: payment.TransAmount,
+        organizationname: String(ShortCode)
+      }));
+
+    res.json({
+      ResponseRefID: generateId(''),
+      ResponseCode: '1000',
+      ResponseMessage: 'Success',
+      Response: [records]
+    });
+  });
+
+  // ==================== B2C ====================
+
+  const handleB2CRequest = (req, res) => {
+    const { OriginatorConversationID, InitiatorName, SecurityCredential, Amount, PartyA, PartyB, ResultURL, QueueTimeOutURL } = req.body;
+
+    if (!InitiatorName || !SecurityCredential) return badRequest(res, 'Initiator');
+    if (!PartyA) return badRequest(res, 'PartyA');
+    if (!/^2547\d{8}$|^2541\d{8}$/.test(String(PartyB))) return badRequest(res, 'PartyB');
+    if (!Amount || Number(Amount) < 1) return badRequest(res, 'Amount');
+    if (!ResultURL || !QueueTimeOutURL) return badRequest(res, 'ResultURL');
+
+    const request = {
+      conversationId: generateId('AG_'),
+      originatorConversationId: OriginatorConversationID || generateId(''),
+      amount: Math.floor(Number(Amount)),
+      phoneNumber: String(PartyB),
+      resultUrl: ResultURL,
+      queueTimeoutUrl: QueueTimeOutURL,
+      outcome: resolveOutcome(PartyB, config.b2cOutcome, B2C_OUTCOMES),
+      result: null
+    };
+    state.b2cRequests.set(request.conversationId, request);
+
+    later(async () => {
+      const base = {
+        OriginatorConversationID: request.originatorConversationId,
+        ConversationID: request.conversationId
+      };
+
+      if (request.outcome === 'no_callback') {
+        request.result = { resultCode: 0, resultDesc: OUTCOMES.success.resultDesc };
+        console.log(`🧪 Simulator dropped B2C result for ${request.conversationId}`);
+        return;
+      }
+
+      if (request.outcome === 'timeout') {
+        request.result = { resultCode: 1, resultDesc: 'The request timed out in the queue' };
+        await deliverCallback(request.queueTimeoutUrl, {
+          Result: { ResultType: 1, ResultCode: 1, ResultDesc: request.result.resultDesc, ...base }
+        }, 'b2c_timeout');
+        return;
+      }
+
+      if (request.outcome === 'insufficient_funds') {
+        request.result = { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' };
+        await deliverCallback(request.resultUrl, {
+          Result: { ResultType: 0, ResultCode: 1, ResultDesc: request.result.resultDesc, ...base, TransactionID: generateReceipt() }
+        }, 'b2c_result');
+        return;
+      }
+
+      const receipt = generateReceipt();
+      const [firstName, , lastName] = randomCustomer();
+      request.result = { resultCode: 0, resultDesc: OUTCOMES.success.resultDesc, receipt };
+
+      const now = new Date();
+      const pad = (n) => String(n).padStart(2, '0');
+      const completedAt = `${pad(now.getDate())}.${pad(now.getMonth() + 1)}.${now.getFullYear()} ` +
+        `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+
+      await deliverCallback(request.resultUrl, {
+        Result: {
+          ResultType: 0,
+          ResultCode: 0,
+          ResultDesc: request.result.resultDesc,
+          ...base,
+          TransactionID: receipt,
+          ResultParameters: {
+            ResultParameter: [
+              { Key: 'TransactionAmount', Value: request.amount },
+              { Key: 'TransactionReceipt', Value: receipt },
+              { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' },
+              { Key: 'B2CChargesPaidAccountAvailableFunds', Value: 0.00 },
+              { Key: 'ReceiverPartyPublicName', Value: `${request.phoneNumber} - ${firstName} ${lastName}` },
+              { Key: 'TransactionCompletedDateTime', Value: completedAt },
+              { Key: 'B2CUtilityAccountAvailableFunds', Value: 100000.00 },
+              { Key: 'B2CWorkingAccountAvailableFunds', Value: 50000.00 }
+            ]
+          },
+          ReferenceData: {
+            ReferenceItem: { Key: 'QueueTimeoutURL', Value: request.queueTimeoutUrl }
+          }
+        }
+      }, 'b2c_result');
+    });
+
+    res.json({
+      ConversationID: request.conversationId,
+      OriginatorConversationID: request.originatorConversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.'
+    });
+  };
+
+  app.post('/mpesa/b2c/v3/paymentrequest', requireToken, handleB2CRequest);
+  app.post('/mpesa/b2c/v1/paymentrequest', requireToken, handleB2CRequest);
+
+  // ==================== QR CODE ====================
+
+  // The image only stands in for Safaricom's - it encodes the request, not a scannable M-Pesa code
+  app.post('/mpesa/qrcode/v1/generate', requireToken, async (req, res) => {
+    const { MerchantName, RefNo, Amount, TrxCode, CPI, Size } = req.body;
+
+    if (!MerchantName) return badRequest(res, 'MerchantName');
+    if (!['BG', 'PB', 'WA', 'SM', 'SB'].includes(TrxCode)) return badRequest(res, 'TrxCode');
+    if (!CPI) return badRequest(res, 'CPI');
+
+    const image = await QRCode.toBuffer(JSON.stringify({ MerchantName, RefNo, Amount, TrxCode, CPI }), {
+      type: 'png',
+      width: parseInt(Size) || 300
+    });
+
+    res.json({
+      ResponseCode: generateId('AG_'),
+      RequestID: generateId(''),
+      ResponseDescription: 'QR Code Successfully Generated.',
+      QRCode: image.toString('base64')
+    });
+  });
+
+  // ==================== SIMULATOR CONTROL ====================
+
+  // GET /simulator/state - current config, registrations and callback log
+  app.get('/simulator/state', (req, res) => {
+    res.json({
+      config,
+      outcomes: Object.keys(OUTCOMES),
+      b2cOutcomes: B2C_OUTCOMES,
+      phoneOutcomes: Object.fromEntries(state.phoneOutcomes),
+      c2bRegistrations: Object.fromEntries(state.c2bRegistrations),
+      stkRequests: [...state.stkRequests.values()].slice(-50),
+      b2cRequests: [...state.b2cRequests.values()].slice(-50),
+      callbacks: state.callbacks.slice(-50)
+    });
+  });
+
+  // PUT /simulator/config - change default outcomes / callback delay
+  app.put('/simulator/config', (req, res) => {
+    const { stkOutcome, b2cOutcome, callbackDelayMs } = req.body;
+
+    if (stkOutcome !== undefined && !OUTCOMES[stkOutcome]) {
+      return res.status(400).json({ success: false, message: `Unknown outcome "${stkOutcome}"`, outcomes: Object.keys(OUTCOMES) });
+    }
+    if (b2cOutcome !== undefined && !B2C_OUTCOMES.includes(b2cOutcome)) {
+      return res.status(400).json({ success: false, message: `Unknown B2C outcome "${b2cOutcome}"`, outcomes: B2C_OUTCOMES });
+    }
+
+    if (stkOutcome !== undefined) config.stkOutcome = stkOutcome;
+    if (b2cOutcome !== undefined) config.b2cOutcome = b2cOutcome;
+    if (callbackDelayMs !== undefined) config.callbackDelayMs = Math.max(0, parseInt(callbackDelayMs) || 0);
+
+    res.json({ success: true, data: config });
+  });
+
+  // PUT /simulator/outcomes/:phoneNumber - force an outcome for one phone number
+  app.put('/simulator/outcomes/:phoneNumber', (req, res) => {
+    const { outcome } = req.body;
+
+    if (!OUTCOMES[outcome]) {
+      return res.status(400).json({ success: false, message: `Unknown outcome "${outcome}"`, outcomes: Object.keys(OUTCOMES) });
+    }
+
+    state.phoneOutcomes.set(req.params.phoneNumber, outcome);
+    res.json({ success: true, data: Object.fromEntries(state.phoneOutcomes) });
+  });
+
+  // DELETE /simulator/outcomes/:phoneNumber - back to the default outcome
+  app.delete('/simulator/outcomes/:phoneNumber', (req, res) => {
+    state.phoneOutcomes.delete(req.params.phoneNumber);
+    res.json({ success: true, data: Object.fromEntries(state.phoneOutcomes) });
+  });
+
+  // POST /simulator/c2b - customer pays a registered till/paybill (no token needed, deliver: false skips the confirmation)
+  app.post('/simulator/c2b', async (req, res) => {
+    const { shortCode, amount, phoneNumber = '254708374149', billRefNumber, commandId, deliver = true } = req.body;
+
+    if (!shortCode || !amount || Number(amount) < 1) {
+      return res.status(400).json({ success: false, message: 'shortCode and amount are required' });
+    }
+
+    try {
+      const result = await simulateC2BPayment({ shortCode, amount, phoneNumber, billRefNumber, commandId, deliver });
+      res.json({ success: true, data: result });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+
+  // POST /simulator/reset - clear all simulator state
+  app.post('/simulator/reset', (req, res) => {
+    state.tokens.clear();
+    state.stkRequests.clear();
+    state.c2bRegistrations.clear();
+    state.b2cRequests.clear();
+    state.c2bPayments.length = 0;
+    state.phoneOutcomes.clear();
+    state.callbacks.length = 0;
+    res.json({ success: true, message: 'Simulator state cleared' });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ errorCode: '404.001.01', errorMessage: 'Resource not found' });
+  });
+
+  return { app, config, state, simulateC2BPayment };
+};
+
+// Start the simulator on its own port
+export const startDarajaSimulator = (options = {}) => {
+  const port = options.port || process.env.MPESA_SIMULATOR_PORT || 5055;
+  const simulator = createDarajaSimulator(options);
+
+  simulator.server = simulator.app.listen(port, () => {
+    console.log(`🧪 Daraja simulator running on port ${port} (default outcome: ${simulator.config.stkOutcome})`);
+  });
+
+  return simulator;
+};
+
+// Allow running standalone: node src/simulator/darajaSimulator.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { default: dotenv } = await import("dotenv");
+  dotenv.config();
+  startDarajaSimulator();
+}
@@ -0,0 +1,33 @@
+import fs from "fs";
+import csv from "csv-parser";
+
+/**
+ * Parses an uploaded campaign recipient list
+ * CSV Expected Columns (case-insensitive):
+ *  "Phone" (or "MSISDN", "Phone Number"), "Amount", optional "Reference", optional "Name"
+ */
+export const parseCampaignCsv = async (filePath) => {
+  return new Promise((resolve, reject) => {
+    const results = [];
+
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+      .on("data", (row) => {
+        results.push(normalizeRecipientRow(row));
+      })
+      .on("end", () => resolve(results))
+      .on("error", reject);
+  });
+};
+
+/**
+ * Convert raw CSV row → recipient object (validated later with the JSON input)
+ */
+function normalizeRecipientRow(row) {
+  return {
+    phoneNumber: (row["phone"] || row["msisdn"] || row["phone number"] || "").trim(),
+    amount: row["amount"]?.replace(/[,\s]/g, ""),
+    accountReference: row["reference"] || row["account"] || row["account no"] || undefined,
+    name: row["name"] || undefined
+  };
+}
@@ -0,0 +1,147 @@
+// Envelope encryption for M-Pesa credentials stored on businesses
+import crypto from "crypto";
+
+/**
+ * Each value is encrypted with its own random data key (AES-256-GCM), and the
+ * data key is wrapped with a versioned master key from the environment:
+ *
+ *   enc:v<version>:<wrapped data key>:<encrypted value>
+ *
+ * Configuration (environment):
+ * - MPESA_CREDENTIALS_MASTER_KEYS  comma-separated "version:base64key" pairs,
+ *                                  e.g. "1:Zm9v...,2:YmFy..." (32-byte keys)
+ * - MPESA_CREDENTIALS_KEY_VERSION  version used to encrypt (default: highest)
+ *
+ * Old versions stay in MPESA_CREDENTIALS_MASTER_KEYS until the rotation
+ * command has re-encrypted every business with the current one.
+ */
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const MASK = '••••••••';
+
+let cachedKeys = null;
+let cachedKeysSource = null;
+
+export class CredentialCrypto {
+  // Parse the master keys from the environment (cached until the env changes)
+  static getMasterKeys() {
+    const source = process.env.MPESA_CREDENTIALS_MASTER_KEYS || '';
+
+    if (cachedKeys && cachedKeysSource === source) {
+      return cachedKeys;
+    }
+
+    const keys = new Map();
+    for (const entry of source.split(',').map(part => part.trim()).filter(Boolean)) {
+      const [version, encodedKey] = entry.split(':');
+      const key = Buffer.from(encodedKey || '', 'base64');
+
+      if (!/^\d+$/.test(version) || key.length !== 32) {
+        throw new Error(`Invalid M-Pesa credentials master key entry for version "${version}" (expected "<number>:<base64 32-byte key>")`);
+      }
+      keys.set(Number(version), key);
+    }
+
+    cachedKeys = keys;
+    cachedKeysSource = source;
+    return keys;
+  }
+
+  // Version new values are encrypted with
+  static getCurrentVersion() {
+    const keys = CredentialCrypto.getMasterKeys();
+
+    if (keys.size === 0) {
+      throw new Error('MPESA_CREDENTIALS_MASTER_KEYS is not configured');
+    }
+
+    const configured = process.env.MPESA_CREDENTIALS_KEY_VERSION;
+    const version = configured ? Number(configured) : Math.max(...keys.keys());
+
+    if (!keys.has(version)) {
+      throw new Error(`M-Pesa credentials master key version ${configured} is not configured`);
+    }
+    return version;
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:v`);
+  }
+
+  // Master key version a stored value was encrypted with (null for plaintext)
+  static getKeyVersion(value) {
+    if (!CredentialCrypto.isEncrypted(value)) {
+      return null;
+    }
+    return Number(value.split(':')[1].substring(1));
+  }
+
+  // Legacy plaintext or a value encrypted with an older master key
+  static needsRotation(value) {
+    if (!value) {
+      return false;
+    }
+    return CredentialCrypto.getKeyVersion(value) !== CredentialCrypto.getCurrentVersion();
+  }
+
+  static seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  static open(key, sealed) {
+    const data = Buffer.from(sealed, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  }
+
+  // Encrypt a credential with a fresh data key wrapped by the current master key
+  static encrypt(plaintext) {
+    if (plaintext === null || plaintext === undefined || plaintext === '' || CredentialCrypto.isEncrypted(plaintext)) {
+      return plaintext;
+    }
+
+    const version = CredentialCrypto.getCurrentVersion();
+    const masterKey = CredentialCrypto.getMasterKeys().get(version);
+    const dataKey = crypto.randomBytes(32);
+
+    const wrappedKey = CredentialCrypto.seal(masterKey, dataKey);
+    const encryptedValue = CredentialCrypto.seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+    return `${PREFIX}:v${version}:${wrappedKey}:${encryptedValue}`;
+  }
+
+  // Decrypt a stored credential (values saved before encryption pass through)
+  static decrypt(value) {
+    if (!CredentialCrypto.isEncrypted(value)) {
+      return value;
+    }
+
+    const [, , wrappedKey, encryptedValue] = value.split(':');
+    const version = CredentialCrypto.getKeyVersion(value);
+    const masterKey = CredentialCrypto.getMasterKeys().get(version);
+
+    if (!masterKey) {
+      throw new Error(`M-Pesa credentials master key version ${version} is not configured`);
+    }
+
+    const dataKey = CredentialCrypto.open(masterKey, wrappedKey);
+    return CredentialCrypto.open(dataKey, encryptedValue).toString('utf8');
+  }
+
+  // Re-encrypt a stored value with the current master key
+  static reencrypt(value) {
+    return CredentialCrypto.encrypt(CredentialCrypto.decrypt(value));
+  }
+
+  // What API responses show instead of a credential
+  static mask(value) {
+    return value ? MASK : null;
+  }
+}
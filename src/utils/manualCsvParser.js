@@ -38,6 +38,7 @@ function normalizeCsvRow(row) {
   const date = parseCsvDate(row["Completion Time"]);
   const type = inferTransactionType(row["Type"]);
   const reference = row["Reference"] || row["Account No"] || null;
+  const balance = row["Balance"] ? parseFloat(row["Balance"].replace(/[,]/g, "")) : null;
 
   return {
     id: receipt.trim(),
@@ -46,6 +47,7 @@ function normalizeCsvRow(row) {
     date,
     type,
     reference,
+    balance: isNaN(balance) ? null : balance,
     raw: row
   };
 }
@@ -28,7 +28,7 @@ export class MpesaUtils {
 
       // Validate phone number format
       const phoneNumber = req.body.MSISDN;
-      if (!this.isValidMpesaPhoneNumber(phoneNumber)) {
+      if (!MpesaUtils.isValidMpesaPhoneNumber(phoneNumber)) {
         console.warn('🚨 Invalid phone number format');
         return res.json({
           ResultCode: 1,
@@ -169,6 +169,23 @@ export class MpesaUtils {
     };
   }
 
+  // Map a Daraja TransactionType onto the values stored on Transaction
+  static normalizeTransactionType(transactionType, businessType = 'PayBill') {
+    const typeMap = {
+      'Pay Bill': 'Pay Bill',
+      'CustomerPayBillOnline': 'Pay Bill',
+      'Buy Goods': 'Buy Goods',
+      'CustomerBuyGoodsOnline': 'Buy Goods'
+    };
+
+    return typeMap[transactionType] || (businessType === 'Buy Goods' ? 'Buy Goods' : 'Pay Bill');
+  }
+
+  // Customers type account references loosely ("inv 1001", "INV-1001") - compare on letters and digits only
+  static normalizeAccountReference(reference) {
+    return String(reference || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
   // Parse M-Pesa error codes to user-friendly messages
   static parseErrorCode(errorCode) {
     const errorMap = {
@@ -206,13 +223,18 @@ export class MpesaUtils {
     
     // Mask phone number for logging
     if (sanitized.customer?.phoneNumber) {
-      const phone = sanitized.customer.phoneNumber;
-      sanitized.customer.phoneNumber = `${phone.substring(0, 6)}***${phone.substring(9)}`;
+      sanitized.customer.phoneNumber = MpesaUtils.maskPhoneNumber(sanitized.customer.phoneNumber);
     }
 
     return sanitized;
   }
 
+  // Mask the middle digits of a phone number (254712***678)
+  static maskPhoneNumber(phoneNumber) {
+    if (!phoneNumber) return phoneNumber;
+    return `${phoneNumber.substring(0, 6)}***${phoneNumber.substring(9)}`;
+  }
+
   // Calculate transaction statistics
   static calculateTransactionStats(transactions) {
     if (!transactions || transactions.length === 0) {
@@ -0,0 +1,45 @@
+/**
+ * Service Errors
+ * Errors services throw when they refuse a request. Each carries the HTTP
+ * status to answer with; any other error reaching a controller is unexpected
+ * and answered with a 500.
+ */
+
+// A request the service cannot carry out (bad input, wrong state, missing setup)
+export class ServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+  }
+}
+
+// A record that does not exist, or that the merchant may not access
+export class NotFoundError extends ServiceError {
+  constructor(message) {
+    super(message, 404);
+    this.name = 'NotFoundError';
+  }
+}
+
+// Map a service error onto an HTTP response
+export const sendServiceError = (res, error, fallbackMessage) => {
+  if (error instanceof ServiceError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'CastError' || error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
@@ -0,0 +1,293 @@
+import PDFDocument from "pdfkit";
+
+// Statement PDF layout (A4). Takes the data built by statementService.buildStatementData.
+
+const COLORS = {
+  brand: '#1F3A5F',
+  accent: '#3AA335',
+  text: '#1F2933',
+  muted: '#616E7C',
+  rule: '#D9E2EC',
+  zebra: '#F5F7FA'
+};
+
+const MARGIN = 40;
+const ROW_HEIGHT = 16;
+
+const money = (amount) =>
+  Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const displayPhone = (phoneNumber) => (phoneNumber ? phoneNumber.replace(/^254/, '0') : '');
+
+const SOURCE_LABELS = {
+  'mpesa-api': 'C2B',
+  'stk-push': 'STK',
+  'manual-csv': 'Manual',
+  'manual-pdf': 'Manual'
+};
+
+const formatDate = (date, timezone, withTime = false) =>
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    ...(withTime && { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+  }).format(date);
+
+// "2026-09-14" -> "Mon 14 Sep"
+const formatDay = (isoDate) =>
+  new Intl.DateTimeFormat('en-GB', { timeZone: 'UTC', weekday: 'short', day: '2-digit', month: 'short' })
+    .format(new Date(`${isoDate}T00:00:00Z`));
+
+// Start a new page if less than `height` is left
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - MARGIN - 20) {
+    doc.addPage();
+  }
+};
+
+const sectionTitle = (doc, title) => {
+  ensureSpace(doc, 60);
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.brand).text(title, MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(1).strokeColor(COLORS.accent).stroke();
+  doc.y = y + 6;
+};
+
+// Draw a table, repeating the header after page breaks
+const drawTable = (doc, columns, rows) => {
+  const drawHeader = () => {
+    let x = MARGIN;
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(8).fillColor(COLORS.muted);
+    columns.forEach(column => {
+      doc.text(column.header, x + 3, y + 4, { width: column.width - 6, align: column.align || 'left', lineBreak: false });
+      x += column.width;
+    });
+    doc.moveTo(MARGIN, y + ROW_HEIGHT).lineTo(doc.page.width - MARGIN, y + ROW_HEIGHT).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  drawHeader();
+
+  rows.forEach((row, index) => {
+    if (doc.y + ROW_HEIGHT > doc.page.height - MARGIN - 20) {
+      doc.addPage();
+      drawHeader();
+    }
+
+    const y = doc.y;
+    if (index % 2 === 1) {
+      doc.rect(MARGIN, y, doc.page.width - MARGIN * 2, ROW_HEIGHT).fill(COLORS.zebra);
+    }
+
+    let x = MARGIN;
+    doc.font(row.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(COLORS.text);
+    columns.forEach((column, i) => {
+      doc.text(String(row.cells[i] ?? ''), x + 3, y + 4, {
+        width: column.width - 6,
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += column.width;
+    });
+
+    doc.y = y + ROW_HEIGHT;
+  });
+
+  doc.x = MARGIN;
+};
+
+const drawHeader = (doc, data) => {
+  const width = doc.page.width;
+  const { business, period } = data;
+
+  doc.rect(0, 0, width, 96).fill(COLORS.brand);
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#FFFFFF')
+    .text(business.name, MARGIN, 24, { width: width / 2 + 20 });
+  doc.font('Helvetica').fontSize(9).fillColor('#D9E2EC')
+    .text(`${business.businessType === 'Buy Goods' ? 'Till' : 'Paybill'} ${business.shortCode}`, MARGIN, doc.y + 2)
+    .text([business.contactEmail, business.contactPhone].filter(Boolean).join('  ·  '))
+    .text(business.location || '');
+
+  const periodText = `${formatDate(period.start, period.timezone)} – ${formatDate(new Date(period.end.getTime() - 1), period.timezone)}`;
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#FFFFFF')
+    .text('STATEMENT', width / 2, 24, { width: width / 2 - MARGIN, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor('#D9E2EC')
+    .text(periodText, width / 2, doc.y + 2, { width: width / 2 - MARGIN, align: 'right' })
+    .text(`Times in ${period.timezone}`, { width: width / 2 - MARGIN, align: 'right' });
+
+  doc.rect(0, 96, width, 4).fill(COLORS.accent);
+  doc.x = MARGIN;
+  doc.y = 116;
+};
+
+// Row of figure boxes
+const drawFigures = (doc, figures) => {
+  const gap = 8;
+  const boxWidth = (doc.page.width - MARGIN * 2 - gap * (figures.length - 1)) / figures.length;
+  const y = doc.y;
+
+  figures.forEach((figure, i) => {
+    const x = MARGIN + i * (boxWidth + gap);
+    doc.rect(x, y, boxWidth, 48).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    doc.font('Helvetica').fontSize(7.5).fillColor(COLORS.muted)
+      .text(figure.label.toUpperCase(), x + 8, y + 8, { width: boxWidth - 16, lineBreak: false });
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(figure.color || COLORS.text)
+      .text(figure.value, x + 8, y + 22, { width: boxWidth - 16, lineBreak: false, ellipsis: true });
+  });
+
+  doc.x = MARGIN;
+  doc.y = y + 56;
+};
+
+const drawSummary = (doc, data) => {
+  const { summary } = data;
+
+  sectionTitle(doc, 'Summary');
+
+  const change = summary.change === null
+    ? 'No prior data'
+    : `${summary.change > 0 ? '+' : ''}${summary.change}%`;
+
+  drawFigures(doc, [
+    { label: 'Total received (KES)', value: money(summary.amount), color: COLORS.accent },
+    { label: 'Payments', value: summary.transactions.toLocaleString('en-KE') },
+    { label: 'Average payment', value: money(summary.averageAmount) },
+    { label: 'Customers', value: summary.customers.toLocaleString('en-KE') }
+  ]);
+
+  drawFigures(doc, [
+    { label: 'vs previous period', value: change, color: summary.change < 0 ? '#C0392B' : COLORS.text },
+    { label: 'Refunds & payouts', value: money(summary.moneyOut) },
+    { label: 'Reversed payments', value: `${summary.reversedCount} (${money(summary.reversedAmount)})` },
+    { label: summary.bestDay ? `Best day · ${formatDay(summary.bestDay.date)}` : 'Best day', value: summary.bestDay ? money(summary.bestDay.amount) : '—' }
+  ]);
+
+  if (summary.failedCount || summary.pendingCount) {
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(`${summary.failedCount} failed or cancelled and ${summary.pendingCount} pending payment requests are not included in the totals.`, MARGIN);
+  }
+};
+
+// Render the statement; resolves with the PDF as a Buffer
+export const renderStatementPdf = (data) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `${data.business.name} statement ${data.period.label}`,
+      Author: 'TillFlow'
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { period } = data;
+  const contentWidth = doc.page.width - MARGIN * 2;
+
+  drawHeader(doc, data);
+  drawSummary(doc, data);
+
+  sectionTitle(doc, 'Payment sources');
+  drawTable(doc, [
+    { header: 'Source', width: contentWidth * 0.4 },
+    { header: 'Payments', width: contentWidth * 0.2, align: 'right' },
+    { header: 'Amount (KES)', width: contentWidth * 0.25, align: 'right' },
+    { header: 'Share', width: contentWidth * 0.15, align: 'right' }
+  ], data.sources.map(source => ({
+    cells: [source.label, source.count, money(source.amount), `${source.share}%`]
+  })));
+
+  sectionTitle(doc, 'Categories');
+  drawTable(doc, [
+    { header: 'Category', width: contentWidth * 0.4 },
+    { header: 'Payments', width: contentWidth * 0.2, align: 'right' },
+    { header: 'Amount (KES)', width: contentWidth * 0.25, align: 'right' },
+    { header: 'Share', width: contentWidth * 0.15, align: 'right' }
+  ], data.categories.length
+    ? data.categories.map(category => ({
+      cells: [category.name, category.count, money(category.amount), `${category.share}%`]
+    }))
+    : [{ cells: ['No payments in this period'] }]);
+
+  sectionTitle(doc, 'Top customers');
+  drawTable(doc, [
+    { header: '#', width: contentWidth * 0.06 },
+    { header: 'Customer', width: contentWidth * 0.36 },
+    { header: 'Phone', width: contentWidth * 0.2 },
+    { header: 'Payments', width: contentWidth * 0.14, align: 'right' },
+    { header: 'Amount (KES)', width: contentWidth * 0.24, align: 'right' }
+  ], data.topCustomers.length
+    ? data.topCustomers.map((customer, i) => ({
+      cells: [i + 1, customer.name || '—', displayPhone(customer.phoneNumber), customer.count, money(customer.amount)]
+    }))
+    : [{ cells: ['', 'No payments in this period'] }]);
+
+  sectionTitle(doc, 'Daily totals');
+  drawTable(doc, [
+    { header: 'Date', width: contentWidth * 0.4 },
+    { header: 'Payments', width: contentWidth * 0.25, align: 'right' },
+    { header: 'Amount (KES)', width: contentWidth * 0.35, align: 'right' }
+  ], [
+    ...data.daily.map(day => ({ cells: [formatDay(day.date), day.count, money(day.amount)] })),
+    { bold: true, cells: ['Total', data.summary.transactions, money(data.summary.amount)] }
+  ]);
+
+  doc.addPage();
+  sectionTitle(doc, 'Transactions');
+  drawTable(doc, [
+    { header: 'Date', width: contentWidth * 0.19 },
+    { header: 'Receipt', width: contentWidth * 0.16 },
+    { header: 'Customer', width: contentWidth * 0.25 },
+    { header: 'Reference', width: contentWidth * 0.14 },
+    { header: 'Source', width: contentWidth * 0.1 },
+    { header: 'Amount (KES)', width: contentWidth * 0.16, align: 'right' }
+  ], data.transactions.length
+    ? data.transactions.map(transaction => {
+      const name = [transaction.customer?.name?.firstName, transaction.customer?.name?.lastName].filter(Boolean).join(' ');
+      return {
+        cells: [
+          formatDate(transaction.transactionTime, period.timezone, true),
+          transaction.mpesaTransactionId || transaction.internalReference,
+          name || displayPhone(transaction.customer?.phoneNumber),
+          transaction.billRefNumber || '',
+          SOURCE_LABELS[transaction.source] || transaction.source,
+          money(transaction.amount)
+        ]
+      };
+    })
+    : [{ cells: ['No payments in this period'] }]);
+
+  if (data.transactionsTruncated) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(`Only the first ${data.transactions.length.toLocaleString('en-KE')} payments are listed. Use the CSV export for the full list.`, MARGIN);
+  }
+
+  // Footer on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Footer sits in the bottom margin - lift the margin so pdfkit doesn't add a page
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - MARGIN + 10;
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+      .text(
+        `${data.business.name} · ${period.label} · Generated by TillFlow on ${formatDate(data.generatedAt, period.timezone, true)}`,
+        MARGIN, y, { width: contentWidth * 0.8, lineBreak: false }
+      )
+      .text(`Page ${i + 1} of ${range.count}`, MARGIN + contentWidth * 0.8, y, { width: contentWidth * 0.2, align: 'right', lineBreak: false });
+  }
+
+  doc.end();
+});
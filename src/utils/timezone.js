@@ -0,0 +1,79 @@
+// Timezone helpers built on Intl (no timezone library needed)
+
+export const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+
+// Whether Intl knows the timezone name
+export function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a timezone
+export function getZonedParts(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+// Wall-clock time in a timezone as a Date whose UTC fields hold it
+// (for spreadsheets and PDFs, which have no notion of timezones)
+export function toWallClockDate(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second));
+}
+
+// Instant at which a timezone's clocks show a wall-clock time (the inverse
+// of toWallClockDate)
+export function wallClockToInstant(wallClockDate, timezone) {
+  const wallClock = wallClockDate.getTime();
+
+  // Offsets change at DST boundaries, so correct once more after the first guess
+  let instant = wallClock - (toWallClockDate(new Date(wallClock), timezone) - wallClock);
+  instant = wallClock - (toWallClockDate(new Date(instant), timezone) - instant);
+
+  return new Date(instant);
+}
+
+// Instant of local midnight for a calendar date in a timezone. Month and day
+// may overflow (month 13, day 0) the same way Date.UTC allows.
+export function zonedMidnight(year, month, day, timezone) {
+  return wallClockToInstant(new Date(Date.UTC(year, month - 1, day)), timezone);
+}
+
+// Local calendar date ("YYYY-MM-DD") of an instant
+export function formatZonedDate(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Every local calendar date from start (inclusive) to end (exclusive)
+export function listZonedDates(start, end, timezone) {
+  const dates = [];
+  const first = getZonedParts(start, timezone);
+
+  for (let i = 0; ; i++) {
+    const day = zonedMidnight(first.year, first.month, first.day + i, timezone);
+    if (day >= end) break;
+    dates.push(formatZonedDate(day, timezone));
+  }
+
+  return dates;
+}
@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import ValidationPolicy, { isUnsafePattern, MAX_PATTERN_LENGTH } from "../../src/models/ValidationPolicy.js";
+
+const patternError = (pattern) => new ValidationPolicy({
+  business: new mongoose.Types.ObjectId(),
+  accountReference: { mode: 'pattern', pattern }
+}).validateSync()?.errors['accountReference.pattern'];
+
+describe('isUnsafePattern', () => {
+  it('allows ordinary account reference patterns', () => {
+    [
+      '^[A-Z]{2}\\d{4}$',
+      '^(INV|ACC)-\\d+$',
+      '^\\d{6,10}$',
+      '(ab){2,}',
+      '^(\\d{3})?[A-Z]+$',
+      '^[(+*)]+$'
+    ].forEach(pattern => assert.equal(isUnsafePattern(pattern), false, pattern));
+  });
+
+  it('rejects repeated groups that repeat or alternate inside', () => {
+    [
+      '(a+)+$',
+      '(a*)*',
+      '(a|ab)*',
+      '^(\\w+\\s?)+$',
+      '((ab)+c)+',
+      '(a{1,3}){2,}'
+    ].forEach(pattern => assert.equal(isUnsafePattern(pattern), true, pattern));
+  });
+
+  it('rejects backreferences', () => {
+    assert.equal(isUnsafePattern('(a)\\1'), true);
+    assert.equal(isUnsafePattern('(?<x>a)\\k<x>'), true);
+  });
+});
+
+describe('ValidationPolicy account reference pattern', () => {
+  it('accepts safe patterns', () => {
+    assert.equal(patternError('^[A-Z]{2}\\d{4}$'), undefined);
+  });
+
+  it('rejects invalid, unsafe and overlong patterns', () => {
+    assert.ok(patternError('^[A-Z'));
+    assert.ok(patternError('(a+)+$'));
+    assert.ok(patternError(`^${'a'.repeat(MAX_PATTERN_LENGTH)}$`));
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import analyticsService from "../../src/services/analyticsService.js";
+import { ServiceError } from "../../src/utils/serviceErrors.js";
+
+const NAIROBI = 'Africa/Nairobi';
+const iso = (date) => date.toISOString();
+const bucketStart = (instant, interval, timezone = NAIROBI) =>
+  iso(analyticsService.bucketStart(new Date(instant), interval, timezone));
+
+describe('analyticsService bucketing', () => {
+  it('puts late-evening payments in the local day', () => {
+    // 23:59 and 00:00 in Nairobi on either side of midnight
+    assert.equal(bucketStart('2026-10-19T20:59:00Z', 'day'), '2026-10-18T21:00:00.000Z');
+    assert.equal(bucketStart('2026-10-19T21:00:00Z', 'day'), '2026-10-19T21:00:00.000Z');
+  });
+
+  it('starts weeks on Monday and months on the 1st, local time', () => {
+    // Sunday 25 Oct 2026 belongs to the week of Monday 19 Oct
+    assert.equal(bucketStart('2026-10-25T07:00:00Z', 'week'), '2026-10-18T21:00:00.000Z');
+    assert.equal(bucketStart('2026-10-19T06:00:00Z', 'week'), '2026-10-18T21:00:00.000Z');
+    assert.equal(bucketStart('2026-10-31T22:00:00Z', 'month'), '2026-10-31T21:00:00.000Z');
+    assert.equal(bucketStart('2026-10-31T20:00:00Z', 'month'), '2026-09-30T21:00:00.000Z');
+  });
+
+  it('starts hours on the local hour in half-hour timezones', () => {
+    // 12:15:30 in Kolkata
+    assert.equal(bucketStart('2026-10-19T06:45:30.250Z', 'hour', 'Asia/Kolkata'), '2026-10-19T06:30:00.000Z');
+  });
+
+  it('steps whole buckets forward and back', () => {
+    const december = analyticsService.bucketStart(new Date('2026-12-15T09:00:00Z'), 'month', NAIROBI);
+
+    assert.equal(iso(analyticsService.addBuckets(december, 1, 'month', NAIROBI)), '2026-12-31T21:00:00.000Z');
+    assert.equal(iso(analyticsService.addBuckets(december, -12, 'month', NAIROBI)), '2025-11-30T21:00:00.000Z');
+    assert.equal(iso(analyticsService.addBuckets(december, 2, 'week', NAIROBI)), '2026-12-14T21:00:00.000Z');
+    assert.equal(iso(analyticsService.addBuckets(december, 3, 'hour', NAIROBI)), '2026-12-01T00:00:00.000Z');
+  });
+
+  it('labels buckets with their local start', () => {
+    const start = new Date('2026-10-18T21:00:00Z');
+
+    assert.equal(analyticsService.bucketKey(start, 'hour', NAIROBI), '2026-10-19T00:00');
+    assert.equal(analyticsService.bucketKey(start, 'day', NAIROBI), '2026-10-19');
+    assert.equal(analyticsService.bucketKey(start, 'month', NAIROBI), '2026-10');
+  });
+});
+
+describe('analyticsService.resolveRange', () => {
+  const business = { timezone: NAIROBI };
+
+  it('covers whole buckets around the requested dates', () => {
+    // Thursday 1 Oct to Wednesday 7 Oct spans the weeks of 28 Sep and 5 Oct
+    const range = analyticsService.resolveRange({ interval: 'week', startDate: '2026-10-01', endDate: '2026-10-07' }, business);
+
+    assert.equal(range.timezone, NAIROBI);
+    assert.deepEqual(range.buckets.map(iso), ['2026-09-27T21:00:00.000Z', '2026-10-04T21:00:00.000Z']);
+    assert.equal(iso(range.end), '2026-10-11T21:00:00.000Z');
+    assert.equal(iso(range.previousStart), '2026-09-13T21:00:00.000Z');
+  });
+
+  it('prefers the requested timezone over the business one', () => {
+    const range = analyticsService.resolveRange({ startDate: '2026-10-19', timezone: 'UTC' }, business);
+
+    assert.equal(range.timezone, 'UTC');
+    assert.deepEqual(range.buckets.map(iso), ['2026-10-19T00:00:00.000Z']);
+  });
+
+  it('gives days their real length across a DST change', () => {
+    const range = analyticsService.resolveRange(
+      { startDate: '2026-10-24', endDate: '2026-10-26', timezone: 'Europe/London' },
+      business
+    );
+    const hours = range.buckets.map((start, i) => ((range.buckets[i + 1] || range.end) - start) / 3600000);
+
+    assert.deepEqual(hours, [24, 25, 24]);
+  });
+
+  it('defaults to the latest buckets up to the current one', () => {
+    const range = analyticsService.resolveRange({ interval: 'month' }, business);
+
+    assert.equal(range.buckets.length, 12);
+    assert.ok(range.buckets[11] <= new Date() && new Date() < range.end);
+  });
+
+  it('rejects bad ranges', () => {
+    const resolve = (options) => () => analyticsService.resolveRange(options, business);
+
+    assert.throws(resolve({ interval: 'fortnight' }), ServiceError);
+    assert.throws(resolve({ timezone: 'Africa/Atlantis' }), { message: 'Unknown timezone: Africa/Atlantis' });
+    assert.throws(resolve({ startDate: '2026-10-19', endDate: '2026-10-18' }), ServiceError);
+    assert.throws(resolve({ startDate: '2026-02-30' }), { message: 'startDate is not a valid date' });
+    assert.throws(resolve({ interval: 'hour', startDate: '2026-01-01', endDate: '2026-02-15' }), /at most 744 hour buckets/);
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mpesaService from "../../src/services/mpesaService.js";
+
+describe('mpesaService Pull Transactions dates', () => {
+  it('formats instants as Kenyan wall-clock time', () => {
+    assert.equal(mpesaService.formatPullDate(new Date('2026-10-19T06:30:00Z')), '2026-10-19 09:30:00');
+    assert.equal(mpesaService.formatPullDate(new Date('2026-10-19T22:15:05Z')), '2026-10-20 01:15:05');
+  });
+
+  it('reads dates without an offset as Kenyan time', () => {
+    assert.equal(mpesaService.parsePullDate('2026-10-19 09:30:00').toISOString(), '2026-10-19T06:30:00.000Z');
+    assert.equal(mpesaService.parsePullDate(' 2026-10-20 01:15:05 ').toISOString(), '2026-10-19T22:15:05.000Z');
+  });
+
+  it('keeps an offset the date already carries', () => {
+    assert.equal(mpesaService.parsePullDate('2026-10-19T09:30:00Z').toISOString(), '2026-10-19T09:30:00.000Z');
+    assert.equal(mpesaService.parsePullDate('2026-10-19 09:30:00+0100').toISOString(), '2026-10-19T08:30:00.000Z');
+  });
+
+  it('round-trips through formatPullDate', () => {
+    const date = new Date('2026-02-28T23:59:59Z');
+    assert.equal(mpesaService.parsePullDate(mpesaService.formatPullDate(date)).getTime(), date.getTime());
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import mongoose from "mongoose";
+import reconciliationService from "../../src/services/reconciliationService.js";
+
+const period = {
+  start: new Date('2026-10-18T21:00:00Z'),
+  end: new Date('2026-10-19T21:00:00Z')
+};
+const at = (time) => new Date(`2026-10-19T${time}Z`);
+
+const line = (overrides = {}) => ({
+  line: 1,
+  receipt: 'QKA1B2C3D4',
+  amount: 1000,
+  time: at('06:30:00'),
+  phoneNumber: '254712345678',
+  transactionType: 'Pay Bill',
+  ...overrides
+});
+
+const transaction = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  mpesaTransactionId: 'QKA1B2C3D4',
+  amount: 1000,
+  transactionTime: at('06:30:00'),
+  transactionType: 'Pay Bill',
+  source: 'mpesa-api',
+  customer: { phoneNumber: '254712345678' },
+  ...overrides
+});
+
+const reconcile = (lines, transactions, range = period) => reconciliationService.reconcile(lines, transactions, range);
+const types = (items) => items.map(item => item.type);
+
+describe('reconciliationService.reconcile', () => {
+  it('matches lines and transactions by receipt', () => {
+    const { items, matched } = reconcile([line({ receipt: ' qka1b2c3d4 ' })], [transaction()]);
+
+    assert.equal(matched, 1);
+    assert.deepEqual(items, []);
+  });
+
+  it('reports amount and time differences on matched receipts', () => {
+    const { items, matched } = reconcile(
+      [line({ amount: 1050, time: at('06:40:00') })],
+      [transaction()]
+    );
+
+    assert.equal(matched, 1);
+    assert.deepEqual(types(items), ['amount_mismatch', 'time_mismatch']);
+    assert.deepEqual(items[0].difference, { amount: 50 });
+    assert.deepEqual(items[1].difference, { seconds: 600 });
+  });
+
+  it('tolerates small clock differences', () => {
+    const { items } = reconcile([line({ time: at('06:34:00') })], [transaction()]);
+    assert.deepEqual(items, []);
+  });
+
+  it('compares payouts with the money leaving the account', () => {
+    const payout = transaction({ mpesaTransactionId: 'QKB1', transactionType: 'B2C Payment', amount: 300 });
+    const { items, matched } = reconcile([line({ receipt: 'QKB1', amount: -300, transactionType: 'Business Payment' })], [payout]);
+
+    assert.equal(matched, 1);
+    assert.deepEqual(items, []);
+  });
+
+  it('pairs payments recorded under a different receipt by payer, amount and time', () => {
+    const { items, matched } = reconcile(
+      [line({ receipt: 'QKA1B2C3D9', time: at('06:32:00') })],
+      [transaction(), transaction({ mpesaTransactionId: 'QKA0000000', customer: { phoneNumber: '254700000000' } })]
+    );
+
+    assert.equal(matched, 1);
+    assert.equal(items[0].type, 'receipt_mismatch');
+    assert.equal(items[0].apiRecord.receipt, 'QKA1B2C3D4');
+    assert.deepEqual(types(items.slice(1)), ['missing_from_statement']);
+  });
+
+  it('reports duplicates on either side', () => {
+    const { items } = reconcile(
+      [line(), line({ line: 2 })],
+      [transaction(), transaction()]
+    );
+
+    assert.deepEqual(types(items).sort(), ['duplicate', 'duplicate']);
+    assert.deepEqual(items.map(item => item.side).sort(), ['api', 'statement']);
+  });
+
+  it('separates missing payments from money that left the account', () => {
+    const { items } = reconcile(
+      [line(), line({ line: 2, receipt: 'QKW1', amount: -500, transactionType: 'Withdraw' })],
+      []
+    );
+
+    assert.deepEqual(types(items), ['missing_from_api', 'unmatched_money_out']);
+  });
+
+  it('only reports API transactions inside the period as missing from the statement', () => {
+    const { items } = reconcile([], [
+      transaction({ mpesaTransactionId: 'INSIDE' }),
+      transaction({ mpesaTransactionId: 'BEFORE', transactionTime: new Date('2026-10-18T20:58:00Z') })
+    ]);
+
+    assert.deepEqual(items.map(item => [item.type, item.apiRecord.receipt]), [['missing_from_statement', 'INSIDE']]);
+  });
+
+  it('flags statement balances that do not follow from the previous one', () => {
+    const { items } = reconcile(
+      [
+        line({ receipt: 'A', balance: 5000 }),
+        line({ receipt: 'B', amount: 200, balance: 5200 }),
+        line({ receipt: 'C', amount: 300, balance: 5800 })
+      ],
+      [
+        transaction({ mpesaTransactionId: 'A' }),
+        transaction({ mpesaTransactionId: 'B', amount: 200 }),
+        transaction({ mpesaTransactionId: 'C', amount: 300 })
+      ]
+    );
+
+    assert.deepEqual(types(items), ['balance_gap']);
+    assert.equal(items[0].statementLine.receipt, 'C');
+    assert.deepEqual(items[0].difference, { balance: 300 });
+  });
+});
+
+describe('reconciliationService.parseStatement', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'statement-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const upload = (name, rows) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, rows.join('\n'));
+    return { path: filePath, originalname: name };
+  };
+
+  it('reads times in the business timezone and payers from Other Party Info', async () => {
+    const file = upload('statement.csv', [
+      'Receipt No,Completion Time,Amount,Balance,Type,Other Party Info',
+      'QKA1B2C3D5,2026-10-19 11:00:00,500,5500,Pay Bill,254722000000 - MARY W',
+      'QKA1B2C3D4,2026-10-19 09:30:00,"1,000",5000,Pay Bill,254712345678 - JOHN DOE'
+    ]);
+
+    const { format, lines } = await reconciliationService.parseStatement(file, null, 'Africa/Nairobi');
+
+    assert.equal(format, 'csv');
+    // Oldest first, whatever order the statement lists them in
+    assert.deepEqual(lines.map(l => l.receipt), ['QKA1B2C3D4', 'QKA1B2C3D5']);
+    assert.equal(lines[0].time.toISOString(), '2026-10-19T06:30:00.000Z');
+    assert.equal(lines[0].amount, 1000);
+    assert.equal(lines[0].phoneNumber, '254712345678');
+    assert.equal(lines[0].name, 'JOHN DOE');
+  });
+
+  it('leaves masked payer numbers out', async () => {
+    const file = upload('masked.csv', [
+      'Receipt No,Completion Time,Amount,Type,Other Party Info',
+      'QKA1B2C3D6,2026-10-19 09:30:00,100,Pay Bill,2547******678 - JOHN DOE'
+    ]);
+
+    const { lines } = await reconciliationService.parseStatement(file, null, 'Africa/Nairobi');
+
+    assert.equal(lines[0].phoneNumber, undefined);
+    assert.equal(lines[0].name, 'JOHN DOE');
+  });
+
+  it('refuses unsupported files and PDFs without their password', async () => {
+    await assert.rejects(reconciliationService.parseStatement({ originalname: 'statement.xlsx' }, null, 'Africa/Nairobi'),
+      { name: 'ServiceError', message: 'Unsupported file type. Only CSV or PDF allowed.' });
+    await assert.rejects(reconciliationService.parseStatement({ originalname: 'statement.pdf' }, '12', 'Africa/Nairobi'),
+      { name: 'ServiceError' });
+  });
+});
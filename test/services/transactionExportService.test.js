@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "node:stream";
+import transactionExportService from "../../src/services/transactionExportService.js";
+
+const COLUMNS = ['transactionTime', 'mpesaTransactionId', 'amount', 'customerName', 'billRefNumber', 'description'];
+
+// Write transactions as CSV and return the lines (without the byte order mark)
+const exportCsv = async (transactions, columns = COLUMNS) => {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', chunk => chunks.push(chunk));
+
+  async function* cursor() {
+    yield* transactions;
+  }
+
+  const rows = await transactionExportService.writeRows(out, cursor(), {
+    format: 'csv',
+    columns,
+    timezone: 'Africa/Nairobi'
+  });
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  assert.ok(text.startsWith('\uFEFF'), 'CSV should start with a byte order mark');
+  return { rows, lines: text.slice(1).split('\n').slice(0, -1) };
+};
+
+const transaction = (overrides = {}) => ({
+  transactionTime: new Date('2026-10-19T06:30:00Z'),
+  mpesaTransactionId: 'QKA1B2C3D4',
+  amount: 1500,
+  customer: { name: { firstName: 'JOHN', lastName: 'DOE' } },
+  billRefNumber: 'INV-00001',
+  description: 'School fees',
+  ...overrides
+});
+
+describe('transactionExportService CSV', () => {
+  it('writes a header and one row per transaction', async () => {
+    const { rows, lines } = await exportCsv([transaction(), transaction({ mpesaTransactionId: 'QKA1B2C3D5' })]);
+
+    assert.equal(rows, 2);
+    assert.equal(lines[0], 'Date,M-Pesa Receipt,Amount (KES),Customer Name,Bill Reference,Description');
+    assert.equal(lines[1], '2026-10-19 09:30:00,QKA1B2C3D4,1500,JOHN DOE,INV-00001,School fees');
+  });
+
+  it('quotes cells containing commas, quotes or line breaks', async () => {
+    const { lines } = await exportCsv([transaction({ description: 'Rent, "October"\nflat 4' })]);
+
+    assert.equal(lines.slice(1).join('\n'), '2026-10-19 09:30:00,QKA1B2C3D4,1500,JOHN DOE,INV-00001,"Rent, ""October""\nflat 4"');
+  });
+
+  it('neutralises text that spreadsheets would run as a formula', async () => {
+    const cells = ['=HYPERLINK("http://x")', '+254700', '-1+2', '@SUM(A1)', '\tcmd'];
+
+    for (const description of cells) {
+      const { lines } = await exportCsv([transaction({ description })], ['description']);
+      const cell = lines[1];
+      assert.ok(cell === `'${description}` || cell === `"'${description.replace(/"/g, '""')}"`, `${description} -> ${cell}`);
+    }
+  });
+
+  it('leaves negative numbers and empty values alone', async () => {
+    const { lines } = await exportCsv([
+      transaction({ amount: -200, billRefNumber: null, description: undefined, customer: {} })
+    ]);
+
+    assert.equal(lines[1], '2026-10-19 09:30:00,QKA1B2C3D4,-200,,,');
+  });
+});
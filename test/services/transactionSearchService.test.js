@@ -0,0 +1,91 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import transactionSearchService from "../../src/services/transactionSearchService.js";
+import { ServiceError } from "../../src/utils/serviceErrors.js";
+
+const businessId = new mongoose.Types.ObjectId();
+
+describe('transactionSearchService cursors', () => {
+  const transaction = {
+    _id: new mongoose.Types.ObjectId(),
+    transactionTime: new Date('2026-10-19T06:30:00Z'),
+    createdAt: new Date('2026-10-19T06:30:02Z'),
+    amount: 1250.5
+  };
+
+  it('decodes what it encodes for each sort field', () => {
+    for (const sortBy of ['transactionTime', 'createdAt', 'amount']) {
+      const cursor = transactionSearchService.encodeCursor(transaction, sortBy, -1);
+      const decoded = transactionSearchService.decodeCursor(cursor, sortBy, -1);
+
+      assert.deepEqual(decoded.value, transaction[sortBy]);
+      assert.ok(decoded.id.equals(transaction._id));
+    }
+  });
+
+  it('produces URL-safe cursors', () => {
+    const cursor = transactionSearchService.encodeCursor(transaction, 'transactionTime', 1);
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  });
+
+  it('rejects a cursor from a different sort', () => {
+    const cursor = transactionSearchService.encodeCursor(transaction, 'amount', -1);
+
+    assert.throws(() => transactionSearchService.decodeCursor(cursor, 'amount', 1),
+      { name: 'ServiceError', message: 'Cursor does not match the requested sort' });
+    assert.throws(() => transactionSearchService.decodeCursor(cursor, 'createdAt', -1), ServiceError);
+  });
+
+  it('rejects garbage and tampered cursors', () => {
+    const tampered = Buffer.from(JSON.stringify({ sortBy: 'amount', sortOrder: -1, value: 5, id: 'nope' })).toString('base64url');
+
+    for (const cursor of ['not-a-cursor', '', tampered]) {
+      assert.throws(() => transactionSearchService.decodeCursor(cursor, 'amount', -1),
+        { name: 'ServiceError', message: 'Invalid cursor' });
+    }
+  });
+
+  it('continues after the cursor row in (sortBy, _id) order', () => {
+    const cursor = { value: 100, id: transaction._id };
+
+    assert.deepEqual(transactionSearchService.cursorCondition(cursor, 'amount', -1), {
+      $or: [
+        { amount: { $lt: 100 } },
+        { amount: 100, _id: { $lt: transaction._id } }
+      ]
+    });
+    assert.equal(Object.keys(transactionSearchService.cursorCondition(cursor, 'amount', 1).$or[0].amount)[0], '$gt');
+  });
+});
+
+describe('transactionSearchService.buildFilter', () => {
+  const phoneFilter = (phoneNumber) =>
+    transactionSearchService.buildFilter(businessId, { phoneNumber })['customer.phoneNumber'];
+
+  it('matches full phone numbers exactly in any format', () => {
+    assert.equal(phoneFilter('0712345678'), '254712345678');
+    assert.equal(phoneFilter('+254 712 345 678'), '254712345678');
+  });
+
+  it('matches partial phone numbers from the start', () => {
+    assert.deepEqual(phoneFilter('0712'), { $regex: '^254712' });
+    assert.deepEqual(phoneFilter('712'), { $regex: '^254712' });
+    assert.deepEqual(phoneFilter('2547'), { $regex: '^2547' });
+  });
+
+  it('anchors customer names and escapes regex characters', () => {
+    const filter = transactionSearchService.buildFilter(businessId, { customerName: ' jo.n ' });
+    const pattern = filter.$and[0].$or[0]['customer.name.firstName'];
+
+    assert.ok(pattern.test('JO.NATHAN'));
+    assert.ok(!pattern.test('JOHN'));
+    assert.ok(!pattern.test('MARY JO.N'));
+  });
+
+  it('rejects invalid options', () => {
+    assert.throws(() => transactionSearchService.buildFilter(businessId, { phoneNumber: 'abc' }), ServiceError);
+    assert.throws(() => transactionSearchService.buildFilter(businessId, { minAmount: 'ten' }), ServiceError);
+    assert.throws(() => transactionSearchService.buildFilter(businessId, { classificationMethod: 'guess' }), ServiceError);
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ValidationPolicyService } from "../../src/services/validationPolicyService.js";
+
+// Plain policy objects carry every field evaluatePayment reads
+const policy = (overrides = {}) => ({
+  isEnabled: true,
+  accountReference: { mode: 'any', allowedAccounts: [], caseSensitive: false },
+  minAmount: null,
+  maxAmount: null,
+  blockedMsisdns: [],
+  businessHours: { enabled: false, timezone: 'Africa/Nairobi', windows: [] },
+  ...overrides
+});
+
+const payment = (overrides = {}) => ({
+  TransAmount: '500.00',
+  MSISDN: '254712345678',
+  BillRefNumber: 'AB1234',
+  ...overrides
+});
+
+const evaluate = (policyOverrides, paymentOverrides, now, context) =>
+  ValidationPolicyService.evaluatePayment(policy(policyOverrides), payment(paymentOverrides), now, context);
+
+describe('ValidationPolicyService.evaluatePayment', () => {
+  it('accepts everything without an enabled policy', () => {
+    assert.deepEqual(ValidationPolicyService.evaluatePayment(null, payment()), { accepted: true });
+    assert.deepEqual(evaluate({ isEnabled: false, minAmount: 1000 }), { accepted: true });
+  });
+
+  it('rejects blocked payers in any phone format', () => {
+    const decision = evaluate({ blockedMsisdns: ['254712345678'] }, { MSISDN: '0712345678' });
+
+    assert.equal(decision.accepted, false);
+    assert.equal(decision.rule, 'blocked_msisdn');
+    assert.equal(decision.resultCode, 'C2B00011');
+  });
+
+  describe('account reference patterns', () => {
+    const patternPolicy = (pattern, caseSensitive = false) => ({
+      accountReference: { mode: 'pattern', pattern, allowedAccounts: [], caseSensitive }
+    });
+
+    it('accepts references matching the pattern', () => {
+      assert.equal(evaluate(patternPolicy('^[A-Z]{2}\\d{4}$'), { BillRefNumber: 'AB1234' }).accepted, true);
+      assert.equal(evaluate(patternPolicy('^[A-Z]{2}\\d{4}$'), { BillRefNumber: ' ab1234 ' }).accepted, true);
+    });
+
+    it('rejects references that do not match', () => {
+      const decision = evaluate(patternPolicy('^[A-Z]{2}\\d{4}$'), { BillRefNumber: 'A12345' });
+
+      assert.equal(decision.rule, 'account_reference');
+      assert.equal(decision.resultCode, 'C2B00012');
+      assert.match(decision.resultDesc, /^Rejected - Account number "A12345"/);
+    });
+
+    it('honours case sensitivity', () => {
+      assert.equal(evaluate(patternPolicy('^INV-\\d+$', true), { BillRefNumber: 'inv-1' }).accepted, false);
+      assert.equal(evaluate(patternPolicy('^INV-\\d+$', true), { BillRefNumber: 'INV-1' }).accepted, true);
+    });
+
+    it('rejects references longer than Daraja allows without running the pattern', () => {
+      assert.equal(evaluate(patternPolicy('^A+$'), { BillRefNumber: 'A'.repeat(21) }).accepted, false);
+      assert.equal(evaluate(patternPolicy('^A+$'), { BillRefNumber: 'A'.repeat(20) }).accepted, true);
+    });
+  });
+
+  it('matches listed accounts regardless of case unless case sensitive', () => {
+    const list = (caseSensitive) => ({
+      accountReference: { mode: 'list', allowedAccounts: ['HSE-01', 'HSE-02'], caseSensitive }
+    });
+
+    assert.equal(evaluate(list(false), { BillRefNumber: 'hse-02' }).accepted, true);
+    assert.equal(evaluate(list(true), { BillRefNumber: 'hse-02' }).accepted, false);
+    assert.equal(evaluate(list(false), { BillRefNumber: 'HSE-03' }).rule, 'account_reference');
+  });
+
+  it('requires an active payer account in payer_accounts mode', () => {
+    const payerAccounts = { accountReference: { mode: 'payer_accounts', allowedAccounts: [] } };
+
+    assert.equal(evaluate(payerAccounts, {}, new Date(), {}).accepted, false);
+    assert.match(evaluate(payerAccounts, {}, new Date(), { payerAccount: { status: 'closed' } }).resultDesc, /is closed$/);
+    assert.equal(evaluate(payerAccounts, {}, new Date(), { payerAccount: { status: 'active' } }).accepted, true);
+  });
+
+  it('enforces amount limits', () => {
+    const limits = { minAmount: 100, maxAmount: 1000 };
+
+    assert.equal(evaluate(limits, { TransAmount: '99' }).rule, 'min_amount');
+    assert.equal(evaluate(limits, { TransAmount: '1000.01' }).rule, 'max_amount');
+    assert.equal(evaluate(limits, { TransAmount: '100' }).accepted, true);
+    assert.equal(evaluate(limits, { TransAmount: '1000' }).accepted, true);
+  });
+
+  describe('business hours', () => {
+    const hours = (windows, timezone = 'Africa/Nairobi') => ({
+      businessHours: { enabled: true, timezone, windows }
+    });
+    const weekdays = [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '17:00' }];
+
+    it('uses the business timezone', () => {
+      // Monday 19 Oct 2026: 09:00 and 18:00 in Nairobi
+      assert.equal(evaluate(hours(weekdays), {}, new Date('2026-10-19T06:00:00Z')).accepted, true);
+      assert.equal(evaluate(hours(weekdays), {}, new Date('2026-10-19T15:00:00Z')).rule, 'business_hours');
+    });
+
+    it('treats the end time as closing time', () => {
+      assert.equal(evaluate(hours(weekdays), {}, new Date('2026-10-19T13:59:00Z')).accepted, true);
+      assert.equal(evaluate(hours(weekdays), {}, new Date('2026-10-19T14:00:00Z')).accepted, false);
+    });
+
+    it('keeps windows that cross midnight open into the next day', () => {
+      const fridayNight = [{ days: [5], start: '22:00', end: '02:00' }];
+
+      // Saturday 00:30 in Nairobi belongs to Friday's window
+      assert.equal(evaluate(hours(fridayNight), {}, new Date('2026-10-23T21:30:00Z')).accepted, true);
+      // ...but Friday 00:30 belongs to Thursday's, which doesn't exist
+      assert.equal(evaluate(hours(fridayNight), {}, new Date('2026-10-22T21:30:00Z')).accepted, false);
+    });
+
+    it('falls back to Nairobi time for an invalid stored timezone', () => {
+      const decision = evaluate(hours(weekdays, 'Not/AZone'), {}, new Date('2026-10-19T06:00:00Z'));
+      assert.equal(decision.accepted, true);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import WebhookEvent from "../../src/models/WebhookEvent.js";
+import webhookEventService from "../../src/services/webhookEventService.js";
+
+// In-memory stand-in for the two findOneAndUpdate calls the service makes:
+// the dedupe upsert (by type + eventKey) and the processing claim (by _id)
+const fakeEventStore = () => {
+  const events = [];
+
+  const findOneAndUpdate = async (filter, update, options = {}) => {
+    if (filter.eventKey !== undefined) {
+      let event = events.find(e => e.type === filter.type && e.eventKey === filter.eventKey);
+      const updatedExisting = !!event;
+
+      if (!event) {
+        event = {
+          _id: new mongoose.Types.ObjectId(),
+          ...update.$setOnInsert,
+          deliveryCount: 0,
+          attempts: 0,
+          save: async () => {}
+        };
+        events.push(event);
+      }
+      event.deliveryCount += update.$inc.deliveryCount;
+
+      return options.includeResultMetadata ? { value: event, lastErrorObject: { updatedExisting } } : event;
+    }
+
+    const event = events.find(e => e._id.equals(filter._id));
+    if (!event || !['received', 'failed'].includes(event.status)) {
+      return null;
+    }
+
+    Object.assign(event, update.$set);
+    event.attempts += update.$inc.attempts;
+    return event;
+  };
+
+  return { events, findOneAndUpdate };
+};
+
+const confirmation = (TransID) => ({
+  TransactionType: 'Pay Bill',
+  TransID,
+  TransAmount: '100.00',
+  BusinessShortCode: '600000',
+  BillRefNumber: 'INV-00001',
+  MSISDN: '254712345678'
+});
+
+describe('webhookEventService.ingest', () => {
+  let store;
+  let handler;
+
+  beforeEach(() => {
+    store = fakeEventStore();
+    mock.method(WebhookEvent, 'findOneAndUpdate', store.findOneAndUpdate);
+    handler = mock.method(webhookEventService.handlers, 'c2b_confirmation', async () => ({ status: 'created' }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('processes a delivery once and records its result', async () => {
+    const event = await webhookEventService.ingest('c2b_confirmation', confirmation('QKA1B2C3D4'));
+
+    assert.equal(handler.mock.callCount(), 1);
+    assert.equal(event.status, 'processed');
+    assert.deepEqual(event.result, { status: 'created' });
+  });
+
+  it('does not process a repeated delivery again', async () => {
+    await webhookEventService.ingest('c2b_confirmation', confirmation('QKA1B2C3D4'));
+    const repeat = await webhookEventService.ingest('c2b_confirmation', confirmation('QKA1B2C3D4'));
+
+    assert.equal(handler.mock.callCount(), 1);
+    assert.equal(store.events.length, 1);
+    assert.equal(repeat.deliveryCount, 2);
+    assert.equal(repeat.status, 'processed');
+  });
+
+  it('processes different receipts separately', async () => {
+    await webhookEventService.ingest('c2b_confirmation', confirmation('QKA1B2C3D4'));
+    await webhookEventService.ingest('c2b_confirmation', confirmation('QKA1B2C3D5'));
+
+    assert.equal(handler.mock.callCount(), 2);
+    assert.equal(store.events.length, 2);
+  });
+
+  it('retries a failed event on its next delivery', async () => {
+    handler.mock.mockImplementationOnce(async () => {
+      throw new Error('Database unavailable');
+    });
+
+    const failed = await webhookEventService.ingest('c2b_confirmation', confirmation('QKA1B2C3D4'));
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.lastError, 'Database unavailable');
+
+    const retried = await webhookEventService.ingest('c2b_confirmation', confirmation('QKA1B2C3D4'));
+    assert.equal(handler.mock.callCount(), 2);
+    assert.equal(retried.status, 'processed');
+    assert.equal(retried.attempts, 2);
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import axios from "axios";
+import express from "express";
+import { createDarajaSimulator } from "../../src/simulator/darajaSimulator.js";
+import mpesaService from "../../src/services/mpesaService.js";
+
+// The M-Pesa client talking to the simulator, with callbacks going to a stub of our webhooks
+describe('Daraja simulator', () => {
+  const simulator = createDarajaSimulator({ outcome: 'success', callbackDelayMs: 0 });
+  const received = [];
+  const waiting = [];
+  let simulatorServer;
+  let callbackServer;
+  let simulatorUrl;
+  const savedEnv = {};
+
+  // Resolves with the next callback delivered to a webhook path
+  const nextCallback = (path) => new Promise(resolve => waiting.push({ path, resolve }));
+
+  const webhooks = express();
+  webhooks.use(express.json());
+  webhooks.post('/api/mpesa/webhook/:path', (req, res) => {
+    const callback = { path: req.params.path, body: req.body };
+    received.push(callback);
+
+    const index = waiting.findIndex(waiter => waiter.path === callback.path);
+    if (index !== -1) waiting.splice(index, 1)[0].resolve(callback.body);
+
+    // Validation rejects one reference so both C2B paths can be driven
+    if (callback.path === 'validation' && req.body.BillRefNumber === 'UNKNOWN') {
+      return res.json({ ResultCode: 'C2B00012', ResultDesc: 'Rejected' });
+    }
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  });
+
+  before(async () => {
+    // Both sides log every request; keep the test output readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    simulatorServer = simulator.app.listen(0);
+    callbackServer = webhooks.listen(0);
+    await Promise.all([once(simulatorServer, 'listening'), once(callbackServer, 'listening')]);
+
+    simulatorUrl = `http://127.0.0.1:${simulatorServer.address().port}`;
+
+    for (const key of ['MPESA_ENVIRONMENT', 'MPESA_SIMULATOR_URL', 'MPESA_CALLBACK_BASE_URL']) {
+      savedEnv[key] = process.env[key];
+    }
+    process.env.MPESA_ENVIRONMENT = 'simulator';
+    process.env.MPESA_SIMULATOR_URL = simulatorUrl;
+    process.env.MPESA_CALLBACK_BASE_URL = `http://127.0.0.1:${callbackServer.address().port}`;
+  });
+
+  after(async () => {
+    mock.restoreAll();
+
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+
+    simulatorServer.close();
+    callbackServer.close();
+    await Promise.all([once(simulatorServer, 'close'), once(callbackServer, 'close')]);
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    simulator.state.phoneOutcomes.clear();
+  });
+
+  const credentials = {
+    businessShortCode: '174379',
+    consumerKey: 'test-key',
+    consumerSecret: 'test-secret',
+    passKey: 'test-passkey'
+  };
+
+  describe('STK push', () => {
+    it('completes a payment and calls back with its receipt', async () => {
+      const callback = nextCallback('stk-callback');
+      const result = await mpesaService.initiateSTKPush({
+        ...credentials,
+        phoneNumber: '0712345678',
+        amount: 150,
+        accountReference: 'INV-00001'
+      });
+
+      assert.equal(result.success, true);
+      assert.equal(result.responseCode, '0');
+
+      const { stkCallback } = (await callback).Body;
+      const items = Object.fromEntries(stkCallback.CallbackMetadata.Item.map(item => [item.Name, item.Value]));
+
+      assert.equal(stkCallback.CheckoutRequestID, result.checkoutRequestId);
+      assert.equal(stkCallback.ResultCode, 0);
+      assert.equal(items.Amount, 150);
+      assert.equal(items.PhoneNumber, 254712345678);
+      assert.match(items.MpesaReceiptNumber, /^[A-Z0-9]{10}$/);
+    });
+
+    it('reports the outcome forced for a phone number', async () => {
+      await axios.put(`${simulatorUrl}/simulator/outcomes/254712000001`, { outcome: 'user_cancelled' });
+
+      const callback = nextCallback('stk-callback');
+      await mpesaService.initiateSTKPush({
+        ...credentials,
+        phoneNumber: '254712000001',
+        amount: 10,
+        accountReference: 'INV-00002'
+      });
+
+      const { stkCallback } = (await callback).Body;
+      assert.equal(stkCallback.ResultCode, 1032);
+      assert.equal(stkCallback.CallbackMetadata, undefined);
+    });
+
+    it('refuses requests with rejected credentials', async () => {
+      const result = await mpesaService.initiateSTKPush({
+        ...credentials,
+        consumerKey: 'invalid-key',
+        phoneNumber: '0712345678',
+        amount: 10,
+        accountReference: 'INV-00003'
+      });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Invalid Authentication passed/);
+    });
+  });
+
+  describe('C2B payments', () => {
+    before(async () => {
+      const token = await mpesaService.generateAccessToken(credentials.consumerKey, credentials.consumerSecret);
+      await axios.post(`${simulatorUrl}/mpesa/c2b/v1/registerurl`, {
+        ShortCode: '600000',
+        ResponseType: 'Completed',
+        ConfirmationURL: mpesaService.getCallbackUrl('confirmation'),
+        ValidationURL: mpesaService.getCallbackUrl('validation')
+      }, { headers: { Authorization: `Bearer ${token}` } });
+    });
+
+    it('validates then confirms an accepted payment', async () => {
+      const result = await simulator.simulateC2BPayment({
+        shortCode: '600000',
+        amount: 2500,
+        phoneNumber: '254712345678',
+        billRefNumber: 'ACC-001'
+      });
+
+      assert.equal(result.accepted, true);
+      assert.deepEqual(received.map(callback => callback.path), ['validation', 'confirmation']);
+
+      const confirmation = received[1].body;
+      assert.equal(confirmation.TransAmount, '2500.00');
+      assert.equal(confirmation.BillRefNumber, 'ACC-001');
+      assert.equal(confirmation.TransID, result.payment.TransID);
+    });
+
+    it('sends no confirmation when validation rejects the payment', async () => {
+      const result = await simulator.simulateC2BPayment({
+        shortCode: '600000',
+        amount: 100,
+        phoneNumber: '254712345678',
+        billRefNumber: 'UNKNOWN'
+      });
+
+      assert.equal(result.accepted, false);
+      assert.deepEqual(received.map(callback => callback.path), ['validation']);
+    });
+
+    it('lists accepted payments through Pull Transactions in Kenyan time', async () => {
+      const { payment } = await simulator.simulateC2BPayment({
+        shortCode: '600000',
+        amount: 300,
+        phoneNumber: '254712345678',
+        billRefNumber: 'ACC-002'
+      });
+      const receivedAt = simulator.state.c2bPayments.find(p => p.TransID === payment.TransID).receivedAt;
+
+      const result = await mpesaService.pullTransactions({
+        startDate: new Date(Date.now() - 60 * 60 * 1000),
+        endDate: new Date(Date.now() + 60 * 1000),
+        businessCredentials: { shortCode: '600000', ...credentials }
+      });
+
+      assert.equal(result.success, true);
+      const record = result.transactions.find(r => r.transactionId === payment.TransID);
+      assert.ok(record, 'payment missing from Pull Transactions');
+      assert.equal(record.billreference, 'ACC-002');
+
+      // trxDate has no offset and is read back as +03:00 whatever the host timezone
+      const pulledAt = mpesaService.parsePullDate(record.trxDate);
+      assert.ok(Math.abs(pulledAt - receivedAt) < 1000);
+    });
+  });
+});
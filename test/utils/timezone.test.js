@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isValidTimeZone,
+  getZonedParts,
+  toWallClockDate,
+  wallClockToInstant,
+  zonedMidnight,
+  formatZonedDate,
+  listZonedDates
+} from "../../src/utils/timezone.js";
+
+const iso = (date) => date.toISOString();
+
+describe('timezone helpers', () => {
+  it('recognises timezone names', () => {
+    assert.equal(isValidTimeZone('Africa/Nairobi'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Africa/Atlantis'), false);
+  });
+
+  it('reads wall-clock fields in a timezone', () => {
+    assert.deepEqual(getZonedParts(new Date('2026-10-18T21:00:00Z'), 'Africa/Nairobi'), {
+      year: 2026, month: 10, day: 19, hour: 0, minute: 0, second: 0
+    });
+  });
+
+  it('converts between instants and wall-clock dates', () => {
+    const instant = new Date('2026-10-19T06:30:00Z');
+    const wallClock = toWallClockDate(instant, 'Africa/Nairobi');
+
+    assert.equal(iso(wallClock), '2026-10-19T09:30:00.000Z');
+    assert.equal(iso(wallClockToInstant(wallClock, 'Africa/Nairobi')), iso(instant));
+  });
+
+  it('finds local midnight, including half-hour offsets', () => {
+    assert.equal(iso(zonedMidnight(2026, 10, 19, 'Africa/Nairobi')), '2026-10-18T21:00:00.000Z');
+    assert.equal(iso(zonedMidnight(2026, 1, 1, 'Asia/Kolkata')), '2025-12-31T18:30:00.000Z');
+    assert.equal(iso(zonedMidnight(2026, 10, 19, 'UTC')), '2026-10-19T00:00:00.000Z');
+  });
+
+  it('lets months and days overflow like Date.UTC', () => {
+    assert.equal(iso(zonedMidnight(2026, 13, 1, 'Africa/Nairobi')), '2026-12-31T21:00:00.000Z');
+    assert.equal(iso(zonedMidnight(2026, 3, 0, 'Africa/Nairobi')), '2026-02-27T21:00:00.000Z');
+  });
+
+  it('follows daylight saving changes', () => {
+    // London moves to BST on 29 March 2026 and back on 25 October 2026
+    assert.equal(iso(zonedMidnight(2026, 3, 29, 'Europe/London')), '2026-03-29T00:00:00.000Z');
+    assert.equal(iso(zonedMidnight(2026, 3, 30, 'Europe/London')), '2026-03-29T23:00:00.000Z');
+    assert.equal(iso(zonedMidnight(2026, 10, 26, 'Europe/London')), '2026-10-26T00:00:00.000Z');
+  });
+
+  it('formats the local calendar date of an instant', () => {
+    const lateEvening = new Date('2026-10-18T21:30:00Z');
+
+    assert.equal(formatZonedDate(lateEvening, 'Africa/Nairobi'), '2026-10-19');
+    assert.equal(formatZonedDate(lateEvening, 'UTC'), '2026-10-18');
+  });
+
+  it('lists every local date in a range, once each across a DST change', () => {
+    const start = zonedMidnight(2026, 10, 24, 'Europe/London');
+    const end = zonedMidnight(2026, 10, 27, 'Europe/London');
+
+    assert.deepEqual(listZonedDates(start, end, 'Europe/London'), ['2026-10-24', '2026-10-25', '2026-10-26']);
+    assert.deepEqual(listZonedDates(start, start, 'Europe/London'), []);
+  });
+});